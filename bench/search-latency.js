@@ -0,0 +1,142 @@
+// Strategic Alliance Builder - Search Latency Benchmark
+
+document.addEventListener('DOMContentLoaded', function() {
+    const brand = {
+        brandName: 'Benchmark Brand',
+        industry: 'sports',
+        companySize: 'medium',
+        geographicFocus: 'national',
+        markets: ['US', 'CA'],
+        targetMarkets: ['GB', 'DE'],
+        brandDescription: 'Active lifestyle brand making outdoor performance products for healthy families.',
+        values: ['community', 'quality', 'sustainability'],
+        audience: {
+            age: '25-34',
+            income: 'middle',
+            interests: ['sports', 'fitness', 'health']
+        },
+        partnership: {
+            objectives: ['audience', 'content', 'sales']
+        }
+    };
+    
+    document.getElementById('bench-form').addEventListener('submit', function(e) {
+        e.preventDefault();
+        runBenchmark();
+    });
+    
+    /**
+     * Run each search method against a fresh synthetic directory and list the timings
+     */
+    function runBenchmark() {
+        const count = parseInt(document.getElementById('bench-count').value, 10) || 50000;
+        const limit = parseInt(document.getElementById('bench-limit').value, 10) || 50;
+        const seed = parseInt(document.getElementById('bench-seed').value, 10) || 1;
+        // Description similarity is unweighted by default, so give it a share when it is to be scored
+        const weights = document.getElementById('bench-text').checked
+            ? { ...PartnerMatcher.getDefaultWeights(), text: 0.1 }
+            : PartnerMatcher.getDefaultWeights();
+        const runButton = document.getElementById('bench-run-btn');
+        
+        document.getElementById('bench-results').innerHTML = '';
+        runButton.disabled = true;
+        
+        let partners = [];
+        let pageTop = [];
+        
+        time('Generate directory', () => {
+            partners = SyntheticPartners.generate(count, seed);
+        }, `${count.toLocaleString()} partners`);
+        
+        // Give the page a chance to draw each row before the next step
+        pause()
+            .then(() => {
+                time('Full ranking on the page', () => {
+                    PartnerMatcher.setTextCorpus([brand, ...partners]);
+                    PartnerMatcher.rankPartners(brand, partners, { weights });
+                }, 'rankPartners, sorting every partner');
+                return pause();
+            })
+            .then(() => {
+                let index = null;
+                
+                time('Index on the page', () => {
+                    index = PartnerMatcher.indexPartners(partners);
+                }, 'indexPartners');
+                
+                time(`Top ${limit} on the page`, () => {
+                    const ranker = PartnerMatcher.createRanker(brand, index, { weights, limit });
+                    ranker.scoreRange(0, partners.length);
+                    pageTop = ranker.getResult().matches;
+                }, 'createRanker, without pauses');
+                return pause();
+            })
+            .then(() => timeBatch('First search in BatchScorer', partners, weights, limit, pageTop))
+            .then(() => timeBatch('Repeat search in BatchScorer', partners, weights, limit, pageTop))
+            .catch(error => {
+                addRow('Error', null, error.message);
+            })
+            .then(() => {
+                runButton.disabled = false;
+            });
+    }
+    
+    /**
+     * Time a search through BatchScorer, in the worker where possible
+     * @param {string} label - Step name
+     * @param {Array} partners - Partners
+     * @param {Object} weights - Matching weights
+     * @param {number} limit - Matches to keep
+     * @param {Array} expected - Matches from the page, to check the results agree
+     * @returns {Promise} Resolves when the search is done
+     */
+    function timeBatch(label, partners, weights, limit, expected) {
+        const start = performance.now();
+        
+        return BatchScorer.rank(brand, partners, { weights, limit }).then(ranking => {
+            const same = ranking.matches.length === expected.length &&
+                ranking.matches.every((match, i) => match.id === expected[i].id &&
+                    match.compatibilityScore === expected[i].compatibilityScore);
+            
+            addRow(label, performance.now() - start,
+                `${BatchScorer.usesWorker() ? 'Worker' : 'Page, in batches'}; ` +
+                `${same ? 'same' : 'different'} top ${limit} as on the page`);
+        });
+    }
+    
+    /**
+     * Time a step and list it
+     * @param {string} label - Step name
+     * @param {Function} step - The work to time
+     * @param {string} notes - Notes for the row
+     */
+    function time(label, step, notes) {
+        const start = performance.now();
+        step();
+        addRow(label, performance.now() - start, notes);
+    }
+    
+    /**
+     * Add a timing row
+     * @param {string} label - Step name
+     * @param {number|null} ms - Time taken
+     * @param {string} notes - Notes
+     */
+    function addRow(label, ms, notes) {
+        const row = document.createElement('tr');
+        row.innerHTML = `
+            <td>${label}</td>
+            <td class="text-end">${ms === null ? '' : Math.round(ms).toLocaleString()}</td>
+            <td class="text-muted small">${notes}</td>
+        `;
+        document.getElementById('bench-results').appendChild(row);
+    }
+    
+    /**
+     * Wait for the page to draw
+     * @returns {Promise} Resolves shortly
+     */
+    function pause() {
+        return new Promise(resolve => setTimeout(resolve, 50));
+    }
+});
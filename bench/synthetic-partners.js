@@ -0,0 +1,88 @@
+// Strategic Alliance Builder - Synthetic Partner Directory
+
+/**
+ * SyntheticPartners - Generates large, repeatable partner directories for benchmarking searches
+ */
+const SyntheticPartners = (function() {
+    const sizes = ['startup', 'small', 'medium', 'large', 'enterprise'];
+    const focuses = ['local', 'regional', 'national', 'international', 'global'];
+    const values = ['innovation', 'quality', 'integrity', 'community', 'excellence', 'authenticity',
+        'creativity', 'customer', 'diversity', 'sustainability', 'social'];
+    const objectives = ['audience', 'content', 'sales', 'product', 'innovation', 'credibility'];
+    const ages = ['under18', '18-24', '25-34', '35-44', '45-54', '55plus'];
+    const incomes = ['budget', 'middle', 'affluent', 'luxury'];
+    const interests = ['sports', 'fitness', 'health', 'technology', 'business', 'gaming', 'music',
+        'movies', 'fashion', 'food', 'travel', 'finance', 'education', 'environment'];
+    const words = ['brand', 'products', 'services', 'customers', 'community', 'innovative', 'sustainable',
+        'premium', 'affordable', 'digital', 'outdoor', 'family', 'active', 'healthy', 'global', 'local',
+        'creative', 'trusted', 'solutions', 'experiences', 'lifestyle', 'performance', 'quality', 'design'];
+    
+    /**
+     * Create a seeded random number generator, so the same seed gives the same directory
+     * @param {number} seed - Seed
+     * @returns {Function} Returns numbers from 0 up to 1
+     */
+    function createRandom(seed) {
+        let state = (seed >>> 0) || 1;
+        
+        return () => {
+            // xorshift32
+            state ^= state << 13;
+            state ^= state >>> 17;
+            state ^= state << 5;
+            return (state >>> 0) / 4294967296;
+        };
+    }
+    
+    /**
+     * Generate a partner directory
+     * @param {number} count - Partners to generate
+     * @param {number} seed - Seed (default 1)
+     * @returns {Array} Partners in the directory's format
+     */
+    function generate(count, seed = 1) {
+        const random = createRandom(seed);
+        const pick = list => list[Math.floor(random() * list.length)];
+        const pickSome = (list, max) => {
+            const picked = new Set();
+            const wanted = 1 + Math.floor(random() * max);
+            
+            while (picked.size < wanted) {
+                picked.add(pick(list));
+            }
+            
+            return Array.from(picked);
+        };
+        
+        const industries = IndustryTaxonomy.getDefaultTaxonomy().industries.map(industry => industry.id);
+        const countries = MarketGeography.getCountries().map(country => country.code);
+        const created = new Date(2024, 0, 1).toISOString();
+        
+        return Array.from({ length: count }, (_, i) => ({
+            id: `synthetic-${seed}-${i}`,
+            brandName: `Partner ${i + 1}`,
+            industry: pick(industries),
+            companySize: pick(sizes),
+            geographicFocus: pick(focuses),
+            markets: pickSome(countries, 4),
+            brandDescription: pickSome(words, 12).join(' '),
+            values: pickSome(values, 4),
+            audience: {
+                age: pick(ages),
+                income: pick(incomes),
+                interests: pickSome(interests, 4)
+            },
+            partnership: {
+                objectives: pickSome(objectives, 3)
+            },
+            status: 'active',
+            createdAt: created,
+            updatedAt: created
+        }));
+    }
+    
+    // Return public methods
+    return {
+        generate
+    };
+})();
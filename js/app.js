@@ -5,42 +5,51 @@ document.addEventListener('DOMContentLoaded', function() {
     // Application state
     const app = {
         currentPage: 'dashboard',
+        currentCollaborationId: null,
+        currentPartnerId: null,
+        lastSearchFilters: null,
+        pendingImport: null,
+        weightProposal: null,
+        sensitivity: null,
+        saveError: null,
+        loadFailed: false,
+        historyLimit: 50,
+        batchScoringThreshold: 1000,
+        searchResultLimit: 50,
+        savedSearchDelay: 500,
+        savedSearchTimer: null,
+        savedSearchRun: null,
+        topPickCount: 5,
         initialized: false,
-        data: {
-            profile: null,
-            partners: [],
-            collaborations: [],
-            activities: [],
-            customMetrics: [],
-            settings: {
-                theme: 'default',
-                fontSize: 'medium',
-                compactView: false
-            }
-        }
+        charts: {},
+        data: DataManager.getDefaultData()
     };
 
     // Initialize UI components
     initializeUI();
     
-    // Load data from localStorage
-    loadData();
-    
-    // Show welcome modal for first-time users
-    if (!app.initialized) {
-        showWelcomeModal();
-        app.initialized = true;
-        saveData();
-    }
+    // Record collaboration changes made through ProjectManager in the activity history
+    ProjectManager.subscribe(recordProjectChange);
     
-    // Update UI with data
-    updateUI();
-
-    // Initialize page navigation
-    initNavigation();
-
-    // Initialize event listeners
-    initEventListeners();
+    // Load saved data, then set up the rest of the application
+    loadData().then(function() {
+        // Show welcome modal for first-time users; saved data that could not be read is not a first run
+        if (!app.initialized && !app.loadFailed) {
+            showWelcomeModal();
+            addSamplePartners();
+            app.initialized = true;
+            saveData();
+        }
+        
+        // Update UI with data
+        updateUI();
+        
+        // Initialize page navigation
+        initNavigation();
+        
+        // Initialize event listeners
+        initEventListeners();
+    });
 
     /**
      * Initialize UI components
@@ -51,6 +60,9 @@ document.addEventListener('DOMContentLoaded', function() {
         tooltipTriggerList.map(function (tooltipTriggerEl) {
             return new bootstrap.Tooltip(tooltipTriggerEl);
         });
+        
+        // Fill the market pickers from the bundled country list
+        populateMarketSelects();
     }
 
     /**
@@ -85,10 +97,19 @@ document.addEventListener('DOMContentLoaded', function() {
             link.classList.remove('active');
         });
         
-        document.querySelector(`.nav-link[data-page="${pageName}"]`).classList.add('active');
+        // Detail pages such as the partner view have no nav link of their own
+        const navLink = document.querySelector(`.nav-link[data-page="${pageName}"]`);
+        if (navLink) {
+            navLink.classList.add('active');
+        }
         
         // Update current page
         app.currentPage = pageName;
+        
+        // Charts can only be sized once their canvas is visible
+        if (pageName === 'roi') {
+            updateROICalculation();
+        }
     }
 
     /**
@@ -113,6 +134,247 @@ document.addEventListener('DOMContentLoaded', function() {
             });
         }
         
+        // Dealbreakers Form
+        const constraintsForm = document.getElementById('constraints-form');
+        if (constraintsForm) {
+            constraintsForm.addEventListener('submit', function(e) {
+                e.preventDefault();
+                saveConstraints();
+            });
+        }
+        
+        const clearConstraintsBtn = document.getElementById('clear-constraints-btn');
+        if (clearConstraintsBtn) {
+            clearConstraintsBtn.addEventListener('click', function() {
+                updateConstraintControls(PartnerMatcher.getDefaultConstraints());
+            });
+        }
+        
+        const conflictModeSelector = document.getElementById('conflict-mode');
+        if (conflictModeSelector) {
+            conflictModeSelector.addEventListener('change', function() {
+                setConflictMode(this.value);
+            });
+        }
+        
+        // Consortium Form
+        const consortiumForm = document.getElementById('consortium-form');
+        if (consortiumForm) {
+            consortiumForm.addEventListener('submit', function(e) {
+                e.preventDefault();
+                searchConsortiums();
+            });
+        }
+        
+        // Ranking Sensitivity Form
+        const sensitivityForm = document.getElementById('sensitivity-form');
+        if (sensitivityForm) {
+            sensitivityForm.addEventListener('submit', function(e) {
+                e.preventDefault();
+                analyzeSensitivity();
+            });
+            
+            document.getElementById('sensitivity-dimension').addEventListener('change', function() {
+                updateSensitivityChart();
+            });
+        }
+        
+        // Saved Search Button
+        const saveSearchBtn = document.getElementById('save-search-btn');
+        if (saveSearchBtn) {
+            saveSearchBtn.addEventListener('click', function() {
+                saveSearch();
+            });
+        }
+        
+        // Notifications
+        const markNotificationsReadBtn = document.getElementById('mark-notifications-read-btn');
+        if (markNotificationsReadBtn) {
+            markNotificationsReadBtn.addEventListener('click', function() {
+                markNotificationsRead();
+            });
+        }
+        
+        // Pipeline
+        const pipelineAddBtn = document.getElementById('pipeline-add-btn');
+        if (pipelineAddBtn) {
+            pipelineAddBtn.addEventListener('click', function() {
+                addToPipeline(document.getElementById('pipeline-add-partner').value);
+            });
+        }
+        
+        // Pipeline Stage Settings
+        const addPipelineStageBtn = document.getElementById('add-pipeline-stage-btn');
+        if (addPipelineStageBtn) {
+            addPipelineStageBtn.addEventListener('click', function() {
+                addPipelineStage();
+            });
+        }
+        
+        const savePipelineStagesBtn = document.getElementById('save-pipeline-stages-btn');
+        if (savePipelineStagesBtn) {
+            savePipelineStagesBtn.addEventListener('click', function() {
+                savePipelineStages();
+            });
+        }
+        
+        const resetPipelineStagesBtn = document.getElementById('reset-pipeline-stages-btn');
+        if (resetPipelineStagesBtn) {
+            resetPipelineStagesBtn.addEventListener('click', function() {
+                resetPipelineStages();
+            });
+        }
+        
+        // Industry Settings
+        const addIndustryBtn = document.getElementById('add-industry-btn');
+        if (addIndustryBtn) {
+            addIndustryBtn.addEventListener('click', function() {
+                addIndustry();
+            });
+        }
+        
+        const saveIndustriesBtn = document.getElementById('save-industries-btn');
+        if (saveIndustriesBtn) {
+            saveIndustriesBtn.addEventListener('click', function() {
+                saveIndustryTaxonomy();
+            });
+        }
+        
+        const resetIndustriesBtn = document.getElementById('reset-industries-btn');
+        if (resetIndustriesBtn) {
+            resetIndustriesBtn.addEventListener('click', function() {
+                resetIndustryTaxonomy();
+            });
+        }
+        
+        // Matching Weight Sliders
+        document.querySelectorAll('[data-weight]').forEach(slider => {
+            slider.addEventListener('input', function() {
+                updateMatchingWeightsFromSliders();
+            });
+        });
+        
+        // Mutual Fit Settings
+        document.querySelectorAll('#mutual-rule, #rank-by-mutual').forEach(control => {
+            control.addEventListener('change', function() {
+                setMutualSettings({
+                    mutualRule: document.getElementById('mutual-rule').value,
+                    rankByMutual: document.getElementById('rank-by-mutual').checked
+                });
+            });
+        });
+        
+        // Variety in Top Picks
+        const diversitySlider = document.getElementById('diversity-strength');
+        if (diversitySlider) {
+            diversitySlider.addEventListener('input', function() {
+                setDiversity(parseInt(this.value, 10) / 100);
+            });
+        }
+        
+        // Weight Preset Buttons
+        const applyWeightPresetBtn = document.getElementById('apply-weight-preset-btn');
+        if (applyWeightPresetBtn) {
+            applyWeightPresetBtn.addEventListener('click', function() {
+                applyWeightPreset(document.getElementById('weight-preset').value);
+            });
+        }
+        
+        const saveWeightPresetBtn = document.getElementById('save-weight-preset-btn');
+        if (saveWeightPresetBtn) {
+            saveWeightPresetBtn.addEventListener('click', function() {
+                saveWeightPreset();
+            });
+        }
+        
+        const deleteWeightPresetBtn = document.getElementById('delete-weight-preset-btn');
+        if (deleteWeightPresetBtn) {
+            deleteWeightPresetBtn.addEventListener('click', function() {
+                deleteWeightPreset(document.getElementById('weight-preset').value);
+            });
+        }
+        
+        // Learn from Feedback Buttons
+        const proposeWeightsBtn = document.getElementById('propose-weights-btn');
+        if (proposeWeightsBtn) {
+            proposeWeightsBtn.addEventListener('click', function() {
+                proposeLearnedWeights();
+            });
+        }
+        
+        const applyProposedWeightsBtn = document.getElementById('apply-proposed-weights-btn');
+        if (applyProposedWeightsBtn) {
+            applyProposedWeightsBtn.addEventListener('click', function() {
+                applyProposedWeights();
+            });
+        }
+        
+        const discardProposedWeightsBtn = document.getElementById('discard-proposed-weights-btn');
+        if (discardProposedWeightsBtn) {
+            discardProposedWeightsBtn.addEventListener('click', function() {
+                hideWeightProposal();
+            });
+        }
+        
+        const resetLearningBtn = document.getElementById('reset-learning-btn');
+        if (resetLearningBtn) {
+            resetLearningBtn.addEventListener('click', function() {
+                resetLearnedWeights();
+            });
+        }
+        
+        // Partner Directory Buttons
+        const addPartnerBtn = document.getElementById('add-partner-btn');
+        if (addPartnerBtn) {
+            addPartnerBtn.addEventListener('click', function() {
+                showPartnerModal();
+            });
+        }
+        
+        const savePartnerBtn = document.getElementById('save-partner-btn');
+        if (savePartnerBtn) {
+            savePartnerBtn.addEventListener('click', function() {
+                savePartner();
+            });
+        }
+        
+        const importPartnersBtn = document.getElementById('import-partners-btn');
+        if (importPartnersBtn) {
+            importPartnersBtn.addEventListener('click', function() {
+                const modal = new bootstrap.Modal(document.getElementById('importPartnersModal'));
+                modal.show();
+            });
+        }
+        
+        const confirmImportPartnersBtn = document.getElementById('confirm-import-partners-btn');
+        if (confirmImportPartnersBtn) {
+            confirmImportPartnersBtn.addEventListener('click', function() {
+                importPartners();
+            });
+        }
+        
+        const loadSamplePartnersBtn = document.getElementById('load-sample-partners-btn');
+        if (loadSamplePartnersBtn) {
+            loadSamplePartnersBtn.addEventListener('click', function() {
+                loadSamplePartners();
+            });
+        }
+        
+        // Partner Directory Filters
+        const partnerDirectoryFilters = document.querySelectorAll('#partner-directory-search, #partner-directory-status');
+        partnerDirectoryFilters.forEach(filter => {
+            filter.addEventListener('input', function() {
+                updatePartnerDirectory();
+            });
+        });
+        
+        // Warn about duplicates while a partner is being entered
+        document.querySelectorAll('#partner-form-name, #partner-form-website').forEach(input => {
+            input.addEventListener('input', function() {
+                updatePartnerDuplicateWarning();
+            });
+        });
+        
         // Create Workspace Buttons
         const createWorkspaceBtn = document.getElementById('create-workspace-btn');
         const createWorkspaceBtnEmpty = document.getElementById('create-workspace-btn-empty');
@@ -137,6 +399,50 @@ document.addEventListener('DOMContentLoaded', function() {
             });
         }
         
+        // Exclusivity Terms
+        const exclusivePartnership = document.getElementById('exclusive-partnership');
+        if (exclusivePartnership) {
+            exclusivePartnership.addEventListener('change', function() {
+                updateExclusivityFields();
+            });
+        }
+        
+        const workspaceExclusivityForm = document.getElementById('workspace-exclusivity-form');
+        if (workspaceExclusivityForm) {
+            workspaceExclusivityForm.addEventListener('submit', function(e) {
+                e.preventDefault();
+                saveCollaborationExclusivity(true);
+            });
+        }
+        
+        const removeExclusivityBtn = document.getElementById('remove-exclusivity-btn');
+        if (removeExclusivityBtn) {
+            removeExclusivityBtn.addEventListener('click', function() {
+                saveCollaborationExclusivity(false);
+            });
+        }
+        
+        // Workspace Back Link
+        const workspaceBackLink = document.getElementById('workspace-back-link');
+        if (workspaceBackLink) {
+            workspaceBackLink.addEventListener('click', function(e) {
+                e.preventDefault();
+                closeCollaboration();
+            });
+        }
+        
+        // Workspace Item Forms (tasks, milestones, documents, notes)
+        document.querySelectorAll('.workspace-item-form').forEach(form => {
+            form.addEventListener('submit', function(e) {
+                e.preventDefault();
+                saveWorkspaceItem(this.getAttribute('data-entity'));
+            });
+            
+            form.addEventListener('reset', function() {
+                resetWorkspaceItemForm(this.getAttribute('data-entity'));
+            });
+        });
+        
         // Export Data Buttons
         const exportDataBtn = document.getElementById('export-data-btn');
         const settingsExportBtn = document.getElementById('settings-export-btn');
@@ -161,6 +467,45 @@ document.addEventListener('DOMContentLoaded', function() {
             });
         }
         
+        // Activity History Filters
+        document.querySelectorAll('#history-search, #history-action, #history-entity-type, #history-collaboration, #history-from, #history-to').forEach(filter => {
+            filter.addEventListener('input', function() {
+                app.historyLimit = 50;
+                updateHistoryList();
+            });
+        });
+        
+        const historyMoreBtn = document.getElementById('history-more-btn');
+        if (historyMoreBtn) {
+            historyMoreBtn.addEventListener('click', function() {
+                app.historyLimit += 50;
+                updateHistoryList();
+            });
+        }
+        
+        // Activity History Name
+        const actorNameInput = document.getElementById('actor-name');
+        if (actorNameInput) {
+            actorNameInput.addEventListener('change', function() {
+                app.data.settings.actorName = this.value.trim() || null;
+                saveData();
+            });
+        }
+        
+        // Import Modal
+        document.querySelectorAll('input[name="import-mode"]').forEach(radio => {
+            radio.addEventListener('change', function() {
+                updateImportPreview();
+            });
+        });
+        
+        const confirmImportBtn = document.getElementById('confirm-import-btn');
+        if (confirmImportBtn) {
+            confirmImportBtn.addEventListener('click', function() {
+                confirmImport();
+            });
+        }
+        
         // Clear Data Button
         const clearDataBtn = document.getElementById('clear-data-btn');
         if (clearDataBtn) {
@@ -236,6 +581,38 @@ document.addEventListener('DOMContentLoaded', function() {
             });
         }
         
+        // ROI Calculator Inputs
+        const roiForm = document.getElementById('roi-form');
+        if (roiForm) {
+            roiForm.addEventListener('input', function() {
+                updateROICalculation();
+            });
+        }
+        
+        // ROI Collaboration Selector
+        const roiCollaborationSelect = document.getElementById('roi-collaboration');
+        if (roiCollaborationSelect) {
+            roiCollaborationSelect.addEventListener('change', function() {
+                updateAssessmentList();
+            });
+        }
+        
+        // Save ROI Assessment Button
+        const roiSaveBtn = document.getElementById('roi-save-btn');
+        if (roiSaveBtn) {
+            roiSaveBtn.addEventListener('click', function() {
+                saveAssessment();
+            });
+        }
+        
+        // Reset ROI Form Button
+        const roiResetBtn = document.getElementById('roi-reset-btn');
+        if (roiResetBtn) {
+            roiResetBtn.addEventListener('click', function() {
+                resetROIForm();
+            });
+        }
+        
         // Resource Type Filter
         const resourceTypeFilter = document.getElementById('resource-type-filter');
         if (resourceTypeFilter) {
@@ -315,6 +692,8 @@ document.addEventListener('DOMContentLoaded', function() {
         const industry = document.getElementById('industry').value;
         const companySize = document.getElementById('company-size').value;
         const geographicFocus = document.getElementById('geographic-focus').value;
+        const markets = getSelectedMarkets('markets');
+        const targetMarkets = getSelectedMarkets('target-markets');
         const brandDescription = document.getElementById('brand-description').value;
         
         // Get selected values
@@ -326,7 +705,7 @@ document.addEventListener('DOMContentLoaded', function() {
         // Get audience information
         const audienceAge = document.getElementById('audience-age').value;
         const audienceIncome = document.getElementById('audience-income').value;
-        const audienceInterests = document.getElementById('audience-interests').value.split(',').map(item => item.trim());
+        const audienceInterests = document.getElementById('audience-interests').value.split(',').map(item => item.trim()).filter(Boolean);
         
         // Get partnership preferences
         const partnershipObjectives = [];
@@ -344,6 +723,8 @@ document.addEventListener('DOMContentLoaded', function() {
             industry,
             companySize,
             geographicFocus,
+            markets,
+            targetMarkets,
             brandDescription,
             values: selectedValues,
             audience: {
@@ -357,18 +738,26 @@ document.addEventListener('DOMContentLoaded', function() {
                 investment: investmentLevel,
                 experience: partnershipExperience
             },
+            // Dealbreakers are edited on the Partner Discovery page
+            constraints: app.data.profile?.constraints || PartnerMatcher.getDefaultConstraints(),
             createdAt: new Date().toISOString(),
             updatedAt: new Date().toISOString()
         };
         
         // Update app data
+        const previousProfile = app.data.profile;
         app.data.profile = profile;
         
-        // Save to localStorage
+        // Save to storage
         saveData();
         
         // Add activity
-        addActivity('Updated brand profile');
+        addActivity(`${previousProfile ? 'Updated' : 'Created'} brand profile`, {
+            action: previousProfile ? 'update' : 'create',
+            entityType: 'profile',
+            before: previousProfile,
+            after: profile
+        });
         
         // Show success message
         alert('Brand profile saved successfully.');
@@ -384,145 +773,2594 @@ document.addEventListener('DOMContentLoaded', function() {
      * Search for potential partners
      */
     function searchPartners() {
-        // In a real app, this would make an API call
-        // For our demo, we'll generate sample partners
+        // Compatibility is scored against our brand, so a profile is required
+        if (!app.data.profile) {
+            alert('Please complete your brand profile before searching for partners.');
+            navigateTo('profile');
+            return;
+        }
+        
+        const filters = getSearchFilters();
+        
+        // Remember the filters so results can be re-ranked when weights change
+        app.lastSearchFilters = filters;
+        
+        runPartnerSearch(filters);
+        
+        // Add activity
+        addActivity('Searched for potential partners', { action: 'search', after: filters });
+    }
 
-        // Get filter values
-        const industryFilter = document.getElementById('filter-industry').value;
-        const sizeFilter = document.getElementById('filter-size').value;
-        const geographyFilter = document.getElementById('filter-geography').value;
+    /**
+     * Read the partner search filters
+     * @returns {Object} Filter criteria for PartnerMatcher.filterPartners
+     */
+    function getSearchFilters() {
         const valuesFilter = document.getElementById('filter-values').value;
         const objectiveFilter = document.getElementById('filter-objective').value;
         
-        // Generate sample partners
-        const partners = generateSamplePartners();
-        
-        // Apply filters if needed
-        let filteredPartners = partners;
-        
-        if (industryFilter) {
-            filteredPartners = filteredPartners.filter(partner => partner.industry === industryFilter);
-        }
+        return {
+            industry: document.getElementById('filter-industry').value,
+            companySize: document.getElementById('filter-size').value,
+            geographicFocus: document.getElementById('filter-geography').value,
+            market: document.getElementById('filter-market').value,
+            values: valuesFilter ? [valuesFilter] : [],
+            objectives: objectiveFilter ? [objectiveFilter] : []
+        };
+    }
+
+    /**
+     * Set the partner search filters
+     * @param {Object} filters - Filter criteria from getSearchFilters
+     */
+    function setSearchFilters(filters) {
+        document.getElementById('filter-industry').value = filters.industry || '';
+        document.getElementById('filter-size').value = filters.companySize || '';
+        document.getElementById('filter-geography').value = filters.geographicFocus || '';
+        document.getElementById('filter-market').value = filters.market || '';
+        document.getElementById('filter-values').value = (filters.values || [])[0] || '';
+        document.getElementById('filter-objective').value = (filters.objectives || [])[0] || '';
+    }
+
+    /**
+     * Save the current filters and matching settings as a named search
+     */
+    function saveSearch() {
+        const nameInput = document.getElementById('saved-search-name');
+        const name = nameInput.value.trim();
         
-        if (sizeFilter) {
-            filteredPartners = filteredPartners.filter(partner => partner.companySize === sizeFilter);
+        if (!name) {
+            alert('Please enter a name for the search.');
+            return;
         }
         
-        if (geographyFilter) {
-            filteredPartners = filteredPartners.filter(partner => partner.geographicFocus === geographyFilter);
-        }
+        const search = SavedSearchManager.createSavedSearch({
+            name,
+            filters: getSearchFilters(),
+            weights: app.data.settings.matchingWeights,
+            mutualRule: app.data.settings.mutualRule,
+            rankByMutual: app.data.settings.rankByMutual,
+            threshold: document.getElementById('saved-search-threshold').value
+        });
         
-        if (valuesFilter) {
-            filteredPartners = filteredPartners.filter(partner => partner.values.includes(valuesFilter));
-        }
+        // Update app data
+        app.data.savedSearches.push(search);
         
-        if (objectiveFilter) {
-            filteredPartners = filteredPartners.filter(partner => partner.partnership.objectives.includes(objectiveFilter));
-        }
+        // Save to storage
+        saveData();
         
-        // Update the UI with results
-        displayPartnerResults(filteredPartners);
+        // The first run records the current matches, so only later changes are reported
+        checkSavedSearches();
         
         // Add activity
-        addActivity('Searched for potential partners');
+        addActivity(`Saved partner search: ${name}`, {
+            action: 'create',
+            entityType: 'savedSearch',
+            entityId: search.id,
+            after: search
+        });
+        
+        // Update UI
+        nameInput.value = '';
+        updateSavedSearchList();
     }
 
     /**
-     * Display partner search results
-     * @param {Array} partners - The list of partners to display
+     * Re-run a saved search with its filters and matching settings
+     * @param {string} searchId - The ID of the saved search
      */
-    function displayPartnerResults(partners) {
-        const resultsContainer = document.getElementById('partner-results');
-        const noPartnersMessage = document.getElementById('no-partners-message');
+    function runSavedSearch(searchId) {
+        const search = app.data.savedSearches.find(s => s.id === searchId);
         
-        // Clear previous results
-        resultsContainer.innerHTML = '';
+        if (!search) return;
         
-        if (partners.length === 0) {
-            // Show no results message
-            noPartnersMessage.style.display = 'block';
+        if (!app.data.profile) {
+            alert('Please complete your brand profile before searching for partners.');
+            navigateTo('profile');
             return;
         }
         
-        // Hide no results message
-        noPartnersMessage.style.display = 'none';
+        // The search's weights become the current weights so the result cards explain the same scores
+        app.data.settings.matchingWeights = search.weights;
+        app.data.settings.mutualRule = search.mutualRule;
+        app.data.settings.rankByMutual = search.rankByMutual;
         
-        // Add partner cards
-        partners.forEach(partner => {
-            // Create match score class based on compatibility
-            let matchScoreClass = '';
-            if (partner.compatibilityScore >= 80) {
-                matchScoreClass = 'match-excellent';
-            } else if (partner.compatibilityScore >= 60) {
-                matchScoreClass = 'match-good';
-            } else if (partner.compatibilityScore >= 40) {
-                matchScoreClass = 'match-moderate';
-            } else {
-                matchScoreClass = 'match-low';
-            }
-            
-            const partnerCard = document.createElement('div');
-            partnerCard.className = 'col-md-4 mb-4';
-            partnerCard.innerHTML = `
-                <div class="card h-100 partner-card">
-                    <div class="card-body position-relative">
-                        <div class="match-score ${matchScoreClass}">${partner.compatibilityScore}%</div>
-                        <h5 class="card-title">${partner.brandName}</h5>
-                        <h6 class="card-subtitle mb-2 text-muted">${getIndustryName(partner.industry)}</h6>
-                        <p class="card-text">${partner.brandDescription}</p>
-                        <div class="mb-3">
-                            <small class="text-muted">Company Size:</small> ${getCompanySizeName(partner.companySize)}<br>
-                            <small class="text-muted">Geographic Focus:</small> ${getGeographicFocusName(partner.geographicFocus)}
-                        </div>
-                        <div class="mb-3">
-                            <small class="text-muted">Core Values:</small><br>
-                            ${partner.values.map(value => `<span class="badge bg-light text-dark me-1 mb-1">${getValueName(value)}</span>`).join('')}
-                        </div>
-                        <button class="btn btn-outline-primary btn-sm view-partner-btn" data-partner-id="${partner.id}">View Details</button>
-                        <button class="btn btn-primary btn-sm create-collaboration-btn" data-partner-id="${partner.id}">Create Collaboration</button>
-                    </div>
-                </div>
-            `;
-            
-            resultsContainer.appendChild(partnerCard);
-        });
+        // The user is seeing the results, so they become the new baseline when the search is next checked
+        app.data.savedSearches = app.data.savedSearches.map(s => s.id === searchId ? { ...s, lastRunAt: null } : s);
         
-        // Add event listeners to the buttons
-        document.querySelectorAll('.view-partner-btn').forEach(btn => {
-            btn.addEventListener('click', function() {
-                const partnerId = this.getAttribute('data-partner-id');
-                viewPartnerDetails(partnerId);
-            });
-        });
+        // Save to storage
+        saveData();
         
-        document.querySelectorAll('.create-collaboration-btn').forEach(btn => {
-            btn.addEventListener('click', function() {
-                const partnerId = this.getAttribute('data-partner-id');
-                const partner = partners.find(p => p.id === partnerId);
-                showCreateWorkspaceModalWithPartner(partner);
-            });
+        checkSavedSearches();
+        
+        // Update UI
+        navigateTo('discovery');
+        setSearchFilters(search.filters);
+        updateWeightControls();
+        updateSavedSearchList();
+        
+        app.lastSearchFilters = search.filters;
+        runPartnerSearch(search.filters);
+        
+        // Add activity
+        addActivity(`Ran saved partner search: ${search.name}`, {
+            action: 'search',
+            entityType: 'savedSearch',
+            entityId: search.id,
+            after: search.filters
         });
     }
 
     /**
-     * View the details of a specific partner
+     * Delete a saved search
+     * @param {string} searchId - The ID of the saved search
+     */
+    function deleteSavedSearch(searchId) {
+        const search = app.data.savedSearches.find(s => s.id === searchId);
+        
+        if (!search || !confirm(`Are you sure you want to delete the saved search "${search.name}"?`)) return;
+        
+        app.data.savedSearches = app.data.savedSearches.filter(s => s.id !== searchId);
+        
+        // Save to storage
+        saveData();
+        
+        // Add activity
+        addActivity(`Deleted saved partner search: ${search.name}`, {
+            action: 'delete',
+            entityType: 'savedSearch',
+            entityId: searchId,
+            before: search
+        });
+        
+        // Update UI
+        updateSavedSearchList();
+    }
+
+    /**
+     * Update the saved search list
+     */
+    function updateSavedSearchList() {
+        const list = document.getElementById('saved-search-list');
+        
+        if (!list) return;
+        
+        if (app.data.savedSearches.length === 0) {
+            list.innerHTML = '<li class="list-group-item text-muted">No saved searches yet.</li>';
+            return;
+        }
+        
+        list.innerHTML = app.data.savedSearches.map(search => `
+            <li class="list-group-item d-flex justify-content-between align-items-center">
+                <div>
+                    <strong>${escapeHtml(search.name)}</strong><br>
+                    <small class="text-muted">
+                        ${escapeHtml(describeSearchFilters(search.filters))} &middot; Alert at ${escapeHtml(search.threshold)}% &middot;
+                        ${search.lastRunAt ? `${search.matchCount ?? Object.keys(search.results).length} matches on ${new Date(search.lastRunAt).toLocaleDateString()}` : 'Not run yet'}
+                    </small>
+                </div>
+                <div class="text-nowrap">
+                    <button type="button" class="btn btn-sm btn-outline-primary run-saved-search-btn" data-search-id="${escapeHtml(search.id)}">Run</button>
+                    <button type="button" class="btn btn-sm btn-outline-danger delete-saved-search-btn" data-search-id="${escapeHtml(search.id)}" title="Delete saved search">
+                        <i class="bi bi-trash"></i>
+                    </button>
+                </div>
+            </li>
+        `).join('');
+        
+        list.querySelectorAll('.run-saved-search-btn').forEach(btn => {
+            btn.addEventListener('click', function() {
+                runSavedSearch(this.getAttribute('data-search-id'));
+            });
+        });
+        
+        list.querySelectorAll('.delete-saved-search-btn').forEach(btn => {
+            btn.addEventListener('click', function() {
+                deleteSavedSearch(this.getAttribute('data-search-id'));
+            });
+        });
+    }
+
+    /**
+     * Describe a search's filters in a few words
+     * @param {Object} filters - Filter criteria from getSearchFilters
+     * @returns {string} The description
+     */
+    function describeSearchFilters(filters) {
+        const parts = [];
+        
+        if (filters.industry) parts.push(getIndustryName(filters.industry));
+        if (filters.companySize) parts.push(getCompanySizeName(filters.companySize));
+        if (filters.geographicFocus) parts.push(getGeographicFocusName(filters.geographicFocus));
+        if (filters.market) parts.push(MarketGeography.getMarketName(filters.market));
+        (filters.values || []).forEach(value => parts.push(getValueName(value)));
+        (filters.objectives || []).forEach(objective => parts.push(getObjectiveName(objective)));
+        
+        return parts.length > 0 ? parts.join(', ') : 'All partners';
+    }
+
+    /**
+     * Re-run every saved search shortly after the partner directory changes
+     * Changes made close together, such as an import followed by edits, are checked once.
+     */
+    function checkSavedSearches() {
+        clearTimeout(app.savedSearchTimer);
+        app.savedSearchTimer = setTimeout(runSavedSearchChecks, app.savedSearchDelay);
+    }
+
+    /**
+     * Re-run every saved search a batch at a time and notify the user of new matches and of
+     * matches that reached the search's alert score, then save the results
+     * A check started while another is running replaces it.
+     */
+    function runSavedSearchChecks() {
+        app.savedSearchTimer = null;
+        
+        if (!app.data.profile || app.data.savedSearches.length === 0) return;
+        
+        const run = {};
+        const profile = app.data.profile;
+        const searches = app.data.savedSearches.slice();
+        const partners = PartnerDirectory.getActivePartners(app.data.partners);
+        const state = {
+            index: PartnerMatcher.indexPartners(partners),
+            signature: BatchScorer.getSignature(partners),
+            corpusKey: null
+        };
+        const evaluations = new Map();
+        
+        app.savedSearchRun = run;
+        
+        const checkNext = position => {
+            if (app.savedSearchRun !== run) return;
+            
+            if (position >= searches.length) {
+                app.savedSearchRun = null;
+                finishSavedSearchChecks(evaluations);
+                return;
+            }
+            
+            const search = searches[position];
+            
+            BatchScorer.scoreInBatches(state, profile, SavedSearchManager.getRankingOptions(search), {
+                isCurrent: () => app.savedSearchRun === run,
+                onProgress: () => {},
+                onResult: ranking => {
+                    evaluations.set(search, SavedSearchManager.evaluateSearch(search, ranking));
+                    checkNext(position + 1);
+                },
+                onError: error => {
+                    console.error('Error checking saved search:', error);
+                    checkNext(position + 1);
+                }
+            });
+        };
+        
+        checkNext(0);
+    }
+
+    /**
+     * Record the results of a saved search check and notify the user of what changed
+     * Searches edited, run or deleted while the check was running are left for the next check.
+     * @param {Map} evaluations - Evaluations from SavedSearchManager.evaluateSearch, by the search checked
+     */
+    function finishSavedSearchChecks(evaluations) {
+        const names = list => list.map(partner => partner.brandName).join(', ');
+        
+        app.data.savedSearches = app.data.savedSearches.map(search => {
+            const evaluation = evaluations.get(search);
+            
+            if (!evaluation) return search;
+            
+            if (evaluation.newMatches.length > 0) {
+                addNotification(
+                    `"${search.name}" has ${evaluation.newMatches.length} new match${evaluation.newMatches.length === 1 ? '' : 'es'}: ${names(evaluation.newMatches)}`,
+                    search.id,
+                    evaluation.newMatches
+                );
+            }
+            
+            if (evaluation.crossedThreshold.length > 0) {
+                addNotification(
+                    `"${search.name}": ${names(evaluation.crossedThreshold)} now score${evaluation.crossedThreshold.length === 1 ? 's' : ''} ${search.threshold}% or more`,
+                    search.id,
+                    evaluation.crossedThreshold
+                );
+            }
+            
+            return evaluation.search;
+        });
+        
+        // Save to storage
+        saveData();
+        
+        // Update UI
+        updateSavedSearchList();
+        updateNotifications();
+    }
+
+    /**
+     * Add an in-app notification
+     * @param {string} message - The notification text
+     * @param {string} searchId - The saved search it is about, or null
+     * @param {Array} partners - The partners it is about
+     */
+    function addNotification(message, searchId, partners = []) {
+        app.data.notifications.unshift({
+            id: generateId(),
+            message,
+            timestamp: new Date().toISOString(),
+            searchId,
+            partnerIds: partners.map(partner => partner.id),
+            read: false
+        });
+    }
+
+    /**
+     * Update the notification badge and list
+     */
+    function updateNotifications() {
+        const badge = document.getElementById('notification-badge');
+        const list = document.getElementById('notification-list');
+        
+        if (!badge || !list) return;
+        
+        const unread = app.data.notifications.filter(n => !n.read).length;
+        badge.textContent = unread;
+        badge.style.display = unread > 0 ? 'inline-block' : 'none';
+        
+        if (app.data.notifications.length === 0) {
+            list.innerHTML = '<li class="list-group-item text-muted small">No notifications.</li>';
+            return;
+        }
+        
+        list.innerHTML = app.data.notifications.slice(0, 20).map(notification => `
+            <li class="list-group-item list-group-item-action small ${notification.read ? '' : 'fw-bold'}" role="button" data-notification-id="${escapeHtml(notification.id)}">
+                ${escapeHtml(notification.message)}<br>
+                <small class="text-muted fw-normal">${new Date(notification.timestamp).toLocaleString()}</small>
+            </li>
+        `).join('');
+        
+        list.querySelectorAll('[data-notification-id]').forEach(item => {
+            item.addEventListener('click', function() {
+                openNotification(this.getAttribute('data-notification-id'));
+            });
+        });
+    }
+
+    /**
+     * Mark a notification as read and show the saved search it is about
+     * @param {string} notificationId - The ID of the notification
+     */
+    function openNotification(notificationId) {
+        const notification = app.data.notifications.find(n => n.id === notificationId);
+        
+        if (!notification) return;
+        
+        notification.read = true;
+        
+        // Save to storage
+        saveData();
+        
+        updateNotifications();
+        
+        if (notification.searchId && app.data.savedSearches.some(s => s.id === notification.searchId)) {
+            runSavedSearch(notification.searchId);
+        }
+    }
+
+    /**
+     * Mark every notification as read
+     */
+    function markNotificationsRead() {
+        app.data.notifications.forEach(notification => {
+            notification.read = true;
+        });
+        
+        // Save to storage
+        saveData();
+        
+        updateNotifications();
+    }
+
+    /**
+     * Filter, score and display partners
+     * @param {Object} filters - Filter criteria for PartnerMatcher.filterPartners
+     */
+    function runPartnerSearch(filters) {
+        // Archived partners are kept in the directory but left out of searches
+        const partners = PartnerDirectory.getActivePartners(app.data.partners);
+        
+        // Large directories are scored in the background, keeping only the best matches
+        if (partners.length > app.batchScoringThreshold) {
+            runBatchSearch(filters, partners);
+            return;
+        }
+        
+        BatchScorer.cancel();
+        updateSearchProgress(null);
+        updateSearchSummary(null);
+        
+        updateTextCorpus();
+        
+        // Apply filters
+        const filteredPartners = PartnerMatcher.filterPartners(partners, filters);
+        
+        // Score and rank the remaining partners, leaving out any that break a dealbreaker
+        const ranking = PartnerMatcher.rankPartners(app.data.profile, filteredPartners, getMatchingOptions());
+        
+        // Update the UI with results
+        displayPartnerResults(diversifyMatches(ranking.matches));
+        displayExcludedPartners(ranking.excluded);
+    }
+
+    /**
+     * Rank a large directory with BatchScorer, showing progress, then show the best matches
+     * @param {Object} filters - Filter criteria
+     * @param {Array} partners - Active partners
+     */
+    function runBatchSearch(filters, partners) {
+        updateSearchProgress(0, partners.length);
+        
+        BatchScorer.rank(app.data.profile, partners, {
+            ...getMatchingOptions(),
+            filters,
+            limit: app.searchResultLimit,
+            onProgress: updateSearchProgress
+        }).then(ranking => {
+            // A newer search has replaced this one
+            if (!ranking) return;
+            
+            updateSearchProgress(null);
+            displayPartnerResults(diversifyMatches(ranking.matches));
+            displayExcludedPartners(ranking.excluded, ranking.excludedCount);
+            updateSearchSummary(ranking);
+        }).catch(error => {
+            console.error('Error scoring partners:', error);
+            updateSearchProgress(null);
+            alert('The search could not be completed. Please try again.');
+        });
+    }
+
+    /**
+     * Put a varied set of top picks first when the user wants variety
+     * @param {Array} matches - Ranked matches, best first
+     * @returns {Array} The top picks from PartnerMatcher.diversifyPartners, each with its selection,
+     *   then the other matches in score order; the matches unchanged if variety is off
+     */
+    function diversifyMatches(matches) {
+        const diversity = app.data.settings.diversity || 0;
+        
+        if (diversity <= 0 || matches.length < 2) {
+            return matches;
+        }
+        
+        const picks = PartnerMatcher.diversifyPartners(matches, app.topPickCount, {
+            diversity,
+            rankBy: app.data.settings.rankByMutual ? 'mutual' : 'compatibility'
+        });
+        const picked = new Set(picks.map(partner => partner.id));
+        
+        return [...picks, ...matches.filter(partner => !picked.has(partner.id))];
+    }
+
+    /**
+     * Explain why a partner was chosen as a top pick
+     * @param {Object} partner - A partner from PartnerMatcher.diversifyPartners
+     * @param {number} position - Its place among the top picks (1-based)
+     * @returns {string} The explanation
+     */
+    function describeSelection(partner, position) {
+        const selection = partner.selection;
+        const reasons = [];
+        
+        if (selection.passedOver.length === 0) {
+            reasons.push(position === 1 ? 'Highest score.' : 'Next highest score.');
+        } else {
+            const names = selection.passedOver.slice(0, 3).join(', ') +
+                (selection.passedOver.length > 3 ? ` and ${selection.passedOver.length - 3} more` : '');
+            reasons.push(`Picked ahead of ${names}, which scored higher, for variety.`);
+        }
+        
+        if (position > 1) {
+            const adds = [];
+            if (selection.adds.industry) adds.push(`the first from ${getIndustryName(selection.adds.industry)}`);
+            if (selection.adds.companySize) adds.push(`a new company size (${getCompanySizeName(selection.adds.companySize)})`);
+            if (selection.adds.markets > 0) {
+                adds.push(`${selection.adds.markets} new market${selection.adds.markets === 1 ? '' : 's'}`);
+            } else if (selection.adds.geographicFocus) {
+                adds.push(`the first with a ${getGeographicFocusName(selection.adds.geographicFocus).toLowerCase()} focus`);
+            }
+            
+            if (adds.length > 0) {
+                reasons.push(`Adds ${adds.join(', ')}.`);
+            }
+            
+            if (selection.mostSimilar) {
+                reasons.push(`Most like ${selection.mostSimilar} (${Math.round(selection.redundancy * 100)}% similar).`);
+            }
+        }
+        
+        return reasons.join(' ');
+    }
+
+    /**
+     * Set how much variety counts in the top picks, and re-run any displayed search
+     * @param {number} diversity - From 0 (off) to 1
+     */
+    function setDiversity(diversity) {
+        app.data.settings.diversity = diversity;
+        
+        // Save to storage
+        saveData();
+        
+        updateDiversityLabel();
+        
+        if (app.lastSearchFilters && app.data.profile) {
+            runPartnerSearch(app.lastSearchFilters);
+        }
+    }
+
+    /**
+     * Show the variety setting next to its slider
+     */
+    function updateDiversityLabel() {
+        const label = document.getElementById('diversity-strength-label');
+        
+        if (!label) return;
+        
+        const diversity = app.data.settings.diversity || 0;
+        label.textContent = diversity > 0 ? `${Math.round(diversity * 100)}%` : 'Off';
+    }
+
+    /**
+     * Show how far a background search has got
+     * @param {number|null} done - Partners scored so far, or null to hide the progress bar
+     * @param {number} total - Partners to score
+     */
+    function updateSearchProgress(done, total) {
+        const container = document.getElementById('search-progress');
+        
+        if (!container) return;
+        
+        if (done === null) {
+            container.style.display = 'none';
+            return;
+        }
+        
+        const percent = total > 0 ? Math.round((done / total) * 100) : 0;
+        
+        document.getElementById('search-progress-bar').style.width = `${percent}%`;
+        document.getElementById('search-progress-count').textContent =
+            `${done.toLocaleString()} of ${total.toLocaleString()}`;
+        container.style.display = 'block';
+    }
+
+    /**
+     * Say how many of the matches a background search found are shown
+     * @param {Object|null} ranking - The result from BatchScorer.rank, or null to hide the summary
+     */
+    function updateSearchSummary(ranking) {
+        const summary = document.getElementById('search-summary');
+        
+        if (!summary) return;
+        
+        if (!ranking || ranking.matchCount <= ranking.matches.length) {
+            summary.style.display = 'none';
+            return;
+        }
+        
+        summary.textContent = `Showing the top ${ranking.matches.length} of ${ranking.matchCount.toLocaleString()} matches ` +
+            `from ${ranking.total.toLocaleString()} partners.`;
+        summary.style.display = 'block';
+    }
+
+    /**
+     * Find groups of partners for a multi-party alliance and show them
+     */
+    function searchConsortiums() {
+        if (!app.data.profile) {
+            alert('Please complete your brand profile before searching for partners.');
+            navigateTo('profile');
+            return;
+        }
+        
+        const filters = getSearchFilters();
+        const options = {
+            ...getMatchingOptions(),
+            size: parseInt(document.getElementById('consortium-size').value, 10),
+            limit: Math.min(Math.max(parseInt(document.getElementById('consortium-limit').value, 10) || 5, 1), 20),
+            distinctIndustries: document.getElementById('consortium-distinct-industries').checked
+        };
+        
+        updateTextCorpus();
+        
+        const partners = PartnerMatcher.filterPartners(PartnerDirectory.getActivePartners(app.data.partners), filters);
+        const groups = PartnerMatcher.findConsortiums(app.data.profile, partners, options);
+        
+        displayConsortiums(groups);
+        
+        // Add activity
+        addActivity('Searched for partner consortiums', {
+            action: 'search',
+            after: { ...filters, size: options.size, distinctIndustries: options.distinctIndustries }
+        });
+    }
+
+    /**
+     * Display consortium groups with the reasons behind each score
+     * @param {Array} groups - Groups from PartnerMatcher.findConsortiums
+     */
+    function displayConsortiums(groups) {
+        const container = document.getElementById('consortium-results');
+        
+        if (groups.length === 0) {
+            container.innerHTML = '<p class="text-muted mb-0">Not enough partners pass your filters and dealbreakers to form a group.</p>';
+            return;
+        }
+        
+        const objectiveCount = (app.data.profile.partnership?.objectives || []).length;
+        
+        container.innerHTML = groups.map((group, index) => `
+            <div class="border rounded p-3 mb-3">
+                <div class="d-flex justify-content-between align-items-start mb-2">
+                    <div>
+                        <strong>Group ${index + 1}:</strong>
+                        ${group.partners.map(partner => `
+                            <a href="#" class="badge bg-light text-dark text-decoration-none me-1 consortium-partner-link" data-partner-id="${escapeHtml(partner.id)}">
+                                ${escapeHtml(partner.brandName)} <span class="text-muted">${escapeHtml(getIndustryName(partner.industry))} &middot; ${partner.compatibilityScore}%</span>
+                            </a>
+                        `).join('')}
+                    </div>
+                    <span class="badge bg-primary fs-6">${group.score}%</span>
+                </div>
+                <ul class="small mb-0">
+                    <li>Average fit across every pair: ${group.pairwiseScore}%. Weakest pair: ${escapeHtml(group.weakestPair.names.join(' and '))} (${group.weakestPair.score}%)</li>
+                    <li>${objectiveCount === 0 ?
+                        'You have not listed any partnership objectives to cover.' :
+                        `Covers ${group.objectives.covered.length} of your ${objectiveCount} objectives${group.objectives.covered.length > 0 ? ': ' + group.objectives.covered.map(getObjectiveName).join(', ') : ''}${group.objectives.missing.length > 0 ? `. Not covered: ${group.objectives.missing.map(getObjectiveName).join(', ')}` : ''}`}</li>
+                    <li>Widest reach: ${group.geography.reach ? escapeHtml(getGeographicFocusName(group.geography.reach)) : 'Unknown'}</li>
+                </ul>
+            </div>
+        `).join('');
+        
+        container.querySelectorAll('.consortium-partner-link').forEach(link => {
+            link.addEventListener('click', function(e) {
+                e.preventDefault();
+                viewPartnerDetails(this.getAttribute('data-partner-id'));
+            });
+        });
+    }
+
+    /**
+     * Work out how stable the top matches are as the matching weights change, and show it
+     */
+    function analyzeSensitivity() {
+        if (!app.data.profile) {
+            alert('Please complete your brand profile before searching for partners.');
+            navigateTo('profile');
+            return;
+        }
+        
+        const filters = getSearchFilters();
+        const range = parseFloat(document.getElementById('sensitivity-range').value) || 0.2;
+        const options = {
+            ...getMatchingOptions(),
+            topN: Math.min(Math.max(parseInt(document.getElementById('sensitivity-top-n').value, 10) || 5, 2), 10),
+            range,
+            // Steps of 5 points
+            steps: Math.round(range / 0.05)
+        };
+        
+        updateTextCorpus();
+        
+        const partners = PartnerMatcher.filterPartners(PartnerDirectory.getActivePartners(app.data.partners), filters);
+        app.sensitivity = PartnerMatcher.analyzeWeightSensitivity(app.data.profile, partners, options);
+        
+        displaySensitivity();
+        
+        // Add activity
+        addActivity('Analyzed ranking sensitivity', {
+            action: 'search',
+            after: { ...filters, topN: options.topN, range: options.range }
+        });
+    }
+
+    /**
+     * Show the top partners from the sensitivity analysis, how stable each rank is, and the chart
+     */
+    function displaySensitivity() {
+        const analysis = app.sensitivity;
+        const container = document.getElementById('sensitivity-results');
+        const list = document.getElementById('sensitivity-partners');
+        
+        container.style.display = 'block';
+        
+        if (!analysis || analysis.partners.length < 2) {
+            list.innerHTML = '<li class="list-group-item text-muted">Not enough partners pass your filters and dealbreakers to compare rankings.</li>';
+            document.getElementById('sensitivity-chart').style.display = 'none';
+            return;
+        }
+        
+        document.getElementById('sensitivity-chart').style.display = 'block';
+        
+        list.innerHTML = analysis.partners.map(partner => `
+            <li class="list-group-item">
+                <div class="d-flex justify-content-between align-items-center">
+                    <div>
+                        <strong>${partner.rank}. ${escapeHtml(partner.brandName)}</strong>
+                        <span class="text-muted small">(${partner.score}%)</span>
+                    </div>
+                    <span class="badge bg-${partner.fragile ? 'warning text-dark' : partner.breakpoint ? 'info text-dark' : 'success'}">
+                        ${partner.fragile ? 'Fragile' : partner.breakpoint ? 'Fairly stable' : 'Stable'}
+                    </span>
+                </div>
+                <div class="small text-muted">${escapeHtml(describeSensitivity(partner))}</div>
+            </li>
+        `).join('');
+        
+        updateSensitivityChart();
+    }
+
+    /**
+     * Describe how a partner's rank responds to weight changes
+     * @param {Object} partner - A partner from PartnerMatcher.analyzeWeightSensitivity
+     * @returns {string} The description
+     */
+    function describeSensitivity(partner) {
+        if (!partner.breakpoint) {
+            return 'Keeps its rank at every weight change tried.';
+        }
+        
+        const change = partner.breakpoint.change;
+        const direction = change > 0 ? 'rises' : 'falls';
+        const moves = partner.breakpoint.rank === null ?
+            'Drops below your minimum score' :
+            `Moves to rank ${partner.breakpoint.rank}`;
+        const range = partner.worstRank === null ?
+            `Ranks from ${partner.bestRank} down to below your minimum score` :
+            `Ranks from ${partner.bestRank} to ${partner.worstRank}`;
+        
+        return `${moves} when the ${getDimensionName(partner.breakpoint.dimension)} weight ${direction} by ` +
+            `${Math.round(Math.abs(change) * 100)} points. ${range} across the changes tried.`;
+    }
+
+    /**
+     * Chart the top partners' ranks as the chosen weight changes
+     */
+    function updateSensitivityChart() {
+        const analysis = app.sensitivity;
+        
+        if (!analysis || analysis.partners.length < 2) return;
+        
+        const dimension = analysis.dimensions.find(item =>
+            item.dimension === document.getElementById('sensitivity-dimension').value) || analysis.dimensions[0];
+        const colors = ['#0d6efd', '#198754', '#dc3545', '#fd7e14', '#6f42c1', '#20c997', '#d63384', '#0dcaf0', '#6c757d', '#ffc107'];
+        
+        const labels = analysis.changes.map((change, i) => {
+            const points = Math.round(change * 100);
+            const weight = dimension.weights[i];
+            return `${points > 0 ? '+' : ''}${points} (${weight === null ? 'n/a' : Math.round(weight * 100) + '%'})`;
+        });
+        const datasets = analysis.partners.map((partner, i) => ({
+            label: partner.brandName,
+            data: dimension.ranks[i],
+            borderColor: colors[i % colors.length],
+            backgroundColor: colors[i % colors.length],
+            tension: 0,
+            stepped: 'middle'
+        }));
+        const maxRank = Math.max(analysis.partners.length,
+            ...dimension.ranks.flat().filter(rank => rank !== null));
+        
+        if (app.charts.sensitivity) {
+            app.charts.sensitivity.data.labels = labels;
+            app.charts.sensitivity.data.datasets = datasets;
+            app.charts.sensitivity.options.scales.y.max = maxRank;
+            app.charts.sensitivity.update();
+        } else {
+            app.charts.sensitivity = new Chart(document.getElementById('sensitivity-chart'), {
+                type: 'line',
+                data: { labels, datasets },
+                options: {
+                    scales: {
+                        x: { title: { display: true, text: 'Change to weight, in points (new weight)' } },
+                        y: { reverse: true, min: 1, max: maxRank, ticks: { stepSize: 1 }, title: { display: true, text: 'Rank' } }
+                    }
+                }
+            });
+        }
+    }
+
+    /**
+     * Fill the dealbreaker form
+     * @param {Object} constraints - Constraints to show; defaults to those on the brand profile
+     */
+    function updateConstraintControls(constraints) {
+        const form = document.getElementById('constraints-form');
+        
+        if (!form) return;
+        
+        const current = constraints || app.data.profile?.constraints || PartnerMatcher.getDefaultConstraints();
+        
+        document.querySelectorAll('#constraint-required-values option').forEach(option => {
+            option.selected = (current.requiredValues || []).includes(option.value);
+        });
+        document.querySelectorAll('#constraint-excluded-industries option').forEach(option => {
+            option.selected = (current.excludedIndustries || []).includes(option.value);
+        });
+        document.getElementById('constraint-minimum-score').value = current.minimumScore || 0;
+        document.getElementById('constraint-max-size-gap').value = current.maxSizeGap ?? '';
+        document.getElementById('constraint-min-shared-objectives').value = current.minSharedObjectives || 0;
+    }
+
+    /**
+     * Save the dealbreaker form to the brand profile and re-run any displayed search
+     */
+    function saveConstraints() {
+        if (!app.data.profile) {
+            alert('Please complete your brand profile before setting dealbreakers.');
+            navigateTo('profile');
+            return;
+        }
+        
+        const selected = select => Array.from(select.selectedOptions).map(option => option.value);
+        const maxSizeGap = document.getElementById('constraint-max-size-gap').value;
+        
+        const constraints = {
+            requiredValues: selected(document.getElementById('constraint-required-values')),
+            excludedIndustries: selected(document.getElementById('constraint-excluded-industries')),
+            minimumScore: Math.min(Math.max(parseInt(document.getElementById('constraint-minimum-score').value, 10) || 0, 0), 100),
+            maxSizeGap: maxSizeGap === '' ? null : parseInt(maxSizeGap, 10),
+            minSharedObjectives: Math.max(parseInt(document.getElementById('constraint-min-shared-objectives').value, 10) || 0, 0)
+        };
+        
+        // Update app data
+        const previousProfile = app.data.profile;
+        app.data.profile = {
+            ...previousProfile,
+            constraints,
+            updatedAt: new Date().toISOString()
+        };
+        
+        // Save to storage
+        saveData();
+        
+        // Add activity
+        addActivity('Updated partner dealbreakers', {
+            action: 'update',
+            entityType: 'profile',
+            before: previousProfile,
+            after: app.data.profile
+        });
+        
+        // Update UI
+        updateConstraintControls();
+        
+        if (app.lastSearchFilters) {
+            runPartnerSearch(app.lastSearchFilters);
+        }
+    }
+
+    /**
+     * List the partners removed by dealbreakers and the reasons
+     * @param {Array} excluded - Partners from PartnerMatcher.rankPartners, each with its violations
+     * @param {number} total - Partners removed in all, when only some of them are listed
+     */
+    function displayExcludedPartners(excluded, total = excluded.length) {
+        const container = document.getElementById('excluded-partners');
+        
+        if (!container) return;
+        
+        if (excluded.length === 0) {
+            container.style.display = 'none';
+            return;
+        }
+        
+        document.getElementById('excluded-partners-title').textContent =
+            `${total} partner${total === 1 ? '' : 's'} removed by your dealbreakers and conflicts` +
+            `${total > excluded.length ? ` (showing ${excluded.length})` : ''}`;
+        
+        document.getElementById('excluded-partners-list').innerHTML = excluded.map(partner => `
+            <li class="list-group-item">
+                <strong>${escapeHtml(partner.brandName)}</strong>
+                <span class="text-muted small">(${partner.compatibilityScore}%)</span>
+                <ul class="small text-muted mb-0">
+                    ${partner.violations.map(violation => `<li>${escapeHtml(formatConstraintViolation(violation))}</li>`).join('')}
+                </ul>
+            </li>
+        `).join('');
+        
+        container.style.display = 'block';
+    }
+
+    /**
+     * Describe a broken dealbreaker or a conflict
+     * @param {Object} violation - A violation from PartnerMatcher.checkConstraints or a conflict from PartnerMatcher.findConflicts
+     * @returns {string} The description
+     */
+    function formatConstraintViolation(violation) {
+        switch (violation.constraint) {
+            case 'requiredValues':
+                return `Does not hold required value${violation.missing.length === 1 ? '' : 's'}: ${violation.missing.map(getValueName).join(', ')}`;
+            case 'excludedIndustries':
+                return `Industry is excluded: ${getIndustryName(violation.industry)}`;
+            case 'minimumScore':
+                return `Compatibility score ${violation.score}% is below the minimum of ${violation.minimum}%`;
+            case 'maxSizeGap':
+                return `Company size is ${violation.gap} size${violation.gap === 1 ? '' : 's'} apart (limit ${violation.maximum})`;
+            case 'minSharedObjectives':
+                return `Shares ${violation.shared} partnership objective${violation.shared === 1 ? '' : 's'} (at least ${violation.minimum} required)`;
+            case 'exclusivity':
+                return `Conflicts with your ${getIndustryName(violation.category)} exclusivity in "${violation.collaboration.name}"` +
+                    `${violation.geography ? ` (${getGeographicFocusName(violation.geography)} focus or wider)` : ''}` +
+                    `${violation.endDate ? ` until ${violation.endDate}` : ''}`;
+            case 'competitor':
+                return `Competes with ${violation.competitor}, your partner in "${violation.collaboration.name}"`;
+            default:
+                return violation.constraint;
+        }
+    }
+
+    /**
+     * Measure description similarity against the user's profile and active partners
+     */
+    function updateTextCorpus() {
+        const profiles = [app.data.profile, ...PartnerDirectory.getActivePartners(app.data.partners)];
+        PartnerMatcher.setTextCorpus(profiles.filter(Boolean));
+    }
+
+    /**
+     * Get the matching weights chosen by the user
+     * @returns {Object} Normalized weights keyed by dimension
+     */
+    function getMatchingWeights() {
+        return PartnerMatcher.normalizeWeights(app.data.settings.matchingWeights);
+    }
+
+    /**
+     * Get the PartnerMatcher options for the user's matching settings
+     * @returns {Object} {weights, mutualRule, rankBy, conflicts}
+     */
+    function getMatchingOptions() {
+        return {
+            weights: getMatchingWeights(),
+            mutualRule: app.data.settings.mutualRule,
+            rankBy: app.data.settings.rankByMutual ? 'mutual' : 'compatibility',
+            conflicts: {
+                collaborations: app.data.collaborations,
+                partners: app.data.partners,
+                mode: app.data.settings.conflictMode
+            }
+        };
+    }
+
+    /**
+     * Change how mutual fit is calculated and used, and re-rank any displayed search results
+     * @param {Object} settings - {mutualRule, rankByMutual}
+     */
+    function setMutualSettings(settings) {
+        app.data.settings.mutualRule = settings.mutualRule;
+        app.data.settings.rankByMutual = settings.rankByMutual;
+        
+        // Save to storage
+        saveData();
+        
+        // Re-rank the last search with the new settings
+        if (app.lastSearchFilters && app.data.profile) {
+            runPartnerSearch(app.lastSearchFilters);
+        }
+    }
+
+    /**
+     * Choose whether conflicting partners are flagged or hidden, and re-run any displayed search
+     * @param {string} mode - 'flag' or 'hide'
+     */
+    function setConflictMode(mode) {
+        app.data.settings.conflictMode = mode;
+        
+        // Save to storage
+        saveData();
+        
+        if (app.lastSearchFilters && app.data.profile) {
+            runPartnerSearch(app.lastSearchFilters);
+        }
+    }
+
+    /**
+     * Set the matching weights and re-rank any displayed search results
+     * @param {Object} weights - Weights keyed by dimension
+     */
+    function setMatchingWeights(weights) {
+        app.data.settings.matchingWeights = PartnerMatcher.normalizeWeights(weights);
+        
+        // Save to storage
+        saveData();
+        
+        // Re-rank the last search with the new weights
+        if (app.lastSearchFilters && app.data.profile) {
+            runPartnerSearch(app.lastSearchFilters);
+        }
+    }
+
+    /**
+     * Read the weight sliders and apply them
+     */
+    function updateMatchingWeightsFromSliders() {
+        const weights = {};
+        
+        document.querySelectorAll('[data-weight]').forEach(slider => {
+            weights[slider.getAttribute('data-weight')] = parseFloat(slider.value);
+        });
+        
+        setMatchingWeights(weights);
+        
+        updateWeightLabels();
+    }
+
+    /**
+     * Update the weight sliders and preset list from app data
+     */
+    function updateWeightControls() {
+        const weights = getMatchingWeights();
+        
+        document.querySelectorAll('[data-weight]').forEach(slider => {
+            slider.value = Math.round(weights[slider.getAttribute('data-weight')] * 100);
+        });
+        
+        updateWeightLabels();
+        
+        const mutualRuleSelect = document.getElementById('mutual-rule');
+        if (mutualRuleSelect) {
+            mutualRuleSelect.value = app.data.settings.mutualRule;
+            document.getElementById('rank-by-mutual').checked = app.data.settings.rankByMutual;
+        }
+        
+        const diversitySlider = document.getElementById('diversity-strength');
+        if (diversitySlider) {
+            diversitySlider.value = Math.round((app.data.settings.diversity || 0) * 100);
+            updateDiversityLabel();
+        }
+        
+        // Update preset list
+        const presetSelect = document.getElementById('weight-preset');
+        
+        if (!presetSelect) return;
+        
+        const builtInOptions = PartnerMatcher.getWeightPresets().map(preset =>
+            `<option value="builtin:${preset.id}">${preset.name}</option>`
+        ).join('');
+        const savedOptions = (app.data.settings.weightPresets || []).map(preset =>
+            `<option value="saved:${preset.id}">${preset.name}</option>`
+        ).join('');
+        
+        presetSelect.innerHTML = `<optgroup label="Built-in">${builtInOptions}</optgroup>` +
+            (savedOptions ? `<optgroup label="Saved">${savedOptions}</optgroup>` : '');
+    }
+
+    /**
+     * Show the normalized percentage next to each weight slider
+     */
+    function updateWeightLabels() {
+        const weights = getMatchingWeights();
+        
+        document.querySelectorAll('[data-weight-label]').forEach(label => {
+            label.textContent = `${Math.round(weights[label.getAttribute('data-weight-label')] * 100)}%`;
+        });
+    }
+
+    /**
+     * Find a built-in or saved weight preset
+     * @param {string} presetKey - Preset key in the form "builtin:<id>" or "saved:<id>"
+     * @returns {Object|undefined} The preset
+     */
+    function findWeightPreset(presetKey) {
+        const [source, id] = (presetKey || '').split(':');
+        const presets = source === 'builtin' ? PartnerMatcher.getWeightPresets() : (app.data.settings.weightPresets || []);
+        
+        return presets.find(preset => preset.id === id);
+    }
+
+    /**
+     * Apply a weight preset
+     * @param {string} presetKey - Preset key in the form "builtin:<id>" or "saved:<id>"
+     */
+    function applyWeightPreset(presetKey) {
+        const preset = findWeightPreset(presetKey);
+        
+        if (!preset) return;
+        
+        setMatchingWeights(preset.weights);
+        
+        updateWeightControls();
+        document.getElementById('weight-preset').value = presetKey;
+    }
+
+    /**
+     * Save the current weights as a named preset
+     */
+    function saveWeightPreset() {
+        const nameInput = document.getElementById('weight-preset-name');
+        const name = nameInput.value.trim();
+        
+        if (!name) {
+            alert('Please enter a name for the preset.');
+            return;
+        }
+        
+        const preset = {
+            id: generateId(),
+            name,
+            weights: getMatchingWeights()
+        };
+        
+        // Update app data
+        app.data.settings.weightPresets = [...(app.data.settings.weightPresets || []), preset];
+        
+        // Save to storage
+        saveData();
+        
+        // Add activity
+        addActivity(`Saved matching weight preset: ${name}`, {
+            action: 'create',
+            entityType: 'weightPreset',
+            entityId: preset.id,
+            after: preset
+        });
+        
+        // Update UI
+        nameInput.value = '';
+        updateWeightControls();
+        document.getElementById('weight-preset').value = `saved:${preset.id}`;
+    }
+
+    /**
+     * Delete a saved weight preset
+     * @param {string} presetKey - Preset key in the form "saved:<id>"
+     */
+    function deleteWeightPreset(presetKey) {
+        const [source, id] = (presetKey || '').split(':');
+        
+        if (source !== 'saved') {
+            alert('Built-in presets cannot be deleted.');
+            return;
+        }
+        
+        if (confirm('Are you sure you want to delete this preset?')) {
+            app.data.settings.weightPresets = app.data.settings.weightPresets.filter(preset => preset.id !== id);
+            
+            // Save to storage
+            saveData();
+            
+            // Update UI
+            updateWeightControls();
+        }
+    }
+
+    /**
+     * Display partner search results
+     * @param {Array} partners - The list of partners to display
+     */
+    function displayPartnerResults(partners) {
+        const resultsContainer = document.getElementById('partner-results');
+        const noPartnersMessage = document.getElementById('no-partners-message');
+        
+        // Clear previous results but keep the empty state message
+        resultsContainer.querySelectorAll('.partner-result').forEach(result => result.remove());
+        
+        if (partners.length === 0) {
+            // Show no results message
+            noPartnersMessage.style.display = 'block';
+            return;
+        }
+        
+        // Hide no results message
+        noPartnersMessage.style.display = 'none';
+        
+        // Add partner cards
+        partners.forEach((partner, index) => {
+            // Create match score class based on compatibility
+            let matchScoreClass = '';
+            if (partner.compatibilityScore >= 80) {
+                matchScoreClass = 'match-excellent';
+            } else if (partner.compatibilityScore >= 60) {
+                matchScoreClass = 'match-good';
+            } else if (partner.compatibilityScore >= 40) {
+                matchScoreClass = 'match-moderate';
+            } else {
+                matchScoreClass = 'match-low';
+            }
+            
+            const rating = getFeedbackRating(partner.id);
+            
+            const partnerCard = document.createElement('div');
+            partnerCard.className = 'col-md-4 mb-4 partner-result';
+            partnerCard.innerHTML = `
+                <div class="card h-100 partner-card">
+                    <div class="card-body position-relative">
+                        <div class="match-score ${matchScoreClass}">${partner.compatibilityScore}%</div>
+                        <h5 class="card-title">${escapeHtml(partner.brandName)}</h5>
+                        <h6 class="card-subtitle mb-2 text-muted">${escapeHtml(getIndustryName(partner.industry))}</h6>
+                        <p class="card-text">${escapeHtml(partner.brandDescription)}</p>
+                        <div class="mb-3">
+                            <small class="text-muted">Company Size:</small> ${escapeHtml(getCompanySizeName(partner.companySize))}<br>
+                            <small class="text-muted">Geographic Focus:</small> ${escapeHtml(getGeographicFocusName(partner.geographicFocus))}<br>
+                            ${(partner.markets || []).length > 0 ? `<small class="text-muted">Markets:</small> ${escapeHtml(summarizeMarkets(partner.markets))}<br>` : ''}
+                            <small class="text-muted">Mutual Fit:</small> ${partner.mutualScore}% <small class="text-muted">(they gain ${partner.partnerPerspectiveScore}%)</small>
+                        </div>
+                        ${partner.selection ? `
+                            <div class="alert alert-info small py-1 px-2 mb-2"><i class="bi bi-shuffle"></i> <strong>Top pick ${index + 1}:</strong> ${escapeHtml(describeSelection(partner, index + 1))}</div>
+                        ` : ''}
+                        ${(partner.conflicts || []).map(conflict => `
+                            <div class="alert alert-warning small py-1 px-2 mb-2"><i class="bi bi-exclamation-triangle"></i> ${escapeHtml(formatConstraintViolation(conflict))}</div>
+                        `).join('')}
+                        <div class="mb-3">
+                            <small class="text-muted">Core Values:</small><br>
+                            ${partner.values.map(value => `<span class="badge bg-light text-dark me-1 mb-1">${escapeHtml(getValueName(value))}</span>`).join('')}
+                        </div>
+                        <button class="btn btn-link btn-sm p-0 mb-2" type="button" data-bs-toggle="collapse" data-bs-target="#score-breakdown-${escapeHtml(partner.id)}">
+                            Why this score?
+                        </button>
+                        <div class="collapse mb-3" id="score-breakdown-${escapeHtml(partner.id)}">
+                            ${formatScoreBreakdown(PartnerMatcher.explainScore(app.data.profile, partner, getMatchingOptions()))}
+                        </div>
+                        <button class="btn btn-outline-primary btn-sm view-partner-btn" data-partner-id="${escapeHtml(partner.id)}">View Details</button>
+                        <button class="btn btn-primary btn-sm create-collaboration-btn" data-partner-id="${escapeHtml(partner.id)}">Create Collaboration</button>
+                        <button class="btn btn-outline-secondary btn-sm add-to-pipeline-btn" data-partner-id="${escapeHtml(partner.id)}" title="Track this partner in the pipeline" ${findDealForPartner(partner.id) ? 'disabled' : ''}>
+                            <i class="bi bi-kanban"></i>
+                        </button>
+                        <div class="btn-group btn-group-sm float-end" role="group" aria-label="Rate this suggestion">
+                            <button type="button" class="btn btn-outline-success feedback-btn ${rating === 1 ? 'active' : ''}" data-partner-id="${escapeHtml(partner.id)}" data-rating="1" title="Good suggestion">
+                                <i class="bi bi-hand-thumbs-up"></i>
+                            </button>
+                            <button type="button" class="btn btn-outline-danger feedback-btn ${rating === -1 ? 'active' : ''}" data-partner-id="${escapeHtml(partner.id)}" data-rating="-1" title="Not relevant">
+                                <i class="bi bi-hand-thumbs-down"></i>
+                            </button>
+                        </div>
+                    </div>
+                </div>
+            `;
+            
+            resultsContainer.appendChild(partnerCard);
+        });
+        
+        // Add event listeners to the buttons
+        document.querySelectorAll('.view-partner-btn').forEach(btn => {
+            btn.addEventListener('click', function() {
+                const partnerId = this.getAttribute('data-partner-id');
+                viewPartnerDetails(partnerId);
+            });
+        });
+        
+        document.querySelectorAll('.create-collaboration-btn').forEach(btn => {
+            btn.addEventListener('click', function() {
+                const partnerId = this.getAttribute('data-partner-id');
+                const partner = partners.find(p => p.id === partnerId);
+                showCreateWorkspaceModalWithPartner(partner);
+            });
+        });
+        
+        document.querySelectorAll('.add-to-pipeline-btn').forEach(btn => {
+            btn.addEventListener('click', function() {
+                addToPipeline(this.getAttribute('data-partner-id'));
+            });
+        });
+        
+        document.querySelectorAll('.feedback-btn').forEach(btn => {
+            btn.addEventListener('click', function() {
+                rateSuggestion(this.getAttribute('data-partner-id'), parseInt(this.getAttribute('data-rating'), 10));
+            });
+        });
+    }
+
+    /**
+     * Get the user's rating of a suggested partner
+     * @param {string} partnerId - The partner ID
+     * @returns {number} 1 for a good suggestion, -1 for not relevant, or 0 if not rated
+     */
+    function getFeedbackRating(partnerId) {
+        const feedback = app.data.feedback.find(f => f.partnerId === partnerId);
+        return feedback ? feedback.rating : 0;
+    }
+
+    /**
+     * Record the user's rating of a suggested partner
+     * Only the latest rating of each partner is kept; giving the same rating again removes it.
+     * @param {string} partnerId - The partner ID
+     * @param {number} rating - 1 for a good suggestion, -1 for not relevant
+     */
+    function rateSuggestion(partnerId, rating) {
+        const partner = app.data.partners.find(p => p.id === partnerId);
+        
+        if (!partner || !app.data.profile) return;
+        
+        const previousRating = getFeedbackRating(partnerId);
+        app.data.feedback = app.data.feedback.filter(f => f.partnerId !== partnerId);
+        
+        if (previousRating !== rating) {
+            // Keep the dimension scores so later profile edits don't change what was rated
+            const feedback = WeightLearner.createFeedback(
+                partnerId,
+                rating,
+                PartnerMatcher.getDimensionScores(app.data.profile, partner)
+            );
+            
+            if (!feedback) return;
+            
+            app.data.feedback.push(feedback);
+        }
+        
+        // Save to storage
+        saveData();
+        
+        // Update UI
+        const newRating = getFeedbackRating(partnerId);
+        // Imported partner ids can hold any characters, so they are compared rather than put in a selector
+        document.querySelectorAll('.feedback-btn').forEach(btn => {
+            if (btn.getAttribute('data-partner-id') !== partnerId) return;
+            btn.classList.toggle('active', parseInt(btn.getAttribute('data-rating'), 10) === newRating);
+        });
+        updateFeedbackSummary();
+    }
+
+    /**
+     * Show how many suggestions have been rated
+     */
+    function updateFeedbackSummary() {
+        const summary = document.getElementById('feedback-summary');
+        
+        if (!summary) return;
+        
+        const good = app.data.feedback.filter(f => f.rating === 1).length;
+        const notRelevant = app.data.feedback.filter(f => f.rating === -1).length;
+        
+        summary.textContent = good + notRelevant === 0 ?
+            'No suggestions rated yet.' :
+            `${good} rated good, ${notRelevant} rated not relevant.`;
+    }
+
+    /**
+     * Propose matching weights learned from the user's ratings and show the change
+     */
+    function proposeLearnedWeights() {
+        const currentWeights = getMatchingWeights();
+        const proposal = WeightLearner.proposeWeights(app.data.feedback, currentWeights);
+        
+        if (proposal.error) {
+            alert(proposal.error);
+            return;
+        }
+        
+        app.weightProposal = proposal;
+        
+        const rows = Object.keys(proposal.weights).map(dimension => {
+            const current = Math.round(currentWeights[dimension] * 100);
+            const proposed = Math.round(proposal.weights[dimension] * 100);
+            const change = proposed - current;
+            const changeClass = change > 0 ? 'text-success' : change < 0 ? 'text-danger' : 'text-muted';
+            
+            return `
+                <tr>
+                    <td>${getDimensionName(dimension)}</td>
+                    <td class="text-end">${current}%</td>
+                    <td class="text-end">${proposed}%</td>
+                    <td class="text-end ${changeClass}">${change > 0 ? '+' : ''}${change}%</td>
+                </tr>
+            `;
+        });
+        
+        document.getElementById('weight-proposal-rows').innerHTML = rows.join('');
+        document.getElementById('weight-proposal-note').textContent =
+            `Based on ${proposal.feedbackCount} ratings. The proposed weights agree with ${Math.round(proposal.accuracy * 100)}% of them.`;
+        document.getElementById('weight-proposal').style.display = 'block';
+    }
+
+    /**
+     * Hide the proposed weights without applying them
+     */
+    function hideWeightProposal() {
+        app.weightProposal = null;
+        document.getElementById('weight-proposal').style.display = 'none';
+    }
+
+    /**
+     * Apply the proposed weights
+     */
+    function applyProposedWeights() {
+        if (!app.weightProposal) return;
+        
+        const before = getMatchingWeights();
+        
+        // Remember the weights from before any learning so they can be restored
+        if (!app.data.settings.weightsBeforeLearning) {
+            app.data.settings.weightsBeforeLearning = before;
+        }
+        
+        setMatchingWeights(app.weightProposal.weights);
+        
+        // Add activity
+        addActivity('Applied matching weights learned from feedback', {
+            action: 'update',
+            entityType: 'matchingWeights',
+            before,
+            after: getMatchingWeights()
+        });
+        
+        // Update UI
+        hideWeightProposal();
+        updateWeightControls();
+    }
+
+    /**
+     * Clear the ratings and restore the weights from before any learned weights were applied
+     */
+    function resetLearnedWeights() {
+        if (!confirm('Clear all ratings and restore the weights from before learning?')) return;
+        
+        const before = getMatchingWeights();
+        const restoreWeights = app.data.settings.weightsBeforeLearning;
+        
+        app.data.feedback = [];
+        app.data.settings.weightsBeforeLearning = null;
+        
+        if (restoreWeights) {
+            setMatchingWeights(restoreWeights);
+            
+            // Add activity
+            addActivity('Reset matching weights learned from feedback', {
+                action: 'update',
+                entityType: 'matchingWeights',
+                before,
+                after: getMatchingWeights()
+            });
+        } else {
+            saveData();
+            
+            // Re-render results so the rating buttons are cleared
+            if (app.lastSearchFilters && app.data.profile) {
+                runPartnerSearch(app.lastSearchFilters);
+            }
+        }
+        
+        // Update UI
+        hideWeightProposal();
+        updateWeightControls();
+        updateFeedbackSummary();
+    }
+
+    /**
+     * Format a score explanation as a table of weighted dimension scores
+     * @param {Object} explanation - The explanation from PartnerMatcher.explainScore
+     * @returns {string} The breakdown HTML
+     */
+    function formatScoreBreakdown(explanation) {
+        if (!explanation) return '';
+        
+        const rows = explanation.lines.map(line => `
+            <tr>
+                <td>
+                    ${getDimensionName(line.dimension)}
+                    <div class="text-muted">${escapeHtml(formatScoreFacts(line))}</div>
+                </td>
+                <td class="text-end text-nowrap">${Math.round(line.weight * 100)}% × ${Math.round(line.rawScore * 100)}%</td>
+                <td class="text-end text-nowrap">${line.points.toFixed(1)}</td>
+            </tr>
+        `).join('');
+        
+        return `
+            <table class="table table-sm small mb-0">
+                <thead>
+                    <tr>
+                        <th>Dimension</th>
+                        <th class="text-end">Weight × Score</th>
+                        <th class="text-end">Points</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+                <tfoot>
+                    <tr>
+                        <th colspan="2">Total (rounded)</th>
+                        <th class="text-end">${explanation.score}</th>
+                    </tr>
+                </tfoot>
+            </table>
+        `;
+    }
+
+    /**
+     * Describe the profile data behind a dimension score
+     * @param {Object} line - A line from PartnerMatcher.explainScore
+     * @returns {string} A short description
+     */
+    function formatScoreFacts(line) {
+        const facts = line.facts;
+        
+        switch (line.dimension) {
+            case 'industry': {
+                const brandIndustry = getIndustryName(facts.brand);
+                const partnerIndustry = getIndustryName(facts.partner);
+                
+                if (facts.match === 'missing') return 'Industry not set';
+                if (facts.match === 'same') return `Same industry: ${brandIndustry}`;
+                if (facts.match === 'complementary') return `${brandIndustry} lists ${partnerIndustry} as complementary`;
+                if (facts.match === 'sector') return `Both in ${getIndustryName(IndustryTaxonomy.getSector(app.data.industryTaxonomy, facts.brand))}`;
+                return `${brandIndustry} does not list ${partnerIndustry} as complementary`;
+            }
+            case 'values':
+                return facts.shared.length > 0
+                    ? `Shared: ${facts.shared.map(getValueName).join(', ')} (${facts.shared.length} of ${facts.compared})`
+                    : 'No shared values';
+            case 'objectives':
+                return facts.shared.length > 0
+                    ? `Shared: ${facts.shared.map(getObjectiveName).join(', ')} (${facts.shared.length} of ${facts.compared})`
+                    : 'No shared objectives';
+            case 'geography': {
+                if (!facts.markets) {
+                    return facts.brand && facts.partner
+                        ? `${getGeographicFocusName(facts.brand)} with ${getGeographicFocusName(facts.partner)} in the geography matrix`
+                        : 'Geographic focus not set';
+                }
+                
+                const parts = [facts.markets.shared.length > 0
+                    ? `Shared markets: ${summarizeMarkets(facts.markets.shared)}`
+                    : 'No shared markets'];
+                parts.push(`overlap ${Math.round(facts.markets.overlap * 100)}%`);
+                
+                // Target market reach only counts towards the brand's side of the mutual fit score
+                if (facts.markets.expansion !== null) {
+                    parts.push(facts.markets.opened.length > 0
+                        ? `reaches your target markets ${summarizeMarkets(facts.markets.opened)} (${Math.round(facts.markets.expansion * 100)}%, counted in mutual fit)`
+                        : `target market reach ${Math.round(facts.markets.expansion * 100)}%, counted in mutual fit`);
+                }
+                
+                return parts.join('; ');
+            }
+            case 'companySize':
+                return facts.brand && facts.partner
+                    ? `${getCompanySizeName(facts.brand)} with ${getCompanySizeName(facts.partner)} in the size matrix`
+                    : 'Company size not set';
+            case 'audience': {
+                const parts = [];
+                
+                if (facts.age.score !== null) {
+                    parts.push(`Age ${getAudienceAgeName(facts.age.brand)} with ${getAudienceAgeName(facts.age.partner)}: ${Math.round(facts.age.score * 100)}%`);
+                }
+                if (facts.income.score !== null) {
+                    parts.push(`Income ${getIncomeLevelName(facts.income.brand)} with ${getIncomeLevelName(facts.income.partner)}: ${Math.round(facts.income.score * 100)}%`);
+                }
+                if (facts.interests.score !== null) {
+                    parts.push(facts.interests.shared.length > 0
+                        ? `Shared interests: ${facts.interests.shared.join(', ')}`
+                        : 'No shared interests');
+                }
+                
+                return parts.length > 0 ? parts.join('; ') : 'Audience not set on both sides';
+            }
+            case 'text':
+                return facts.terms.length > 0 ? `Shared terms: ${facts.terms.join(', ')}` : 'No shared terms';
+            default:
+                return '';
+        }
+    }
+
+    /**
+     * Find a partner by ID
+     * @param {string} partnerId - The ID of the partner
+     * @returns {Object|undefined} The partner, if found
+     */
+    function findPartner(partnerId) {
+        return app.data.partners.find(p => p.id === partnerId);
+    }
+
+    /**
+     * View the details of a specific partner
      * @param {string} partnerId - The ID of the partner to view
      */
-    function viewPartnerDetails(partnerId) {
-        // In a real app, this would show a detailed view or navigate to a detail page
-        alert('Partner details view would be shown here.');
+    function viewPartnerDetails(partnerId) {
+        if (!app.data.profile) {
+            alert('Please create your brand profile first to see how you compare with this partner.');
+            navigateTo('profile');
+            return;
+        }
+        
+        const partner = findPartner(partnerId);
+        if (!partner) {
+            alert('Partner not found.');
+            return;
+        }
+        
+        updateTextCorpus();
+        
+        const report = PartnerMatcher.generateCompatibilityReport(
+            app.data.profile,
+            partner,
+            getMatchingOptions()
+        );
+        if (!report) return;
+        
+        app.currentPartnerId = partnerId;
+        updatePartnerDetail(partner, report);
+        
+        // The radar chart needs a visible canvas, so navigate before drawing it
+        navigateTo('partner');
+        updatePartnerRadarChart(report);
+    }
+
+    /**
+     * Render the partner detail page from a compatibility report
+     * @param {Object} partner - The partner being viewed
+     * @param {Object} report - The report from PartnerMatcher.generateCompatibilityReport
+     */
+    function updatePartnerDetail(partner, report) {
+        const profile = app.data.profile;
+        const scores = report.dimensionScores;
+        
+        document.getElementById('partner-detail-name').textContent = partner.brandName;
+        document.getElementById('partner-detail-meta').textContent =
+            `${getIndustryName(partner.industry)} · ${getCompanySizeName(partner.companySize)} · ${getGeographicFocusName(partner.geographicFocus)}`;
+        document.getElementById('partner-detail-description').textContent = partner.brandDescription || '';
+        document.getElementById('partner-detail-score').textContent = `${report.overallScore}%`;
+        
+        // Side-by-side comparison
+        document.getElementById('partner-compare-brand').textContent = profile.brandName;
+        document.getElementById('partner-compare-partner').textContent = partner.brandName;
+        
+        const brandObjectives = profile.partnership?.objectives || [];
+        const partnerObjectives = partner.partnership?.objectives || [];
+        
+        const rows = [
+            ['Industry', escapeHtml(getIndustryName(profile.industry)), escapeHtml(getIndustryName(partner.industry)), scores.industry],
+            ['Core Values', formatComparisonBadges(profile.values, partner.values, getValueName), formatComparisonBadges(partner.values, profile.values, getValueName), scores.values],
+            ['Objectives', formatComparisonBadges(brandObjectives, partnerObjectives, getObjectiveName), formatComparisonBadges(partnerObjectives, brandObjectives, getObjectiveName), scores.objectives],
+            ['Geography', formatGeography(profile, partner), formatGeography(partner, profile), scores.geography],
+            ['Company Size', escapeHtml(getCompanySizeName(profile.companySize)), escapeHtml(getCompanySizeName(partner.companySize)), scores.size],
+            ['Target Audience', formatAudience(profile.audience, partner.audience), formatAudience(partner.audience, profile.audience), scores.audience],
+            // Shared description terms belong to both sides, so they span both columns
+            ['Description', report.textTerms.length > 0
+                ? `<small class="text-muted">Shared terms:</small> ${report.textTerms.map(term => `<span class="badge bg-primary me-1 mb-1">${escapeHtml(term)}</span>`).join('')}`
+                : '<span class="text-muted">No shared terms</span>', null, scores.text]
+        ];
+        
+        document.getElementById('partner-comparison').innerHTML = rows.map(([label, brandValue, partnerValue, score]) => `
+            <tr>
+                <th scope="row" class="text-muted fw-normal">${label}</th>
+                ${partnerValue === null ? `<td colspan="2">${brandValue}</td>` : `<td>${brandValue}</td><td>${partnerValue}</td>`}
+                <td class="text-end"><span class="badge bg-${getScoreColor(score)}">${score}%</span></td>
+            </tr>
+        `).join('');
+        
+        // Mutual fit
+        const perspectives = report.perspectives;
+        const ruleNames = { min: 'lower of the two', harmonic: 'harmonic mean', mean: 'average' };
+        
+        document.getElementById('partner-perspective-brand').textContent = `${perspectives.brand.score}%`;
+        document.getElementById('partner-perspective-partner').textContent = `${perspectives.partner.score}%`;
+        document.getElementById('partner-mutual-score').textContent = `${report.mutualScore}%`;
+        document.getElementById('partner-mutual-rule').textContent = `Mutual fit (${ruleNames[report.mutualRule]})`;
+        document.getElementById('partner-mutual-note').textContent =
+            `"What you gain" counts how many of your values, objectives and audience interests ${partner.brandName} shares; "What they gain" counts how many of theirs you share.`;
+        
+        const perspectiveRows = [
+            ['Industry', 'industry'],
+            ['Core Values', 'values'],
+            ['Objectives', 'objectives'],
+            ['Geography', 'geography'],
+            ['Company Size', 'size'],
+            ['Target Audience', 'audience'],
+            ['Description', 'text']
+        ];
+        
+        document.getElementById('partner-perspectives').innerHTML = perspectiveRows.map(([label, key]) => `
+            <tr>
+                <th scope="row" class="text-muted fw-normal">${label}</th>
+                <td class="text-end"><span class="badge bg-${getScoreColor(perspectives.brand.dimensionScores[key])}">${perspectives.brand.dimensionScores[key]}%</span></td>
+                <td class="text-end"><span class="badge bg-${getScoreColor(perspectives.partner.dimensionScores[key])}">${perspectives.partner.dimensionScores[key]}%</span></td>
+            </tr>
+        `).join('');
+        
+        // Strengths, weaknesses and recommendations
+        const lists = {
+            'partner-strengths': report.strengths.map(item => `Strong ${item}`),
+            'partner-weaknesses': report.weaknesses.map(item => `Limited ${item}`),
+            'partner-recommendations': report.recommendations
+        };
+        
+        Object.entries(lists).forEach(([id, items]) => {
+            document.getElementById(id).innerHTML = items.length > 0
+                ? items.map(item => `<li>${item}</li>`).join('')
+                : '<li class="text-muted">None identified.</li>';
+        });
+        
+        // Suggested partnership types
+        const suggestionsContainer = document.getElementById('partner-suggestions');
+        
+        if (report.suggestedPartnershipTypes.length === 0) {
+            suggestionsContainer.innerHTML = '<p class="text-muted mb-0">No specific partnership type stands out for this partner yet. You can still create a collaboration of any type.</p>';
+        } else {
+            suggestionsContainer.innerHTML = report.suggestedPartnershipTypes.map(suggestion => {
+                const type = getSuggestedCollaborationType(suggestion);
+                return `
+                    <div class="d-flex justify-content-between align-items-center border-bottom py-2">
+                        <span>${getPartnershipTypeName(type)}</span>
+                        <button class="btn btn-sm btn-primary start-suggested-collaboration-btn" data-type="${type}">
+                            <i class="bi bi-plus-circle"></i> Start Collaboration
+                        </button>
+                    </div>
+                `;
+            }).join('');
+        }
+        
+        suggestionsContainer.querySelectorAll('.start-suggested-collaboration-btn').forEach(btn => {
+            btn.addEventListener('click', function() {
+                startSuggestedCollaboration(partner, this.getAttribute('data-type'));
+            });
+        });
+    }
+
+    /**
+     * Format a list of codes as badges, highlighting the ones both sides share
+     * @param {Array} items - The codes to display
+     * @param {Array} otherItems - The codes of the other side
+     * @param {Function} getName - Returns the display name for a code
+     * @returns {string} The badge HTML
+     */
+    function formatComparisonBadges(items, otherItems, getName) {
+        if (!items || items.length === 0) {
+            return '<span class="text-muted">None</span>';
+        }
+        
+        return items.map(item => {
+            const badgeClass = (otherItems || []).includes(item) ? 'bg-primary' : 'bg-light text-dark';
+            return `<span class="badge ${badgeClass} me-1 mb-1">${escapeHtml(getName(item))}</span>`;
+        }).join('');
+    }
+
+    /**
+     * Format a target audience for the comparison table, highlighting interests both sides share
+     * @param {Object} audience - The audience to display ({age, income, interests})
+     * @param {Object} otherAudience - The audience of the other side
+     * @returns {string} The audience HTML
+     */
+    function formatAudience(audience, otherAudience) {
+        if (!audience || (!audience.age && !audience.income && !(audience.interests || []).length)) {
+            return '<span class="text-muted">Not set</span>';
+        }
+        
+        // Interests are free text, so compare them case-insensitively
+        const otherInterests = (otherAudience?.interests || []).map(interest => interest.toLowerCase());
+        const interests = (audience.interests || []).map(interest => {
+            const badgeClass = otherInterests.includes(interest.toLowerCase()) ? 'bg-primary' : 'bg-light text-dark';
+            return `<span class="badge ${badgeClass} me-1 mb-1">${escapeHtml(interest)}</span>`;
+        }).join('');
+        
+        const segment = [
+            audience.age ? getAudienceAgeName(audience.age) : '',
+            audience.income ? getIncomeLevelName(audience.income) : ''
+        ].filter(Boolean).join(' · ');
+        
+        return `${segment ? `<div>${escapeHtml(segment)}</div>` : ''}${interests}`;
+    }
+
+    /**
+     * Draw the radar chart of compatibility dimension scores
+     * @param {Object} report - The report from PartnerMatcher.generateCompatibilityReport
+     */
+    function updatePartnerRadarChart(report) {
+        // Chart.js is loaded from a CDN and may be unavailable offline
+        if (typeof Chart === 'undefined') return;
+        
+        const scores = report.dimensionScores;
+        const data = [scores.industry, scores.values, scores.objectives, scores.geography, scores.size, scores.audience, scores.text];
+        
+        if (app.charts.partnerRadar) {
+            app.charts.partnerRadar.data.datasets[0].data = data;
+            app.charts.partnerRadar.update();
+        } else {
+            app.charts.partnerRadar = new Chart(document.getElementById('partner-radar-chart'), {
+                type: 'radar',
+                data: {
+                    labels: ['Industry', 'Values', 'Objectives', 'Geography', 'Company Size', 'Audience', 'Description'],
+                    datasets: [{
+                        label: 'Compatibility',
+                        data,
+                        backgroundColor: 'rgba(13, 110, 253, 0.2)',
+                        borderColor: '#0d6efd'
+                    }]
+                },
+                options: {
+                    scales: { r: { min: 0, max: 100 } },
+                    plugins: { legend: { display: false } }
+                }
+            });
+        }
+    }
+
+    /**
+     * Map a suggested partnership type from the compatibility report to a collaboration type
+     * @param {string} suggestion - The suggested partnership type
+     * @returns {string} The collaboration type code
+     */
+    function getSuggestedCollaborationType(suggestion) {
+        const types = {
+            'co-branding': 'co-branding',
+            'product development': 'product',
+            'content creation': 'content',
+            'distribution': 'distribution'
+        };
+        
+        return types[suggestion] || suggestion;
+    }
+
+    /**
+     * Open the create workspace modal pre-filled for a suggested partnership
+     * @param {Object} partner - The partner to collaborate with
+     * @param {string} type - The collaboration type code
+     */
+    function startSuggestedCollaboration(partner, type) {
+        const brandObjectives = app.data.profile.partnership?.objectives || [];
+        const partnerObjectives = partner.partnership?.objectives || [];
+        const sharedObjectives = brandObjectives.filter(objective => partnerObjectives.includes(objective));
+        
+        showCreateWorkspaceModalWithPartner(partner, {
+            name: `${app.data.profile.brandName} x ${partner.brandName}`,
+            type,
+            description: `${getPartnershipTypeName(type)} partnership with ${partner.brandName}.`,
+            objectives: sharedObjectives.length > 0 ? sharedObjectives : brandObjectives
+        });
+    }
+
+    /**
+     * Show the create workspace modal with a specific partner pre-selected
+     * @param {Object} partner - The partner to pre-select
+     * @param {Object} prefill - Optional values for the other form fields
+     */
+    function showCreateWorkspaceModalWithPartner(partner, prefill = {}) {
+        document.getElementById('create-workspace-form').reset();
+        
+        // Pre-fill the partner name
+        document.getElementById('partner-name').value = partner.brandName;
+        
+        if (prefill.name) {
+            document.getElementById('workspace-name').value = prefill.name;
+        }
+        
+        if (prefill.type) {
+            document.getElementById('collaboration-type').value = prefill.type;
+        }
+        
+        if (prefill.description) {
+            document.getElementById('collaboration-description').value = prefill.description;
+        }
+        
+        (prefill.objectives || []).forEach(objective => {
+            const checkbox = document.getElementById(`collab-obj-${objective}`);
+            if (checkbox) checkbox.checked = true;
+        });
+        
+        // Exclusivity usually covers the partner's own category
+        setExclusivityValues('exclusivity', { category: partner.industry });
+        updateExclusivityFields();
+        
+        // Show the modal
+        showCreateWorkspaceModal();
+    }
+
+    /**
+     * Update the partner directory list
+     */
+    function updatePartnerDirectory() {
+        const list = document.getElementById('partner-directory-list');
+        const noPartnersMessage = document.getElementById('no-directory-partners-message');
+        
+        if (!list) return;
+        
+        const query = document.getElementById('partner-directory-search').value.trim().toLowerCase();
+        const status = document.getElementById('partner-directory-status').value;
+        
+        const partners = app.data.partners.filter(partner => {
+            if (status === 'active' && partner.status === 'archived') return false;
+            if (status === 'archived' && partner.status !== 'archived') return false;
+            
+            return !query ||
+                partner.brandName.toLowerCase().includes(query) ||
+                (partner.website || '').toLowerCase().includes(query);
+        });
+        
+        document.getElementById('partner-directory-count').textContent =
+            `${partners.length} of ${app.data.partners.length} partners`;
+        
+        list.innerHTML = '';
+        noPartnersMessage.style.display = partners.length === 0 ? 'block' : 'none';
+        
+        const duplicateIndex = PartnerDirectory.createDuplicateIndex(app.data.partners);
+        
+        partners.forEach(partner => {
+            const duplicates = duplicateIndex.find(partner);
+            const isArchived = partner.status === 'archived';
+            
+            const row = document.createElement('tr');
+            row.innerHTML = `
+                <td>
+                    <strong>${escapeHtml(partner.brandName)}</strong>
+                    ${duplicates.length > 0 ? `<span class="badge bg-warning text-dark ms-1" title="Same ${duplicates[0].reasons.join(' and ')} as ${escapeHtml(duplicates.map(d => d.partner.brandName).join(', '))}">Possible duplicate</span>` : ''}
+                    ${partner.website ? `<br><small class="text-muted">${escapeHtml(partner.website)}</small>` : ''}
+                </td>
+                <td>${escapeHtml(getIndustryName(partner.industry))}</td>
+                <td>${escapeHtml(getCompanySizeName(partner.companySize))}</td>
+                <td>
+                    ${escapeHtml(getGeographicFocusName(partner.geographicFocus))}
+                    ${(partner.markets || []).length > 0 ? `<br><small class="text-muted">${escapeHtml(summarizeMarkets(partner.markets))}</small>` : ''}
+                </td>
+                <td><span class="badge bg-${isArchived ? 'secondary' : 'success'}">${isArchived ? 'Archived' : 'Active'}</span></td>
+                <td class="text-end text-nowrap">
+                    <button class="btn btn-sm btn-outline-primary" data-partner-action="view" data-partner-id="${escapeHtml(partner.id)}" title="View Details"><i class="bi bi-eye"></i></button>
+                    <button class="btn btn-sm btn-outline-secondary" data-partner-action="edit" data-partner-id="${escapeHtml(partner.id)}" title="Edit"><i class="bi bi-pencil"></i></button>
+                    <button class="btn btn-sm btn-outline-secondary" data-partner-action="archive" data-partner-id="${escapeHtml(partner.id)}" title="${isArchived ? 'Restore' : 'Archive'}"><i class="bi bi-${isArchived ? 'arrow-counterclockwise' : 'archive'}"></i></button>
+                    <button class="btn btn-sm btn-outline-danger" data-partner-action="delete" data-partner-id="${escapeHtml(partner.id)}" title="Delete"><i class="bi bi-trash"></i></button>
+                </td>
+            `;
+            
+            list.appendChild(row);
+        });
+        
+        list.querySelectorAll('[data-partner-action]').forEach(btn => {
+            btn.addEventListener('click', function() {
+                const partnerId = this.getAttribute('data-partner-id');
+                const actions = {
+                    view: viewPartnerDetails,
+                    edit: showPartnerModal,
+                    archive: togglePartnerArchived,
+                    delete: deletePartner
+                };
+                
+                actions[this.getAttribute('data-partner-action')](partnerId);
+            });
+        });
+    }
+
+    /**
+     * Show the partner modal, pre-filled when editing an existing partner
+     * @param {string} partnerId - The ID of the partner to edit, if any
+     */
+    function showPartnerModal(partnerId) {
+        const partner = partnerId ? findPartner(partnerId) : null;
+        
+        document.getElementById('partner-form').reset();
+        document.getElementById('partner-modal-title').textContent = partner ? 'Edit Partner' : 'Add Partner';
+        document.getElementById('partner-form-id').value = partner ? partner.id : '';
+        
+        if (partner) {
+            document.getElementById('partner-form-name').value = partner.brandName;
+            document.getElementById('partner-form-website').value = partner.website || '';
+            document.getElementById('partner-form-industry').value = partner.industry;
+            document.getElementById('partner-form-size').value = partner.companySize;
+            document.getElementById('partner-form-geography').value = partner.geographicFocus;
+            setSelectedMarkets('partner-form-markets', partner.markets);
+            document.getElementById('partner-form-description').value = partner.brandDescription;
+            document.getElementById('partner-form-audience-age').value = partner.audience?.age || '';
+            document.getElementById('partner-form-audience-income').value = partner.audience?.income || '';
+            document.getElementById('partner-form-audience-interests').value = (partner.audience?.interests || []).join(', ');
+            
+            partner.values.forEach(value => {
+                const checkbox = document.getElementById(`partner-value-${value}`);
+                if (checkbox) checkbox.checked = true;
+            });
+            
+            (partner.partnership?.objectives || []).forEach(objective => {
+                const checkbox = document.getElementById(`partner-obj-${objective}`);
+                if (checkbox) checkbox.checked = true;
+            });
+        }
+        
+        updatePartnerDuplicateWarning();
+        
+        const modal = bootstrap.Modal.getOrCreateInstance(document.getElementById('partnerModal'));
+        modal.show();
+    }
+
+    /**
+     * Read the partner form
+     * @returns {Object} Partner details in the brand profile schema
+     */
+    function getPartnerFormValues() {
+        const values = [];
+        document.querySelectorAll('input[type="checkbox"][id^="partner-value-"]:checked').forEach(checkbox => {
+            values.push(checkbox.value);
+        });
+        
+        const objectives = [];
+        document.querySelectorAll('input[type="checkbox"][id^="partner-obj-"]:checked').forEach(checkbox => {
+            objectives.push(checkbox.value);
+        });
+        
+        return {
+            id: document.getElementById('partner-form-id').value || undefined,
+            brandName: document.getElementById('partner-form-name').value,
+            website: document.getElementById('partner-form-website').value,
+            industry: document.getElementById('partner-form-industry').value,
+            companySize: document.getElementById('partner-form-size').value,
+            geographicFocus: document.getElementById('partner-form-geography').value,
+            markets: getSelectedMarkets('partner-form-markets'),
+            brandDescription: document.getElementById('partner-form-description').value,
+            values,
+            audience: {
+                age: document.getElementById('partner-form-audience-age').value,
+                income: document.getElementById('partner-form-audience-income').value,
+                interests: document.getElementById('partner-form-audience-interests').value.split(',').map(item => item.trim()).filter(Boolean)
+            },
+            partnership: { objectives }
+        };
+    }
+
+    /**
+     * Show a warning in the partner modal when the entered partner looks like a duplicate
+     */
+    function updatePartnerDuplicateWarning() {
+        const warning = document.getElementById('partner-duplicate-warning');
+        const duplicates = PartnerDirectory.findDuplicates(getPartnerFormValues(), app.data.partners);
+        
+        if (duplicates.length === 0) {
+            warning.classList.add('d-none');
+            return;
+        }
+        
+        warning.textContent = `This looks like a duplicate of ${duplicates.map(d => `${d.partner.brandName} (same ${d.reasons.join(' and ')})`).join(', ')}.`;
+        warning.classList.remove('d-none');
+    }
+
+    /**
+     * Save the partner in the partner modal
+     */
+    function savePartner() {
+        const values = getPartnerFormValues();
+        
+        const errors = PartnerDirectory.validatePartner(values);
+        if (!values.industry) {
+            errors.push('Industry is required');
+        }
+        
+        if (errors.length > 0) {
+            alert(errors.join('\n'));
+            return;
+        }
+        
+        const existing = values.id ? findPartner(values.id) : null;
+        const partner = existing
+            ? PartnerDirectory.updatePartner(existing, values)
+            : PartnerDirectory.createPartner(values);
+        
+        if (!existing && PartnerDirectory.findDuplicates(partner, app.data.partners).length > 0 &&
+            !confirm(`${partner.brandName} looks like a partner already in your directory. Add it anyway?`)) {
+            return;
+        }
+        
+        if (existing) {
+            app.data.partners = app.data.partners.map(p => p.id === partner.id ? partner : p);
+        } else {
+            app.data.partners.push(partner);
+        }
+        
+        checkSavedSearches();
+        
+        // Save to storage
+        saveData();
+        
+        // Add activity
+        addActivity(`${existing ? 'Updated' : 'Added'} partner: ${partner.brandName}`, {
+            action: existing ? 'update' : 'create',
+            entityType: 'partner',
+            entityId: partner.id,
+            before: existing,
+            after: partner
+        });
+        
+        // Close the modal
+        const modal = bootstrap.Modal.getInstance(document.getElementById('partnerModal'));
+        modal.hide();
+        
+        // Update UI
+        updatePartnerDirectory();
+    }
+
+    /**
+     * Archive an active partner, or restore an archived one
+     * @param {string} partnerId - The ID of the partner
+     */
+    function togglePartnerArchived(partnerId) {
+        const partner = findPartner(partnerId);
+        if (!partner) return;
+        
+        const updatedPartner = partner.status === 'archived'
+            ? PartnerDirectory.restorePartner(partner)
+            : PartnerDirectory.archivePartner(partner);
+        
+        app.data.partners = app.data.partners.map(p => p.id === partnerId ? updatedPartner : p);
+        
+        checkSavedSearches();
+        
+        // Save to storage
+        saveData();
+        
+        // Add activity
+        addActivity(`${updatedPartner.status === 'archived' ? 'Archived' : 'Restored'} partner: ${partner.brandName}`, {
+            action: updatedPartner.status === 'archived' ? 'archive' : 'restore',
+            entityType: 'partner',
+            entityId: partnerId,
+            before: partner,
+            after: updatedPartner
+        });
+        
+        // Update UI
+        updatePartnerDirectory();
+    }
+
+    /**
+     * Delete a partner from the directory
+     * @param {string} partnerId - The ID of the partner
+     */
+    function deletePartner(partnerId) {
+        const partner = findPartner(partnerId);
+        if (!partner) return;
+        
+        if (!confirm(`Are you sure you want to delete ${partner.brandName}? Archive it instead to keep it out of searches without losing it.`)) {
+            return;
+        }
+        
+        app.data.partners = app.data.partners.filter(p => p.id !== partnerId);
+        
+        checkSavedSearches();
+        
+        // Save to storage
+        saveData();
+        
+        // Add activity
+        addActivity(`Deleted partner: ${partner.brandName}`, {
+            action: 'delete',
+            entityType: 'partner',
+            entityId: partnerId,
+            before: partner
+        });
+        
+        // Update UI
+        updatePartnerDirectory();
+    }
+
+    /**
+     * Import partners from a CSV or JSON file
+     */
+    function importPartners() {
+        const fileInput = document.getElementById('import-partners-file');
+        
+        if (!fileInput.files || fileInput.files.length === 0) {
+            alert('Please select a file to import.');
+            return;
+        }
+        
+        const file = fileInput.files[0];
+        const reader = new FileReader();
+        
+        reader.onload = function(e) {
+            const text = e.target.result;
+            const isJSON = file.name.toLowerCase().endsWith('.json') || /^\s*[\[{]/.test(text);
+            const records = isJSON ? PartnerDirectory.parseJSON(text) : PartnerDirectory.parseCSV(text);
+            
+            if (!records || records.length === 0) {
+                alert('No partners were found in this file.');
+                return;
+            }
+            
+            const result = PartnerDirectory.importPartners(records, app.data.partners, {
+                skipDuplicates: document.getElementById('import-partners-skip-duplicates').checked,
+                taxonomy: app.data.industryTaxonomy
+            });
+            
+            app.data.partners.push(...result.partners);
+            
+            checkSavedSearches();
+            
+            // Save to storage
+            saveData();
+            
+            // Add activity
+            addActivity(`Imported ${result.partners.length} partners`, { action: 'import', entityType: 'partner' });
+            
+            // Close the modal
+            const modal = bootstrap.Modal.getInstance(document.getElementById('importPartnersModal'));
+            modal.hide();
+            
+            // Reset the form
+            document.getElementById('import-partners-form').reset();
+            
+            // Update UI
+            updatePartnerDirectory();
+            
+            // Summarize the import
+            const unknownFieldNames = { industry: 'industry', companySize: 'company size', values: 'value' };
+            const summary = [`Imported ${result.partners.length} of ${records.length} partners.`];
+            if (result.skipped > 0) {
+                summary.push(`${result.skipped} skipped as likely duplicates.`);
+            }
+            if (result.duplicates.length > 0) {
+                summary.push(`${result.duplicates.length} flagged as possible duplicates.`);
+            }
+            result.errors.forEach(error => {
+                summary.push(`Row ${error.row}: ${error.message}`);
+            });
+            result.unknown.forEach(item => {
+                summary.push(`Row ${item.row}: unknown ${unknownFieldNames[item.field]} "${item.value}" left out`);
+            });
+            
+            alert(summary.join('\n'));
+        };
+        
+        reader.readAsText(file);
+    }
+
+    /**
+     * Add the sample partners that are not already in the directory
+     * @returns {number} The number of partners added
+     */
+    function addSamplePartners() {
+        const samples = DataManager.generateSamplePartners()
+            .filter(sample => !app.data.partners.some(p => p.id === sample.id))
+            .map(sample => PartnerDirectory.createPartner(sample));
+        
+        app.data.partners.push(...samples);
+        
+        return samples.length;
+    }
+
+    /**
+     * Load the sample partners into the directory
+     */
+    function loadSamplePartners() {
+        const added = addSamplePartners();
+        
+        checkSavedSearches();
+        
+        // Save to storage
+        saveData();
+        
+        // Update UI
+        updatePartnerDirectory();
+        
+        if (added === 0) {
+            alert('The sample partners are already in your directory.');
+            return;
+        }
+        
+        addActivity(`Loaded ${added} sample partners`, { action: 'import', entityType: 'partner' });
+    }
+
+    /**
+     * Get the pipeline stages, falling back to the defaults
+     * @returns {Array} Stages as {id, name, outcome}
+     */
+    function getPipelineStages() {
+        return app.data.settings.pipelineStages || PipelineManager.getDefaultStages();
+    }
+
+    /**
+     * Find the pipeline deal for a partner
+     * @param {string} partnerId - The partner ID
+     * @returns {Object|undefined} The deal
+     */
+    function findDealForPartner(partnerId) {
+        return app.data.deals.find(d => d.partnerId === partnerId);
+    }
+
+    /**
+     * Add a partner to the first stage of the pipeline
+     * @param {string} partnerId - The partner ID
+     */
+    function addToPipeline(partnerId) {
+        const partner = findPartner(partnerId);
+        
+        if (!partner) return;
+        
+        if (findDealForPartner(partnerId)) {
+            alert(`${partner.brandName} is already in your pipeline.`);
+            return;
+        }
+        
+        const deal = PipelineManager.createDeal(partner, getPipelineStages()[0].id);
+        
+        // Update app data
+        app.data.deals.push(deal);
+        
+        // Save to storage
+        saveData();
+        
+        // Add activity
+        addActivity(`Added ${partner.brandName} to the pipeline`, {
+            action: 'create',
+            entityType: 'deal',
+            entityId: deal.id,
+            after: deal
+        });
+        
+        // Update UI
+        updatePipeline();
+        document.querySelectorAll('.add-to-pipeline-btn').forEach(btn => {
+            if (btn.getAttribute('data-partner-id') === partnerId) btn.disabled = true;
+        });
+    }
+
+    /**
+     * Move a pipeline deal to another stage
+     * Moving a deal into a won stage offers to create its collaboration.
+     * @param {string} dealId - The deal ID
+     * @param {string} stageId - The stage to move it to
+     */
+    function moveDealToStage(dealId, stageId) {
+        const deal = app.data.deals.find(d => d.id === dealId);
+        const stages = getPipelineStages();
+        const stage = PipelineManager.getStage(stages, stageId);
+        
+        if (!deal || !stage || deal.stage === stageId) return;
+        
+        const before = PipelineManager.getStage(stages, deal.stage);
+        const movedDeal = PipelineManager.moveDeal(deal, stageId);
+        
+        // Update app data
+        app.data.deals = app.data.deals.map(d => d.id === dealId ? movedDeal : d);
+        
+        // Save to storage
+        saveData();
+        
+        // Add activity
+        addActivity(`Moved ${deal.partnerName} from ${before ? before.name : 'an old stage'} to ${stage.name}`, {
+            action: 'update',
+            entityType: 'deal',
+            entityId: dealId,
+            before: deal,
+            after: movedDeal
+        });
+        
+        // Update UI
+        updatePipeline();
+        
+        if (stage.outcome === 'won' && !movedDeal.collaborationId &&
+            confirm(`${deal.partnerName} is ${stage.name.toLowerCase()}. Create a collaboration workspace for this partnership now?`)) {
+            convertDealToCollaboration(dealId);
+        }
+    }
+
+    /**
+     * Create the collaboration for a won pipeline deal
+     * @param {string} dealId - The deal ID
+     */
+    function convertDealToCollaboration(dealId) {
+        const deal = app.data.deals.find(d => d.id === dealId);
+        
+        if (!deal) return;
+        
+        const result = PipelineManager.convertDeal(deal, findPartner(deal.partnerId), app.data.profile);
+        
+        if (!result) {
+            alert('This deal already has a collaboration.');
+            return;
+        }
+        
+        // Update app data; ProjectManager records the new collaboration in the activity history
+        app.data.collaborations.push(result.collaboration);
+        app.data.deals = app.data.deals.map(d => d.id === dealId ? result.deal : d);
+        
+        // Save to storage
+        saveData();
+        
+        // Update UI
+        updateUI();
+        
+        // Open the new workspace
+        navigateTo('workspace');
+        openCollaboration(result.collaboration.id);
+    }
+
+    /**
+     * Remove a deal from the pipeline
+     * @param {string} dealId - The deal ID
+     */
+    function removeDeal(dealId) {
+        const deal = app.data.deals.find(d => d.id === dealId);
+        
+        if (!deal || !confirm(`Remove ${deal.partnerName} from the pipeline? Its stage history will be lost.`)) return;
+        
+        app.data.deals = app.data.deals.filter(d => d.id !== dealId);
+        
+        // Save to storage
+        saveData();
+        
+        // Add activity
+        addActivity(`Removed ${deal.partnerName} from the pipeline`, {
+            action: 'delete',
+            entityType: 'deal',
+            entityId: dealId,
+            before: deal
+        });
+        
+        // Update UI
+        updatePipeline();
+    }
+
+    /**
+     * Update the pipeline page: partner selector, funnel metrics and board
+     */
+    function updatePipeline() {
+        const board = document.getElementById('pipeline-board');
+        
+        if (!board) return;
+        
+        const stages = getPipelineStages();
+        
+        // Partners that can still be added
+        const partnerSelect = document.getElementById('pipeline-add-partner');
+        const available = PartnerDirectory.getActivePartners(app.data.partners)
+            .filter(partner => !findDealForPartner(partner.id));
+        partnerSelect.innerHTML = available.length > 0
+            ? available.map(partner => `<option value="${escapeHtml(partner.id)}">${escapeHtml(partner.brandName)}</option>`).join('')
+            : '<option value="">All partners are in the pipeline</option>';
+        document.getElementById('pipeline-add-btn').disabled = available.length === 0;
+        
+        updatePipelineFunnel(stages);
+        
+        const now = new Date();
+        board.innerHTML = stages.map(stage => {
+            const deals = app.data.deals.filter(deal => deal.stage === stage.id);
+            const headerClass = stage.outcome === 'won' ? 'bg-success text-white' : stage.outcome === 'lost' ? 'bg-secondary text-white' : 'bg-light';
+            
+            return `
+                <div class="card pipeline-column flex-shrink-0" style="width: 16rem;" data-stage-id="${stage.id}">
+                    <div class="card-header ${headerClass} d-flex justify-content-between align-items-center">
+                        <strong>${stage.name}</strong>
+                        <span class="badge bg-dark">${deals.length}</span>
+                    </div>
+                    <div class="card-body p-2" style="min-height: 8rem;">
+                        ${deals.map(deal => formatDealCard(deal, stage, stages, now)).join('')}
+                    </div>
+                </div>
+            `;
+        }).join('');
+        
+        // Drag a card onto a column to move it
+        board.querySelectorAll('.pipeline-deal').forEach(card => {
+            card.addEventListener('dragstart', function(e) {
+                e.dataTransfer.setData('text/plain', this.getAttribute('data-deal-id'));
+            });
+        });
+        
+        board.querySelectorAll('.pipeline-column').forEach(column => {
+            column.addEventListener('dragover', function(e) {
+                e.preventDefault();
+            });
+            column.addEventListener('drop', function(e) {
+                e.preventDefault();
+                moveDealToStage(e.dataTransfer.getData('text/plain'), this.getAttribute('data-stage-id'));
+            });
+        });
+        
+        board.querySelectorAll('.deal-stage-select').forEach(select => {
+            select.addEventListener('change', function() {
+                moveDealToStage(this.getAttribute('data-deal-id'), this.value);
+            });
+        });
+        
+        board.querySelectorAll('.convert-deal-btn').forEach(btn => {
+            btn.addEventListener('click', function() {
+                convertDealToCollaboration(this.getAttribute('data-deal-id'));
+            });
+        });
+        
+        board.querySelectorAll('.open-deal-collaboration-btn').forEach(btn => {
+            btn.addEventListener('click', function() {
+                navigateTo('workspace');
+                openCollaboration(this.getAttribute('data-collaboration-id'));
+            });
+        });
+        
+        board.querySelectorAll('.remove-deal-btn').forEach(btn => {
+            btn.addEventListener('click', function() {
+                removeDeal(this.getAttribute('data-deal-id'));
+            });
+        });
     }
 
     /**
-     * Show the create workspace modal with a specific partner pre-selected
-     * @param {Object} partner - The partner to pre-select
+     * Format a pipeline deal card
+     * @param {Object} deal - The deal
+     * @param {Object} stage - The deal's current stage
+     * @param {Array} stages - All stages
+     * @param {Date} now - The current time
+     * @returns {string} HTML for the card
      */
-    function showCreateWorkspaceModalWithPartner(partner) {
-        // Pre-fill the partner name
-        document.getElementById('partner-name').value = partner.brandName;
+    function formatDealCard(deal, stage, stages, now) {
+        const days = PipelineManager.getDaysInStage(deal, now);
+        const collaboration = deal.collaborationId && app.data.collaborations.find(c => c.id === deal.collaborationId);
+        
+        // Most recent moves first
+        const history = [...deal.history].reverse().map(entry => {
+            const entryStage = PipelineManager.getStage(stages, entry.stage);
+            return `<li>${entryStage ? entryStage.name : 'Removed stage'} <span class="text-muted">${new Date(entry.timestamp).toLocaleDateString()}</span></li>`;
+        }).join('');
+        
+        let action = '';
+        if (collaboration) {
+            action = `<button type="button" class="btn btn-sm btn-outline-success w-100 mb-2 open-deal-collaboration-btn" data-collaboration-id="${collaboration.id}">Open Collaboration</button>`;
+        } else if (stage.outcome === 'won') {
+            action = `<button type="button" class="btn btn-sm btn-success w-100 mb-2 convert-deal-btn" data-deal-id="${escapeHtml(deal.id)}">Create Collaboration</button>`;
+        }
         
-        // Show the modal
-        showCreateWorkspaceModal();
+        return `
+            <div class="card mb-2 pipeline-deal" draggable="true" data-deal-id="${escapeHtml(deal.id)}">
+                <div class="card-body p-2">
+                    <div class="d-flex justify-content-between align-items-start">
+                        <strong>${escapeHtml(deal.partnerName)}</strong>
+                        <button type="button" class="btn btn-sm btn-link text-danger p-0 remove-deal-btn" data-deal-id="${escapeHtml(deal.id)}" title="Remove from pipeline">
+                            <i class="bi bi-x-lg"></i>
+                        </button>
+                    </div>
+                    <small class="text-muted d-block mb-2">${days === 0 ? 'Moved here today' : `${days} day${days === 1 ? '' : 's'} in this stage`}</small>
+                    ${action}
+                    <select class="form-select form-select-sm mb-2 deal-stage-select" data-deal-id="${escapeHtml(deal.id)}" aria-label="Stage">
+                        ${stages.map(s => `<option value="${s.id}" ${s.id === deal.stage ? 'selected' : ''}>${s.name}</option>`).join('')}
+                    </select>
+                    <details class="small">
+                        <summary>History</summary>
+                        <ul class="list-unstyled mb-0 mt-1">${history}</ul>
+                    </details>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Update the conversion funnel metrics
+     * @param {Array} stages - The pipeline stages
+     */
+    function updatePipelineFunnel(stages) {
+        const funnel = PipelineManager.calculateFunnel(app.data.deals, stages);
+        const formatPercent = value => value === null ? '-' : `${Math.round(value * 100)}%`;
+        
+        document.getElementById('pipeline-total').textContent = funnel.total;
+        document.getElementById('pipeline-open').textContent = funnel.open;
+        document.getElementById('pipeline-win-rate').textContent = formatPercent(funnel.winRate);
+        document.getElementById('pipeline-days-to-win').textContent = funnel.averageDaysToWin === null ? '-' : Math.round(funnel.averageDaysToWin);
+        
+        document.getElementById('pipeline-funnel').innerHTML = funnel.stages.map(stage => `
+            <tr>
+                <td>${stage.name}</td>
+                <td class="text-end">${stage.current}</td>
+                <td class="text-end">${stage.reached}</td>
+                <td class="text-end">${formatPercent(stage.conversion)}</td>
+            </tr>
+        `).join('') + `
+            <tr class="text-muted">
+                <td>Lost</td>
+                <td class="text-end">${funnel.lost}</td>
+                <td></td>
+                <td></td>
+            </tr>
+        `;
     }
 
     /**
@@ -543,37 +3381,35 @@ document.addEventListener('DOMContentLoaded', function() {
             objectives.push(checkbox.value);
         });
         
+        // Link the collaboration to the directory partner with that name, if there is one
+        const partner = app.data.partners.find(p => p.brandName.trim().toLowerCase() === partnerName.trim().toLowerCase());
+        
         // Create collaboration object
-        const collaboration = {
-            id: generateId(),
+        const collaboration = ProjectManager.createCollaboration({
             name: workspaceName,
             partnerName,
+            partnerId: partner ? partner.id : null,
             type: collaborationType,
             description,
             startDate,
             endDate,
             objectives,
-            tasks: [],
-            milestones: [],
-            createdAt: new Date().toISOString(),
-            updatedAt: new Date().toISOString()
-        };
+            exclusivity: document.getElementById('exclusive-partnership').checked ? getExclusivityValues('exclusivity') : null
+        });
         
         // Update app data
         app.data.collaborations.push(collaboration);
         
-        // Save to localStorage
+        // Save to storage
         saveData();
         
-        // Add activity
-        addActivity(`Created collaboration: ${workspaceName}`);
-        
         // Close the modal
         const modal = bootstrap.Modal.getInstance(document.getElementById('createWorkspaceModal'));
         modal.hide();
         
         // Reset the form
         document.getElementById('create-workspace-form').reset();
+        updateExclusivityFields();
         
         // Update UI
         updateUI();
@@ -586,90 +3422,541 @@ document.addEventListener('DOMContentLoaded', function() {
     }
 
     /**
-     * Generate a list of sample partners
-     * @returns {Array} List of sample partners
+     * Show or hide the exclusivity terms in the new collaboration form
      */
-    function generateSamplePartners() {
-        return [
-            {
-                id: 'partner1',
-                brandName: 'TechInnovate',
-                industry: 'technology',
-                companySize: 'large',
-                geographicFocus: 'global',
-                brandDescription: 'A leading technology company focused on innovative solutions for businesses.',
-                values: ['innovation', 'quality', 'integrity'],
-                partnership: {
-                    objectives: ['product', 'innovation']
-                },
-                compatibilityScore: 85
-            },
-            {
-                id: 'partner2',
-                brandName: 'SportsFit',
-                industry: 'sports',
-                companySize: 'medium',
-                geographicFocus: 'national',
-                brandDescription: 'Sports and fitness brand dedicated to promoting active lifestyles.',
-                values: ['community', 'excellence', 'authenticity'],
-                partnership: {
-                    objectives: ['audience', 'content']
-                },
-                compatibilityScore: 72
-            },
-            {
-                id: 'partner3',
-                brandName: 'MediaStream',
-                industry: 'entertainment',
-                companySize: 'enterprise',
-                geographicFocus: 'international',
-                brandDescription: 'Entertainment and media company providing streaming services.',
-                values: ['creativity', 'customer', 'diversity'],
-                partnership: {
-                    objectives: ['content', 'audience']
-                },
-                compatibilityScore: 68
-            },
-            {
-                id: 'partner4',
-                brandName: 'EcoGoods',
-                industry: 'retail',
-                companySize: 'small',
-                geographicFocus: 'regional',
-                brandDescription: 'Sustainable consumer goods company with eco-friendly products.',
-                values: ['sustainability', 'social', 'integrity'],
-                partnership: {
-                    objectives: ['credibility', 'sales']
-                },
-                compatibilityScore: 55
-            },
-            {
-                id: 'partner5',
-                brandName: 'FinSecure',
-                industry: 'financial',
-                companySize: 'large',
-                geographicFocus: 'national',
-                brandDescription: 'Financial services company providing banking and investment solutions.',
-                values: ['integrity', 'excellence', 'customer'],
-                partnership: {
-                    objectives: ['credibility', 'audience']
-                },
-                compatibilityScore: 42
-            },
-            {
-                id: 'partner6',
-                brandName: 'HealthPlus',
-                industry: 'healthcare',
-                companySize: 'medium',
-                geographicFocus: 'national',
-                brandDescription: 'Healthcare provider focused on accessible and quality care.',
-                values: ['quality', 'integrity', 'community'],
-                partnership: {
-                    objectives: ['audience', 'credibility']
-                },
-                compatibilityScore: 78
-            }
-        ];
+    function updateExclusivityFields() {
+        document.getElementById('exclusivity-fields').style.display =
+            document.getElementById('exclusive-partnership').checked ? 'block' : 'none';
+    }
+
+    /**
+     * Read exclusivity terms from a form
+     * @param {string} prefix - The id prefix of the form fields
+     * @returns {Object} {category, geography, endDate}
+     */
+    function getExclusivityValues(prefix) {
+        return {
+            category: document.getElementById(`${prefix}-category`).value,
+            geography: document.getElementById(`${prefix}-geography`).value || null,
+            endDate: document.getElementById(`${prefix}-end-date`).value || null
+        };
+    }
+
+    /**
+     * Fill a form with exclusivity terms
+     * @param {string} prefix - The id prefix of the form fields
+     * @param {Object} exclusivity - {category, geography, endDate}
+     */
+    function setExclusivityValues(prefix, exclusivity) {
+        document.getElementById(`${prefix}-category`).value = exclusivity.category || 'other';
+        document.getElementById(`${prefix}-geography`).value = exclusivity.geography || '';
+        document.getElementById(`${prefix}-end-date`).value = exclusivity.endDate || '';
+    }
+
+    /**
+     * Describe a collaboration's exclusivity terms
+     * @param {Object} collaboration - The collaboration
+     * @returns {string} The description
+     */
+    function formatExclusivity(collaboration) {
+        const exclusivity = collaboration.exclusivity;
+        
+        if (!exclusivity) return 'Not exclusive';
+        
+        const geography = exclusivity.geography ? `${getGeographicFocusName(exclusivity.geography)} focus or wider` : 'everywhere';
+        const endDate = exclusivity.endDate || collaboration.endDate;
+        
+        return `Exclusive in ${getIndustryName(exclusivity.category)}, ${geography}, ${endDate ? `until ${endDate}` : 'while the collaboration runs'}`;
+    }
+
+    /**
+     * Save the exclusivity terms of the open collaboration
+     * @param {boolean} exclusive - False to remove the exclusivity
+     */
+    function saveCollaborationExclusivity(exclusive) {
+        const collaboration = getCurrentCollaboration();
+        
+        if (!collaboration) return;
+        
+        const exclusivity = exclusive ? getExclusivityValues('workspace-exclusivity') : null;
+        
+        // ProjectManager records the change in the activity history
+        storeCollaboration(ProjectManager.updateCollaboration(collaboration, { exclusivity }));
+        
+        // Update UI
+        updateCollaborationList();
+        document.getElementById('workspace-exclusivity-panel').classList.remove('show');
+        
+        // Re-check the last search against the new terms
+        if (app.lastSearchFilters && app.data.profile) {
+            runPartnerSearch(app.lastSearchFilters);
+        }
+    }
+
+    /**
+     * Workspace item types and the ProjectManager functions that manage them
+     */
+    const workspaceItemTypes = {
+        task: {
+            label: 'Task',
+            collection: 'tasks',
+            add: (collaboration, item) => ProjectManager.addTask(collaboration, item),
+            update: (collaboration, id, updates) => ProjectManager.updateTask(collaboration, id, updates),
+            remove: (collaboration, id) => ProjectManager.deleteTask(collaboration, id)
+        },
+        milestone: {
+            label: 'Milestone',
+            collection: 'milestones',
+            add: (collaboration, item) => ProjectManager.addMilestone(collaboration, item),
+            update: (collaboration, id, updates) => ProjectManager.updateMilestone(collaboration, id, updates),
+            remove: (collaboration, id) => ProjectManager.deleteMilestone(collaboration, id)
+        },
+        document: {
+            label: 'Document',
+            collection: 'documents',
+            add: (collaboration, item) => ProjectManager.addDocument(collaboration, item),
+            update: (collaboration, id, updates) => ProjectManager.updateDocument(collaboration, id, updates),
+            remove: (collaboration, id) => ProjectManager.deleteDocument(collaboration, id)
+        },
+        note: {
+            label: 'Note',
+            collection: 'notes',
+            add: (collaboration, item) => ProjectManager.addNote(collaboration, item),
+            update: (collaboration, id, updates) => ProjectManager.updateNote(collaboration, id, updates),
+            remove: (collaboration, id) => ProjectManager.deleteNote(collaboration, id)
+        }
+    };
+
+    /**
+     * Update the collaboration list on the workspace page
+     */
+    function updateCollaborationList() {
+        const collaborationList = document.getElementById('collaboration-list');
+        const noCollaborationsMessage = document.getElementById('no-collaborations-message');
+        
+        if (!collaborationList) return;
+        
+        // Remove previous cards but keep the empty state message
+        collaborationList.querySelectorAll('.collaboration-item').forEach(item => item.remove());
+        
+        if (app.data.collaborations.length === 0) {
+            // Show no collaborations message
+            noCollaborationsMessage.style.display = 'block';
+            return;
+        }
+        
+        // Hide no collaborations message
+        noCollaborationsMessage.style.display = 'none';
+        
+        // Add collaboration cards
+        app.data.collaborations.forEach(collaboration => {
+            const progress = ProjectManager.calculateProgress(collaboration);
+            
+            const collaborationCard = document.createElement('div');
+            collaborationCard.className = 'col-md-6 mb-4 collaboration-item';
+            collaborationCard.innerHTML = `
+                <div class="card h-100 collaboration-card">
+                    <div class="card-body position-relative">
+                        <span class="collaboration-type-badge bg-light text-dark">${getPartnershipTypeName(collaboration.type)}</span>
+                        <h5 class="card-title">${escapeHtml(collaboration.name)}</h5>
+                        <h6 class="card-subtitle mb-2 text-muted">${escapeHtml(collaboration.partnerName)}</h6>
+                        <p class="card-text">${escapeHtml(collaboration.description)}</p>
+                        <div class="d-flex justify-content-between small mb-1">
+                            <span>${progress.overallProgress}% complete</span>
+                            <span>${formatDaysRemaining(progress.daysRemaining)}</span>
+                        </div>
+                        <div class="progress mb-3">
+                            <div class="progress-bar" role="progressbar" style="width: ${progress.overallProgress}%;"></div>
+                        </div>
+                        <span class="badge bg-${getProgressStatusColor(progress.status)} me-2">${progress.status}</span>
+                        ${collaboration.exclusivity ? `<span class="badge bg-warning text-dark me-2" title="${escapeHtml(formatExclusivity(collaboration))}">Exclusive</span>` : ''}
+                        <button class="btn btn-outline-primary btn-sm open-collaboration-btn" data-collaboration-id="${escapeHtml(collaboration.id)}">Open Workspace</button>
+                    </div>
+                </div>
+            `;
+            
+            collaborationList.appendChild(collaborationCard);
+        });
+        
+        // Add event listeners
+        document.querySelectorAll('.open-collaboration-btn').forEach(btn => {
+            btn.addEventListener('click', function() {
+                openCollaboration(this.getAttribute('data-collaboration-id'));
+            });
+        });
+    }
+
+    /**
+     * Open the detail view of a collaboration
+     * @param {string} collaborationId - The ID of the collaboration to open
+     */
+    function openCollaboration(collaborationId) {
+        app.currentCollaborationId = collaborationId;
+        
+        // Start with empty forms
+        Object.keys(workspaceItemTypes).forEach(type => {
+            document.querySelector(`.workspace-item-form[data-entity="${type}"]`).reset();
+        });
+        
+        document.getElementById('workspace-list-view').style.display = 'none';
+        document.getElementById('workspace-detail-view').style.display = 'block';
+        
+        updateCollaborationDetail();
+    }
+
+    /**
+     * Close the collaboration detail view and return to the list
+     */
+    function closeCollaboration() {
+        app.currentCollaborationId = null;
+        
+        document.getElementById('workspace-detail-view').style.display = 'none';
+        document.getElementById('workspace-list-view').style.display = 'block';
+        
+        updateCollaborationList();
+    }
+
+    /**
+     * Get the collaboration currently open in the workspace
+     * @returns {Object|undefined} The open collaboration
+     */
+    function getCurrentCollaboration() {
+        return app.data.collaborations.find(c => c.id === app.currentCollaborationId);
+    }
+
+    /**
+     * Replace a collaboration in app data and persist the change
+     * @param {Object} collaboration - The updated collaboration
+     */
+    function storeCollaboration(collaboration) {
+        app.data.collaborations = app.data.collaborations.map(c =>
+            c.id === collaboration.id ? collaboration : c
+        );
+        
+        // Save to storage
+        saveData();
+        
+        // Update UI
+        updateCollaborationDetail();
+    }
+
+    /**
+     * Update the collaboration detail view
+     */
+    function updateCollaborationDetail() {
+        const collaboration = getCurrentCollaboration();
+        
+        if (!collaboration) {
+            closeCollaboration();
+            return;
+        }
+        
+        // Header
+        document.getElementById('workspace-detail-name').textContent = collaboration.name;
+        document.getElementById('workspace-detail-partner').textContent =
+            `${collaboration.partnerName} · ${getPartnershipTypeName(collaboration.type)} · ` +
+            `${collaboration.startDate}${collaboration.endDate ? ' to ' + collaboration.endDate : ' (ongoing)'}`;
+        document.getElementById('workspace-detail-description').textContent = collaboration.description;
+        document.getElementById('workspace-detail-exclusivity').textContent = formatExclusivity(collaboration);
+        setExclusivityValues('workspace-exclusivity', collaboration.exclusivity || {});
+        
+        // Progress
+        const progress = ProjectManager.calculateProgress(collaboration);
+        const progressBar = document.getElementById('workspace-progress-bar');
+        progressBar.style.width = `${progress.overallProgress}%`;
+        document.getElementById('workspace-progress-value').textContent = `${progress.overallProgress}%`;
+        
+        const status = document.getElementById('workspace-status');
+        status.textContent = progress.status;
+        status.className = `badge bg-${getProgressStatusColor(progress.status)}`;
+        
+        document.getElementById('workspace-days-remaining').textContent = formatDaysRemaining(progress.daysRemaining);
+        document.getElementById('workspace-progress-stats').textContent =
+            `${progress.taskStats.completed}/${progress.taskStats.total} tasks · ` +
+            `${progress.milestoneStats.completed}/${progress.milestoneStats.total} milestones completed`;
+        
+        // Tabs
+        updateTaskList(collaboration.tasks || []);
+        updateMilestoneList(collaboration.milestones || []);
+        updateDocumentList(collaboration.documents || []);
+        updateNoteList(collaboration.notes || []);
+        updateTimeline(collaboration);
+    }
+
+    /**
+     * Render the task list of the open collaboration
+     * @param {Array} tasks - The tasks to render
+     */
+    function updateTaskList(tasks) {
+        const taskList = document.getElementById('task-list');
+        document.getElementById('no-tasks-message').style.display = tasks.length === 0 ? 'block' : 'none';
+        
+        const priorityColors = { low: 'secondary', medium: 'info', high: 'danger' };
+        
+        taskList.innerHTML = tasks.map(task => `
+            <div class="task-item">
+                <div class="d-flex justify-content-between align-items-start">
+                    <div>
+                        <div class="${task.status === 'completed' ? 'task-complete' : ''}">
+                            <strong>${escapeHtml(task.title)}</strong>
+                            <span class="badge bg-${priorityColors[task.priority] || 'secondary'} ms-1">${escapeHtml(task.priority || 'medium')}</span>
+                        </div>
+                        <small class="text-muted">${escapeHtml(task.assignedTo || 'Unassigned')}${task.dueDate ? ' · Due ' + escapeHtml(task.dueDate) : ''}</small>
+                        ${task.description ? `<div class="small">${escapeHtml(task.description)}</div>` : ''}
+                    </div>
+                    <div class="d-flex align-items-center">
+                        <select class="form-select form-select-sm me-2 task-status-select" data-item-id="${escapeHtml(task.id)}">
+                            ${['pending', 'in-progress', 'completed', 'cancelled'].map(status =>
+                                `<option value="${status}" ${task.status === status ? 'selected' : ''}>${getTaskStatusName(status)}</option>`
+                            ).join('')}
+                        </select>
+                        ${getWorkspaceItemActions('task', task.id)}
+                    </div>
+                </div>
+            </div>
+        `).join('');
+        
+        taskList.querySelectorAll('.task-status-select').forEach(select => {
+            select.addEventListener('change', function() {
+                updateWorkspaceItem('task', this.getAttribute('data-item-id'), { status: this.value });
+            });
+        });
+        
+        bindWorkspaceItemActions(taskList);
+    }
+
+    /**
+     * Render the milestone timeline of the open collaboration
+     * @param {Array} milestones - The milestones to render
+     */
+    function updateMilestoneList(milestones) {
+        const milestoneList = document.getElementById('milestone-list');
+        document.getElementById('no-milestones-message').style.display = milestones.length === 0 ? 'block' : 'none';
+        
+        // Show milestones in due date order
+        const sortedMilestones = [...milestones].sort((a, b) => (a.dueDate || '').localeCompare(b.dueDate || ''));
+        
+        milestoneList.innerHTML = sortedMilestones.map(milestone => `
+            <div class="milestone-item">
+                <div class="d-flex justify-content-between align-items-start">
+                    <div>
+                        <div class="form-check">
+                            <input class="form-check-input milestone-complete-toggle" type="checkbox"
+                                data-item-id="${escapeHtml(milestone.id)}" ${milestone.status === 'completed' ? 'checked' : ''}>
+                            <label class="form-check-label ${milestone.status === 'completed' ? 'task-complete' : ''}">
+                                <strong>${escapeHtml(milestone.title)}</strong>
+                            </label>
+                            ${milestone.status === 'missed' ? '<span class="badge bg-danger ms-1">Missed</span>' : ''}
+                        </div>
+                        <small class="text-muted">${milestone.dueDate ? 'Due ' + escapeHtml(milestone.dueDate) : 'No due date'}</small>
+                        ${milestone.description ? `<div class="small">${escapeHtml(milestone.description)}</div>` : ''}
+                    </div>
+                    <div>${getWorkspaceItemActions('milestone', milestone.id)}</div>
+                </div>
+            </div>
+        `).join('');
+        
+        milestoneList.querySelectorAll('.milestone-complete-toggle').forEach(toggle => {
+            toggle.addEventListener('change', function() {
+                updateWorkspaceItem('milestone', this.getAttribute('data-item-id'), {
+                    status: this.checked ? 'completed' : 'pending'
+                });
+            });
+        });
+        
+        bindWorkspaceItemActions(milestoneList);
+    }
+
+    /**
+     * Render the document list of the open collaboration
+     * @param {Array} documents - The documents to render
+     */
+    function updateDocumentList(documents) {
+        const documentList = document.getElementById('document-list');
+        document.getElementById('no-documents-message').style.display = documents.length === 0 ? 'block' : 'none';
+        
+        documentList.innerHTML = documents.map(doc => {
+            // Only web links are opened; anything else, such as a javascript: URL, is shown as plain text
+            const url = getSafeUrl(doc.url);
+            
+            return `
+                <li class="list-group-item">
+                    <div class="d-flex justify-content-between align-items-start">
+                        <div>
+                            <i class="bi bi-file-earmark-text"></i>
+                            ${url ? `<a href="${escapeHtml(url)}" target="_blank" rel="noopener">${escapeHtml(doc.title)}</a>` : `<strong>${escapeHtml(doc.title)}</strong>`}
+                            <span class="badge bg-light text-dark ms-1">v${escapeHtml(doc.version)}</span>
+                            <div><small class="text-muted">${escapeHtml(doc.fileType)}${doc.createdBy ? ' · ' + escapeHtml(doc.createdBy) : ''} · Updated ${new Date(doc.updatedAt).toLocaleDateString()}</small></div>
+                            ${doc.description ? `<div class="small">${escapeHtml(doc.description)}</div>` : ''}
+                        </div>
+                        <div>${getWorkspaceItemActions('document', doc.id)}</div>
+                    </div>
+                </li>
+            `;
+        }).join('');
+        
+        bindWorkspaceItemActions(documentList);
+    }
+
+    /**
+     * Render the notes of the open collaboration
+     * @param {Array} notes - The notes to render
+     */
+    function updateNoteList(notes) {
+        const noteList = document.getElementById('note-list');
+        document.getElementById('no-notes-message').style.display = notes.length === 0 ? 'block' : 'none';
+        
+        // Show the newest notes first
+        const sortedNotes = [...notes].sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+        
+        noteList.innerHTML = sortedNotes.map(note => `
+            <div class="card mb-2">
+                <div class="card-body">
+                    <div class="d-flex justify-content-between align-items-start">
+                        <h6 class="card-title mb-1">${escapeHtml(note.title)}</h6>
+                        <div>${getWorkspaceItemActions('note', note.id)}</div>
+                    </div>
+                    <small class="text-muted">${note.createdBy ? escapeHtml(note.createdBy) + ' · ' : ''}${new Date(note.createdAt).toLocaleString()}</small>
+                    <p class="card-text mt-2" style="white-space: pre-line;">${escapeHtml(note.content)}</p>
+                </div>
+            </div>
+        `).join('');
+        
+        bindWorkspaceItemActions(noteList);
+    }
+
+    /**
+     * Get the edit and delete buttons for a workspace item
+     * @param {string} type - The item type (task, milestone, document or note)
+     * @param {string} itemId - The ID of the item
+     * @returns {string} Button markup
+     */
+    function getWorkspaceItemActions(type, itemId) {
+        return `
+            <button class="btn btn-sm btn-outline-primary edit-item-btn" data-entity="${type}" data-item-id="${escapeHtml(itemId)}">
+                <i class="bi bi-pencil"></i>
+            </button>
+            <button class="btn btn-sm btn-outline-danger delete-item-btn" data-entity="${type}" data-item-id="${escapeHtml(itemId)}">
+                <i class="bi bi-trash"></i>
+            </button>
+        `;
+    }
+
+    /**
+     * Attach listeners to the edit and delete buttons in a container
+     * @param {HTMLElement} container - The list container
+     */
+    function bindWorkspaceItemActions(container) {
+        container.querySelectorAll('.edit-item-btn').forEach(btn => {
+            btn.addEventListener('click', function() {
+                editWorkspaceItem(this.getAttribute('data-entity'), this.getAttribute('data-item-id'));
+            });
+        });
+        
+        container.querySelectorAll('.delete-item-btn').forEach(btn => {
+            btn.addEventListener('click', function() {
+                deleteWorkspaceItem(this.getAttribute('data-entity'), this.getAttribute('data-item-id'));
+            });
+        });
+    }
+
+    /**
+     * Save the item in a workspace form, adding or updating it
+     * @param {string} type - The item type (task, milestone, document or note)
+     */
+    function saveWorkspaceItem(type) {
+        const collaboration = getCurrentCollaboration();
+        const itemType = workspaceItemTypes[type];
+        const form = document.querySelector(`.workspace-item-form[data-entity="${type}"]`);
+        
+        if (!collaboration || !itemType) return;
+        
+        // Get form values
+        const item = {};
+        form.querySelectorAll('[data-field]').forEach(field => {
+            item[field.getAttribute('data-field')] = field.value;
+        });
+        
+        const itemId = item.id;
+        delete item.id;
+        
+        if (type === 'document' && item.url && !getSafeUrl(item.url)) {
+            alert('Document links must be web addresses starting with http:// or https://.');
+            return;
+        }
+        
+        // Add or update the item
+        const updatedCollaboration = itemId ?
+            itemType.update(collaboration, itemId, item) :
+            itemType.add(collaboration, item);
+        
+        storeCollaboration(updatedCollaboration);
+        
+        // Reset the form
+        form.reset();
+    }
+
+    /**
+     * Apply a partial update to a workspace item
+     * @param {string} type - The item type (task, milestone, document or note)
+     * @param {string} itemId - The ID of the item
+     * @param {Object} updates - Properties to update
+     */
+    function updateWorkspaceItem(type, itemId, updates) {
+        const collaboration = getCurrentCollaboration();
+        
+        if (!collaboration) return;
+        
+        storeCollaboration(workspaceItemTypes[type].update(collaboration, itemId, updates));
+    }
+
+    /**
+     * Load a workspace item into its form for editing
+     * @param {string} type - The item type (task, milestone, document or note)
+     * @param {string} itemId - The ID of the item
+     */
+    function editWorkspaceItem(type, itemId) {
+        const collaboration = getCurrentCollaboration();
+        const itemType = workspaceItemTypes[type];
+        const item = (collaboration[itemType.collection] || []).find(i => i.id === itemId);
+        
+        if (!item) return;
+        
+        const form = document.querySelector(`.workspace-item-form[data-entity="${type}"]`);
+        form.querySelectorAll('[data-field]').forEach(field => {
+            const value = item[field.getAttribute('data-field')];
+            field.value = value === null || value === undefined ? '' : value;
+        });
+        
+        form.closest('.card-body').querySelector('[data-form-title]').textContent = `Edit ${itemType.label}`;
+    }
+
+    /**
+     * Delete a workspace item
+     * @param {string} type - The item type (task, milestone, document or note)
+     * @param {string} itemId - The ID of the item
+     */
+    function deleteWorkspaceItem(type, itemId) {
+        const collaboration = getCurrentCollaboration();
+        const itemType = workspaceItemTypes[type];
+        
+        if (!collaboration) return;
+        
+        if (confirm(`Are you sure you want to delete this ${itemType.label.toLowerCase()}?`)) {
+            storeCollaboration(itemType.remove(collaboration, itemId));
+        }
+    }
+
+    /**
+     * Return a workspace form to "add" mode
+     * @param {string} type - The item type (task, milestone, document or note)
+     */
+    function resetWorkspaceItemForm(type) {
+        const form = document.querySelector(`.workspace-item-form[data-entity="${type}"]`);
+        
+        // Hidden inputs are not cleared by a form reset
+        form.querySelector('[data-field="id"]').value = '';
+        form.closest('.card-body').querySelector('[data-form-title]').textContent = `Add ${workspaceItemTypes[type].label}`;
     }
 
     /**
@@ -695,11 +3982,16 @@ document.addEventListener('DOMContentLoaded', function() {
         // Update app data
         app.data.customMetrics.push(metric);
         
-        // Save to localStorage
+        // Save to storage
         saveData();
         
         // Add activity
-        addActivity(`Added custom metric: ${metricName}`);
+        addActivity(`Added custom metric: ${metricName}`, {
+            action: 'create',
+            entityType: 'customMetric',
+            entityId: metric.id,
+            after: metric
+        });
         
         // Close the modal
         const modal = bootstrap.Modal.getInstance(document.getElementById('addMetricModal'));
@@ -737,18 +4029,18 @@ document.addEventListener('DOMContentLoaded', function() {
             metricCard.className = 'metric-card';
             metricCard.innerHTML = `
                 <div class="metric-actions">
-                    <button class="btn btn-sm btn-outline-primary edit-metric-btn" data-metric-id="${metric.id}">
+                    <button class="btn btn-sm btn-outline-primary edit-metric-btn" data-metric-id="${escapeHtml(metric.id)}">
                         <i class="bi bi-pencil"></i>
                     </button>
-                    <button class="btn btn-sm btn-outline-danger delete-metric-btn" data-metric-id="${metric.id}">
+                    <button class="btn btn-sm btn-outline-danger delete-metric-btn" data-metric-id="${escapeHtml(metric.id)}">
                         <i class="bi bi-trash"></i>
                     </button>
                 </div>
-                <h6>${metric.name}</h6>
-                <p>${metric.description}</p>
+                <h6>${escapeHtml(metric.name)}</h6>
+                <p>${escapeHtml(metric.description)}</p>
                 <div class="d-flex justify-content-between">
-                    <span class="badge bg-primary">${getMetricTypeName(metric.type)}</span>
-                    <span class="badge bg-secondary">${getMetricFrequencyName(metric.frequency)}</span>
+                    <span class="badge bg-primary">${escapeHtml(getMetricTypeName(metric.type))}</span>
+                    <span class="badge bg-secondary">${escapeHtml(getMetricFrequencyName(metric.frequency))}</span>
                 </div>
             `;
             
@@ -785,19 +4077,679 @@ document.addEventListener('DOMContentLoaded', function() {
      * @param {string} metricId - The ID of the metric to delete
      */
     function deleteCustomMetric(metricId) {
+        const metric = app.data.customMetrics.find(m => m.id === metricId);
+        
         if (confirm('Are you sure you want to delete this metric?')) {
             // Remove the metric from the array
             app.data.customMetrics = app.data.customMetrics.filter(metric => metric.id !== metricId);
             
-            // Save to localStorage
+            // Save to storage
             saveData();
             
             // Update UI
             updateCustomMetricsList();
             
             // Add activity
-            addActivity('Deleted a custom metric');
+            addActivity(`Deleted custom metric: ${metric ? metric.name : 'unknown'}`, {
+                action: 'delete',
+                entityType: 'customMetric',
+                entityId: metricId,
+                before: metric
+            });
+        }
+    }
+
+    /**
+     * Show the pipeline stage editor
+     * @param {Array} stages - Stages to edit; defaults to the saved stages
+     */
+    function updatePipelineStageEditor(stages = getPipelineStages()) {
+        const list = document.getElementById('pipeline-stage-list');
+        
+        if (!list) return;
+        
+        const outcomeNames = { open: 'Open', won: 'Won', lost: 'Lost' };
+        
+        list.innerHTML = stages.map((stage, index) => `
+            <div class="input-group mb-2 pipeline-stage-row" data-stage-id="${stage.id}">
+                <input type="text" class="form-control pipeline-stage-name" value="${stage.name}" aria-label="Stage name">
+                <select class="form-select pipeline-stage-outcome" style="max-width: 8rem;" aria-label="Outcome">
+                    ${Object.keys(outcomeNames).map(outcome => `<option value="${outcome}" ${stage.outcome === outcome ? 'selected' : ''}>${outcomeNames[outcome]}</option>`).join('')}
+                </select>
+                <button type="button" class="btn btn-outline-secondary move-stage-btn" data-index="${index}" data-direction="-1" title="Move up" ${index === 0 ? 'disabled' : ''}>
+                    <i class="bi bi-arrow-up"></i>
+                </button>
+                <button type="button" class="btn btn-outline-secondary move-stage-btn" data-index="${index}" data-direction="1" title="Move down" ${index === stages.length - 1 ? 'disabled' : ''}>
+                    <i class="bi bi-arrow-down"></i>
+                </button>
+                <button type="button" class="btn btn-outline-danger delete-stage-btn" data-index="${index}" title="Delete stage">
+                    <i class="bi bi-trash"></i>
+                </button>
+            </div>
+        `).join('');
+        
+        list.querySelectorAll('.move-stage-btn').forEach(btn => {
+            btn.addEventListener('click', function() {
+                const edited = getEditedPipelineStages();
+                const index = parseInt(this.getAttribute('data-index'), 10);
+                const target = index + parseInt(this.getAttribute('data-direction'), 10);
+                [edited[index], edited[target]] = [edited[target], edited[index]];
+                updatePipelineStageEditor(edited);
+            });
+        });
+        
+        list.querySelectorAll('.delete-stage-btn').forEach(btn => {
+            btn.addEventListener('click', function() {
+                const edited = getEditedPipelineStages();
+                edited.splice(parseInt(this.getAttribute('data-index'), 10), 1);
+                updatePipelineStageEditor(edited);
+            });
+        });
+    }
+
+    /**
+     * Read the stages from the stage editor
+     * @returns {Array} Stages as {id, name, outcome}
+     */
+    function getEditedPipelineStages() {
+        return Array.from(document.querySelectorAll('.pipeline-stage-row')).map(row => ({
+            id: row.getAttribute('data-stage-id'),
+            name: row.querySelector('.pipeline-stage-name').value.trim(),
+            outcome: row.querySelector('.pipeline-stage-outcome').value
+        }));
+    }
+
+    /**
+     * Add a stage to the stage editor, before the first closing stage
+     */
+    function addPipelineStage() {
+        const edited = getEditedPipelineStages();
+        const firstClosed = edited.findIndex(stage => stage.outcome !== 'open');
+        edited.splice(firstClosed === -1 ? edited.length : firstClosed, 0, PipelineManager.createStage('New Stage'));
+        updatePipelineStageEditor(edited);
+    }
+
+    /**
+     * Save the stages from the stage editor
+     */
+    function savePipelineStages() {
+        const stages = getEditedPipelineStages();
+        const errors = PipelineManager.validateStages(stages, app.data.deals);
+        
+        if (errors.length > 0) {
+            alert(`The stages could not be saved:\n${errors.join('\n')}`);
+            return;
+        }
+        
+        const before = getPipelineStages();
+        
+        // Update app data
+        app.data.settings.pipelineStages = stages;
+        
+        // Save to storage
+        saveData();
+        
+        // Add activity
+        addActivity('Updated pipeline stages', {
+            action: 'update',
+            entityType: 'pipelineStages',
+            before,
+            after: stages
+        });
+        
+        // Update UI
+        updatePipelineStageEditor();
+        updatePipeline();
+        
+        alert('Pipeline stages saved.');
+    }
+
+    /**
+     * Put the default stages in the stage editor; they are kept once saved
+     */
+    function resetPipelineStages() {
+        updatePipelineStageEditor(PipelineManager.getDefaultStages());
+    }
+
+    /**
+     * Fill every industry selector with the industries in the taxonomy, keeping placeholder options and selections
+     */
+    function populateIndustrySelects() {
+        const industries = IndustryTaxonomy.getOrderedIndustries(app.data.industryTaxonomy);
+        
+        document.querySelectorAll('[data-industry-select]').forEach(select => {
+            const selected = Array.from(select.selectedOptions).map(option => option.value);
+            
+            select.querySelectorAll('option').forEach(option => {
+                if (option.value !== '' && option.value !== 'all') option.remove();
+            });
+            
+            industries.forEach(industry => {
+                const option = document.createElement('option');
+                option.value = industry.id;
+                option.textContent = `${'\u00a0\u00a0'.repeat(industry.depth)}${industry.name}`;
+                option.selected = selected.includes(industry.id);
+                select.appendChild(option);
+            });
+        });
+    }
+
+    /**
+     * List the industries in use, so they cannot be removed from the taxonomy
+     * @returns {Object} Descriptions of where each industry is used, keyed by industry ID
+     */
+    function getIndustryUsage() {
+        const usage = {};
+        const add = (industry, where) => {
+            if (industry) usage[industry] = usage[industry] ? `${usage[industry]} and ${where}` : where;
+        };
+        
+        if (app.data.profile) {
+            add(app.data.profile.industry, 'your brand profile');
+            (app.data.profile.constraints?.excludedIndustries || []).forEach(industry => add(industry, 'your dealbreakers'));
+        }
+        
+        app.data.partners.forEach(partner => add(partner.industry, partner.brandName));
+        
+        app.data.collaborations
+            .filter(collaboration => collaboration.exclusivity)
+            .forEach(collaboration => add(collaboration.exclusivity.category, `the exclusivity of ${collaboration.name}`));
+        
+        return usage;
+    }
+
+    /**
+     * Show the industry taxonomy editor
+     * @param {Object} taxonomy - The taxonomy to edit; defaults to the saved taxonomy
+     */
+    function updateIndustryEditor(taxonomy = app.data.industryTaxonomy) {
+        const list = document.getElementById('industry-list');
+        const matrix = document.getElementById('complementarity-matrix');
+        
+        if (!list || !matrix) return;
+        
+        const industries = IndustryTaxonomy.getOrderedIndustries(taxonomy);
+        const rules = PartnerMatcher.getScoringRules().industry;
+        document.getElementById('same-sector-score').textContent = rules.sameSector;
+        document.getElementById('other-industry-score').textContent = rules.other;
+        
+        list.innerHTML = industries.map(industry => `
+            <tr class="industry-row" data-industry-id="${industry.id}">
+                <td style="padding-left: ${0.5 + industry.depth * 1.5}rem;">
+                    <input type="text" class="form-control form-control-sm industry-name" value="${industry.name}" aria-label="Industry name">
+                </td>
+                <td>
+                    <input type="text" class="form-control form-control-sm industry-naics" value="${industry.naics || ''}" aria-label="NAICS code">
+                </td>
+                <td>
+                    <select class="form-select form-select-sm industry-parent" aria-label="Part of">
+                        <option value="">Top level</option>
+                        ${industries.filter(other => other.id !== industry.id).map(other => `
+                            <option value="${other.id}" ${industry.parent === other.id ? 'selected' : ''}>${other.name}</option>
+                        `).join('')}
+                    </select>
+                </td>
+                <td>
+                    <button type="button" class="btn btn-sm btn-outline-danger delete-industry-btn" data-industry-id="${industry.id}" title="Delete industry">
+                        <i class="bi bi-trash"></i>
+                    </button>
+                </td>
+            </tr>
+        `).join('');
+        
+        matrix.innerHTML = `
+            <thead>
+                <tr>
+                    <th></th>
+                    ${industries.map(industry => `<th class="text-nowrap" title="${industry.name}">${industry.name}</th>`).join('')}
+                </tr>
+            </thead>
+            <tbody>
+                ${industries.map(from => `
+                    <tr>
+                        <th class="text-start text-nowrap" style="padding-left: ${0.5 + from.depth * 1.5}rem;">${from.name}</th>
+                        ${industries.map(to => from.id === to.id ? '<td class="table-secondary">1</td>' : `
+                            <td>
+                                <input type="number" class="form-control form-control-sm complementarity-input" style="min-width: 4.5rem;"
+                                    min="0" max="1" step="0.1" data-from="${from.id}" data-to="${to.id}"
+                                    value="${(taxonomy.complementarity[from.id] || {})[to.id] ?? ''}" aria-label="${from.name} with ${to.name}">
+                            </td>
+                        `).join('')}
+                    </tr>
+                `).join('')}
+            </tbody>
+        `;
+        
+        list.querySelectorAll('.delete-industry-btn').forEach(btn => {
+            btn.addEventListener('click', function() {
+                const edited = getEditedTaxonomy();
+                const industryId = this.getAttribute('data-industry-id');
+                edited.industries = edited.industries.filter(industry => industry.id !== industryId);
+                updateIndustryEditor(edited);
+            });
+        });
+    }
+
+    /**
+     * Read the taxonomy from the industry editor
+     * @returns {Object} The taxonomy as edited
+     */
+    function getEditedTaxonomy() {
+        const industries = Array.from(document.querySelectorAll('.industry-row')).map(row => ({
+            id: row.getAttribute('data-industry-id'),
+            name: row.querySelector('.industry-name').value.trim(),
+            naics: row.querySelector('.industry-naics').value.trim() || null,
+            parent: row.querySelector('.industry-parent').value || null
+        }));
+        
+        const ids = industries.map(industry => industry.id);
+        const complementarity = {};
+        
+        document.querySelectorAll('.complementarity-input').forEach(input => {
+            const from = input.getAttribute('data-from');
+            const to = input.getAttribute('data-to');
+            
+            if (input.value === '' || !ids.includes(from) || !ids.includes(to)) return;
+            
+            complementarity[from] = complementarity[from] || {};
+            complementarity[from][to] = parseFloat(input.value);
+        });
+        
+        return { industries, complementarity };
+    }
+
+    /**
+     * Add an industry to the industry editor
+     */
+    function addIndustry() {
+        const edited = getEditedTaxonomy();
+        edited.industries.push(IndustryTaxonomy.createIndustry(edited, 'New Industry'));
+        updateIndustryEditor(edited);
+    }
+
+    /**
+     * Save the taxonomy from the industry editor
+     */
+    function saveIndustryTaxonomy() {
+        const taxonomy = getEditedTaxonomy();
+        const errors = IndustryTaxonomy.validateTaxonomy(taxonomy, getIndustryUsage());
+        
+        if (errors.length > 0) {
+            alert(`The industries could not be saved:\n${errors.join('\n')}`);
+            return;
+        }
+        
+        const before = app.data.industryTaxonomy;
+        
+        // Update app data
+        app.data.industryTaxonomy = taxonomy;
+        
+        // Save to storage
+        saveData();
+        
+        // Add activity
+        addActivity('Updated industry taxonomy', {
+            action: 'update',
+            entityType: 'industryTaxonomy',
+            before,
+            after: taxonomy
+        });
+        
+        // Update UI
+        updateUI();
+        
+        // Re-score the last search with the new industries
+        if (app.lastSearchFilters && app.data.profile) {
+            runPartnerSearch(app.lastSearchFilters);
+        }
+        
+        alert('Industries saved.');
+    }
+
+    /**
+     * Put the default taxonomy in the industry editor; it is kept once saved
+     */
+    function resetIndustryTaxonomy() {
+        updateIndustryEditor(IndustryTaxonomy.getDefaultTaxonomy());
+    }
+
+    /**
+     * Collect the ROI calculator inputs in the shape ROICalculator expects
+     * @returns {Object} Partnership details for ROICalculator.calculatePartnershipROI
+     */
+    function getROIInputs() {
+        const timeframe = parseInt(document.getElementById('roi-timeframe').value, 10);
+        
+        const partnership = {
+            timeframeMonths: timeframe > 0 ? timeframe : 12,
+            investment: {},
+            returns: {}
+        };
+        
+        document.querySelectorAll('#roi-form [data-roi-field]').forEach(input => {
+            // Leave blank fields out so the calculator treats them as not provided
+            if (input.value === '') return;
+            
+            const group = input.getAttribute('data-roi-group');
+            const field = input.getAttribute('data-roi-field');
+            
+            if (group === 'investment' || group === 'returns') {
+                partnership[group][field] = input.value;
+            } else {
+                partnership[field] = input.value;
+            }
+        });
+        
+        return partnership;
+    }
+
+    /**
+     * Fill the ROI calculator form from saved inputs
+     * @param {Object} partnership - Partnership details as returned by getROIInputs
+     */
+    function setROIInputs(partnership) {
+        document.getElementById('roi-form').reset();
+        document.getElementById('roi-timeframe').value = partnership.timeframeMonths || 12;
+        
+        document.querySelectorAll('#roi-form [data-roi-field]').forEach(input => {
+            const group = input.getAttribute('data-roi-group');
+            const field = input.getAttribute('data-roi-field');
+            const source = (group === 'investment' || group === 'returns') ? partnership[group] || {} : partnership;
+            
+            if (source[field] !== undefined) {
+                input.value = source[field];
+            }
+        });
+    }
+
+    /**
+     * Recalculate the ROI assessment and update the results panel
+     */
+    function updateROICalculation() {
+        const result = ROICalculator.calculatePartnershipROI(getROIInputs());
+        
+        if (!result) return;
+        
+        const financial = result.financialROI;
+        
+        // Update summary figures
+        document.getElementById('roi-overall-score').textContent = result.overallScore;
+        document.getElementById('roi-total-investment').textContent = formatCurrency(financial.totalInvestment);
+        document.getElementById('roi-total-returns').textContent = formatCurrency(financial.totalReturns);
+        document.getElementById('roi-net-return').textContent = formatCurrency(financial.netReturn);
+        document.getElementById('roi-percentage').textContent = `${Math.round(financial.roiPercentage)}%`;
+        document.getElementById('roi-payback').textContent = isFinite(financial.paybackMonths) ?
+            `${financial.paybackMonths.toFixed(1)} months` : '-';
+        document.getElementById('roi-strategic-score').textContent = result.strategicValue.overallScore;
+        document.getElementById('roi-risk-level').textContent = result.riskAssessment.riskLevel;
+        
+        // Update recommendation badge
+        const recommendationBadge = document.getElementById('roi-recommendation');
+        const recommendationColors = {
+            'Strongly Recommended': 'success',
+            'Recommended': 'primary',
+            'Consider with Modifications': 'warning',
+            'Not Recommended': 'secondary'
+        };
+        recommendationBadge.textContent = result.recommendation;
+        recommendationBadge.className = `badge bg-${recommendationColors[result.recommendation]} mt-2`;
+        
+        // Update risk mitigation recommendations
+        const recommendationList = document.getElementById('roi-recommendations');
+        const recommendations = result.riskAssessment.recommendations;
+        recommendationList.innerHTML = recommendations.length > 0 ?
+            recommendations.map(recommendation => `<li>${recommendation}</li>`).join('') :
+            '<li class="text-muted">No risk mitigation needed.</li>';
+        
+        // Update charts
+        updateROICharts(result);
+    }
+
+    /**
+     * Draw the strategic value radar chart and the risk bar chart
+     * @param {Object} result - Result of ROICalculator.calculatePartnershipROI
+     */
+    function updateROICharts(result) {
+        // Chart.js is loaded from a CDN and may be unavailable offline
+        if (typeof Chart === 'undefined') return;
+        
+        const strategic = result.strategicValue.dimensionScores;
+        const risk = result.riskAssessment.riskScores;
+        
+        const strategicData = [strategic.audience, strategic.brand, strategic.innovation, strategic.marketAccess, strategic.relationship];
+        const riskData = [risk.financial, risk.reputation, risk.operational, risk.strategic];
+        
+        if (app.charts.roiStrategic) {
+            app.charts.roiStrategic.data.datasets[0].data = strategicData;
+            app.charts.roiStrategic.update();
+        } else {
+            app.charts.roiStrategic = new Chart(document.getElementById('roi-strategic-chart'), {
+                type: 'radar',
+                data: {
+                    labels: ['Audience', 'Brand', 'Innovation', 'Market Access', 'Relationship'],
+                    datasets: [{
+                        label: 'Strategic Value',
+                        data: strategicData,
+                        backgroundColor: 'rgba(13, 110, 253, 0.2)',
+                        borderColor: '#0d6efd'
+                    }]
+                },
+                options: {
+                    scales: { r: { min: 0, max: 100 } },
+                    plugins: { legend: { display: false } }
+                }
+            });
+        }
+        
+        if (app.charts.roiRisk) {
+            app.charts.roiRisk.data.datasets[0].data = riskData;
+            app.charts.roiRisk.update();
+        } else {
+            app.charts.roiRisk = new Chart(document.getElementById('roi-risk-chart'), {
+                type: 'bar',
+                data: {
+                    labels: ['Financial', 'Reputation', 'Operational', 'Strategic'],
+                    datasets: [{
+                        label: 'Risk',
+                        data: riskData,
+                        backgroundColor: '#dc3545'
+                    }]
+                },
+                options: {
+                    indexAxis: 'y',
+                    scales: { x: { min: 0, max: 100 } },
+                    plugins: { legend: { display: false } }
+                }
+            });
+        }
+    }
+
+    /**
+     * Reset the ROI calculator form
+     */
+    function resetROIForm() {
+        const collaborationId = document.getElementById('roi-collaboration').value;
+        
+        document.getElementById('roi-form').reset();
+        
+        // Keep the selected collaboration
+        document.getElementById('roi-collaboration').value = collaborationId;
+        
+        updateROICalculation();
+    }
+
+    /**
+     * Save the current ROI assessment against the selected collaboration
+     */
+    function saveAssessment() {
+        const collaborationId = document.getElementById('roi-collaboration').value;
+        
+        if (!collaborationId) {
+            alert('Please select a collaboration for this assessment.');
+            return;
+        }
+        
+        const collaboration = app.data.collaborations.find(c => c.id === collaborationId);
+        const inputs = getROIInputs();
+        const result = ROICalculator.calculatePartnershipROI(inputs);
+        
+        // Create assessment object
+        const assessment = {
+            id: generateId(),
+            collaborationId,
+            name: document.getElementById('roi-assessment-name').value || 'Untitled Assessment',
+            inputs,
+            result,
+            createdAt: new Date().toISOString()
+        };
+        
+        // Update app data
+        app.data.assessments.push(assessment);
+        
+        // Save to storage
+        saveData();
+        
+        // Add activity
+        addActivity(`Saved ROI assessment for ${collaboration ? collaboration.name : 'a collaboration'}`, {
+            action: 'create',
+            entityType: 'assessment',
+            entityId: assessment.id,
+            collaborationId,
+            after: assessment
+        });
+        
+        // Update UI
+        updateAssessmentList();
+    }
+
+    /**
+     * Load a saved ROI assessment into the calculator
+     * @param {string} assessmentId - The ID of the assessment to load
+     */
+    function loadAssessment(assessmentId) {
+        const assessment = app.data.assessments.find(a => a.id === assessmentId);
+        
+        if (!assessment) return;
+        
+        setROIInputs(assessment.inputs);
+        document.getElementById('roi-collaboration').value = assessment.collaborationId;
+        document.getElementById('roi-assessment-name').value = assessment.name;
+        
+        updateROICalculation();
+    }
+
+    /**
+     * Delete a saved ROI assessment
+     * @param {string} assessmentId - The ID of the assessment to delete
+     */
+    function deleteAssessment(assessmentId) {
+        const assessment = app.data.assessments.find(a => a.id === assessmentId);
+        
+        if (confirm('Are you sure you want to delete this assessment?')) {
+            // Remove the assessment from the array
+            app.data.assessments = app.data.assessments.filter(a => a.id !== assessmentId);
+            
+            // Save to storage
+            saveData();
+            
+            // Update UI
+            updateAssessmentList();
+            
+            // Add activity
+            addActivity(`Deleted ROI assessment: ${assessment ? assessment.name : 'unknown'}`, {
+                action: 'delete',
+                entityType: 'assessment',
+                entityId: assessmentId,
+                collaborationId: assessment ? assessment.collaborationId : null,
+                before: assessment
+            });
+        }
+    }
+
+    /**
+     * Update the collaboration selector on the ROI page
+     */
+    function updateROICollaborationOptions() {
+        const select = document.getElementById('roi-collaboration');
+        
+        if (!select) return;
+        
+        const selectedId = select.value;
+        
+        select.innerHTML = '<option value="">Select Collaboration</option>' +
+            app.data.collaborations.map(collaboration =>
+                `<option value="${escapeHtml(collaboration.id)}">${escapeHtml(collaboration.name)} (${escapeHtml(collaboration.partnerName)})</option>`
+            ).join('');
+        
+        // Keep the current selection if it still exists
+        if (app.data.collaborations.some(c => c.id === selectedId)) {
+            select.value = selectedId;
         }
+        
+        updateAssessmentList();
+    }
+
+    /**
+     * Update the list of saved assessments for the selected collaboration
+     */
+    function updateAssessmentList() {
+        const assessmentList = document.getElementById('roi-assessment-list');
+        const noAssessmentsMessage = document.getElementById('no-assessments-message');
+        
+        if (!assessmentList) return;
+        
+        const collaborationId = document.getElementById('roi-collaboration').value;
+        const assessments = app.data.assessments.filter(a => a.collaborationId === collaborationId);
+        
+        // Clear the list
+        assessmentList.innerHTML = '';
+        
+        if (assessments.length === 0) {
+            // Show no assessments message
+            noAssessmentsMessage.style.display = 'block';
+            return;
+        }
+        
+        // Hide no assessments message
+        noAssessmentsMessage.style.display = 'none';
+        
+        // Add assessments
+        assessments.forEach(assessment => {
+            const li = document.createElement('li');
+            li.className = 'list-group-item';
+            li.innerHTML = `
+                <div class="d-flex justify-content-between align-items-center">
+                    <div>
+                        <div>${escapeHtml(assessment.name)}</div>
+                        <small class="text-muted">${new Date(assessment.createdAt).toLocaleDateString()} &middot;
+                            Score ${escapeHtml(assessment.result.overallScore)} &middot; ${escapeHtml(assessment.result.recommendation)}</small>
+                    </div>
+                    <div>
+                        <button class="btn btn-sm btn-outline-primary load-assessment-btn" data-assessment-id="${escapeHtml(assessment.id)}">
+                            <i class="bi bi-box-arrow-in-down"></i>
+                        </button>
+                        <button class="btn btn-sm btn-outline-danger delete-assessment-btn" data-assessment-id="${escapeHtml(assessment.id)}">
+                            <i class="bi bi-trash"></i>
+                        </button>
+                    </div>
+                </div>
+            `;
+            
+            assessmentList.appendChild(li);
+        });
+        
+        // Add event listeners
+        document.querySelectorAll('.load-assessment-btn').forEach(btn => {
+            btn.addEventListener('click', function() {
+                loadAssessment(this.getAttribute('data-assessment-id'));
+            });
+        });
+        
+        document.querySelectorAll('.delete-assessment-btn').forEach(btn => {
+            btn.addEventListener('click', function() {
+                deleteAssessment(this.getAttribute('data-assessment-id'));
+            });
+        });
     }
 
     /**
@@ -816,7 +4768,7 @@ document.addEventListener('DOMContentLoaded', function() {
         // Update app data
         app.data.settings.theme = theme;
         
-        // Save to localStorage
+        // Save to storage
         saveData();
     }
 
@@ -836,7 +4788,7 @@ document.addEventListener('DOMContentLoaded', function() {
         // Update app data
         app.data.settings.fontSize = fontSize;
         
-        // Save to localStorage
+        // Save to storage
         saveData();
     }
 
@@ -855,7 +4807,7 @@ document.addEventListener('DOMContentLoaded', function() {
         // Update app data
         app.data.settings.compactView = compactView;
         
-        // Save to localStorage
+        // Save to storage
         saveData();
     }
 
@@ -869,33 +4821,63 @@ document.addEventListener('DOMContentLoaded', function() {
     }
 
     /**
-     * Add an activity to the activity log
+     * Add an activity to the activity history
      * @param {string} description - Description of the activity
+     * @param {Object} details - What changed
+     * @param {string} details.action - create, update, delete, archive, restore, import, export or search
+     * @param {string} details.entityType - The type of entity that changed, e.g. 'partner' or 'task'
+     * @param {string} details.entityId - The ID of the entity that changed
+     * @param {string} details.collaborationId - The collaboration the entity belongs to
+     * @param {Object} details.before - The entity before the change
+     * @param {Object} details.after - The entity after the change
      */
-    function addActivity(description) {
+    function addActivity(description, details = {}) {
         const activity = {
             id: generateId(),
+            timestamp: new Date().toISOString(),
+            actor: app.data.settings.actorName || null,
+            action: details.action || 'other',
+            entityType: details.entityType || null,
+            entityId: details.entityId || null,
+            collaborationId: details.collaborationId || null,
             description,
-            timestamp: new Date().toISOString()
+            before: details.before || null,
+            after: details.after || null
         };
         
-        // Add to the beginning of the array
+        // Add to the beginning of the array; the full history is kept
         app.data.activities.unshift(activity);
         
-        // Limit to the most recent 10 activities
-        if (app.data.activities.length > 10) {
-            app.data.activities = app.data.activities.slice(0, 10);
-        }
-        
-        // Save to localStorage
+        // Save to storage
         saveData();
         
-        // Update activity list in the UI
+        // Update activity lists in the UI
         updateActivityList();
+        updateHistoryList();
+    }
+
+    /**
+     * Add a change made through ProjectManager to the activity history
+     * @param {Object} change - {action, entityType, entityId, collaborationId, before, after}
+     */
+    function recordProjectChange(change) {
+        const entity = change.after || change.before;
+        const verb = getActionName(change.action);
+        
+        let description;
+        if (change.entityType === 'collaboration') {
+            description = `${verb} collaboration: ${entity.name}`;
+        } else {
+            const collaboration = app.data.collaborations.find(c => c.id === change.collaborationId);
+            const collaborationName = collaboration ? collaboration.name : 'collaboration';
+            description = `${verb} ${change.entityType} "${entity.title}" in ${collaborationName}`;
+        }
+        
+        addActivity(description, change);
     }
 
     /**
-     * Update the activity list in the UI
+     * Update the recent activity list on the dashboard
      */
     function updateActivityList() {
         const activityList = document.getElementById('activity-list');
@@ -912,59 +4894,183 @@ document.addEventListener('DOMContentLoaded', function() {
         noActivitiesMessage.style.display = 'none';
         activityList.style.display = 'block';
         
-        // Clear the list
-        activityList.innerHTML = '';
+        // Show the 10 most recent activities; the rest are on the history page
+        activityList.innerHTML = app.data.activities
+            .slice(0, 10)
+            .map(activity => formatActivityItem(activity, false))
+            .join('');
+    }
+
+    /**
+     * Update the activity history page with the current filters
+     */
+    function updateHistoryList() {
+        const historyList = document.getElementById('history-list');
         
-        // Add activities
-        app.data.activities.forEach(activity => {
+        if (!historyList) return;
+        
+        const query = document.getElementById('history-search').value.trim().toLowerCase();
+        const action = document.getElementById('history-action').value;
+        const entityType = document.getElementById('history-entity-type').value;
+        const collaborationId = document.getElementById('history-collaboration').value;
+        const from = document.getElementById('history-from').value;
+        const to = document.getElementById('history-to').value;
+        
+        // Date inputs are in local time, so compare against the start and end of those days
+        const fromDate = from ? new Date(`${from}T00:00:00`) : null;
+        const toDate = to ? new Date(`${to}T23:59:59.999`) : null;
+        
+        const activities = app.data.activities.filter(activity => {
             const date = new Date(activity.timestamp);
-            const formattedDate = date.toLocaleDateString() + ' ' + date.toLocaleTimeString();
-            
-            const li = document.createElement('li');
-            li.className = 'list-group-item';
-            li.innerHTML = `
-                <div class="d-flex justify-content-between align-items-center">
-                    <div>${activity.description}</div>
-                    <small class="text-muted">${formattedDate}</small>
-                </div>
-            `;
             
-            activityList.appendChild(li);
+            return (!query || `${activity.description} ${activity.actor || ''}`.toLowerCase().includes(query)) &&
+                (!action || activity.action === action) &&
+                (!entityType || activity.entityType === entityType) &&
+                (!collaborationId || activity.collaborationId === collaborationId) &&
+                (!fromDate || date >= fromDate) &&
+                (!toDate || date <= toDate);
         });
+        
+        const shown = activities.slice(0, app.historyLimit);
+        
+        historyList.innerHTML = shown.map(activity => formatActivityItem(activity, true)).join('');
+        
+        document.getElementById('history-count').textContent = `Showing ${shown.length} of ${activities.length}`;
+        document.getElementById('no-history-message').style.display = activities.length === 0 ? 'block' : 'none';
+        document.getElementById('history-more-btn').style.display = activities.length > shown.length ? 'inline-block' : 'none';
     }
 
     /**
-     * Export data to a JSON file
+     * Update the collaboration filter on the activity history page
      */
-    function exportData() {
-        // Create a JSON string
-        const jsonString = JSON.stringify(app.data);
+    function updateHistoryCollaborationOptions() {
+        const select = document.getElementById('history-collaboration');
+        
+        if (!select) return;
         
-        // Create a Blob
-        const blob = new Blob([jsonString], {type: 'application/json'});
+        const selected = select.value;
         
-        // Create a download link
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `strategic-alliance-builder-data-${new Date().toISOString().slice(0, 10)}.json`;
+        select.innerHTML = '<option value="">All Collaborations</option>' +
+            app.data.collaborations.map(c => `<option value="${c.id}">${c.name}</option>`).join('');
         
-        // Trigger the download
-        document.body.appendChild(a);
-        a.click();
+        // Keep the selection unless that collaboration was deleted
+        select.value = app.data.collaborations.some(c => c.id === selected) ? selected : '';
+    }
+
+    /**
+     * Update the timeline tab of a collaboration workspace
+     * @param {Object} collaboration - The collaboration
+     */
+    function updateTimeline(collaboration) {
+        const timelineList = document.getElementById('timeline-list');
+        const noTimelineMessage = document.getElementById('no-timeline-message');
+        
+        const activities = app.data.activities.filter(activity => activity.collaborationId === collaboration.id);
+        
+        timelineList.innerHTML = activities.map(activity => formatActivityItem(activity, true)).join('');
+        noTimelineMessage.style.display = activities.length === 0 ? 'block' : 'none';
+    }
+
+    /**
+     * Format an activity as a list item
+     * @param {Object} activity - The activity
+     * @param {boolean} showDetails - Whether to show who made the change and what changed
+     * @returns {string} The list item HTML
+     */
+    function formatActivityItem(activity, showDetails) {
+        const date = new Date(activity.timestamp);
+        const formattedDate = date.toLocaleDateString() + ' ' + date.toLocaleTimeString();
+        
+        if (!showDetails) {
+            return `
+                <li class="list-group-item">
+                    <div class="d-flex justify-content-between align-items-center">
+                        <div>${escapeHtml(activity.description)}</div>
+                        <small class="text-muted">${formattedDate}</small>
+                    </div>
+                </li>
+            `;
+        }
+        
+        return `
+            <li class="list-group-item">
+                <div class="d-flex justify-content-between align-items-start">
+                    <div>
+                        <div>${escapeHtml(activity.description)}</div>
+                        <small class="text-muted">
+                            ${escapeHtml(activity.actor || 'Unknown user')}
+                            <span class="badge bg-secondary ms-1">${getActionName(activity.action)}</span>
+                            ${activity.entityType ? `<span class="badge bg-light text-dark">${getEntityTypeName(activity.entityType)}</span>` : ''}
+                        </small>
+                    </div>
+                    <small class="text-muted text-nowrap ms-3">${formattedDate}</small>
+                </div>
+                ${formatActivityChanges(activity)}
+            </li>
+        `;
+    }
+
+    /**
+     * Format the fields changed by an activity as a table
+     * @param {Object} activity - The activity
+     * @returns {string} HTML for the changes, or an empty string if nothing was recorded
+     */
+    function formatActivityChanges(activity) {
+        if (!activity.before && !activity.after) return '';
         
-        // Clean up
-        setTimeout(() => {
-            document.body.removeChild(a);
-            URL.revokeObjectURL(url);
-        }, 0);
+        const before = activity.before || {};
+        const after = activity.after || {};
+        
+        const formatValue = value => {
+            if (value === undefined || value === null || value === '') return '<span class="text-muted">-</span>';
+            return escapeHtml(typeof value === 'object' ? JSON.stringify(value) : String(value));
+        };
+        
+        // Timestamps change on every save, so they are left out
+        const fields = [...new Set([...Object.keys(before), ...Object.keys(after)])]
+            .filter(field => field !== 'createdAt' && field !== 'updatedAt')
+            .filter(field => formatValue(before[field]) !== formatValue(after[field]));
+        
+        if (fields.length === 0) return '';
+        
+        return `
+            <details class="mt-2">
+                <summary class="small text-muted">Changes</summary>
+                <table class="table table-sm small mb-0 mt-1">
+                    <thead>
+                        <tr>
+                            <th>Field</th>
+                            <th>Before</th>
+                            <th>After</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${fields.map(field => `
+                            <tr>
+                                <td>${escapeHtml(field)}</td>
+                                <td>${formatValue(before[field])}</td>
+                                <td>${formatValue(after[field])}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </details>
+        `;
+    }
+
+    /**
+     * Export data to a JSON file
+     */
+    function exportData() {
+        // DataManager records the schema version so the file can be migrated on import
+        DataManager.exportData(app.data);
         
         // Add activity
-        addActivity('Exported data');
+        addActivity('Exported data', { action: 'export', entityType: 'data' });
     }
 
     /**
-     * Import data from a JSON file
+     * Read the selected import file and show what importing it would do
      */
     function importData() {
         const fileInput = document.getElementById('import-file');
@@ -978,61 +5084,169 @@ document.addEventListener('DOMContentLoaded', function() {
         const reader = new FileReader();
         
         reader.onload = function(e) {
+            let importedData;
             try {
-                const importedData = JSON.parse(e.target.result);
-                
-                // Validate the imported data
-                if (!importedData.profile && !importedData.collaborations) {
-                    throw new Error('Invalid data format.');
+                importedData = JSON.parse(e.target.result);
+            } catch (error) {
+                alert('Error importing data: the file is not valid JSON.');
+                return;
+            }
+            
+            // Check every entity before anything is changed
+            const validation = DataManager.validateImportedData(importedData);
+            
+            // Upgrade exports from older versions to the current schema
+            let migrated = null;
+            if (validation.valid) {
+                try {
+                    migrated = DataManager.migrateData(importedData);
+                } catch (error) {
+                    console.error('Error upgrading imported data:', error);
+                    alert(`Error importing data: the file could not be upgraded to the current version (${error.message}).`);
+                    return;
                 }
                 
-                // Confirm import
-                if (confirm('This will replace your current data. Are you sure you want to continue?')) {
-                    // Update app data
-                    app.data = importedData;
-                    
-                    // Save to localStorage
-                    saveData();
-                    
-                    // Update UI
-                    updateUI();
-                    
-                    // Add activity
-                    addActivity('Imported data');
-                    
-                    // Show success message
-                    alert('Data imported successfully.');
-                    
-                    // Reset the file input
-                    fileInput.value = '';
+                if (!migrated) {
+                    alert('Error importing data: the file could not be upgraded to the current version.');
+                    return;
                 }
-            } catch (error) {
-                alert('Error importing data: ' + error.message);
             }
+            
+            app.pendingImport = migrated ? migrated.data : null;
+            
+            document.getElementById('import-errors').classList.toggle('d-none', validation.valid);
+            document.getElementById('import-options').classList.toggle('d-none', !validation.valid);
+            document.getElementById('confirm-import-btn').disabled = !validation.valid;
+            
+            document.getElementById('import-error-list').innerHTML = validation.errors.map(error => `
+                <li>${error.path ? `<code>${escapeHtml(error.path)}</code>: ` : ''}${escapeHtml(error.message)}</li>
+            `).join('');
+            
+            if (validation.valid) {
+                updateImportPreview();
+            }
+            
+            const modal = bootstrap.Modal.getOrCreateInstance(document.getElementById('importDataModal'));
+            modal.show();
         };
         
         reader.readAsText(file);
     }
 
+    /**
+     * Get the import mode chosen in the import modal
+     * @returns {string} 'replace', 'merge' or 'copy'
+     */
+    function getImportMode() {
+        return document.querySelector('input[name="import-mode"]:checked').value;
+    }
+
+    /**
+     * Show a preview of the changes the pending import would make
+     */
+    function updateImportPreview() {
+        if (!app.pendingImport) return;
+        
+        const preview = DataManager.previewImport(app.data, app.pendingImport, getImportMode());
+        
+        const collectionNames = {
+            partners: 'Partners',
+            collaborations: 'Collaborations',
+            assessments: 'ROI Assessments',
+            customMetrics: 'Custom Metrics',
+            activities: 'Activities',
+            feedback: 'Partner Feedback',
+            savedSearches: 'Saved Searches',
+            notifications: 'Notifications',
+            deals: 'Pipeline Deals'
+        };
+        
+        const profileChanges = {
+            added: 'will be added',
+            replaced: 'will be replaced',
+            removed: 'will be removed',
+            unchanged: 'unchanged'
+        };
+        
+        // List a few names under each count so users can see what is affected
+        const formatItems = (items, className) => {
+            if (items.length === 0) return '<span class="text-muted">0</span>';
+            
+            const names = items.slice(0, 3).join(', ') + (items.length > 3 ? ` and ${items.length - 3} more` : '');
+            return `<span class="${className}">${items.length}</span><br><small class="text-muted">${escapeHtml(names)}</small>`;
+        };
+        
+        document.getElementById('import-preview').innerHTML = `
+            <p class="mb-1"><strong>Brand profile:</strong> ${profileChanges[preview.profile]}</p>
+            <p><strong>Settings:</strong> ${preview.settings ? 'will change' : 'unchanged'}</p>
+            <p><strong>Industries:</strong> ${preview.industryTaxonomy ? 'will change' : 'unchanged'}</p>
+            <table class="table table-sm">
+                <thead>
+                    <tr>
+                        <th></th>
+                        <th>Added</th>
+                        <th>Updated</th>
+                        <th>Removed</th>
+                        <th>Unchanged</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${Object.keys(collectionNames).map(key => `
+                        <tr>
+                            <th scope="row">${collectionNames[key]}</th>
+                            <td>${formatItems(preview.collections[key].added, 'text-success')}</td>
+                            <td>${formatItems(preview.collections[key].updated, 'text-primary')}</td>
+                            <td>${formatItems(preview.collections[key].removed, 'text-danger')}</td>
+                            <td>${preview.collections[key].unchanged}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Apply the pending import using the chosen mode
+     */
+    function confirmImport() {
+        if (!app.pendingImport) return;
+        
+        const mode = getImportMode();
+        
+        // Update app data
+        app.data = DataManager.mergeImportedData(app.data, app.pendingImport, mode);
+        app.pendingImport = null;
+        
+        // Save to storage
+        saveData();
+        
+        // Apply imported settings and update UI
+        applySettings();
+        updateUI();
+        
+        // Add activity
+        const modeNames = { replace: 'replaced current data', merge: 'merged by ID', copy: 'as new copies' };
+        addActivity(`Imported data (${modeNames[mode]})`, { action: 'import', entityType: 'data' });
+        
+        // Close the modal
+        const modal = bootstrap.Modal.getInstance(document.getElementById('importDataModal'));
+        modal.hide();
+        
+        // Reset the file input
+        document.getElementById('import-file').value = '';
+        
+        // Show success message
+        alert('Data imported successfully.');
+    }
+
     /**
      * Clear all data and reset the application
      */
     function clearData() {
         // Reset app data
-        app.data = {
-            profile: null,
-            partners: [],
-            collaborations: [],
-            activities: [],
-            customMetrics: [],
-            settings: {
-                theme: 'default',
-                fontSize: 'medium',
-                compactView: false
-            }
-        };
+        app.data = DataManager.getDefaultData();
         
-        // Save to localStorage
+        // Save to storage
         saveData();
         
         // Update UI
@@ -1053,28 +5267,67 @@ document.addEventListener('DOMContentLoaded', function() {
     }
 
     /**
-     * Save data to localStorage
+     * Save data to the browser's storage
      */
     function saveData() {
-        localStorage.setItem('strategicAllianceBuilder', JSON.stringify({
-            initialized: app.initialized,
-            data: app.data
-        }));
+        // Saving would replace the stored data that could not be loaded
+        if (app.loadFailed) return;
+        
+        DataManager.saveData(app.data, app.initialized).then(function() {
+            app.saveError = null;
+        }, showSaveError);
+    }
+
+    /**
+     * Tell the user that their changes could not be saved
+     * @param {Error} error - The error from DataManager.saveData
+     */
+    function showSaveError(error) {
+        // Every change saves, so only report the problem once until a save succeeds again
+        if (app.saveError) return;
+        app.saveError = error;
+        
+        if (DataManager.isQuotaExceededError(error)) {
+            alert('Your browser has run out of storage space, so your latest changes were not saved. Export your data as a backup, then delete documents, notes or collaborations you no longer need.');
+        } else {
+            alert('Your latest changes could not be saved: ' + error.message);
+        }
     }
 
     /**
-     * Load data from localStorage
+     * Load data from the browser's storage
+     * @returns {Promise} Resolves once the data is loaded
      */
     function loadData() {
-        const savedData = localStorage.getItem('strategicAllianceBuilder');
+        // DataManager upgrades older saves to the current schema
+        return DataManager.loadData().then(function(savedData) {
+            if (savedData && savedData.unreadable) {
+                app.loadFailed = true;
+                showLoadError(savedData.raw);
+            } else if (savedData) {
+                app.initialized = savedData.initialized;
+                app.data = savedData.data;
+                
+                // Apply settings
+                applySettings();
+            }
+        });
+    }
+
+    /**
+     * Tell the user that their saved data could not be loaded, and offer to download it
+     * @param {string|null} raw - The stored data as a string, or null if it could not be read at all
+     */
+    function showLoadError(raw) {
+        const message = 'Your saved data could not be loaded, for example because it was saved by a newer version of the app. It has been left as it is, and changes you make now will not be saved.';
         
-        if (savedData) {
-            const parsedData = JSON.parse(savedData);
-            app.initialized = parsedData.initialized;
-            app.data = parsedData.data;
-            
-            // Apply settings
-            applySettings();
+        if (!raw) {
+            alert(message + ' Try reloading the page.');
+            return;
+        }
+        
+        if (confirm(message + ' Click OK to download a copy of the saved data.')) {
+            DataManager.exportUnreadableData(raw);
         }
     }
 
@@ -1107,24 +5360,68 @@ document.addEventListener('DOMContentLoaded', function() {
         if (compactViewToggle) {
             compactViewToggle.checked = app.data.settings.compactView;
         }
+        
+        const conflictModeSelector = document.getElementById('conflict-mode');
+        if (conflictModeSelector) {
+            conflictModeSelector.value = app.data.settings.conflictMode;
+        }
+        
+        const actorNameInput = document.getElementById('actor-name');
+        if (actorNameInput) {
+            actorNameInput.value = app.data.settings.actorName || '';
+        }
     }
 
     /**
      * Update the UI with current data
      */
     function updateUI() {
+        // Share the industry taxonomy with matching and the industry selectors
+        PartnerMatcher.setIndustryTaxonomy(app.data.industryTaxonomy);
+        populateIndustrySelects();
+        
         // Update dashboard
         updateDashboard();
         
         // Update profile status
         updateProfileStatus();
         
-        // Update activity list
+        // Show where data is stored
+        document.getElementById('storage-type').textContent = DataManager.getStorageType();
+        
+        // Update activity lists
         updateActivityList();
+        updateHistoryCollaborationOptions();
+        updateHistoryList();
         
         // Update custom metrics list
         updateCustomMetricsList();
         
+        // Update matching weight and dealbreaker controls
+        updateWeightControls();
+        updateFeedbackSummary();
+        updateConstraintControls();
+        
+        // Update saved searches and notifications
+        updateSavedSearchList();
+        updateNotifications();
+        
+        // Update partner directory
+        updatePartnerDirectory();
+        
+        // Update partner pipeline and stage settings
+        updatePipeline();
+        updatePipelineStageEditor();
+        
+        // Update industry settings
+        updateIndustryEditor();
+        
+        // Update collaboration list
+        updateCollaborationList();
+        
+        // Update ROI collaboration selector
+        updateROICollaborationOptions();
+        
         // Load resources
         loadResources();
     }
@@ -1271,6 +5568,40 @@ document.addEventListener('DOMContentLoaded', function() {
         ];
     }
 
+    /**
+     * Format a number as a whole-dollar currency string
+     * @param {number} amount - The amount to format
+     * @returns {string} The formatted amount
+     */
+    function formatCurrency(amount) {
+        return (amount < 0 ? '-$' : '$') + Math.round(Math.abs(amount)).toLocaleString();
+    }
+
+    /**
+     * Escape text for use in HTML, such as names and notes entered by users or imported
+     * @param {*} value - The text
+     * @returns {string} The text with HTML special characters escaped
+     */
+    function escapeHtml(value) {
+        const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+        
+        return String(value ?? '').replace(/[&<>"']/g, character => entities[character]);
+    }
+
+    /**
+     * Check that a link is a web address, so it is safe to open
+     * @param {string} url - The link
+     * @returns {string} The link if it is an http: or https: URL, otherwise an empty string
+     */
+    function getSafeUrl(url) {
+        try {
+            const parsed = new URL(String(url || '').trim());
+            return parsed.protocol === 'http:' || parsed.protocol === 'https:' ? parsed.href : '';
+        } catch (error) {
+            return '';
+        }
+    }
+
     /**
      * Generate a unique ID
      * @returns {string} A unique ID
@@ -1285,20 +5616,7 @@ document.addEventListener('DOMContentLoaded', function() {
      * @returns {string} The display name
      */
     function getIndustryName(industry) {
-        const industries = {
-            'sports': 'Sports & Recreation',
-            'entertainment': 'Entertainment & Media',
-            'technology': 'Technology',
-            'retail': 'Retail & Consumer Goods',
-            'financial': 'Financial Services',
-            'healthcare': 'Healthcare',
-            'education': 'Education',
-            'food': 'Food & Beverage',
-            'automotive': 'Automotive',
-            'other': 'Other'
-        };
-        
-        return industries[industry] || industry;
+        return IndustryTaxonomy.getName(app.data.industryTaxonomy, industry);
     }
 
     /**
@@ -1335,6 +5653,134 @@ document.addEventListener('DOMContentLoaded', function() {
         return focuses[focus] || focus;
     }
 
+    /**
+     * Fill every market selector with the bundled countries and regions, grouped by continent
+     */
+    function populateMarketSelects() {
+        const groups = MarketGeography.getOrderedMarkets();
+        
+        document.querySelectorAll('[data-market-select]').forEach(select => {
+            groups.forEach(group => {
+                const optgroup = document.createElement('optgroup');
+                optgroup.label = group.region.name;
+                
+                group.markets.forEach(market => {
+                    const option = document.createElement('option');
+                    option.value = market.id;
+                    option.textContent = market.type === 'country' ? market.name : `All of ${market.name}`;
+                    optgroup.appendChild(option);
+                });
+                
+                select.appendChild(optgroup);
+            });
+        });
+    }
+
+    /**
+     * Read the markets chosen in a market selector
+     * @param {string} selectId - The ID of the select element
+     * @returns {Array} Market IDs
+     */
+    function getSelectedMarkets(selectId) {
+        return Array.from(document.getElementById(selectId).selectedOptions).map(option => option.value);
+    }
+
+    /**
+     * Choose markets in a market selector
+     * @param {string} selectId - The ID of the select element
+     * @param {Array} markets - Market IDs
+     */
+    function setSelectedMarkets(selectId, markets) {
+        document.querySelectorAll(`#${selectId} option`).forEach(option => {
+            option.selected = (markets || []).includes(option.value);
+        });
+    }
+
+    /**
+     * Name a list of markets, shortened when it is long
+     * @param {Array} markets - Market IDs
+     * @param {number} limit - Most names to show
+     * @returns {string} The market names
+     */
+    function summarizeMarkets(markets, limit = 3) {
+        const names = (markets || []).map(MarketGeography.getMarketName);
+        
+        return names.length > limit
+            ? `${names.slice(0, limit).join(', ')} and ${names.length - limit} more`
+            : names.join(', ');
+    }
+
+    /**
+     * Describe one side's geography for the comparison table, highlighting markets both sides cover
+     * @param {Object} profile - The profile to describe
+     * @param {Object} other - The profile it is compared with
+     * @returns {string} HTML with the geographic focus and market badges
+     */
+    function formatGeography(profile, other) {
+        const otherCountries = MarketGeography.expandMarkets(other.markets);
+        const markets = (profile.markets || []).map(market => {
+            const shared = MarketGeography.expandMarkets([market]).some(code => otherCountries.includes(code));
+            return `<span class="badge ${shared ? 'bg-primary' : 'bg-light text-dark'} me-1 mb-1">${escapeHtml(MarketGeography.getMarketName(market))}</span>`;
+        }).join('');
+        
+        return `${escapeHtml(getGeographicFocusName(profile.geographicFocus))}${markets ? `<br>${markets}` : ''}`;
+    }
+
+    /**
+     * Get the display name for a matching dimension
+     * @param {string} dimension - The dimension code
+     * @returns {string} The display name
+     */
+    function getDimensionName(dimension) {
+        const dimensions = {
+            'industry': 'Industry Alignment',
+            'values': 'Shared Values',
+            'objectives': 'Partnership Objectives',
+            'geography': 'Geographic Focus',
+            'companySize': 'Company Size',
+            'audience': 'Audience Fit',
+            'text': 'Description Similarity'
+        };
+        
+        return dimensions[dimension] || dimension;
+    }
+
+    /**
+     * Get the display name for an audience age range
+     * @param {string} age - The age range code
+     * @returns {string} The display name
+     */
+    function getAudienceAgeName(age) {
+        const ages = {
+            'under18': 'Under 18',
+            '18-24': '18-24',
+            '25-34': '25-34',
+            '35-44': '35-44',
+            '45-54': '45-54',
+            '55plus': '55+',
+            'all': 'All Ages'
+        };
+        
+        return ages[age] || age;
+    }
+
+    /**
+     * Get the display name for an audience income level
+     * @param {string} income - The income level code
+     * @returns {string} The display name
+     */
+    function getIncomeLevelName(income) {
+        const levels = {
+            'budget': 'Budget-conscious',
+            'middle': 'Middle income',
+            'affluent': 'Affluent',
+            'luxury': 'Luxury',
+            'all': 'All income levels'
+        };
+        
+        return levels[income] || income;
+    }
+
     /**
      * Get the display name for a value
      * @param {string} value - The value code
@@ -1359,6 +5805,78 @@ document.addEventListener('DOMContentLoaded', function() {
         return values[value] || value;
     }
 
+    /**
+     * Get the display name for a partnership objective
+     * @param {string} objective - The objective code
+     * @returns {string} The display name
+     */
+    function getObjectiveName(objective) {
+        const objectives = {
+            'audience': 'Audience Expansion',
+            'product': 'Product Development',
+            'content': 'Content Creation',
+            'credibility': 'Brand Credibility',
+            'sales': 'Sales Growth',
+            'innovation': 'Innovation'
+        };
+        
+        return objectives[objective] || objective;
+    }
+
+    /**
+     * Format the days remaining in a collaboration
+     * @param {number|null} daysRemaining - Days until the end date, or null if ongoing
+     * @returns {string} The formatted text
+     */
+    function formatDaysRemaining(daysRemaining) {
+        if (daysRemaining === null) return 'Ongoing';
+        if (daysRemaining < 0) return `Ended ${Math.abs(daysRemaining)} days ago`;
+        return `${daysRemaining} days remaining`;
+    }
+
+    /**
+     * Get the badge color for a collaboration progress status
+     * @param {string} status - The status from ProjectManager.calculateProgress
+     * @returns {string} The badge color class
+     */
+    function getProgressStatusColor(status) {
+        const colors = {
+            'On Track': 'success',
+            'Behind Schedule': 'warning',
+            'At Risk': 'danger'
+        };
+        
+        return colors[status] || 'secondary';
+    }
+
+    /**
+     * Get the Bootstrap color for a compatibility dimension score
+     * @param {number} score - The score from 0 to 100
+     * @returns {string} The color name
+     */
+    function getScoreColor(score) {
+        // Same thresholds PartnerMatcher uses for strengths and weaknesses
+        if (score >= 70) return 'success';
+        if (score >= 50) return 'warning';
+        return 'danger';
+    }
+
+    /**
+     * Get the display name for a task status
+     * @param {string} status - The task status code
+     * @returns {string} The display name
+     */
+    function getTaskStatusName(status) {
+        const statuses = {
+            'pending': 'Pending',
+            'in-progress': 'In Progress',
+            'completed': 'Completed',
+            'cancelled': 'Cancelled'
+        };
+        
+        return statuses[status] || status;
+    }
+
     /**
      * Get the display name for a metric type
      * @param {string} type - The metric type code
@@ -1454,4 +5972,53 @@ document.addEventListener('DOMContentLoaded', function() {
         
         return types[type] || type;
     }
+
+    /**
+     * Get the display name for an activity action
+     * @param {string} action - The action code
+     * @returns {string} The display name
+     */
+    function getActionName(action) {
+        const actions = {
+            'create': 'Created',
+            'update': 'Updated',
+            'delete': 'Deleted',
+            'archive': 'Archived',
+            'restore': 'Restored',
+            'import': 'Imported',
+            'export': 'Exported',
+            'search': 'Searched',
+            'other': 'Other'
+        };
+        
+        return actions[action] || action;
+    }
+
+    /**
+     * Get the display name for an activity entity type
+     * @param {string} type - The entity type code
+     * @returns {string} The display name
+     */
+    function getEntityTypeName(type) {
+        const types = {
+            'profile': 'Brand Profile',
+            'partner': 'Partner',
+            'collaboration': 'Collaboration',
+            'task': 'Task',
+            'milestone': 'Milestone',
+            'document': 'Document',
+            'note': 'Note',
+            'assessment': 'ROI Assessment',
+            'customMetric': 'Custom Metric',
+            'weightPreset': 'Weight Preset',
+            'savedSearch': 'Saved Search',
+            'matchingWeights': 'Matching Weights',
+            'deal': 'Pipeline Deal',
+            'pipelineStages': 'Pipeline Stages',
+            'industryTaxonomy': 'Industry Taxonomy',
+            'data': 'Data'
+        };
+        
+        return types[type] || type;
+    }
 });
\ No newline at end of file
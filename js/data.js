@@ -7,76 +7,650 @@ const DataManager = (function() {
     // Private variables
     const storageKey = 'strategicAllianceBuilder';
     
+    // Version of the stored data schema; bump it and add a migration whenever the schema changes
+    const SCHEMA_VERSION = 13;
+    
     /**
-     * Save data to localStorage
-     * @param {Object} data - The data to save
+     * Migrations that upgrade stored data, keyed by the version they upgrade to.
+     * Each receives the data at the previous version and the migrateData options,
+     * and returns the data at its own version.
      */
-    function saveData(data) {
-        try {
-            localStorage.setItem(storageKey, JSON.stringify(data));
-            return true;
-        } catch (error) {
-            console.error('Error saving data:', error);
-            return false;
+    const migrations = {
+        // 1: The collections and settings the first release expected
+        1: function(data) {
+            ['partners', 'collaborations', 'activities', 'customMetrics'].forEach(key => {
+                if (!Array.isArray(data[key])) data[key] = [];
+            });
+            
+            if (data.profile === undefined) data.profile = null;
+            
+            data.settings = {
+                theme: 'default',
+                fontSize: 'medium',
+                compactView: false,
+                ...(isPlainObject(data.settings) ? data.settings : {})
+            };
+            
+            return data;
+        },
+        
+        // 2: ROI assessments, and documents, notes and status on collaborations
+        2: function(data) {
+            if (!Array.isArray(data.assessments)) data.assessments = [];
+            if (!Array.isArray(data.collaborations)) data.collaborations = [];
+            
+            data.collaborations = data.collaborations.map(collaboration => ({
+                ...collaboration,
+                tasks: collaboration.tasks || [],
+                milestones: collaboration.milestones || [],
+                documents: collaboration.documents || [],
+                notes: collaboration.notes || [],
+                status: collaboration.status || 'active'
+            }));
+            
+            return data;
+        },
+        
+        // 3: Matching weights and the partner directory
+        3: function(data, options) {
+            if (!isPlainObject(data.settings)) data.settings = {};
+            if (!Array.isArray(data.partners)) data.partners = [];
+            if (data.settings.matchingWeights === undefined) data.settings.matchingWeights = null;
+            if (!Array.isArray(data.settings.weightPresets)) data.settings.weightPresets = [];
+            
+            // Before the directory, partners were never stored, so start these users with the samples
+            if (options.samplePartners && data.settings.partnersSeeded === undefined && data.partners.length === 0) {
+                data.partners = generateSamplePartners().map(partner => PartnerDirectory.createPartner(partner));
+            }
+            delete data.settings.partnersSeeded;
+            
+            return data;
+        },
+        
+        // 4: Structured activity history
+        4: function(data) {
+            if (!Array.isArray(data.activities)) data.activities = [];
+            if (!isPlainObject(data.settings)) data.settings = {};
+            
+            data.activities = data.activities.map(activity => ({
+                actor: null,
+                action: 'other',
+                entityType: null,
+                entityId: null,
+                collaborationId: null,
+                before: null,
+                after: null,
+                ...activity
+            }));
+            
+            if (data.settings.actorName === undefined) data.settings.actorName = null;
+            
+            return data;
+        },
+        
+        // 5: Target audience on partners
+        5: function(data) {
+            if (!Array.isArray(data.partners)) data.partners = [];
+            
+            // Sample partners get the audience they ship with now; other partners start empty
+            const samples = generateSamplePartners();
+            
+            data.partners = data.partners.map(partner => {
+                const sample = samples.find(s => s.id === partner.id && s.brandName === partner.brandName);
+                return {
+                    ...partner,
+                    audience: partner.audience || (sample ? sample.audience : { age: '', income: '', interests: [] })
+                };
+            });
+            
+            return data;
+        },
+        
+        // 6: Feedback on partner suggestions
+        6: function(data) {
+            if (!Array.isArray(data.feedback)) data.feedback = [];
+            if (!isPlainObject(data.settings)) data.settings = {};
+            if (data.settings.weightsBeforeLearning === undefined) data.settings.weightsBeforeLearning = null;
+            
+            return data;
+        },
+        
+        // 7: Dealbreaker constraints on the profile
+        7: function(data) {
+            if (isPlainObject(data.profile) && !isPlainObject(data.profile.constraints)) {
+                data.profile.constraints = {
+                    requiredValues: [],
+                    excludedIndustries: [],
+                    minimumScore: 0,
+                    maxSizeGap: null,
+                    minSharedObjectives: 0
+                };
+            }
+            
+            return data;
+        },
+        
+        // 8: Saved searches and in-app notifications
+        8: function(data) {
+            if (!Array.isArray(data.savedSearches)) data.savedSearches = [];
+            if (!Array.isArray(data.notifications)) data.notifications = [];
+            
+            return data;
+        },
+        
+        // 9: Partner pipeline
+        9: function(data) {
+            if (!Array.isArray(data.deals)) data.deals = [];
+            if (!isPlainObject(data.settings)) data.settings = {};
+            if (data.settings.pipelineStages === undefined) data.settings.pipelineStages = null;
+            
+            return data;
+        },
+        
+        // 10: Exclusivity terms on collaborations
+        10: function(data) {
+            if (!Array.isArray(data.collaborations)) data.collaborations = [];
+            data.collaborations.forEach(collaboration => {
+                if (collaboration.partnerId === undefined) collaboration.partnerId = null;
+                if (collaboration.exclusivity === undefined) collaboration.exclusivity = null;
+            });
+            if (!isPlainObject(data.settings)) data.settings = {};
+            if (!data.settings.conflictMode) data.settings.conflictMode = 'flag';
+            
+            return data;
+        },
+        
+        // 11: Editable industry taxonomy
+        11: function(data) {
+            if (!isPlainObject(data.industryTaxonomy)) data.industryTaxonomy = IndustryTaxonomy.getDefaultTaxonomy();
+            
+            return data;
+        },
+        
+        // 12: Markets (countries and regions) on the profile and partners
+        12: function(data) {
+            if (!Array.isArray(data.partners)) data.partners = [];
+            
+            if (isPlainObject(data.profile)) {
+                if (!Array.isArray(data.profile.markets)) data.profile.markets = [];
+                if (!Array.isArray(data.profile.targetMarkets)) data.profile.targetMarkets = [];
+            }
+            
+            // Sample partners get the markets they ship with now; other partners start empty
+            const samples = generateSamplePartners();
+            
+            data.partners = data.partners.map(partner => {
+                const sample = samples.find(s => s.id === partner.id && s.brandName === partner.brandName);
+                return {
+                    ...partner,
+                    markets: Array.isArray(partner.markets) ? partner.markets : (sample ? sample.markets : [])
+                };
+            });
+            
+            return data;
+        },
+        
+        // 13: Variety in the top search results
+        13: function(data) {
+            if (!isPlainObject(data.settings)) data.settings = {};
+            if (typeof data.settings.diversity !== 'number') data.settings.diversity = 0;
+            
+            return data;
         }
+    };
+    
+    /**
+     * Get the application data for a new user
+     * @returns {Object} Default application data at the current schema version
+     */
+    function getDefaultData() {
+        return {
+            profile: null,
+            partners: [],
+            collaborations: [],
+            activities: [],
+            assessments: [],
+            customMetrics: [],
+            feedback: [],
+            savedSearches: [],
+            notifications: [],
+            deals: [],
+            industryTaxonomy: IndustryTaxonomy.getDefaultTaxonomy(),
+            settings: {
+                theme: 'default',
+                fontSize: 'medium',
+                compactView: false,
+                matchingWeights: null,
+                weightPresets: [],
+                mutualRule: 'harmonic',
+                rankByMutual: false,
+                weightsBeforeLearning: null,
+                pipelineStages: null,
+                conflictMode: 'flag',
+                diversity: 0,
+                actorName: null
+            }
+        };
     }
     
     /**
-     * Load data from localStorage
-     * @returns {Object|null} The loaded data or null if no data is found
+     * Upgrade stored or imported data to the current schema version
+     * @param {Object} stored - A saved state ({version, initialized, data}), an export
+     *   ({schemaVersion, data}) or unversioned application data from an older export
+     * @param {Object} options - Optional settings
+     * @param {boolean} options.samplePartners - Give saves from before the partner directory the sample partners
+     * @param {number} options.version - Version to stop at, for checking single migrations; defaults to
+     *   the current version, and only then are missing collections and settings filled in
+     * @returns {Object|null} {version, initialized, data} at the current version, or null if the data can't be used
      */
-    function loadData() {
-        try {
-            const data = localStorage.getItem(storageKey);
-            return data ? JSON.parse(data) : null;
-        } catch (error) {
-            console.error('Error loading data:', error);
+    function migrateData(stored, options = {}) {
+        if (!isPlainObject(stored)) {
+            console.error('Invalid data for migration');
             return null;
         }
+        
+        // Older exports are the bare application data without any wrapper
+        const isWrapped = isPlainObject(stored.data);
+        const version = isWrapped ? (stored.version ?? stored.schemaVersion ?? 0) : 0;
+        
+        const target = options.version === undefined ? SCHEMA_VERSION : options.version;
+        
+        if (!isSupportedVersion(version) || !isSupportedVersion(target) || version > target) {
+            console.error(`Unsupported data version: ${version}`);
+            return null;
+        }
+        
+        // Work on a copy so a failed migration leaves the original untouched
+        let data = JSON.parse(JSON.stringify(isWrapped ? stored.data : stored));
+        
+        for (let v = version + 1; v <= target; v++) {
+            data = migrations[v](data, options);
+        }
+        
+        return {
+            version: target,
+            initialized: stored.initialized !== undefined ? Boolean(stored.initialized) : true,
+            // Defaults describe the current version, so only data migrated all the way gets them
+            data: target === SCHEMA_VERSION ? applyDefaults(data) : data
+        };
     }
     
     /**
-     * Clear all data from localStorage
-     * @returns {boolean} True if the operation was successful
+     * Check whether data at a version can be migrated
+     * @param {*} version - The stored or exported version
+     * @returns {boolean} True for whole numbers from 0 to SCHEMA_VERSION
+     */
+    function isSupportedVersion(version) {
+        return Number.isInteger(version) && version >= 0 && version <= SCHEMA_VERSION;
+    }
+    
+    /**
+     * Fill in any collections or settings missing from data at the current version
+     * @param {Object} data - Application data
+     * @returns {Object} The data with defaults applied
+     */
+    function applyDefaults(data) {
+        const defaults = getDefaultData();
+        
+        Object.keys(defaults).forEach(key => {
+            if (key === 'settings') {
+                data.settings = { ...defaults.settings, ...(isPlainObject(data.settings) ? data.settings : {}) };
+            } else if (Array.isArray(defaults[key]) && !Array.isArray(data[key])) {
+                data[key] = defaults[key];
+            } else if (data[key] === undefined) {
+                data[key] = defaults[key];
+            }
+        });
+        
+        return data;
+    }
+    
+    /**
+     * Check whether a value is a plain object
+     * @param {*} value - The value to check
+     * @returns {boolean} True for objects that are not arrays or null
+     */
+    function isPlainObject(value) {
+        return typeof value === 'object' && value !== null && !Array.isArray(value);
+    }
+    
+    // Collections that grow over time get their own IndexedDB object store;
+    // the profile, settings and other small collections are kept together in the meta store
+    const collectionStores = ['collaborations', 'partners', 'activities', 'assessments'];
+    const databaseVersion = 1;
+    
+    /**
+     * Storage backend that keeps everything as one JSON string under a localStorage key
+     */
+    const localStorageBackend = {
+        name: 'localStorage',
+        
+        load() {
+            return new Promise(resolve => {
+                const raw = localStorage.getItem(storageKey);
+                if (!raw) {
+                    resolve(null);
+                    return;
+                }
+                
+                try {
+                    resolve(JSON.parse(raw));
+                } catch (error) {
+                    console.error('Error reading saved data:', error);
+                    resolve({ unreadable: true, raw });
+                }
+            });
+        },
+        
+        save(envelope) {
+            return new Promise(resolve => {
+                localStorage.setItem(storageKey, JSON.stringify(envelope));
+                resolve();
+            });
+        },
+        
+        clear() {
+            return new Promise(resolve => {
+                localStorage.removeItem(storageKey);
+                resolve();
+            });
+        }
+    };
+    
+    /**
+     * Create the storage backend that keeps each large collection in its own IndexedDB object store
+     * @returns {Object} Backend with load, save and clear methods returning promises
+     */
+    function createIndexedDBBackend() {
+        let databasePromise = null;
+        
+        // JSON of each stored item by store and id, so a save only writes the items that changed.
+        // Null means the stores' contents are unknown and the next save rewrites them.
+        let savedItems = null;
+        
+        // Saves and clears run one after another, so each save compares against what the one before it wrote
+        let lastWrite = Promise.resolve();
+        
+        /**
+         * Run a write once the writes before it have settled
+         * @param {Function} write - Starts the write and returns a promise
+         * @returns {Promise} The write's promise
+         */
+        function queueWrite(write) {
+            const result = lastWrite.then(write, write);
+            lastWrite = result.catch(() => {});
+            return result;
+        }
+        
+        /**
+         * Open the database, creating the object stores on first use
+         * @returns {Promise} Resolves with the IDBDatabase
+         */
+        function openDatabase() {
+            if (!databasePromise) {
+                databasePromise = new Promise((resolve, reject) => {
+                    const request = indexedDB.open(storageKey, databaseVersion);
+                    
+                    request.onupgradeneeded = function() {
+                        const db = request.result;
+                        collectionStores.forEach(name => {
+                            if (!db.objectStoreNames.contains(name)) {
+                                db.createObjectStore(name, { keyPath: 'id' });
+                            }
+                        });
+                        if (!db.objectStoreNames.contains('meta')) {
+                            db.createObjectStore('meta');
+                        }
+                    };
+                    
+                    request.onsuccess = () => resolve(request.result);
+                    request.onerror = () => reject(request.error);
+                    request.onblocked = () => reject(new Error('The database is open in another tab with an older version.'));
+                });
+            }
+            
+            return databasePromise;
+        }
+        
+        /**
+         * Index the items of each collection by id
+         * @param {Object} data - Application data
+         * @returns {Object} A Map of id to item JSON for each collection store
+         */
+        function indexItems(data) {
+            const items = {};
+            collectionStores.forEach(name => {
+                items[name] = new Map((data[name] || []).map(item => [item.id, JSON.stringify(item)]));
+            });
+            return items;
+        }
+        
+        return {
+            name: 'IndexedDB',
+            
+            load() {
+                return openDatabase().then(db => new Promise((resolve, reject) => {
+                    const transaction = db.transaction(['meta', ...collectionStores], 'readonly');
+                    const results = {};
+                    
+                    transaction.objectStore('meta').get('state').onsuccess = function(e) {
+                        results.state = e.target.result;
+                    };
+                    collectionStores.forEach(name => {
+                        transaction.objectStore(name).getAll().onsuccess = function(e) {
+                            results[name] = e.target.result;
+                        };
+                    });
+                    
+                    transaction.oncomplete = function() {
+                        if (!results.state) {
+                            resolve(null);
+                            return;
+                        }
+                        
+                        // Object stores return items sorted by id, so restore the saved order
+                        const { version, initialized, data, order } = results.state;
+                        collectionStores.forEach(name => {
+                            const position = new Map((order?.[name] || []).map((id, index) => [id, index]));
+                            data[name] = results[name].sort((a, b) =>
+                                (position.get(a.id) ?? Infinity) - (position.get(b.id) ?? Infinity)
+                            );
+                        });
+                        
+                        savedItems = indexItems(data);
+                        resolve({ version, initialized, data });
+                    };
+                    transaction.onerror = () => reject(transaction.error);
+                }));
+            },
+            
+            save(envelope) {
+                // Take a snapshot now, since the app keeps changing its data while the transaction runs
+                const items = indexItems(envelope.data);
+                const state = {
+                    version: envelope.version,
+                    initialized: envelope.initialized,
+                    data: {},
+                    order: {}
+                };
+                Object.keys(envelope.data).forEach(key => {
+                    if (!collectionStores.includes(key)) state.data[key] = envelope.data[key];
+                });
+                collectionStores.forEach(name => {
+                    state.order[name] = Array.from(items[name].keys());
+                });
+                const stateJSON = JSON.stringify(state);
+                
+                return queueWrite(() => openDatabase().then(db => new Promise((resolve, reject) => {
+                    const transaction = db.transaction(['meta', ...collectionStores], 'readwrite');
+                    const previousItems = savedItems;
+                    
+                    transaction.objectStore('meta').put(JSON.parse(stateJSON), 'state');
+                    
+                    collectionStores.forEach(name => {
+                        const store = transaction.objectStore(name);
+                        const previous = previousItems ? previousItems[name] : null;
+                        
+                        if (!previous) store.clear();
+                        
+                        items[name].forEach((json, id) => {
+                            if (!previous || previous.get(id) !== json) store.put(JSON.parse(json));
+                        });
+                        
+                        if (previous) {
+                            previous.forEach((json, id) => {
+                                if (!items[name].has(id)) store.delete(id);
+                            });
+                        }
+                    });
+                    
+                    transaction.oncomplete = function() {
+                        savedItems = items;
+                        resolve();
+                    };
+                    
+                    // Quota errors abort the transaction
+                    transaction.onabort = function() {
+                        savedItems = null;
+                        reject(transaction.error || new Error('The save was aborted.'));
+                    };
+                })));
+            },
+            
+            clear() {
+                return queueWrite(() => openDatabase().then(db => new Promise((resolve, reject) => {
+                    const transaction = db.transaction(['meta', ...collectionStores], 'readwrite');
+                    ['meta', ...collectionStores].forEach(name => transaction.objectStore(name).clear());
+                    
+                    transaction.oncomplete = function() {
+                        savedItems = null;
+                        resolve();
+                    };
+                    transaction.onerror = () => reject(transaction.error);
+                })));
+            }
+        };
+    }
+    
+    // IndexedDB is used where the browser supports it; loadData falls back to localStorage if it fails to open
+    let storage = typeof indexedDB !== 'undefined' ? createIndexedDBBackend() : localStorageBackend;
+    
+    /**
+     * Get the name of the storage backend in use
+     * @returns {string} 'IndexedDB' or 'localStorage'
+     */
+    function getStorageType() {
+        return storage.name;
+    }
+    
+    /**
+     * Check whether an error means the browser's storage quota is full
+     * @param {Error} error - The error from a save
+     * @returns {boolean} True for quota errors
+     */
+    function isQuotaExceededError(error) {
+        return Boolean(error) && (
+            error.name === 'QuotaExceededError' ||
+            error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+            error.code === 22
+        );
+    }
+    
+    /**
+     * Save data to the storage backend
+     * @param {Object} data - The application data to save
+     * @param {boolean} initialized - Whether the user has completed first-time setup
+     * @returns {Promise} Resolves once saved; rejects with the storage error, e.g. a QuotaExceededError
+     */
+    function saveData(data, initialized = true) {
+        return storage.save({
+            version: SCHEMA_VERSION,
+            initialized,
+            data
+        }).catch(error => {
+            console.error('Error saving data:', error);
+            throw error;
+        });
+    }
+    
+    /**
+     * Load data from the storage backend, upgrading it to the current schema version.
+     * The first load with IndexedDB moves data saved by earlier versions out of localStorage.
+     * Data that can't be read, e.g. from a newer version, is left where it is; callers should not save
+     * over it, and can offer it for download with exportUnreadableData().
+     * @returns {Promise} Resolves with {version, initialized, data}; {unreadable: true, raw} with the stored
+     *   data as a string, or null as raw if it could not be read at all; or null if no data is saved
+     */
+    function loadData() {
+        let fromLocalStorage = false;
+        
+        return storage.load()
+            .catch(error => {
+                console.error('IndexedDB is unavailable, using localStorage instead:', error);
+                storage = localStorageBackend;
+                return storage.load();
+            })
+            .then(stored => {
+                if (stored || storage === localStorageBackend) return stored;
+                
+                fromLocalStorage = true;
+                return localStorageBackend.load();
+            })
+            .then(stored => {
+                if (!stored || stored.unreadable) return stored;
+                
+                const migrated = migrateData(stored, { samplePartners: true });
+                if (!migrated) {
+                    return { unreadable: true, raw: JSON.stringify(stored) };
+                }
+                
+                if (!fromLocalStorage) return migrated;
+                
+                // Only remove the old copy once it is safely in IndexedDB
+                return storage.save(migrated).then(() => {
+                    localStorage.removeItem(storageKey);
+                    return migrated;
+                }, error => {
+                    console.error('Error moving data to IndexedDB:', error);
+                    return migrated;
+                });
+            })
+            .catch(error => {
+                console.error('Error loading data:', error);
+                return { unreadable: true, raw: null };
+            });
+    }
+    
+    /**
+     * Clear all saved data
+     * @returns {Promise} Resolves once the data is cleared
      */
     function clearData() {
-        try {
-            localStorage.removeItem(storageKey);
-            return true;
-        } catch (error) {
+        const cleared = storage === localStorageBackend
+            ? storage.clear()
+            : Promise.all([storage.clear(), localStorageBackend.clear()]);
+        
+        return cleared.catch(error => {
             console.error('Error clearing data:', error);
-            return false;
-        }
+            throw error;
+        });
     }
     
     /**
      * Export data to a JSON file
-     * @param {Object} data - The data to export
+     * @param {Object} data - The application data to export
      * @param {string} filename - The name of the file
      */
     function exportData(data, filename) {
         try {
-            // Create a JSON string
-            const jsonString = JSON.stringify(data, null, 2);
+            // Record the schema version so imports can be migrated
+            const jsonString = JSON.stringify({
+                schemaVersion: SCHEMA_VERSION,
+                exportedAt: new Date().toISOString(),
+                data
+            }, null, 2);
             
-            // Create a Blob
-            const blob = new Blob([jsonString], {type: 'application/json'});
-            
-            // Create a download link
-            const url = URL.createObjectURL(blob);
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = filename || `strategic-alliance-builder-data-${new Date().toISOString().slice(0, 10)}.json`;
-            
-            // Trigger the download
-            document.body.appendChild(a);
-            a.click();
-            
-            // Clean up
-            setTimeout(() => {
-                document.body.removeChild(a);
-                URL.revokeObjectURL(url);
-            }, 0);
+            downloadJSON(jsonString, filename || `strategic-alliance-builder-data-${new Date().toISOString().slice(0, 10)}.json`);
             
             return true;
         } catch (error) {
@@ -85,6 +659,47 @@ const DataManager = (function() {
         }
     }
     
+    /**
+     * Download saved data that could not be loaded, exactly as it was stored
+     * @param {string} raw - The stored data as a string, from loadData()
+     * @returns {boolean} Whether the download started
+     */
+    function exportUnreadableData(raw) {
+        try {
+            downloadJSON(raw, `strategic-alliance-builder-unreadable-${new Date().toISOString().slice(0, 10)}.json`);
+            return true;
+        } catch (error) {
+            console.error('Error exporting unreadable data:', error);
+            return false;
+        }
+    }
+    
+    /**
+     * Download a JSON string as a file
+     * @param {string} jsonString - The file contents
+     * @param {string} filename - The name of the file
+     */
+    function downloadJSON(jsonString, filename) {
+        // Create a Blob
+        const blob = new Blob([jsonString], {type: 'application/json'});
+        
+        // Create a download link
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        
+        // Trigger the download
+        document.body.appendChild(a);
+        a.click();
+        
+        // Clean up
+        setTimeout(() => {
+            document.body.removeChild(a);
+            URL.revokeObjectURL(url);
+        }, 0);
+    }
+    
     /**
      * Import data from a JSON file
      * @param {File} file - The file to import
@@ -116,39 +731,513 @@ const DataManager = (function() {
     }
     
     /**
-     * Validate imported data
-     * @param {Object} data - The data to validate
-     * @returns {boolean} True if the data is valid
+     * Field rules for each entity that can be imported.
+     * A rule has a type ('string', 'number', 'boolean', 'date', 'object' or 'array'),
+     * and optionally required, nullable, oneOf, fields (for objects) and items (for arrays).
+     * Array items are either a type name or the name of another entity schema.
+     */
+    const entitySchemas = {
+        profile: {
+            brandName: { type: 'string', required: true },
+            industry: { type: 'string', required: true },
+            companySize: { type: 'string' },
+            geographicFocus: { type: 'string' },
+            markets: { type: 'array', items: 'string' },
+            targetMarkets: { type: 'array', items: 'string' },
+            brandDescription: { type: 'string' },
+            values: { type: 'array', items: 'string' },
+            audience: {
+                type: 'object',
+                fields: {
+                    age: { type: 'string' },
+                    income: { type: 'string' },
+                    interests: { type: 'array', items: 'string' }
+                }
+            },
+            partnership: {
+                type: 'object',
+                fields: {
+                    objectives: { type: 'array', items: 'string' },
+                    duration: { type: 'string' },
+                    experience: { type: 'string' }
+                }
+            },
+            constraints: {
+                type: 'object',
+                fields: {
+                    requiredValues: { type: 'array', items: 'string' },
+                    excludedIndustries: { type: 'array', items: 'string' },
+                    minimumScore: { type: 'number' },
+                    maxSizeGap: { type: 'number', nullable: true },
+                    minSharedObjectives: { type: 'number' }
+                }
+            }
+        },
+        partner: {
+            id: { type: 'string', required: true },
+            brandName: { type: 'string', required: true },
+            website: { type: 'string' },
+            industry: { type: 'string' },
+            companySize: { type: 'string' },
+            geographicFocus: { type: 'string' },
+            markets: { type: 'array', items: 'string' },
+            // Searches read the partner's lists without checking for them
+            values: { type: 'array', items: 'string', required: true },
+            audience: {
+                type: 'object',
+                fields: {
+                    age: { type: 'string' },
+                    income: { type: 'string' },
+                    interests: { type: 'array', items: 'string' }
+                }
+            },
+            partnership: { type: 'object', required: true, fields: { objectives: { type: 'array', items: 'string', required: true } } },
+            status: { type: 'string', oneOf: ['active', 'archived'] }
+        },
+        collaboration: {
+            id: { type: 'string', required: true },
+            name: { type: 'string', required: true },
+            partnerName: { type: 'string' },
+            partnerId: { type: 'string', nullable: true },
+            type: { type: 'string' },
+            description: { type: 'string' },
+            startDate: { type: 'date', nullable: true },
+            endDate: { type: 'date', nullable: true },
+            objectives: { type: 'array', items: 'string' },
+            exclusivity: {
+                type: 'object',
+                nullable: true,
+                fields: {
+                    category: { type: 'string', required: true },
+                    geography: { type: 'string', nullable: true },
+                    endDate: { type: 'date', nullable: true }
+                }
+            },
+            status: { type: 'string' },
+            tasks: { type: 'array', items: 'task' },
+            milestones: { type: 'array', items: 'milestone' },
+            documents: { type: 'array', items: 'document' },
+            notes: { type: 'array', items: 'note' }
+        },
+        task: {
+            id: { type: 'string', required: true },
+            title: { type: 'string', required: true },
+            description: { type: 'string' },
+            assignedTo: { type: 'string' },
+            dueDate: { type: 'date', nullable: true },
+            status: { type: 'string', oneOf: ['pending', 'in-progress', 'completed', 'cancelled'] },
+            priority: { type: 'string', oneOf: ['low', 'medium', 'high'] }
+        },
+        milestone: {
+            id: { type: 'string', required: true },
+            title: { type: 'string', required: true },
+            description: { type: 'string' },
+            dueDate: { type: 'date', nullable: true },
+            status: { type: 'string', oneOf: ['pending', 'completed', 'missed'] }
+        },
+        document: {
+            id: { type: 'string', required: true },
+            title: { type: 'string', required: true },
+            url: { type: 'string' },
+            fileType: { type: 'string' },
+            version: { type: 'string' }
+        },
+        note: {
+            id: { type: 'string', required: true },
+            title: { type: 'string', required: true },
+            content: { type: 'string' }
+        },
+        assessment: {
+            id: { type: 'string', required: true },
+            name: { type: 'string', required: true },
+            collaborationId: { type: 'string', nullable: true },
+            inputs: { type: 'object', required: true }
+        },
+        customMetric: {
+            id: { type: 'string', required: true },
+            name: { type: 'string', required: true },
+            description: { type: 'string' },
+            type: { type: 'string' },
+            frequency: { type: 'string' }
+        },
+        activity: {
+            id: { type: 'string', required: true },
+            description: { type: 'string', required: true },
+            timestamp: { type: 'string' },
+            actor: { type: 'string', nullable: true },
+            action: { type: 'string', oneOf: ['create', 'update', 'delete', 'archive', 'restore', 'import', 'export', 'search', 'other'] },
+            entityType: { type: 'string', nullable: true },
+            entityId: { type: 'string', nullable: true },
+            collaborationId: { type: 'string', nullable: true },
+            before: { type: 'object', nullable: true },
+            after: { type: 'object', nullable: true }
+        },
+        feedback: {
+            id: { type: 'string', required: true },
+            partnerId: { type: 'string', required: true },
+            rating: { type: 'number', required: true, oneOf: [1, -1] },
+            scores: { type: 'object', required: true },
+            createdAt: { type: 'string' }
+        },
+        savedSearch: {
+            id: { type: 'string', required: true },
+            name: { type: 'string', required: true },
+            filters: { type: 'object', required: true },
+            weights: { type: 'object', nullable: true },
+            mutualRule: { type: 'string', oneOf: ['min', 'harmonic', 'mean'] },
+            rankByMutual: { type: 'boolean' },
+            threshold: { type: 'number' },
+            results: { type: 'object' },
+            matchCount: { type: 'number' },
+            createdAt: { type: 'string' },
+            lastRunAt: { type: 'string', nullable: true }
+        },
+        notification: {
+            id: { type: 'string', required: true },
+            message: { type: 'string', required: true },
+            timestamp: { type: 'string' },
+            searchId: { type: 'string', nullable: true },
+            partnerIds: { type: 'array', items: 'string' },
+            read: { type: 'boolean' }
+        },
+        deal: {
+            id: { type: 'string', required: true },
+            partnerId: { type: 'string', required: true },
+            partnerName: { type: 'string', required: true },
+            stage: { type: 'string', required: true },
+            history: { type: 'array', items: 'dealHistory' },
+            collaborationId: { type: 'string', nullable: true },
+            createdAt: { type: 'string' },
+            updatedAt: { type: 'string' }
+        },
+        industryTaxonomy: {
+            industries: { type: 'array', items: 'industry' },
+            complementarity: { type: 'object' }
+        },
+        industry: {
+            id: { type: 'string', required: true },
+            name: { type: 'string', required: true },
+            naics: { type: 'string', nullable: true },
+            parent: { type: 'string', nullable: true }
+        },
+        dealHistory: {
+            stage: { type: 'string', required: true },
+            from: { type: 'string', nullable: true },
+            timestamp: { type: 'string', required: true }
+        },
+        settings: {
+            theme: { type: 'string' },
+            fontSize: { type: 'string', oneOf: ['small', 'medium', 'large'] },
+            compactView: { type: 'boolean' },
+            matchingWeights: { type: 'object', nullable: true },
+            weightPresets: { type: 'array' },
+            mutualRule: { type: 'string', oneOf: ['min', 'harmonic', 'mean'] },
+            rankByMutual: { type: 'boolean' },
+            weightsBeforeLearning: { type: 'object', nullable: true },
+            pipelineStages: { type: 'array', nullable: true },
+            conflictMode: { type: 'string', oneOf: ['flag', 'hide'] },
+            diversity: { type: 'number' },
+            actorName: { type: 'string', nullable: true }
+        }
+    };
+    
+    // Top-level collections and the entity schema of their items
+    const collectionSchemas = {
+        partners: 'partner',
+        collaborations: 'collaboration',
+        assessments: 'assessment',
+        customMetrics: 'customMetric',
+        activities: 'activity',
+        feedback: 'feedback',
+        savedSearches: 'savedSearch',
+        notifications: 'notification',
+        deals: 'deal'
+    };
+    
+    /**
+     * Validate imported data against the entity schemas
+     * @param {Object} data - The imported file contents: an export or older unwrapped application data
+     * @returns {Object} {valid, errors} where each error is {path, message}
      */
     function validateImportedData(data) {
-        // Check if the data has the expected structure
-        if (!data) return false;
+        const errors = [];
+        
+        if (!isPlainObject(data)) {
+            return { valid: false, errors: [{ path: '', message: 'File does not contain a JSON object' }] };
+        }
+        
+        // Exports are wrapped with a schema version; older exports are the bare application data
+        const appData = isPlainObject(data.data) ? data.data : data;
+        const version = isPlainObject(data.data) ? (data.version ?? data.schemaVersion ?? 0) : 0;
         
-        // Check for required properties
-        if (typeof data !== 'object') return false;
+        if (!isSupportedVersion(version)) {
+            errors.push({ path: 'schemaVersion', message: `Unsupported version ${version}; this application reads whole-number versions from 0 to ${SCHEMA_VERSION}` });
+        }
+        
+        if (appData.profile === undefined && !Array.isArray(appData.collaborations)) {
+            errors.push({ path: '', message: 'No profile or collaborations found' });
+        }
         
-        // Data structure can vary, but at minimum it should have initialized and data properties
-        if (data.initialized === undefined || !data.data) return false;
+        if (appData.profile !== undefined && appData.profile !== null) {
+            validateEntity(appData.profile, 'profile', 'profile', errors);
+        }
         
-        return true;
+        Object.keys(collectionSchemas).forEach(key => {
+            if (appData[key] === undefined) return;
+            validateValue(appData[key], { type: 'array', items: collectionSchemas[key] }, key, errors);
+            
+            // IDs must be unique for merging to work
+            if (Array.isArray(appData[key])) {
+                const seen = new Set();
+                appData[key].forEach((item, index) => {
+                    if (!isPlainObject(item) || item.id === undefined) return;
+                    if (seen.has(item.id)) {
+                        errors.push({ path: `${key}[${index}].id`, message: `Duplicate id "${item.id}"` });
+                    }
+                    seen.add(item.id);
+                });
+            }
+        });
+        
+        if (appData.settings !== undefined) {
+            validateEntity(appData.settings, 'settings', 'settings', errors);
+        }
+        
+        if (appData.industryTaxonomy !== undefined) {
+            validateEntity(appData.industryTaxonomy, 'industryTaxonomy', 'industryTaxonomy', errors);
+        }
+        
+        return { valid: errors.length === 0, errors };
     }
     
     /**
-     * Generate a sample partnership
-     * @param {Object} brandProfile - The brand profile to use for matching
-     * @returns {Object} A sample partnership
+     * Validate an object against an entity schema
+     * @param {*} value - The value to validate
+     * @param {string} schemaName - The key in entitySchemas
+     * @param {string} path - Path of the value, used in error messages
+     * @param {Array} errors - Errors are appended here
      */
-    function generateSamplePartnership(brandProfile) {
-        // Sample partner profiles for matching
-        const partnerProfiles = [
+    function validateEntity(value, schemaName, path, errors) {
+        validateValue(value, { type: 'object', fields: entitySchemas[schemaName] }, path, errors);
+    }
+    
+    /**
+     * Validate a value against a field rule
+     * @param {*} value - The value to validate
+     * @param {Object} rule - The field rule
+     * @param {string} path - Path of the value, used in error messages
+     * @param {Array} errors - Errors are appended here
+     */
+    function validateValue(value, rule, path, errors) {
+        if (value === null && rule.nullable) return;
+        
+        const typeChecks = {
+            string: v => typeof v === 'string',
+            number: v => typeof v === 'number' && !isNaN(v),
+            boolean: v => typeof v === 'boolean',
+            // Dates are optional in forms, so an empty string is allowed
+            date: v => typeof v === 'string' && (v === '' || !isNaN(Date.parse(v))),
+            object: isPlainObject,
+            array: Array.isArray
+        };
+        
+        if (!typeChecks[rule.type](value)) {
+            const expected = rule.type === 'date' ? 'a date (YYYY-MM-DD)' : `a${rule.type === 'array' || rule.type === 'object' ? 'n' : ''} ${rule.type}`;
+            errors.push({ path, message: `Expected ${expected}` });
+            return;
+        }
+        
+        if (rule.oneOf && !rule.oneOf.includes(value)) {
+            errors.push({ path, message: `Must be one of: ${rule.oneOf.join(', ')}` });
+        }
+        
+        if (rule.fields) {
+            Object.keys(rule.fields).forEach(field => {
+                const fieldRule = rule.fields[field];
+                const fieldPath = path ? `${path}.${field}` : field;
+                
+                if (value[field] === undefined) {
+                    if (fieldRule.required) {
+                        errors.push({ path: fieldPath, message: 'Required' });
+                    }
+                    return;
+                }
+                
+                if (fieldRule.required && fieldRule.type === 'string' && value[field].trim?.() === '') {
+                    errors.push({ path: fieldPath, message: 'Must not be empty' });
+                    return;
+                }
+                
+                validateValue(value[field], fieldRule, fieldPath, errors);
+            });
+        }
+        
+        if (rule.items) {
+            value.forEach((item, index) => {
+                const itemPath = `${path}[${index}]`;
+                if (entitySchemas[rule.items]) {
+                    validateEntity(item, rule.items, itemPath, errors);
+                } else {
+                    validateValue(item, { type: rule.items }, itemPath, errors);
+                }
+            });
+        }
+    }
+    
+    /**
+     * Combine imported data with the current data
+     * @param {Object} current - The current application data
+     * @param {Object} imported - Imported application data, already migrated
+     * @param {string} mode - 'replace' to discard the current data, 'merge' to update items
+     *   with matching ids and add the rest, or 'copy' to add every imported item with a new id
+     * @returns {Object} The resulting application data
+     */
+    function mergeImportedData(current, imported, mode) {
+        if (mode === 'replace') {
+            return JSON.parse(JSON.stringify(imported));
+        }
+        
+        const result = JSON.parse(JSON.stringify(current));
+        const incoming = JSON.parse(JSON.stringify(imported));
+        
+        if (mode === 'merge') {
+            Object.keys(collectionSchemas).forEach(key => {
+                incoming[key].forEach(item => {
+                    const index = result[key].findIndex(existing => existing.id === item.id);
+                    if (index >= 0) {
+                        result[key][index] = item;
+                    } else {
+                        result[key].push(item);
+                    }
+                });
+            });
+            
+            result.profile = incoming.profile || result.profile;
+            result.settings = { ...result.settings, ...incoming.settings };
+            result.industryTaxonomy = IndustryTaxonomy.mergeTaxonomies(result.industryTaxonomy, incoming.industryTaxonomy, true);
+            
+            return result;
+        }
+        
+        if (mode === 'copy') {
+            // Every copied item gets a new id, and references between copied items are pointed at the new ids
+            const newIds = {};
+            Object.keys(collectionSchemas).forEach(key => {
+                newIds[key] = {};
+                incoming[key].forEach(item => {
+                    newIds[key][item.id] = generateId();
+                });
+            });
+            
+            // Activities name the collection of the entity they record by its schema, e.g. 'deal'
+            const collectionsBySchema = {};
+            Object.keys(collectionSchemas).forEach(key => {
+                collectionsBySchema[collectionSchemas[key]] = key;
+            });
+            
+            const remap = (key, id) => newIds[key][id] || id;
+            
+            Object.keys(collectionSchemas).forEach(key => {
+                incoming[key].forEach(item => {
+                    const copy = { ...item, id: newIds[key][item.id] };
+                    if (item.collaborationId) copy.collaborationId = remap('collaborations', item.collaborationId);
+                    if (item.partnerId) copy.partnerId = remap('partners', item.partnerId);
+                    if (item.searchId) copy.searchId = remap('savedSearches', item.searchId);
+                    if (Array.isArray(item.partnerIds)) {
+                        copy.partnerIds = item.partnerIds.map(id => remap('partners', id));
+                    }
+                    if (key === 'activities' && item.entityId && collectionsBySchema[item.entityType]) {
+                        copy.entityId = remap(collectionsBySchema[item.entityType], item.entityId);
+                    }
+                    result[key].push(copy);
+                });
+            });
+            
+            // Copies never overwrite the current profile, settings or industries, but bring in new industries
+            result.profile = result.profile || incoming.profile;
+            result.industryTaxonomy = IndustryTaxonomy.mergeTaxonomies(result.industryTaxonomy, incoming.industryTaxonomy, false);
+            
+            return result;
+        }
+        
+        console.error(`Unknown import mode: ${mode}`);
+        return current;
+    }
+    
+    /**
+     * Describe what an import would change
+     * @param {Object} current - The current application data
+     * @param {Object} imported - Imported application data, already migrated
+     * @param {string} mode - 'replace', 'merge' or 'copy'
+     * @returns {Object} {profile, settings, industryTaxonomy, collections} where profile is 'added', 'replaced',
+     *   'removed' or 'unchanged', settings and industryTaxonomy are true if they change, and each collection lists
+     *   the names of the items added, updated and removed plus the number left unchanged
+     */
+    function previewImport(current, imported, mode) {
+        const result = mergeImportedData(current, imported, mode);
+        const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+        
+        let profile = 'unchanged';
+        if (!current.profile && result.profile) profile = 'added';
+        else if (current.profile && !result.profile) profile = 'removed';
+        else if (!same(current.profile, result.profile)) profile = 'replaced';
+        
+        const collections = {};
+        Object.keys(collectionSchemas).forEach(key => {
+            const before = new Map(current[key].map(item => [item.id, item]));
+            const after = new Map(result[key].map(item => [item.id, item]));
+            const diff = { added: [], updated: [], removed: [], unchanged: 0 };
+            
+            after.forEach((item, id) => {
+                if (!before.has(id)) diff.added.push(getItemLabel(item));
+                else if (!same(before.get(id), item)) diff.updated.push(getItemLabel(item));
+                else diff.unchanged++;
+            });
+            
+            before.forEach((item, id) => {
+                if (!after.has(id)) diff.removed.push(getItemLabel(item));
+            });
+            
+            collections[key] = diff;
+        });
+        
+        return {
+            profile,
+            settings: !same(current.settings, result.settings),
+            industryTaxonomy: !same(current.industryTaxonomy, result.industryTaxonomy),
+            collections
+        };
+    }
+    
+    /**
+     * Get a readable label for an item in a collection
+     * @param {Object} item - The item
+     * @returns {string} Its name, title or description
+     */
+    function getItemLabel(item) {
+        return item.name || item.brandName || item.title || item.description || item.message || item.id;
+    }
+    
+    /**
+     * Generate sample partner profiles
+     * @returns {Array} Sample partner profiles
+     */
+    function generateSamplePartners() {
+        return [
             {
                 id: 'partner1',
                 brandName: 'TechInnovate',
                 industry: 'technology',
                 companySize: 'large',
                 geographicFocus: 'global',
+                markets: ['northern-america', 'europe', 'eastern-asia', 'australia-new-zealand'],
                 brandDescription: 'A leading technology company focused on innovative solutions for businesses.',
                 values: ['innovation', 'quality', 'integrity'],
+                audience: {
+                    age: '25-34',
+                    income: 'affluent',
+                    interests: ['technology', 'business', 'gaming']
+                },
                 partnership: {
                     objectives: ['product', 'innovation']
                 }
@@ -159,8 +1248,14 @@ const DataManager = (function() {
                 industry: 'sports',
                 companySize: 'medium',
                 geographicFocus: 'national',
+                markets: ['US'],
                 brandDescription: 'Sports and fitness brand dedicated to promoting active lifestyles.',
                 values: ['community', 'excellence', 'authenticity'],
+                audience: {
+                    age: '18-24',
+                    income: 'middle',
+                    interests: ['sports', 'fitness', 'health']
+                },
                 partnership: {
                     objectives: ['audience', 'content']
                 }
@@ -171,8 +1266,14 @@ const DataManager = (function() {
                 industry: 'entertainment',
                 companySize: 'enterprise',
                 geographicFocus: 'international',
+                markets: ['US', 'CA', 'GB', 'DE', 'FR'],
                 brandDescription: 'Entertainment and media company providing streaming services.',
                 values: ['creativity', 'customer', 'diversity'],
+                audience: {
+                    age: '18-24',
+                    income: 'middle',
+                    interests: ['entertainment', 'music', 'gaming']
+                },
                 partnership: {
                     objectives: ['content', 'audience']
                 }
@@ -183,8 +1284,14 @@ const DataManager = (function() {
                 industry: 'retail',
                 companySize: 'small',
                 geographicFocus: 'regional',
+                markets: ['GB', 'IE'],
                 brandDescription: 'Sustainable consumer goods company with eco-friendly products.',
                 values: ['sustainability', 'social', 'integrity'],
+                audience: {
+                    age: '25-34',
+                    income: 'affluent',
+                    interests: ['sustainability', 'fashion', 'food']
+                },
                 partnership: {
                     objectives: ['credibility', 'sales']
                 }
@@ -195,8 +1302,14 @@ const DataManager = (function() {
                 industry: 'financial',
                 companySize: 'large',
                 geographicFocus: 'national',
+                markets: ['GB'],
                 brandDescription: 'Financial services company providing banking and investment solutions.',
                 values: ['integrity', 'excellence', 'customer'],
+                audience: {
+                    age: '35-44',
+                    income: 'affluent',
+                    interests: ['finance', 'business', 'travel']
+                },
                 partnership: {
                     objectives: ['credibility', 'audience']
                 }
@@ -207,13 +1320,29 @@ const DataManager = (function() {
                 industry: 'healthcare',
                 companySize: 'medium',
                 geographicFocus: 'national',
+                markets: ['US'],
                 brandDescription: 'Healthcare provider focused on accessible and quality care.',
                 values: ['quality', 'integrity', 'community'],
+                audience: {
+                    age: '45-54',
+                    income: 'middle',
+                    interests: ['health', 'fitness', 'family']
+                },
                 partnership: {
                     objectives: ['audience', 'credibility']
                 }
             }
         ];
+    }
+    
+    /**
+     * Generate a sample partnership
+     * @param {Object} brandProfile - The brand profile to use for matching
+     * @returns {Object} A sample partnership
+     */
+    function generateSamplePartnership(brandProfile) {
+        // Sample partner profiles for matching
+        const partnerProfiles = generateSamplePartners();
         
         // If no brand profile is provided, return a random partner
         if (!brandProfile) {
@@ -226,90 +1355,8 @@ const DataManager = (function() {
             return partner;
         }
         
-        // Calculate compatibility scores for each partner
-        const partnersWithScores = partnerProfiles.map(partner => {
-            const score = calculateCompatibilityScore(brandProfile, partner);
-            return {
-                ...partner,
-                compatibilityScore: score
-            };
-        });
-        
-        // Sort by compatibility score
-        partnersWithScores.sort((a, b) => b.compatibilityScore - a.compatibilityScore);
-        
-        return partnersWithScores;
-    }
-    
-    /**
-     * Calculate compatibility score between two brands
-     * @param {Object} brand1 - The first brand profile
-     * @param {Object} brand2 - The second brand profile
-     * @returns {number} Compatibility score (0-100)
-     */
-    function calculateCompatibilityScore(brand1, brand2) {
-        let score = 0;
-        
-        // Industry alignment (max 20 points)
-        if (brand1.industry === brand2.industry) {
-            score += 20;
-        } else {
-            // Some industries pair well together (e.g., sports and media)
-            const complementaryIndustries = {
-                'sports': ['entertainment', 'healthcare', 'retail'],
-                'entertainment': ['sports', 'technology', 'retail'],
-                'technology': ['entertainment', 'financial', 'healthcare'],
-                'retail': ['sports', 'entertainment'],
-                'financial': ['technology'],
-                'healthcare': ['sports', 'technology']
-            };
-            
-            if (complementaryIndustries[brand1.industry] && 
-                complementaryIndustries[brand1.industry].includes(brand2.industry)) {
-                score += 10;
-            }
-        }
-        
-        // Geographic focus alignment (max 15 points)
-        if (brand1.geographicFocus === brand2.geographicFocus) {
-            score += 15;
-        } else if (
-            (brand1.geographicFocus === 'global' && ['international', 'national'].includes(brand2.geographicFocus)) ||
-            (brand2.geographicFocus === 'global' && ['international', 'national'].includes(brand1.geographicFocus))
-        ) {
-            score += 10;
-        } else if (
-            (brand1.geographicFocus === 'international' && brand2.geographicFocus === 'national') ||
-            (brand2.geographicFocus === 'international' && brand1.geographicFocus === 'national')
-        ) {
-            score += 8;
-        }
-        
-        // Values alignment (max 25 points)
-        const sharedValues = brand1.values.filter(value => brand2.values.includes(value));
-        score += Math.min(25, sharedValues.length * 8);
-        
-        // Partnership objectives alignment (max 25 points)
-        const brand1Objectives = brand1.partnership.objectives;
-        const brand2Objectives = brand2.partnership.objectives;
-        
-        const sharedObjectives = brand1Objectives.filter(obj => brand2Objectives.includes(obj));
-        score += Math.min(25, sharedObjectives.length * 10);
-        
-        // Company size compatibility (max 15 points)
-        const sizeCompatibility = {
-            'startup': { 'startup': 15, 'small': 12, 'medium': 8, 'large': 5, 'enterprise': 3 },
-            'small': { 'startup': 12, 'small': 15, 'medium': 12, 'large': 8, 'enterprise': 5 },
-            'medium': { 'startup': 8, 'small': 12, 'medium': 15, 'large': 12, 'small': 8 },
-            'large': { 'startup': 5, 'small': 8, 'medium': 12, 'large': 15, 'enterprise': 12 },
-            'enterprise': { 'startup': 3, 'small': 5, 'medium': 8, 'large': 12, 'enterprise': 15 }
-        };
-        
-        if (sizeCompatibility[brand1.companySize] && sizeCompatibility[brand1.companySize][brand2.companySize]) {
-            score += sizeCompatibility[brand1.companySize][brand2.companySize];
-        }
-        
-        return Math.min(100, Math.max(0, score));
+        // Score every partner with the shared matching engine, best match first
+        return PartnerMatcher.findMostPromisingPartners(brandProfile, partnerProfiles, partnerProfiles.length);
     }
     
     /**
@@ -502,12 +1549,21 @@ const DataManager = (function() {
     
     // Return public methods
     return {
+        SCHEMA_VERSION,
+        getDefaultData,
+        migrateData,
+        getStorageType,
+        isQuotaExceededError,
         saveData,
         loadData,
         clearData,
         exportData,
+        exportUnreadableData,
         importData,
         validateImportedData,
+        previewImport,
+        mergeImportedData,
+        generateSamplePartners,
         generateSamplePartnership,
         generateSampleCollaborations,
         generateSampleResources,
@@ -0,0 +1,429 @@
+// Strategic Alliance Builder - Market Geography Module
+
+/**
+ * MarketGeography - Offline list of the countries and regions brands operate in
+ * Markets are identified by ISO country code (e.g. 'DE') or by region or sub-region ID (e.g. 'europe').
+ */
+const MarketGeography = (function() {
+    // Continents, following the UN M49 regions
+    const regions = [
+        { id: 'africa', name: 'Africa' },
+        { id: 'americas', name: 'Americas' },
+        { id: 'asia', name: 'Asia' },
+        { id: 'europe', name: 'Europe' },
+        { id: 'oceania', name: 'Oceania' }
+    ];
+    
+    // Sub-regions within each continent
+    const subregions = [
+        { id: 'northern-africa', name: 'Northern Africa', region: 'africa' },
+        { id: 'eastern-africa', name: 'Eastern Africa', region: 'africa' },
+        { id: 'middle-africa', name: 'Middle Africa', region: 'africa' },
+        { id: 'southern-africa', name: 'Southern Africa', region: 'africa' },
+        { id: 'western-africa', name: 'Western Africa', region: 'africa' },
+        { id: 'northern-america', name: 'Northern America', region: 'americas' },
+        { id: 'central-america', name: 'Central America', region: 'americas' },
+        { id: 'caribbean', name: 'Caribbean', region: 'americas' },
+        { id: 'south-america', name: 'South America', region: 'americas' },
+        { id: 'central-asia', name: 'Central Asia', region: 'asia' },
+        { id: 'eastern-asia', name: 'Eastern Asia', region: 'asia' },
+        { id: 'south-eastern-asia', name: 'South-Eastern Asia', region: 'asia' },
+        { id: 'southern-asia', name: 'Southern Asia', region: 'asia' },
+        { id: 'western-asia', name: 'Western Asia', region: 'asia' },
+        { id: 'eastern-europe', name: 'Eastern Europe', region: 'europe' },
+        { id: 'northern-europe', name: 'Northern Europe', region: 'europe' },
+        { id: 'southern-europe', name: 'Southern Europe', region: 'europe' },
+        { id: 'western-europe', name: 'Western Europe', region: 'europe' },
+        { id: 'australia-new-zealand', name: 'Australia and New Zealand', region: 'oceania' },
+        { id: 'melanesia', name: 'Melanesia', region: 'oceania' },
+        { id: 'micronesia', name: 'Micronesia', region: 'oceania' },
+        { id: 'polynesia', name: 'Polynesia', region: 'oceania' }
+    ];
+    
+    // Countries and territories by ISO 3166-1 alpha-2 code
+    const countries = [
+        { code: 'DZ', name: 'Algeria', subregion: 'northern-africa' },
+        { code: 'EG', name: 'Egypt', subregion: 'northern-africa' },
+        { code: 'LY', name: 'Libya', subregion: 'northern-africa' },
+        { code: 'MA', name: 'Morocco', subregion: 'northern-africa' },
+        { code: 'SD', name: 'Sudan', subregion: 'northern-africa' },
+        { code: 'TN', name: 'Tunisia', subregion: 'northern-africa' },
+        { code: 'BI', name: 'Burundi', subregion: 'eastern-africa' },
+        { code: 'DJ', name: 'Djibouti', subregion: 'eastern-africa' },
+        { code: 'ER', name: 'Eritrea', subregion: 'eastern-africa' },
+        { code: 'ET', name: 'Ethiopia', subregion: 'eastern-africa' },
+        { code: 'KE', name: 'Kenya', subregion: 'eastern-africa' },
+        { code: 'KM', name: 'Comoros', subregion: 'eastern-africa' },
+        { code: 'MG', name: 'Madagascar', subregion: 'eastern-africa' },
+        { code: 'MU', name: 'Mauritius', subregion: 'eastern-africa' },
+        { code: 'MW', name: 'Malawi', subregion: 'eastern-africa' },
+        { code: 'MZ', name: 'Mozambique', subregion: 'eastern-africa' },
+        { code: 'RW', name: 'Rwanda', subregion: 'eastern-africa' },
+        { code: 'SC', name: 'Seychelles', subregion: 'eastern-africa' },
+        { code: 'SO', name: 'Somalia', subregion: 'eastern-africa' },
+        { code: 'SS', name: 'South Sudan', subregion: 'eastern-africa' },
+        { code: 'TZ', name: 'Tanzania', subregion: 'eastern-africa' },
+        { code: 'UG', name: 'Uganda', subregion: 'eastern-africa' },
+        { code: 'ZM', name: 'Zambia', subregion: 'eastern-africa' },
+        { code: 'ZW', name: 'Zimbabwe', subregion: 'eastern-africa' },
+        { code: 'AO', name: 'Angola', subregion: 'middle-africa' },
+        { code: 'CD', name: 'DR Congo', subregion: 'middle-africa' },
+        { code: 'CF', name: 'Central African Republic', subregion: 'middle-africa' },
+        { code: 'CG', name: 'Congo', subregion: 'middle-africa' },
+        { code: 'CM', name: 'Cameroon', subregion: 'middle-africa' },
+        { code: 'GA', name: 'Gabon', subregion: 'middle-africa' },
+        { code: 'GQ', name: 'Equatorial Guinea', subregion: 'middle-africa' },
+        { code: 'ST', name: 'São Tomé and Príncipe', subregion: 'middle-africa' },
+        { code: 'TD', name: 'Chad', subregion: 'middle-africa' },
+        { code: 'BW', name: 'Botswana', subregion: 'southern-africa' },
+        { code: 'LS', name: 'Lesotho', subregion: 'southern-africa' },
+        { code: 'NA', name: 'Namibia', subregion: 'southern-africa' },
+        { code: 'SZ', name: 'Eswatini', subregion: 'southern-africa' },
+        { code: 'ZA', name: 'South Africa', subregion: 'southern-africa' },
+        { code: 'BF', name: 'Burkina Faso', subregion: 'western-africa' },
+        { code: 'BJ', name: 'Benin', subregion: 'western-africa' },
+        { code: 'CI', name: 'Côte d\'Ivoire', subregion: 'western-africa' },
+        { code: 'CV', name: 'Cabo Verde', subregion: 'western-africa' },
+        { code: 'GH', name: 'Ghana', subregion: 'western-africa' },
+        { code: 'GM', name: 'Gambia', subregion: 'western-africa' },
+        { code: 'GN', name: 'Guinea', subregion: 'western-africa' },
+        { code: 'GW', name: 'Guinea-Bissau', subregion: 'western-africa' },
+        { code: 'LR', name: 'Liberia', subregion: 'western-africa' },
+        { code: 'ML', name: 'Mali', subregion: 'western-africa' },
+        { code: 'MR', name: 'Mauritania', subregion: 'western-africa' },
+        { code: 'NE', name: 'Niger', subregion: 'western-africa' },
+        { code: 'NG', name: 'Nigeria', subregion: 'western-africa' },
+        { code: 'SL', name: 'Sierra Leone', subregion: 'western-africa' },
+        { code: 'SN', name: 'Senegal', subregion: 'western-africa' },
+        { code: 'TG', name: 'Togo', subregion: 'western-africa' },
+        { code: 'BM', name: 'Bermuda', subregion: 'northern-america' },
+        { code: 'CA', name: 'Canada', subregion: 'northern-america' },
+        { code: 'GL', name: 'Greenland', subregion: 'northern-america' },
+        { code: 'US', name: 'United States', subregion: 'northern-america' },
+        { code: 'BZ', name: 'Belize', subregion: 'central-america' },
+        { code: 'CR', name: 'Costa Rica', subregion: 'central-america' },
+        { code: 'GT', name: 'Guatemala', subregion: 'central-america' },
+        { code: 'HN', name: 'Honduras', subregion: 'central-america' },
+        { code: 'MX', name: 'Mexico', subregion: 'central-america' },
+        { code: 'NI', name: 'Nicaragua', subregion: 'central-america' },
+        { code: 'PA', name: 'Panama', subregion: 'central-america' },
+        { code: 'SV', name: 'El Salvador', subregion: 'central-america' },
+        { code: 'AG', name: 'Antigua and Barbuda', subregion: 'caribbean' },
+        { code: 'BB', name: 'Barbados', subregion: 'caribbean' },
+        { code: 'BS', name: 'Bahamas', subregion: 'caribbean' },
+        { code: 'CU', name: 'Cuba', subregion: 'caribbean' },
+        { code: 'DM', name: 'Dominica', subregion: 'caribbean' },
+        { code: 'DO', name: 'Dominican Republic', subregion: 'caribbean' },
+        { code: 'GD', name: 'Grenada', subregion: 'caribbean' },
+        { code: 'HT', name: 'Haiti', subregion: 'caribbean' },
+        { code: 'JM', name: 'Jamaica', subregion: 'caribbean' },
+        { code: 'KN', name: 'Saint Kitts and Nevis', subregion: 'caribbean' },
+        { code: 'LC', name: 'Saint Lucia', subregion: 'caribbean' },
+        { code: 'PR', name: 'Puerto Rico', subregion: 'caribbean' },
+        { code: 'TT', name: 'Trinidad and Tobago', subregion: 'caribbean' },
+        { code: 'VC', name: 'Saint Vincent and the Grenadines', subregion: 'caribbean' },
+        { code: 'AR', name: 'Argentina', subregion: 'south-america' },
+        { code: 'BO', name: 'Bolivia', subregion: 'south-america' },
+        { code: 'BR', name: 'Brazil', subregion: 'south-america' },
+        { code: 'CL', name: 'Chile', subregion: 'south-america' },
+        { code: 'CO', name: 'Colombia', subregion: 'south-america' },
+        { code: 'EC', name: 'Ecuador', subregion: 'south-america' },
+        { code: 'GY', name: 'Guyana', subregion: 'south-america' },
+        { code: 'PE', name: 'Peru', subregion: 'south-america' },
+        { code: 'PY', name: 'Paraguay', subregion: 'south-america' },
+        { code: 'SR', name: 'Suriname', subregion: 'south-america' },
+        { code: 'UY', name: 'Uruguay', subregion: 'south-america' },
+        { code: 'VE', name: 'Venezuela', subregion: 'south-america' },
+        { code: 'KG', name: 'Kyrgyzstan', subregion: 'central-asia' },
+        { code: 'KZ', name: 'Kazakhstan', subregion: 'central-asia' },
+        { code: 'TJ', name: 'Tajikistan', subregion: 'central-asia' },
+        { code: 'TM', name: 'Turkmenistan', subregion: 'central-asia' },
+        { code: 'UZ', name: 'Uzbekistan', subregion: 'central-asia' },
+        { code: 'CN', name: 'China', subregion: 'eastern-asia' },
+        { code: 'HK', name: 'Hong Kong', subregion: 'eastern-asia' },
+        { code: 'JP', name: 'Japan', subregion: 'eastern-asia' },
+        { code: 'KP', name: 'North Korea', subregion: 'eastern-asia' },
+        { code: 'KR', name: 'South Korea', subregion: 'eastern-asia' },
+        { code: 'MN', name: 'Mongolia', subregion: 'eastern-asia' },
+        { code: 'MO', name: 'Macao', subregion: 'eastern-asia' },
+        { code: 'TW', name: 'Taiwan', subregion: 'eastern-asia' },
+        { code: 'BN', name: 'Brunei', subregion: 'south-eastern-asia' },
+        { code: 'ID', name: 'Indonesia', subregion: 'south-eastern-asia' },
+        { code: 'KH', name: 'Cambodia', subregion: 'south-eastern-asia' },
+        { code: 'LA', name: 'Laos', subregion: 'south-eastern-asia' },
+        { code: 'MM', name: 'Myanmar', subregion: 'south-eastern-asia' },
+        { code: 'MY', name: 'Malaysia', subregion: 'south-eastern-asia' },
+        { code: 'PH', name: 'Philippines', subregion: 'south-eastern-asia' },
+        { code: 'SG', name: 'Singapore', subregion: 'south-eastern-asia' },
+        { code: 'TH', name: 'Thailand', subregion: 'south-eastern-asia' },
+        { code: 'TL', name: 'Timor-Leste', subregion: 'south-eastern-asia' },
+        { code: 'VN', name: 'Vietnam', subregion: 'south-eastern-asia' },
+        { code: 'AF', name: 'Afghanistan', subregion: 'southern-asia' },
+        { code: 'BD', name: 'Bangladesh', subregion: 'southern-asia' },
+        { code: 'BT', name: 'Bhutan', subregion: 'southern-asia' },
+        { code: 'IN', name: 'India', subregion: 'southern-asia' },
+        { code: 'IR', name: 'Iran', subregion: 'southern-asia' },
+        { code: 'LK', name: 'Sri Lanka', subregion: 'southern-asia' },
+        { code: 'MV', name: 'Maldives', subregion: 'southern-asia' },
+        { code: 'NP', name: 'Nepal', subregion: 'southern-asia' },
+        { code: 'PK', name: 'Pakistan', subregion: 'southern-asia' },
+        { code: 'AE', name: 'United Arab Emirates', subregion: 'western-asia' },
+        { code: 'AM', name: 'Armenia', subregion: 'western-asia' },
+        { code: 'AZ', name: 'Azerbaijan', subregion: 'western-asia' },
+        { code: 'BH', name: 'Bahrain', subregion: 'western-asia' },
+        { code: 'CY', name: 'Cyprus', subregion: 'western-asia' },
+        { code: 'GE', name: 'Georgia', subregion: 'western-asia' },
+        { code: 'IL', name: 'Israel', subregion: 'western-asia' },
+        { code: 'IQ', name: 'Iraq', subregion: 'western-asia' },
+        { code: 'JO', name: 'Jordan', subregion: 'western-asia' },
+        { code: 'KW', name: 'Kuwait', subregion: 'western-asia' },
+        { code: 'LB', name: 'Lebanon', subregion: 'western-asia' },
+        { code: 'OM', name: 'Oman', subregion: 'western-asia' },
+        { code: 'PS', name: 'Palestine', subregion: 'western-asia' },
+        { code: 'QA', name: 'Qatar', subregion: 'western-asia' },
+        { code: 'SA', name: 'Saudi Arabia', subregion: 'western-asia' },
+        { code: 'SY', name: 'Syria', subregion: 'western-asia' },
+        { code: 'TR', name: 'Türkiye', subregion: 'western-asia' },
+        { code: 'YE', name: 'Yemen', subregion: 'western-asia' },
+        { code: 'BG', name: 'Bulgaria', subregion: 'eastern-europe' },
+        { code: 'BY', name: 'Belarus', subregion: 'eastern-europe' },
+        { code: 'CZ', name: 'Czechia', subregion: 'eastern-europe' },
+        { code: 'HU', name: 'Hungary', subregion: 'eastern-europe' },
+        { code: 'MD', name: 'Moldova', subregion: 'eastern-europe' },
+        { code: 'PL', name: 'Poland', subregion: 'eastern-europe' },
+        { code: 'RO', name: 'Romania', subregion: 'eastern-europe' },
+        { code: 'RU', name: 'Russia', subregion: 'eastern-europe' },
+        { code: 'SK', name: 'Slovakia', subregion: 'eastern-europe' },
+        { code: 'UA', name: 'Ukraine', subregion: 'eastern-europe' },
+        { code: 'DK', name: 'Denmark', subregion: 'northern-europe' },
+        { code: 'EE', name: 'Estonia', subregion: 'northern-europe' },
+        { code: 'FI', name: 'Finland', subregion: 'northern-europe' },
+        { code: 'GB', name: 'United Kingdom', subregion: 'northern-europe' },
+        { code: 'IE', name: 'Ireland', subregion: 'northern-europe' },
+        { code: 'IS', name: 'Iceland', subregion: 'northern-europe' },
+        { code: 'LT', name: 'Lithuania', subregion: 'northern-europe' },
+        { code: 'LV', name: 'Latvia', subregion: 'northern-europe' },
+        { code: 'NO', name: 'Norway', subregion: 'northern-europe' },
+        { code: 'SE', name: 'Sweden', subregion: 'northern-europe' },
+        { code: 'AD', name: 'Andorra', subregion: 'southern-europe' },
+        { code: 'AL', name: 'Albania', subregion: 'southern-europe' },
+        { code: 'BA', name: 'Bosnia and Herzegovina', subregion: 'southern-europe' },
+        { code: 'ES', name: 'Spain', subregion: 'southern-europe' },
+        { code: 'GR', name: 'Greece', subregion: 'southern-europe' },
+        { code: 'HR', name: 'Croatia', subregion: 'southern-europe' },
+        { code: 'IT', name: 'Italy', subregion: 'southern-europe' },
+        { code: 'ME', name: 'Montenegro', subregion: 'southern-europe' },
+        { code: 'MK', name: 'North Macedonia', subregion: 'southern-europe' },
+        { code: 'MT', name: 'Malta', subregion: 'southern-europe' },
+        { code: 'PT', name: 'Portugal', subregion: 'southern-europe' },
+        { code: 'RS', name: 'Serbia', subregion: 'southern-europe' },
+        { code: 'SI', name: 'Slovenia', subregion: 'southern-europe' },
+        { code: 'SM', name: 'San Marino', subregion: 'southern-europe' },
+        { code: 'VA', name: 'Vatican City', subregion: 'southern-europe' },
+        { code: 'AT', name: 'Austria', subregion: 'western-europe' },
+        { code: 'BE', name: 'Belgium', subregion: 'western-europe' },
+        { code: 'CH', name: 'Switzerland', subregion: 'western-europe' },
+        { code: 'DE', name: 'Germany', subregion: 'western-europe' },
+        { code: 'FR', name: 'France', subregion: 'western-europe' },
+        { code: 'LI', name: 'Liechtenstein', subregion: 'western-europe' },
+        { code: 'LU', name: 'Luxembourg', subregion: 'western-europe' },
+        { code: 'MC', name: 'Monaco', subregion: 'western-europe' },
+        { code: 'NL', name: 'Netherlands', subregion: 'western-europe' },
+        { code: 'AU', name: 'Australia', subregion: 'australia-new-zealand' },
+        { code: 'NZ', name: 'New Zealand', subregion: 'australia-new-zealand' },
+        { code: 'FJ', name: 'Fiji', subregion: 'melanesia' },
+        { code: 'NC', name: 'New Caledonia', subregion: 'melanesia' },
+        { code: 'PG', name: 'Papua New Guinea', subregion: 'melanesia' },
+        { code: 'SB', name: 'Solomon Islands', subregion: 'melanesia' },
+        { code: 'VU', name: 'Vanuatu', subregion: 'melanesia' },
+        { code: 'FM', name: 'Micronesia (Federated States)', subregion: 'micronesia' },
+        { code: 'GU', name: 'Guam', subregion: 'micronesia' },
+        { code: 'KI', name: 'Kiribati', subregion: 'micronesia' },
+        { code: 'MH', name: 'Marshall Islands', subregion: 'micronesia' },
+        { code: 'NR', name: 'Nauru', subregion: 'micronesia' },
+        { code: 'PW', name: 'Palau', subregion: 'micronesia' },
+        { code: 'PF', name: 'French Polynesia', subregion: 'polynesia' },
+        { code: 'TO', name: 'Tonga', subregion: 'polynesia' },
+        { code: 'TV', name: 'Tuvalu', subregion: 'polynesia' },
+        { code: 'WS', name: 'Samoa', subregion: 'polynesia' }
+    ];
+    
+    // Country codes covered by each list of markets, keyed by the joined market IDs
+    const expansionCache = new Map();
+    
+    /**
+     * Get the continents
+     * @returns {Array} Regions as {id, name}
+     */
+    function getRegions() {
+        return regions.map(region => ({ ...region }));
+    }
+    
+    /**
+     * Get the sub-regions
+     * @returns {Array} Sub-regions as {id, name, region}
+     */
+    function getSubregions() {
+        return subregions.map(subregion => ({ ...subregion }));
+    }
+    
+    /**
+     * Get the countries
+     * @returns {Array} Countries as {code, name, subregion, region}
+     */
+    function getCountries() {
+        return countries.map(country => ({ ...country, region: getSubregionById(country.subregion).region }));
+    }
+    
+    /**
+     * Find a market
+     * @param {string} marketId - A country code, or a region or sub-region ID
+     * @returns {Object|null} {id, name, type} where type is 'country', 'subregion' or 'region'
+     */
+    function getMarket(marketId) {
+        const country = countries.find(c => c.code === marketId);
+        if (country) return { id: country.code, name: country.name, type: 'country' };
+        
+        const subregion = getSubregionById(marketId);
+        if (subregion) return { id: subregion.id, name: subregion.name, type: 'subregion' };
+        
+        const region = regions.find(r => r.id === marketId);
+        if (region) return { id: region.id, name: region.name, type: 'region' };
+        
+        return null;
+    }
+    
+    /**
+     * Get the display name of a market
+     * @param {string} marketId - A country code, or a region or sub-region ID
+     * @returns {string} The name, or the ID if the market is unknown
+     */
+    function getMarketName(marketId) {
+        const market = getMarket(marketId);
+        return market ? market.name : marketId;
+    }
+    
+    /**
+     * List the markets by continent, for pickers
+     * @returns {Array} {region, markets} for each continent, where markets lists the continent itself,
+     *   then its sub-regions and countries, as {id, name, type}
+     */
+    function getOrderedMarkets() {
+        const byName = (a, b) => a.name.localeCompare(b.name);
+        
+        return regions.map(region => {
+            const regionSubregions = subregions.filter(subregion => subregion.region === region.id);
+            const regionCountries = countries.filter(country => regionSubregions.some(subregion => subregion.id === country.subregion));
+            
+            return {
+                region: { ...region },
+                markets: [
+                    { id: region.id, name: region.name, type: 'region' },
+                    ...regionSubregions.map(subregion => ({ id: subregion.id, name: subregion.name, type: 'subregion' })).sort(byName),
+                    ...regionCountries.map(country => ({ id: country.code, name: country.name, type: 'country' })).sort(byName)
+                ]
+            };
+        });
+    }
+    
+    /**
+     * Get the countries a list of markets covers
+     * @param {Array} marketIds - Country codes, and region or sub-region IDs
+     * @returns {Array} Country codes, without duplicates; unknown markets are ignored
+     */
+    function expandMarkets(marketIds) {
+        if (!Array.isArray(marketIds) || marketIds.length === 0) return [];
+        
+        const key = marketIds.join('|');
+        
+        if (!expansionCache.has(key)) {
+            const codes = new Set();
+            
+            marketIds.forEach(marketId => {
+                countries
+                    .filter(country => country.code === marketId || country.subregion === marketId ||
+                        getSubregionById(country.subregion).region === marketId)
+                    .forEach(country => codes.add(country.code));
+            });
+            
+            expansionCache.set(key, Array.from(codes));
+        }
+        
+        return expansionCache.get(key).slice();
+    }
+    
+    /**
+     * Get the sub-region of a country
+     * @param {string} countryCode - The country code
+     * @returns {string|null} The sub-region ID
+     */
+    function getSubregion(countryCode) {
+        const country = countries.find(c => c.code === countryCode);
+        return country ? country.subregion : null;
+    }
+    
+    /**
+     * Get the continent of a country
+     * @param {string} countryCode - The country code
+     * @returns {string|null} The region ID
+     */
+    function getRegion(countryCode) {
+        const subregion = getSubregionById(getSubregion(countryCode));
+        return subregion ? subregion.region : null;
+    }
+    
+    /**
+     * Find the market named by an imported value
+     * @param {string} value - A country code, a region or sub-region ID, or a name in any case
+     * @returns {string|null} The market ID, or null if nothing matches
+     */
+    function resolveMarket(value) {
+        const text = String(value || '').trim();
+        
+        if (!text) return null;
+        
+        if (getMarket(text.toUpperCase())?.type === 'country') return text.toUpperCase();
+        if (getMarket(text.toLowerCase())) return text.toLowerCase();
+        
+        const name = text.toLowerCase();
+        const country = countries.find(c => c.name.toLowerCase() === name);
+        if (country) return country.code;
+        
+        const area = [...subregions, ...regions].find(a => a.name.toLowerCase() === name);
+        return area ? area.id : null;
+    }
+    
+    /**
+     * Turn a list of market codes or names into known market IDs
+     * @param {Array} values - Market codes or names
+     * @returns {Array} Market IDs without duplicates, leaving out values that match no market
+     */
+    function normalizeMarkets(values) {
+        const ids = (Array.isArray(values) ? values : []).map(resolveMarket).filter(Boolean);
+        return Array.from(new Set(ids));
+    }
+    
+    /**
+     * Find a sub-region by ID
+     * @param {string} subregionId - The sub-region ID
+     * @returns {Object|undefined} The sub-region
+     */
+    function getSubregionById(subregionId) {
+        return subregions.find(subregion => subregion.id === subregionId);
+    }
+    
+    // Return public methods
+    return {
+        getRegions,
+        getSubregions,
+        getCountries,
+        getMarket,
+        getMarketName,
+        getOrderedMarkets,
+        expandMarkets,
+        getSubregion,
+        getRegion,
+        resolveMarket,
+        normalizeMarkets
+    };
+})();
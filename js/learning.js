@@ -0,0 +1,142 @@
+// Strategic Alliance Builder - Weight Learning Module
+
+/**
+ * WeightLearner - Proposes matching weights from the user's feedback on partner suggestions
+ */
+const WeightLearner = (function() {
+    // Training settings for the logistic regression
+    const defaults = {
+        minimumFeedback: 5,      // Feedback needed before weights are proposed
+        iterations: 500,
+        learningRate: 0.5,
+        regularization: 2,       // Pull towards the current weights; it weakens as feedback grows, so a little feedback moves them a little
+        scale: 5                 // Current weights are multiplied by this to start the coefficients
+    };
+    
+    /**
+     * Create a feedback record
+     * @param {string} partnerId - The partner the feedback is about
+     * @param {number} rating - 1 for a good suggestion, -1 for not relevant
+     * @param {Object} scores - Dimension scores (0-1) shown when the feedback was given
+     * @returns {Object} The feedback record
+     */
+    function createFeedback(partnerId, rating, scores) {
+        if (!partnerId || (rating !== 1 && rating !== -1)) {
+            console.error('Invalid feedback');
+            return null;
+        }
+        
+        return {
+            id: generateId(),
+            partnerId,
+            rating,
+            scores: { ...scores },
+            createdAt: new Date().toISOString()
+        };
+    }
+    
+    /**
+     * Propose matching weights that better separate liked and disliked partners
+     * Fits a logistic regression of the rating on the dimension scores, starting from and
+     * regularized towards the current weights, then turns the positive coefficients into weights.
+     * @param {Array} feedback - Feedback records from createFeedback
+     * @param {Object} currentWeights - Normalized weights keyed by dimension
+     * @param {Object} options - Optional training settings overriding the defaults
+     * @returns {Object} {weights, changes, feedbackCount, accuracy} or {error} if no proposal can be made
+     */
+    function proposeWeights(feedback, currentWeights, options = {}) {
+        const settings = { ...defaults, ...options };
+        const dimensions = Object.keys(currentWeights || {});
+        const records = (feedback || []).filter(record => record && record.scores);
+        
+        if (records.length < settings.minimumFeedback) {
+            return { error: `At least ${settings.minimumFeedback} ratings are needed; there are ${records.length}.` };
+        }
+        
+        if (!records.some(record => record.rating === 1) || !records.some(record => record.rating === -1)) {
+            return { error: 'Rate at least one suggestion as good and one as not relevant.' };
+        }
+        
+        const samples = records.map(record => ({
+            features: dimensions.map(dimension => record.scores[dimension] || 0),
+            label: record.rating === 1 ? 1 : 0
+        }));
+        
+        // Start from the current weights
+        const prior = dimensions.map(dimension => currentWeights[dimension] * settings.scale);
+        const coefficients = [...prior];
+        let bias = -settings.scale / 2;
+        
+        for (let iteration = 0; iteration < settings.iterations; iteration++) {
+            const gradient = dimensions.map(() => 0);
+            let biasGradient = 0;
+            
+            samples.forEach(sample => {
+                const error = predict(sample.features, coefficients, bias) - sample.label;
+                sample.features.forEach((value, index) => {
+                    gradient[index] += error * value;
+                });
+                biasGradient += error;
+            });
+            
+            coefficients.forEach((coefficient, index) => {
+                const penalty = settings.regularization * (coefficient - prior[index]);
+                coefficients[index] -= settings.learningRate * (gradient[index] + penalty) / samples.length;
+            });
+            bias -= settings.learningRate * biasGradient / samples.length;
+        }
+        
+        // Dimensions that make a partner less likely to be liked get no weight
+        const positive = coefficients.map(coefficient => Math.max(coefficient, 0));
+        const total = positive.reduce((sum, value) => sum + value, 0);
+        
+        if (total === 0) {
+            return { error: 'The feedback does not point to any dimension that makes a partner a good suggestion.' };
+        }
+        
+        const weights = {};
+        const changes = {};
+        dimensions.forEach((dimension, index) => {
+            weights[dimension] = positive[index] / total;
+            changes[dimension] = weights[dimension] - currentWeights[dimension];
+        });
+        
+        // Share of the feedback the fitted model agrees with
+        const correct = samples.filter(sample =>
+            (predict(sample.features, coefficients, bias) >= 0.5 ? 1 : 0) === sample.label
+        ).length;
+        
+        return {
+            weights,
+            changes,
+            feedbackCount: records.length,
+            accuracy: correct / samples.length
+        };
+    }
+    
+    /**
+     * Predict the probability that a partner is a good suggestion
+     * @param {Array} features - Dimension scores
+     * @param {Array} coefficients - Coefficient for each dimension
+     * @param {number} bias - The intercept
+     * @returns {number} Probability (0-1)
+     */
+    function predict(features, coefficients, bias) {
+        const z = features.reduce((sum, value, index) => sum + value * coefficients[index], bias);
+        return 1 / (1 + Math.exp(-z));
+    }
+    
+    /**
+     * Generate a unique ID
+     * @returns {string} A unique ID
+     */
+    function generateId() {
+        return Date.now().toString(36) + Math.random().toString(36).substr(2, 5);
+    }
+    
+    // Return public methods
+    return {
+        createFeedback,
+        proposeWeights
+    };
+})();
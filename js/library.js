@@ -16,9 +16,10 @@ const ResourceLibrary = (function() {
      * Filter resources based on criteria
      * @param {Array} resources - Resources to filter
      * @param {Object} filters - Filter criteria
+     * @param {Object} taxonomy - Industry taxonomy, so an industry filter includes its sub-industries
      * @returns {Array} Filtered resources
      */
-    function filterResources(resources, filters) {
+    function filterResources(resources, filters, taxonomy = IndustryTaxonomy.getDefaultTaxonomy()) {
         if (!Array.isArray(resources) || resources.length === 0) {
             return [];
         }
@@ -30,7 +31,8 @@ const ResourceLibrary = (function() {
             }
             
             // Filter by industry
-            if (filters.industry && filters.industry !== 'all' && resource.industry !== filters.industry) {
+            if (filters.industry && filters.industry !== 'all' &&
+                !IndustryTaxonomy.isWithin(taxonomy, resource.industry, filters.industry)) {
                 return false;
             }
             
@@ -224,9 +226,10 @@ const ResourceLibrary = (function() {
     
     /**
      * Get sample resource categories
+     * @param {Object} taxonomy - Industry taxonomy the industries are listed from
      * @returns {Object} Resource categories
      */
-    function getResourceCategories() {
+    function getResourceCategories(taxonomy = IndustryTaxonomy.getDefaultTaxonomy()) {
         return {
             types: [
                 { id: 'all', name: 'All Resources' },
@@ -236,16 +239,11 @@ const ResourceLibrary = (function() {
             ],
             industries: [
                 { id: 'all', name: 'All Industries' },
-                { id: 'sports', name: 'Sports & Recreation' },
-                { id: 'entertainment', name: 'Entertainment & Media' },
-                { id: 'technology', name: 'Technology' },
-                { id: 'retail', name: 'Retail & Consumer Goods' },
-                { id: 'financial', name: 'Financial Services' },
-                { id: 'healthcare', name: 'Healthcare' },
-                { id: 'education', name: 'Education' },
-                { id: 'food', name: 'Food & Beverage' },
-                { id: 'automotive', name: 'Automotive' },
-                { id: 'other', name: 'Other' }
+                ...IndustryTaxonomy.getOrderedIndustries(taxonomy).map(industry => ({
+                    id: industry.id,
+                    name: industry.name,
+                    depth: industry.depth
+                }))
             ],
             partnershipTypes: [
                 { id: 'all', name: 'All Types' },
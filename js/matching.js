@@ -6,54 +6,485 @@
 const PartnerMatcher = (function() {
     // Matching criteria weights
     const weights = {
-        industry: 0.20,      // 20% weight for industry alignment
-        values: 0.25,        // 25% weight for shared values
-        objectives: 0.25,    // 25% weight for partnership objectives
+        industry: 0.15,      // 15% weight for industry alignment
+        values: 0.20,        // 20% weight for shared values
+        objectives: 0.20,    // 20% weight for partnership objectives
         geography: 0.15,     // 15% weight for geographic focus
-        companySize: 0.15    // 15% weight for company size compatibility
+        companySize: 0.10,   // 10% weight for company size compatibility
+        audience: 0.20,      // 20% weight for target audience fit
+        text: 0              // Description similarity is off unless the user weights it
     };
     
+    // Document frequencies for description similarity, from setTextCorpus()
+    let textIndex = null;
+    
+    // Industries and complementarity strengths; see setIndustryTaxonomy
+    let industryTaxonomy = IndustryTaxonomy.getDefaultTaxonomy();
+    
+    // Built-in weight presets
+    const weightPresets = [
+        {
+            id: 'balanced',
+            name: 'Balanced',
+            weights: { ...weights }
+        },
+        {
+            id: 'market-expansion',
+            name: 'Market expansion',
+            weights: { industry: 0.10, values: 0.10, objectives: 0.20, geography: 0.25, companySize: 0.10, audience: 0.25 }
+        },
+        {
+            id: 'brand-values',
+            name: 'Brand values first',
+            weights: { industry: 0.10, values: 0.40, objectives: 0.20, geography: 0.05, companySize: 0.05, audience: 0.20 }
+        },
+        {
+            id: 'innovation',
+            name: 'Cross-industry innovation',
+            weights: { industry: 0.30, values: 0.15, objectives: 0.25, geography: 0.10, companySize: 0.10, audience: 0.10 }
+        }
+    ];
+    
+    // Ways to combine the two perspectives into a mutual-fit score (scores are 0-100)
+    const mutualRules = {
+        min: (score1, score2) => Math.min(score1, score2),
+        harmonic: (score1, score2) => score1 + score2 === 0 ? 0 : (2 * score1 * score2) / (score1 + score2),
+        mean: (score1, score2) => (score1 + score2) / 2
+    };
+    
+    const defaultMutualRule = 'harmonic';
+    
+    // Dealbreakers that remove partners before ranking; all are off by default
+    const defaultConstraints = {
+        requiredValues: [],        // Values the partner must hold (all of them)
+        excludedIndustries: [],    // Industries never to suggest
+        minimumScore: 0,           // Lowest compatibility score (0-100) to suggest
+        maxSizeGap: null,          // Most company-size steps apart, or null for no limit
+        minSharedObjectives: 0     // Partnership objectives the partner must share
+    };
+    
+    // Scoring rules for each dimension (all scores are 0-1)
+    const scoringRules = {
+        industry: {
+            sameIndustry: 1.0,     // Direct industry match
+            sameSector: 0.85,      // Sub-industries of the same top-level industry
+            other: 0.3             // Any other combination; complementary pairs take their strength from the taxonomy
+        },
+        geography: {
+            // Closeness of two countries, used when both sides list the markets they operate in
+            markets: {
+                sameCountry: 1.0,
+                sameSubregion: 0.5,    // e.g. France and Germany
+                sameRegion: 0.2        // Same continent
+            },
+            // Geographic focus matrix, used when either side has no markets
+            default: 0.3,
+            order: ['local', 'regional', 'national', 'international', 'global'],   // Narrowest first, for reach
+            matrix: {
+                'local': {'local': 1.0, 'regional': 0.8, 'national': 0.4, 'international': 0.2, 'global': 0.1},
+                'regional': {'local': 0.8, 'regional': 1.0, 'national': 0.7, 'international': 0.3, 'global': 0.2},
+                'national': {'local': 0.4, 'regional': 0.7, 'national': 1.0, 'international': 0.7, 'global': 0.5},
+                'international': {'local': 0.2, 'regional': 0.3, 'national': 0.7, 'international': 1.0, 'global': 0.8},
+                'global': {'local': 0.1, 'regional': 0.2, 'national': 0.5, 'international': 0.8, 'global': 1.0}
+            }
+        },
+        companySize: {
+            default: 0.5,
+            order: ['startup', 'small', 'medium', 'large', 'enterprise'],   // Smallest first, for size gaps
+            matrix: {
+                'startup': {'startup': 1.0, 'small': 0.9, 'medium': 0.6, 'large': 0.4, 'enterprise': 0.2},
+                'small': {'startup': 0.9, 'small': 1.0, 'medium': 0.8, 'large': 0.5, 'enterprise': 0.3},
+                'medium': {'startup': 0.6, 'small': 0.8, 'medium': 1.0, 'large': 0.8, 'enterprise': 0.6},
+                'large': {'startup': 0.4, 'small': 0.5, 'medium': 0.8, 'large': 1.0, 'enterprise': 0.9},
+                'enterprise': {'startup': 0.2, 'small': 0.3, 'medium': 0.6, 'large': 0.9, 'enterprise': 1.0}
+            }
+        },
+        audience: {
+            // Ordered so neighbouring bands and tiers are adjacent
+            ageBands: ['under18', '18-24', '25-34', '35-44', '45-54', '55plus'],
+            incomeTiers: ['budget', 'middle', 'affluent', 'luxury'],
+            adjacency: [1.0, 0.6, 0.25],   // Score by how many bands or tiers apart; further apart scores 0
+            broad: 0.7,                    // One side targets all ages or all income levels
+            components: {                  // Share of the audience score from each part
+                age: 0.4,
+                income: 0.3,
+                interests: 0.3
+            }
+        },
+        consortium: {
+            components: {          // Share of a group's cohesion score from each part
+                pairwise: 0.6,     // Average compatibility of every pair in the group, including the brand
+                objectives: 0.25,  // Share of the brand's objectives that at least one partner shares
+                geography: 0.15    // How far the widest geographic focus in the group reaches
+            },
+            beamWidth: 40          // Partial groups kept at each step of the search
+        },
+        diversity: {
+            candidates: 5,         // Partners considered per pick: the best limit × candidates
+            industry: {
+                same: 1.0,         // Two partners in the same industry
+                sameSector: 0.5    // Sub-industries of the same top-level industry
+            },
+            weights: {             // Share of the similarity of two partners from each part
+                industry: 0.5,
+                companySize: 0.25,
+                geography: 0.25
+            }
+        }
+    };
+    
+    /**
+     * Get a copy of the scoring rules
+     * @returns {Object} Scoring rules for the industry, geography, company size and audience dimensions,
+     *   and for consortium cohesion
+     */
+    function getScoringRules() {
+        return JSON.parse(JSON.stringify(scoringRules));
+    }
+    
+    /**
+     * Replace parts of the scoring rules
+     * @param {Object} rules - Rules to apply, keyed by dimension (industry, geography, companySize, audience)
+     *   or consortium
+     */
+    function setScoringRules(rules) {
+        if (!rules) return;
+        
+        Object.keys(rules).forEach(dimension => {
+            if (scoringRules[dimension]) {
+                scoringRules[dimension] = { ...scoringRules[dimension], ...rules[dimension] };
+            }
+        });
+    }
+    
+    /**
+     * Set the profiles that description similarity is measured against
+     * Terms that appear in many of these profiles count for less.
+     * @param {Array} profiles - Brand and partner profiles, usually the user's profile and partner directory
+     */
+    function setTextCorpus(profiles) {
+        textIndex = TextSimilarity.createIndex((profiles || []).map(getProfileText));
+    }
+    
+    /**
+     * Set the industry taxonomy used for industry scores, filters and dealbreakers
+     * @param {Object} taxonomy - The taxonomy from IndustryTaxonomy; the default taxonomy is used if missing
+     */
+    function setIndustryTaxonomy(taxonomy) {
+        industryTaxonomy = taxonomy || IndustryTaxonomy.getDefaultTaxonomy();
+    }
+    
+    /**
+     * Get the industry taxonomy in use
+     * @returns {Object} The taxonomy set with setIndustryTaxonomy, or the default taxonomy
+     */
+    function getIndustryTaxonomy() {
+        return industryTaxonomy;
+    }
+    
+    /**
+     * Get the free text of a profile used for description similarity
+     * @param {Object} profile - Brand or partner profile
+     * @returns {string} The brand description and audience interests
+     */
+    function getProfileText(profile) {
+        return [profile.brandDescription || '', ...(profile.audience?.interests || [])].join(' ');
+    }
+    
+    /**
+     * Get a copy of the default matching weights
+     * @returns {Object} Weights keyed by dimension
+     */
+    function getDefaultWeights() {
+        return { ...weights };
+    }
+    
+    /**
+     * Get the built-in weight presets
+     * @returns {Array} Presets with id, name and weights
+     */
+    function getWeightPresets() {
+        return weightPresets.map(preset => ({ ...preset, weights: { ...preset.weights } }));
+    }
+    
+    /**
+     * Normalize weights so they sum to 1.0
+     * @param {Object} customWeights - Weights keyed by dimension (any non-negative scale)
+     * @returns {Object} Normalized weights for every dimension
+     */
+    function normalizeWeights(customWeights) {
+        if (!customWeights) {
+            return getDefaultWeights();
+        }
+        
+        const normalized = {};
+        let total = 0;
+        
+        // Missing or invalid dimensions count as zero
+        Object.keys(weights).forEach(dimension => {
+            const value = parseFloat(customWeights[dimension]);
+            normalized[dimension] = isFinite(value) && value > 0 ? value : 0;
+            total += normalized[dimension];
+        });
+        
+        // Fall back to the defaults if every weight is zero
+        if (total === 0) {
+            return getDefaultWeights();
+        }
+        
+        Object.keys(normalized).forEach(dimension => {
+            normalized[dimension] = normalized[dimension] / total;
+        });
+        
+        return normalized;
+    }
+    
+    /**
+     * Resolve the weights to use for a calculation
+     * @param {Object} options - Calculation options
+     * @returns {Object} Normalized weights
+     */
+    function resolveWeights(options) {
+        return options && options.weights ? normalizeWeights(options.weights) : weights;
+    }
+    
     /**
      * Calculate compatibility score between two brand profiles
      * @param {Object} brand1 - First brand profile
      * @param {Object} brand2 - Second brand profile
+     * @param {Object} options - Optional settings
+     * @param {Object} options.weights - Weights to use instead of the defaults
      * @returns {number} Compatibility score (0-100)
      */
-    function calculateCompatibilityScore(brand1, brand2) {
+    function calculateCompatibilityScore(brand1, brand2, options = {}) {
         if (!brand1 || !brand2) {
             console.error('Invalid brand profiles for compatibility calculation');
             return 0;
         }
         
-        let totalScore = 0;
+        const activeWeights = resolveWeights(options);
+        
+        return combineDimensionScores(calculateDimensionScores(brand1, brand2, false, activeWeights), activeWeights);
+    }
+    
+    /**
+     * Get the unweighted score for each dimension
+     * Used to record what a partner scored when the user rates a suggestion.
+     * @param {Object} brand1 - First brand profile
+     * @param {Object} brand2 - Second brand profile
+     * @returns {Object} Scores (0-1) keyed by weight dimension
+     */
+    function getDimensionScores(brand1, brand2) {
+        if (!brand1 || !brand2) {
+            console.error('Invalid brand profiles for dimension scores');
+            return null;
+        }
         
-        // Calculate industry alignment score
-        const industryScore = calculateIndustryScore(brand1.industry, brand2.industry);
-        totalScore += industryScore * weights.industry;
+        return calculateDimensionScores(brand1, brand2);
+    }
+    
+    /**
+     * Calculate how well one brand meets the other's needs
+     * Unlike calculateCompatibilityScore, shared values, objectives and audience interests
+     * count against everything the first brand listed, so the result depends on direction.
+     * @param {Object} brand - The brand whose perspective is scored
+     * @param {Object} partner - The brand being considered as a partner
+     * @param {Object} options - Optional settings
+     * @param {Object} options.weights - Weights to use instead of the defaults
+     * @returns {number} Score from the brand's perspective (0-100)
+     */
+    function calculatePerspectiveScore(brand, partner, options = {}) {
+        if (!brand || !partner) {
+            console.error('Invalid brand profiles for perspective calculation');
+            return 0;
+        }
         
-        // Calculate values alignment score
-        const valuesScore = calculateValuesScore(brand1.values, brand2.values);
-        totalScore += valuesScore * weights.values;
+        const activeWeights = resolveWeights(options);
         
-        // Calculate partnership objectives alignment score
-        const objectivesScore = calculateObjectivesScore(
-            brand1.partnership?.objectives || [], 
-            brand2.partnership?.objectives || []
-        );
-        totalScore += objectivesScore * weights.objectives;
+        return combineDimensionScores(calculateDimensionScores(brand, partner, true, activeWeights), activeWeights);
+    }
+    
+    /**
+     * Calculate the mutual fit of two brands from both perspectives
+     * @param {Object} brand - Brand profile
+     * @param {Object} partner - Partner profile
+     * @param {Object} options - Optional settings
+     * @param {Object} options.weights - Weights to use instead of the defaults
+     * @param {string} options.mutualRule - How to combine the perspectives: 'min', 'harmonic' or 'mean'
+     * @returns {Object} {brandScore, partnerScore, mutualScore, rule} with scores 0-100
+     */
+    function calculateMutualScore(brand, partner, options = {}) {
+        const rule = mutualRules[options.mutualRule] ? options.mutualRule : defaultMutualRule;
+        const brandScore = calculatePerspectiveScore(brand, partner, options);
+        const partnerScore = calculatePerspectiveScore(partner, brand, options);
         
-        // Calculate geographic focus alignment score
-        const geographyScore = calculateGeographyScore(brand1.geographicFocus, brand2.geographicFocus);
-        totalScore += geographyScore * weights.geography;
+        return {
+            brandScore,
+            partnerScore,
+            mutualScore: Math.round(mutualRules[rule](brandScore, partnerScore)),
+            rule
+        };
+    }
+    
+    /**
+     * Explain how a compatibility score is made up
+     * @param {Object} brand - Brand profile
+     * @param {Object} partner - Partner profile
+     * @param {Object} options - Optional settings
+     * @param {Object} options.weights - Weights to use instead of the defaults
+     * @returns {Object} {score, lines} where each line is {dimension, weight, rawScore, points, facts}:
+     *   weight and rawScore are 0-1, points is weight × rawScore × 100, and facts holds the
+     *   profile data behind the raw score
+     */
+    function explainScore(brand, partner, options = {}) {
+        if (!brand || !partner) {
+            console.error('Invalid brand profiles for score explanation');
+            return null;
+        }
+        
+        const activeWeights = resolveWeights(options);
+        const scores = calculateDimensionScores(brand, partner);
+        const brandObjectives = brand.partnership?.objectives || [];
+        const partnerObjectives = partner.partnership?.objectives || [];
+        
+        const facts = {
+            industry: {
+                brand: brand.industry,
+                partner: partner.industry,
+                match: getIndustryMatch(brand.industry, partner.industry)
+            },
+            values: {
+                shared: (brand.values || []).filter(value => (partner.values || []).includes(value)),
+                compared: Math.min((brand.values || []).length, (partner.values || []).length)
+            },
+            objectives: {
+                shared: brandObjectives.filter(objective => partnerObjectives.includes(objective)),
+                compared: Math.min(brandObjectives.length, partnerObjectives.length)
+            },
+            geography: { brand: brand.geographicFocus, partner: partner.geographicFocus, markets: compareMarkets(brand, partner) },
+            companySize: { brand: brand.companySize, partner: partner.companySize },
+            audience: explainAudience(brand.audience, partner.audience),
+            text: { terms: compareProfileText(brand, partner).terms.map(term => term.term) }
+        };
+        
+        const lines = Object.keys(activeWeights).map(dimension => ({
+            dimension,
+            weight: activeWeights[dimension],
+            rawScore: scores[dimension],
+            points: activeWeights[dimension] * scores[dimension] * 100,
+            facts: facts[dimension]
+        }));
+        
+        return {
+            score: calculateCompatibilityScore(brand, partner, options),
+            lines
+        };
+    }
+    
+    /**
+     * Describe the parts of an audience score
+     * @param {Object} audience1 - Brand audience
+     * @param {Object} audience2 - Partner audience
+     * @returns {Object} {age, income, interests} with the values compared and each part's score (null if not compared)
+     */
+    function explainAudience(audience1, audience2) {
+        const rules = scoringRules.audience;
+        const brandAudience = audience1 || {};
+        const partnerAudience = audience2 || {};
+        const brandInterests = (brandAudience.interests || []).map(interest => String(interest).trim().toLowerCase());
+        
+        return {
+            age: {
+                brand: brandAudience.age,
+                partner: partnerAudience.age,
+                score: calculateBandScore(rules.ageBands, brandAudience.age, partnerAudience.age)
+            },
+            income: {
+                brand: brandAudience.income,
+                partner: partnerAudience.income,
+                score: calculateBandScore(rules.incomeTiers, brandAudience.income, partnerAudience.income)
+            },
+            interests: {
+                shared: (partnerAudience.interests || []).filter(interest => brandInterests.includes(String(interest).trim().toLowerCase())),
+                score: calculateInterestsScore(brandAudience.interests, partnerAudience.interests)
+            }
+        };
+    }
+    
+    /**
+     * Get the names of the rules for combining perspectives into a mutual-fit score
+     * @returns {Array} Rule names
+     */
+    function getMutualRules() {
+        return Object.keys(mutualRules);
+    }
+    
+    /**
+     * Calculate the score for each dimension
+     * @param {Object} brand1 - First brand profile
+     * @param {Object} brand2 - Second brand profile
+     * @param {boolean} directional - Score shared items against everything brand1 listed
+     * @param {Object} activeWeights - The normalized weights the scores will be combined with, if any;
+     *   description similarity is not measured when it has no weight, and scores 0
+     * @returns {Object} Scores (0-1) keyed by weight dimension
+     */
+    function calculateDimensionScores(brand1, brand2, directional = false, activeWeights = null) {
+        return {
+            // Industry alignment
+            industry: calculateIndustryScore(brand1.industry, brand2.industry),
+            // Values alignment
+            values: calculateValuesScore(brand1.values, brand2.values, directional),
+            // Partnership objectives alignment
+            objectives: calculateObjectivesScore(
+                brand1.partnership?.objectives || [],
+                brand2.partnership?.objectives || [],
+                directional
+            ),
+            // Geographic focus alignment, with brand1's target markets when directional
+            geography: calculateGeographyScore(brand1, brand2, directional),
+            // Company size compatibility
+            companySize: calculateSizeScore(brand1.companySize, brand2.companySize),
+            // Target audience fit
+            audience: calculateAudienceScore(brand1.audience, brand2.audience, directional),
+            // Description similarity
+            text: activeWeights && !activeWeights.text ? 0 : compareProfileText(brand1, brand2).score
+        };
+    }
+    
+    /**
+     * Combine dimension scores into a weighted score
+     * @param {Object} scores - Scores (0-1) keyed by dimension
+     * @param {Object} activeWeights - Normalized weights keyed by dimension
+     * @returns {number} Weighted score (0-100)
+     */
+    function combineDimensionScores(scores, activeWeights) {
+        let totalScore = 0;
         
-        // Calculate company size compatibility score
-        const sizeScore = calculateSizeScore(brand1.companySize, brand2.companySize);
-        totalScore += sizeScore * weights.companySize;
+        Object.keys(activeWeights).forEach(dimension => {
+            totalScore += scores[dimension] * activeWeights[dimension];
+        });
         
         // Convert to percentage (0-100) and round to nearest integer
         return Math.round(totalScore * 100);
     }
     
+    /**
+     * Round dimension scores to percentages, using the report's key names
+     * @param {Object} scores - Scores (0-1) from calculateDimensionScores
+     * @returns {Object} Percentages keyed industry, values, objectives, geography, size, audience, text
+     */
+    function toReportScores(scores) {
+        return {
+            industry: Math.round(scores.industry * 100),
+            values: Math.round(scores.values * 100),
+            objectives: Math.round(scores.objectives * 100),
+            geography: Math.round(scores.geography * 100),
+            size: Math.round(scores.companySize * 100),
+            audience: Math.round(scores.audience * 100),
+            text: Math.round(scores.text * 100)
+        };
+    }
+    
     /**
      * Calculate industry alignment score
      * @param {string} industry1 - First industry
@@ -61,39 +492,46 @@ const PartnerMatcher = (function() {
      * @returns {number} Score (0-1)
      */
     function calculateIndustryScore(industry1, industry2) {
-        if (!industry1 || !industry2) return 0;
-        
-        // Direct industry match
-        if (industry1 === industry2) return 1.0;
-        
-        // Complementary industries
-        const complementaryIndustries = {
-            'sports': ['entertainment', 'healthcare', 'retail'],
-            'entertainment': ['sports', 'technology', 'retail'],
-            'technology': ['entertainment', 'financial', 'healthcare'],
-            'retail': ['sports', 'entertainment', 'food'],
-            'financial': ['technology', 'education'],
-            'healthcare': ['sports', 'technology', 'education'],
-            'education': ['technology', 'healthcare', 'financial'],
-            'food': ['retail', 'healthcare'],
-            'automotive': ['technology', 'retail']
-        };
+        const rules = scoringRules.industry;
         
-        if (complementaryIndustries[industry1] && complementaryIndustries[industry1].includes(industry2)) {
-            return 0.7;  // 70% score for complementary industries
+        switch (getIndustryMatch(industry1, industry2)) {
+            case 'missing':
+                return 0;
+            case 'same':
+                return rules.sameIndustry;
+            case 'complementary':
+                return IndustryTaxonomy.getStrength(industryTaxonomy, industry1, industry2);
+            case 'sector':
+                return rules.sameSector;
+            default:
+                return rules.other;
         }
-        
-        // Default score for non-complementary industries
-        return 0.3;  // 30% score for other combinations
+    }
+    
+    /**
+     * Work out how two industries relate
+     * A complementarity strength set in the taxonomy, for the industries or the industries above
+     * them, takes precedence over sharing a top-level industry.
+     * @param {string} industry1 - The brand's industry
+     * @param {string} industry2 - The partner's industry
+     * @returns {string} 'missing', 'same', 'complementary', 'sector' or 'other'
+     */
+    function getIndustryMatch(industry1, industry2) {
+        if (!industry1 || !industry2) return 'missing';
+        if (industry1 === industry2) return 'same';
+        if (IndustryTaxonomy.getStrength(industryTaxonomy, industry1, industry2) !== null) return 'complementary';
+        if (IndustryTaxonomy.getSector(industryTaxonomy, industry1) === IndustryTaxonomy.getSector(industryTaxonomy, industry2)) return 'sector';
+        return 'other';
     }
     
     /**
      * Calculate values alignment score
      * @param {Array} values1 - First set of values
      * @param {Array} values2 - Second set of values
+     * @param {boolean} directional - Divide by the first set instead of the smaller set
      * @returns {number} Score (0-1)
      */
-    function calculateValuesScore(values1, values2) {
+    function calculateValuesScore(values1, values2, directional = false) {
         if (!Array.isArray(values1) || !Array.isArray(values2) || values1.length === 0 || values2.length === 0) {
             return 0;
         }
@@ -102,7 +540,7 @@ const PartnerMatcher = (function() {
         const sharedValues = values1.filter(value => values2.includes(value));
         
         // Calculate score based on percentage of shared values
-        const maxPossibleShared = Math.min(values1.length, values2.length);
+        const maxPossibleShared = directional ? values1.length : Math.min(values1.length, values2.length);
         return sharedValues.length / maxPossibleShared;
     }
     
@@ -110,9 +548,10 @@ const PartnerMatcher = (function() {
      * Calculate partnership objectives alignment score
      * @param {Array} objectives1 - First set of objectives
      * @param {Array} objectives2 - Second set of objectives
+     * @param {boolean} directional - Divide by the first set instead of the smaller set
      * @returns {number} Score (0-1)
      */
-    function calculateObjectivesScore(objectives1, objectives2) {
+    function calculateObjectivesScore(objectives1, objectives2, directional = false) {
         if (!Array.isArray(objectives1) || !Array.isArray(objectives2) || 
             objectives1.length === 0 || objectives2.length === 0) {
             return 0;
@@ -122,36 +561,90 @@ const PartnerMatcher = (function() {
         const sharedObjectives = objectives1.filter(obj => objectives2.includes(obj));
         
         // Calculate score based on percentage of shared objectives
-        const maxPossibleShared = Math.min(objectives1.length, objectives2.length);
+        const maxPossibleShared = directional ? objectives1.length : Math.min(objectives1.length, objectives2.length);
         return sharedObjectives.length / maxPossibleShared;
     }
     
     /**
-     * Calculate geographic focus alignment score
-     * @param {string} geography1 - First geographic focus
-     * @param {string} geography2 - Second geographic focus
+     * Calculate geographic alignment score
+     * With markets on both sides, this is the market overlap, or when directional the higher of the
+     * overlap and how well the second brand covers the first brand's target markets; otherwise the
+     * geographic focus matrix is used. Only the directional score depends on the order of the brands.
+     * @param {Object} brand1 - First brand profile
+     * @param {Object} brand2 - Second brand profile
+     * @param {boolean} directional - Count brand1's target markets
      * @returns {number} Score (0-1)
      */
-    function calculateGeographyScore(geography1, geography2) {
-        if (!geography1 || !geography2) return 0;
+    function calculateGeographyScore(brand1, brand2, directional = false) {
+        const markets = compareMarkets(brand1, brand2);
         
-        // Direct match
-        if (geography1 === geography2) return 1.0;
+        if (markets) {
+            return directional ? Math.max(markets.overlap, markets.expansion || 0) : markets.overlap;
+        }
         
-        // Compatibility matrix for geographic focus
-        const compatibilityMatrix = {
-            'local': {'local': 1.0, 'regional': 0.8, 'national': 0.4, 'international': 0.2, 'global': 0.1},
-            'regional': {'local': 0.8, 'regional': 1.0, 'national': 0.7, 'international': 0.3, 'global': 0.2},
-            'national': {'local': 0.4, 'regional': 0.7, 'national': 1.0, 'international': 0.7, 'global': 0.5},
-            'international': {'local': 0.2, 'regional': 0.3, 'national': 0.7, 'international': 1.0, 'global': 0.8},
-            'global': {'local': 0.1, 'regional': 0.2, 'national': 0.5, 'international': 0.8, 'global': 1.0}
-        };
+        if (!brand1.geographicFocus || !brand2.geographicFocus) return 0;
+        
+        return lookupMatrixScore(scoringRules.geography, brand1.geographicFocus, brand2.geographicFocus);
+    }
+    
+    /**
+     * Compare the markets two brands operate in
+     * Each country scores by its closest country on the other side: the same country, one in the
+     * same sub-region, or one on the same continent.
+     * @param {Object} brand1 - First brand profile, with markets and optional targetMarkets
+     * @param {Object} brand2 - Second brand profile, with markets
+     * @returns {Object|null} {overlap, expansion, shared, opened}: overlap (0-1) averages the closeness of
+     *   the smaller market list to the other, both ways when the lists are the same length; expansion (0-1, or null without target markets) averages the
+     *   closeness of brand1's target markets to brand2's markets; shared lists the country codes both cover
+     *   and opened the target markets brand2 operates in. Null if either brand lists no markets.
+     */
+    function compareMarkets(brand1, brand2) {
+        const countries1 = MarketGeography.expandMarkets(brand1.markets);
+        const countries2 = MarketGeography.expandMarkets(brand2.markets);
+        
+        if (countries1.length === 0 || countries2.length === 0) return null;
         
-        if (compatibilityMatrix[geography1] && compatibilityMatrix[geography1][geography2]) {
-            return compatibilityMatrix[geography1][geography2];
+        // Lists of the same length are compared both ways, so the overlap doesn't depend on the order
+        let overlap;
+        if (countries1.length === countries2.length) {
+            overlap = (averageCloseness(countries1, countries2) + averageCloseness(countries2, countries1)) / 2;
+        } else {
+            const [smaller, larger] = countries1.length < countries2.length ? [countries1, countries2] : [countries2, countries1];
+            overlap = averageCloseness(smaller, larger);
         }
         
-        return 0.3; // Default compatibility score
+        const targets = brand1.targetMarkets || [];
+        const targetCountries = MarketGeography.expandMarkets(targets);
+        const covered = new Set(countries2);
+        
+        return {
+            overlap,
+            expansion: targetCountries.length > 0 ? averageCloseness(targetCountries, countries2) : null,
+            shared: countries1.filter(code => covered.has(code)),
+            opened: targets.filter(market => MarketGeography.expandMarkets([market]).some(code => covered.has(code)))
+        };
+    }
+    
+    /**
+     * Average how close each country in one list is to the nearest country in another
+     * @param {Array} countries - Country codes to score
+     * @param {Array} others - Country codes to compare with
+     * @returns {number} Average closeness (0-1)
+     */
+    function averageCloseness(countries, others) {
+        const rules = scoringRules.geography.markets;
+        const otherCountries = new Set(others);
+        const otherSubregions = new Set(others.map(MarketGeography.getSubregion));
+        const otherRegions = new Set(others.map(MarketGeography.getRegion));
+        
+        const total = countries.reduce((sum, code) => {
+            if (otherCountries.has(code)) return sum + rules.sameCountry;
+            if (otherSubregions.has(MarketGeography.getSubregion(code))) return sum + rules.sameSubregion;
+            if (otherRegions.has(MarketGeography.getRegion(code))) return sum + rules.sameRegion;
+            return sum;
+        }, 0);
+        
+        return total / countries.length;
     }
     
     /**
@@ -163,23 +656,118 @@ const PartnerMatcher = (function() {
     function calculateSizeScore(size1, size2) {
         if (!size1 || !size2) return 0;
         
-        // Direct match
-        if (size1 === size2) return 1.0;
+        return lookupMatrixScore(scoringRules.companySize, size1, size2);
+    }
+    
+    /**
+     * Calculate target audience fit score
+     * @param {Object} audience1 - First audience ({age, income, interests})
+     * @param {Object} audience2 - Second audience ({age, income, interests})
+     * @param {boolean} directional - Score shared interests against the first audience's interests
+     * @returns {number} Score (0-1)
+     */
+    function calculateAudienceScore(audience1, audience2, directional = false) {
+        if (!audience1 || !audience2) return 0;
         
-        // Compatibility matrix for company sizes
-        const compatibilityMatrix = {
-            'startup': {'startup': 1.0, 'small': 0.9, 'medium': 0.6, 'large': 0.4, 'enterprise': 0.2},
-            'small': {'startup': 0.9, 'small': 1.0, 'medium': 0.8, 'large': 0.5, 'enterprise': 0.3},
-            'medium': {'startup': 0.6, 'small': 0.8, 'medium': 1.0, 'large': 0.8, 'enterprise': 0.6},
-            'large': {'startup': 0.4, 'small': 0.5, 'medium': 0.8, 'large': 1.0, 'enterprise': 0.9},
-            'enterprise': {'startup': 0.2, 'small': 0.3, 'medium': 0.6, 'large': 0.9, 'enterprise': 1.0}
+        const rules = scoringRules.audience;
+        const componentScores = {
+            age: calculateBandScore(rules.ageBands, audience1.age, audience2.age),
+            income: calculateBandScore(rules.incomeTiers, audience1.income, audience2.income),
+            interests: calculateInterestsScore(audience1.interests, audience2.interests, directional)
         };
         
-        if (compatibilityMatrix[size1] && compatibilityMatrix[size1][size2]) {
-            return compatibilityMatrix[size1][size2];
+        // Only the parts both audiences fill in count towards the score
+        let total = 0;
+        let totalWeight = 0;
+        
+        Object.keys(rules.components).forEach(component => {
+            if (componentScores[component] === null) return;
+            
+            total += componentScores[component] * rules.components[component];
+            totalWeight += rules.components[component];
+        });
+        
+        return totalWeight > 0 ? total / totalWeight : 0;
+    }
+    
+    /**
+     * Score how close two ordered bands are, such as age ranges or income tiers
+     * @param {Array} bands - The bands in order
+     * @param {string} band1 - First band
+     * @param {string} band2 - Second band
+     * @returns {number|null} Score (0-1), or null if either band is missing
+     */
+    function calculateBandScore(bands, band1, band2) {
+        if (!band1 || !band2) return null;
+        
+        const rules = scoringRules.audience;
+        
+        if (band1 === band2) return 1.0;
+        
+        // "all" covers every band, but is a less focused fit
+        if (band1 === 'all' || band2 === 'all') return rules.broad;
+        
+        const index1 = bands.indexOf(band1);
+        const index2 = bands.indexOf(band2);
+        
+        if (index1 === -1 || index2 === -1) return 0;
+        
+        return rules.adjacency[Math.abs(index1 - index2)] || 0;
+    }
+    
+    /**
+     * Calculate audience interests overlap score
+     * @param {Array} interests1 - First set of interests
+     * @param {Array} interests2 - Second set of interests
+     * @param {boolean} directional - Divide by the first set instead of the smaller set
+     * @returns {number|null} Score (0-1), or null if either set is empty
+     */
+    function calculateInterestsScore(interests1, interests2, directional = false) {
+        const normalize = interests => (Array.isArray(interests) ? interests : [])
+            .map(interest => String(interest).trim().toLowerCase())
+            .filter(Boolean);
+        
+        const normalized1 = normalize(interests1);
+        const normalized2 = normalize(interests2);
+        
+        if (normalized1.length === 0 || normalized2.length === 0) return null;
+        
+        // Count shared interests
+        const sharedInterests = normalized1.filter(interest => normalized2.includes(interest));
+        
+        // Calculate score based on percentage of shared interests
+        const maxPossibleShared = directional ? normalized1.length : Math.min(normalized1.length, normalized2.length);
+        return Math.min(sharedInterests.length / maxPossibleShared, 1);
+    }
+    
+    /**
+     * Compare the descriptions and audience interests of two profiles
+     * @param {Object} brand1 - First brand profile
+     * @param {Object} brand2 - Second brand profile
+     * @returns {Object} {score, terms} from TextSimilarity.compare
+     */
+    function compareProfileText(brand1, brand2) {
+        return TextSimilarity.compare(getProfileText(brand1), getProfileText(brand2), textIndex);
+    }
+    
+    /**
+     * Look up a pairwise score in a compatibility matrix rule
+     * @param {Object} rule - Rule with a matrix and a default score
+     * @param {string} key1 - First key
+     * @param {string} key2 - Second key
+     * @returns {number} Score (0-1)
+     */
+    function lookupMatrixScore(rule, key1, key2) {
+        const row = rule.matrix[key1];
+        
+        if (row && row[key2] !== undefined) {
+            return row[key2];
         }
         
-        return 0.5; // Default compatibility score
+        // Direct match outside the matrix
+        if (key1 === key2) return 1.0;
+        
+        return rule.default;
     }
     
     /**
@@ -193,46 +781,63 @@ const PartnerMatcher = (function() {
             return [];
         }
         
-        return partners.filter(partner => {
-            // Apply industry filter
-            if (filters.industry && partner.industry !== filters.industry) {
-                return false;
-            }
-            
-            // Apply company size filter
-            if (filters.companySize && partner.companySize !== filters.companySize) {
-                return false;
-            }
-            
-            // Apply geographic focus filter
-            if (filters.geographicFocus && partner.geographicFocus !== filters.geographicFocus) {
-                return false;
-            }
-            
-            // Apply values filter
-            if (filters.values && filters.values.length > 0 && 
-                !filters.values.some(value => partner.values.includes(value))) {
-                return false;
-            }
-            
-            // Apply objectives filter
-            if (filters.objectives && filters.objectives.length > 0 && 
-                !filters.objectives.some(obj => partner.partnership.objectives.includes(obj))) {
+        return partners.filter(partner => matchesFilters(partner, filters));
+    }
+    
+    /**
+     * Check one partner against filter criteria
+     * @param {Object} partner - The partner
+     * @param {Object} filters - Filter criteria (see filterPartners)
+     * @returns {boolean} True if the partner passes every filter
+     */
+    function matchesFilters(partner, filters) {
+        // Apply industry filter; an industry includes its sub-industries
+        if (filters.industry && !IndustryTaxonomy.isWithin(industryTaxonomy, partner.industry, filters.industry)) {
+            return false;
+        }
+        
+        // Apply company size filter
+        if (filters.companySize && partner.companySize !== filters.companySize) {
+            return false;
+        }
+        
+        // Apply geographic focus filter
+        if (filters.geographicFocus && partner.geographicFocus !== filters.geographicFocus) {
+            return false;
+        }
+        
+        // Apply market filter; partners with a global focus operate everywhere
+        if (filters.market && partner.geographicFocus !== 'global') {
+            const countries = MarketGeography.expandMarkets([filters.market]);
+            if (!MarketGeography.expandMarkets(partner.markets).some(code => countries.includes(code))) {
                 return false;
             }
-            
-            // All filters passed
-            return true;
-        });
+        }
+        
+        // Apply values filter
+        if (filters.values && filters.values.length > 0 && 
+            !filters.values.some(value => partner.values.includes(value))) {
+            return false;
+        }
+        
+        // Apply objectives filter
+        if (filters.objectives && filters.objectives.length > 0 && 
+            !filters.objectives.some(obj => partner.partnership.objectives.includes(obj))) {
+            return false;
+        }
+        
+        // All filters passed
+        return true;
     }
     
     /**
      * Sort partners by compatibility score
      * @param {Array} partners - List of partners with compatibility scores
      * @param {string} order - Sort order ('asc' or 'desc')
+     * @param {string} scoreKey - The score to sort by ('compatibilityScore' or 'mutualScore')
      * @returns {Array} Sorted partners
      */
-    function sortPartnersByScore(partners, order = 'desc') {
+    function sortPartnersByScore(partners, order = 'desc', scoreKey = 'compatibilityScore') {
         if (!Array.isArray(partners) || partners.length === 0) {
             return [];
         }
@@ -240,9 +845,9 @@ const PartnerMatcher = (function() {
         const sortedPartners = [...partners];
         
         if (order === 'asc') {
-            sortedPartners.sort((a, b) => a.compatibilityScore - b.compatibilityScore);
+            sortedPartners.sort((a, b) => a[scoreKey] - b[scoreKey]);
         } else {
-            sortedPartners.sort((a, b) => b.compatibilityScore - a.compatibilityScore);
+            sortedPartners.sort((a, b) => b[scoreKey] - a[scoreKey]);
         }
         
         return sortedPartners;
@@ -252,26 +857,38 @@ const PartnerMatcher = (function() {
      * Generate compatibility report
      * @param {Object} brand - Brand profile
      * @param {Object} partner - Partner profile
-     * @returns {Object} Compatibility report with scores and recommendations
+     * @param {Object} options - Optional settings
+     * @param {Object} options.weights - Weights to use instead of the defaults
+     * @param {string} options.mutualRule - How to combine the perspectives: 'min', 'harmonic' or 'mean'
+     * @returns {Object} Compatibility report with scores, both perspectives and recommendations
      */
-    function generateCompatibilityReport(brand, partner) {
+    function generateCompatibilityReport(brand, partner, options = {}) {
         if (!brand || !partner) {
             console.error('Invalid brand profiles for compatibility report');
             return null;
         }
         
         // Calculate overall score
-        const overallScore = calculateCompatibilityScore(brand, partner);
+        const overallScore = calculateCompatibilityScore(brand, partner, options);
         
         // Calculate individual dimension scores
-        const industryScore = Math.round(calculateIndustryScore(brand.industry, partner.industry) * 100);
-        const valuesScore = Math.round(calculateValuesScore(brand.values, partner.values) * 100);
-        const objectivesScore = Math.round(calculateObjectivesScore(
-            brand.partnership?.objectives || [], 
-            partner.partnership?.objectives || []
-        ) * 100);
-        const geographyScore = Math.round(calculateGeographyScore(brand.geographicFocus, partner.geographicFocus) * 100);
-        const sizeScore = Math.round(calculateSizeScore(brand.companySize, partner.companySize) * 100);
+        const dimensionScores = toReportScores(calculateDimensionScores(brand, partner));
+        const {
+            industry: industryScore,
+            values: valuesScore,
+            objectives: objectivesScore,
+            geography: geographyScore,
+            size: sizeScore,
+            audience: audienceScore,
+            text: textScore
+        } = dimensionScores;
+        
+        // Description similarity only counts towards strengths and weaknesses when it is weighted
+        const activeWeights = resolveWeights(options);
+        const textWeighted = activeWeights.text > 0;
+        
+        // Score each side's perspective and combine them
+        const mutual = calculateMutualScore(brand, partner, options);
         
         // Identify strengths (scores >= 70)
         const strengths = [];
@@ -280,6 +897,8 @@ const PartnerMatcher = (function() {
         if (objectivesScore >= 70) strengths.push('compatible objectives');
         if (geographyScore >= 70) strengths.push('geographic alignment');
         if (sizeScore >= 70) strengths.push('company size compatibility');
+        if (audienceScore >= 70) strengths.push('audience fit');
+        if (textWeighted && textScore >= 70) strengths.push('description similarity');
         
         // Identify weaknesses (scores < 50)
         const weaknesses = [];
@@ -288,6 +907,8 @@ const PartnerMatcher = (function() {
         if (objectivesScore < 50) weaknesses.push('compatible objectives');
         if (geographyScore < 50) weaknesses.push('geographic alignment');
         if (sizeScore < 50) weaknesses.push('company size compatibility');
+        if (audienceScore < 50) weaknesses.push('audience fit');
+        if (textWeighted && textScore < 50) weaknesses.push('description similarity');
         
         // Generate recommendations
         const recommendations = [];
@@ -312,6 +933,15 @@ const PartnerMatcher = (function() {
             recommendations.push('Establish clear roles and responsibilities that leverage each organization\'s strengths.');
         }
         
+        if (weaknesses.includes('audience fit')) {
+            recommendations.push('Pilot with the audience segments you share before targeting each other\'s wider audiences.');
+        }
+        
+        // A partner who gains much less than you is less likely to say yes
+        if (mutual.partnerScore <= mutual.brandScore - 15) {
+            recommendations.push('The partner gains less from this match than you do. Lead with what you can offer them.');
+        }
+        
         // Determine partnership type recommendations based on profiles
         const suggestedPartnershipTypes = [];
         
@@ -334,21 +964,30 @@ const PartnerMatcher = (function() {
             suggestedPartnershipTypes.push('content creation');
         }
         
-        // Distribution recommendations
+        // Distribution recommendations; with markets listed, the partner must reach a target market
+        const markets = compareMarkets(brand, partner);
         if (geographyScore >= 70 && 
-            (brand.geographicFocus !== partner.geographicFocus)) {
+            (markets ? markets.opened.length > 0 : brand.geographicFocus !== partner.geographicFocus)) {
             suggestedPartnershipTypes.push('distribution');
         }
         
         // Return the complete report
         return {
             overallScore,
-            dimensionScores: {
-                industry: industryScore,
-                values: valuesScore,
-                objectives: objectivesScore,
-                geography: geographyScore,
-                size: sizeScore
+            weights: { ...activeWeights },
+            dimensionScores,
+            textTerms: compareProfileText(brand, partner).terms.map(term => term.term),
+            mutualScore: mutual.mutualScore,
+            mutualRule: mutual.rule,
+            perspectives: {
+                brand: {
+                    score: mutual.brandScore,
+                    dimensionScores: toReportScores(calculateDimensionScores(brand, partner, true))
+                },
+                partner: {
+                    score: mutual.partnerScore,
+                    dimensionScores: toReportScores(calculateDimensionScores(partner, brand, true))
+                }
             },
             strengths,
             weaknesses,
@@ -358,36 +997,1039 @@ const PartnerMatcher = (function() {
     }
     
     /**
-     * Find most promising partners
-     * @param {Object} brand - Brand profile
+     * Get a copy of the default constraints
+     * @returns {Object} Constraints that remove no partners
+     */
+    function getDefaultConstraints() {
+        return JSON.parse(JSON.stringify(defaultConstraints));
+    }
+    
+    /**
+     * Check a partner against the brand's dealbreaker constraints
+     * @param {Object} brand - Brand profile
+     * @param {Object} partner - Potential partner
+     * @param {Object} options - Optional settings
+     * @param {Object} options.constraints - Constraints to use instead of the brand's own
+     * @param {Object} options.weights - Weights for the minimum score; defaults to the default weights
+     * @returns {Array} The constraints the partner breaks, as {constraint, ...details}; empty if none
+     */
+    function checkConstraints(brand, partner, options = {}) {
+        if (!brand || !partner) {
+            console.error('Invalid brand profiles for constraint check');
+            return [];
+        }
+        
+        const score = partner.compatibilityScore ?? calculateCompatibilityScore(brand, partner, options);
+        return findConstraintViolations(brand, partner, resolveConstraints(brand, options), score);
+    }
+    
+    /**
+     * Resolve the constraints to use for a brand
+     * @param {Object} brand - Brand profile
+     * @param {Object} options - Calculation options
+     * @returns {Object} Constraints with every field set
+     */
+    function resolveConstraints(brand, options) {
+        return { ...defaultConstraints, ...(options && options.constraints ? options.constraints : brand.constraints) };
+    }
+    
+    /**
+     * Find the constraints a partner breaks
+     * @param {Object} brand - Brand profile
+     * @param {Object} partner - Potential partner
+     * @param {Object} constraints - Constraints with every field set
+     * @param {number} score - The partner's compatibility score (0-100)
+     * @returns {Array} The constraints broken, as {constraint, ...details}
+     */
+    function findConstraintViolations(brand, partner, constraints, score) {
+        const violations = [];
+        
+        // Required values (all of them)
+        const partnerValues = partner.values || [];
+        const missingValues = (constraints.requiredValues || []).filter(value => !partnerValues.includes(value));
+        if (missingValues.length > 0) {
+            violations.push({ constraint: 'requiredValues', missing: missingValues });
+        }
+        
+        // Excluded industries, with their sub-industries
+        if ((constraints.excludedIndustries || []).some(industry => IndustryTaxonomy.isWithin(industryTaxonomy, partner.industry, industry))) {
+            violations.push({ constraint: 'excludedIndustries', industry: partner.industry });
+        }
+        
+        // Minimum compatibility score
+        if (constraints.minimumScore > 0 && score < constraints.minimumScore) {
+            violations.push({ constraint: 'minimumScore', score, minimum: constraints.minimumScore });
+        }
+        
+        // Company size gap; unknown sizes are not held against the partner
+        if (constraints.maxSizeGap !== null && constraints.maxSizeGap !== undefined) {
+            const order = scoringRules.companySize.order;
+            const brandIndex = order.indexOf(brand.companySize);
+            const partnerIndex = order.indexOf(partner.companySize);
+            
+            if (brandIndex >= 0 && partnerIndex >= 0 && Math.abs(brandIndex - partnerIndex) > constraints.maxSizeGap) {
+                violations.push({
+                    constraint: 'maxSizeGap',
+                    gap: Math.abs(brandIndex - partnerIndex),
+                    maximum: constraints.maxSizeGap
+                });
+            }
+        }
+        
+        // Shared partnership objectives
+        if (constraints.minSharedObjectives > 0) {
+            const partnerObjectives = partner.partnership?.objectives || [];
+            const shared = (brand.partnership?.objectives || []).filter(objective => partnerObjectives.includes(objective)).length;
+            
+            if (shared < constraints.minSharedObjectives) {
+                violations.push({ constraint: 'minSharedObjectives', shared, minimum: constraints.minSharedObjectives });
+            }
+        }
+        
+        return violations;
+    }
+    
+    /**
+     * Work out which of the brand's collaborations can conflict with new partners
+     * A collaboration is current while its status is active and its end date has not passed. Its
+     * exclusivity runs until the exclusivity end date, or the collaboration's end date if none is set.
+     * @param {Array} collaborations - The brand's collaborations
+     * @param {Array} directory - The partner directory, used to find each collaboration's partner
+     * @param {Date} now - The current time
+     * @returns {Array} Commitments as {collaboration, partner, current, exclusive}, where partner is the
+     *   directory entry (or null if it is not in the directory) and exclusive says whether its
+     *   exclusivity is in force
+     */
+    function getCommitments(collaborations, directory = [], now = new Date()) {
+        const today = now.toISOString().slice(0, 10);
+        const notPast = date => !date || date >= today;
+        
+        return (collaborations || [])
+            .filter(collaboration => collaboration.status === 'active')
+            .map(collaboration => {
+                const exclusivity = collaboration.exclusivity;
+                
+                return {
+                    collaboration,
+                    partner: findCollaborationPartner(collaboration, directory),
+                    current: notPast(collaboration.endDate),
+                    exclusive: Boolean(exclusivity && exclusivity.category) &&
+                        notPast(exclusivity.endDate || collaboration.endDate)
+                };
+            })
+            .filter(commitment => commitment.current || commitment.exclusive);
+    }
+    
+    /**
+     * Find the directory entry for a collaboration's partner, by id or else by name
+     * @param {Object} collaboration - The collaboration
+     * @param {Array} directory - The partner directory
+     * @returns {Object|null} The partner
+     */
+    function findCollaborationPartner(collaboration, directory) {
+        const name = (collaboration.partnerName || '').trim().toLowerCase();
+        
+        return directory.find(partner => partner.id === collaboration.partnerId) ||
+            directory.find(partner => (partner.brandName || '').trim().toLowerCase() === name) ||
+            null;
+    }
+    
+    /**
+     * Find the ways a partner would conflict with the brand's current collaborations
+     * A partner conflicts with an exclusivity in force when it is in the exclusive category or one of
+     * its sub-industries and its geographic focus is the exclusive geography or wider (a partner with
+     * no focus is assumed to overlap). It is a competitor when it is in the same industry as the partner of a current
+     * collaboration. A collaboration's own partner never conflicts with it.
+     * @param {Object} partner - The potential partner
+     * @param {Array} commitments - Commitments from getCommitments
+     * @returns {Array} Conflicts as {constraint: 'exclusivity', collaboration, category, geography, endDate}
+     *   or {constraint: 'competitor', collaboration, competitor, industry}, where collaboration is {id, name}
+     */
+    function findConflicts(partner, commitments) {
+        const order = scoringRules.geography.order;
+        const conflicts = [];
+        
+        commitments.forEach(commitment => {
+            const collaboration = commitment.collaboration;
+            const samePartner = commitment.partner ? commitment.partner.id === partner.id :
+                (collaboration.partnerName || '').trim().toLowerCase() === (partner.brandName || '').trim().toLowerCase();
+            
+            if (samePartner) return;
+            
+            const reference = { id: collaboration.id, name: collaboration.name };
+            
+            if (commitment.exclusive && IndustryTaxonomy.isWithin(industryTaxonomy, partner.industry, collaboration.exclusivity.category)) {
+                const geography = collaboration.exclusivity.geography;
+                
+                if (!geography || !partner.geographicFocus || order.indexOf(partner.geographicFocus) >= order.indexOf(geography)) {
+                    conflicts.push({
+                        constraint: 'exclusivity',
+                        collaboration: reference,
+                        category: collaboration.exclusivity.category,
+                        geography: geography || null,
+                        endDate: collaboration.exclusivity.endDate || collaboration.endDate || null
+                    });
+                }
+            }
+            
+            if (commitment.current && commitment.partner && commitment.partner.industry && commitment.partner.industry === partner.industry) {
+                conflicts.push({
+                    constraint: 'competitor',
+                    collaboration: reference,
+                    competitor: commitment.partner.brandName,
+                    industry: partner.industry
+                });
+            }
+        });
+        
+        return conflicts;
+    }
+    
+    /**
+     * Score and rank partners, leaving out those that break the brand's constraints
+     * @param {Object} brand - Brand profile
      * @param {Array} partners - List of potential partners
-     * @param {number} limit - Maximum number of partners to return
-     * @returns {Array} Most promising partners with compatibility scores
+     * @param {Object} options - Optional settings
+     * @param {Object} options.weights - Weights to use instead of the defaults
+     * @param {string} options.mutualRule - How to combine the perspectives: 'min', 'harmonic' or 'mean'
+     * @param {string} options.rankBy - 'compatibility' (default) or 'mutual'
+     * @param {Object} options.constraints - Constraints to use instead of the brand's own
+     * @param {Object} options.conflicts - {collaborations, partners, mode}: the brand's collaborations and
+     *   partner directory to check for conflicts (see findConflicts); with mode 'hide', conflicting
+     *   partners are removed like those breaking a constraint, otherwise they are only flagged
+     * @returns {Object} {matches, excluded}: ranked partners with compatibility and mutual-fit scores
+     *   and any conflicts, and the partners removed by a constraint or conflict with the same scores
+     *   and their violations
      */
-    function findMostPromisingPartners(brand, partners, limit = 5) {
+    function rankPartners(brand, partners, options = {}) {
         if (!brand || !Array.isArray(partners) || partners.length === 0) {
-            return [];
+            return { matches: [], excluded: [] };
         }
         
+        // Normalize the weights once for the whole list
+        const scoringOptions = { ...options, weights: resolveWeights(options) };
+        const constraints = resolveConstraints(brand, options);
+        const commitments = options.conflicts ?
+            getCommitments(options.conflicts.collaborations, options.conflicts.partners) : [];
+        const hideConflicts = Boolean(options.conflicts) && options.conflicts.mode === 'hide';
+        
+        const matches = [];
+        const excluded = [];
+        
         // Calculate compatibility scores
-        const partnersWithScores = partners.map(partner => ({
-            ...partner,
-            compatibilityScore: calculateCompatibilityScore(brand, partner)
-        }));
+        partners.forEach(partner => {
+            const mutual = calculateMutualScore(brand, partner, scoringOptions);
+            const scored = {
+                ...partner,
+                compatibilityScore: calculateCompatibilityScore(brand, partner, scoringOptions),
+                mutualScore: mutual.mutualScore,
+                partnerPerspectiveScore: mutual.partnerScore,
+                conflicts: findConflicts(partner, commitments)
+            };
+            
+            const violations = findConstraintViolations(brand, scored, constraints, scored.compatibilityScore);
+            if (hideConflicts) {
+                violations.push(...scored.conflicts);
+            }
+            
+            if (violations.length > 0) {
+                excluded.push({ ...scored, violations });
+            } else {
+                matches.push(scored);
+            }
+        });
         
         // Sort by score (descending)
-        const sortedPartners = sortPartnersByScore(partnersWithScores);
+        const scoreKey = options.rankBy === 'mutual' ? 'mutualScore' : 'compatibilityScore';
+        
+        return {
+            matches: sortPartnersByScore(matches, 'desc', scoreKey),
+            excluded: sortPartnersByScore(excluded, 'desc', scoreKey)
+        };
+    }
+    
+    /**
+     * Index partners for scoring in bulk
+     * Values and objectives become bitsets over the terms used in the directory, so shared items are
+     * counted with a bitwise AND instead of searching lists.
+     * @param {Array} partners - List of potential partners
+     * @returns {Object} {terms, entries}: the bit given to each value and objective, and one entry per
+     *   partner as {partner, order, values, objectives, valueCount, objectiveCount}
+     */
+    function indexPartners(partners) {
+        const list = Array.isArray(partners) ? partners : [];
+        const terms = { values: new Map(), objectives: new Map() };
+        const addTerms = (map, items) => (items || []).forEach(item => {
+            if (!map.has(item)) map.set(item, map.size);
+        });
+        
+        list.forEach(partner => {
+            addTerms(terms.values, partner.values);
+            addTerms(terms.objectives, partner.partnership?.objectives);
+        });
+        
+        return {
+            terms,
+            entries: list.map((partner, order) => ({
+                partner,
+                order,
+                values: toBitset(partner.values, terms.values),
+                objectives: toBitset(partner.partnership?.objectives, terms.objectives),
+                valueCount: Array.isArray(partner.values) ? partner.values.length : 0,
+                objectiveCount: Array.isArray(partner.partnership?.objectives) ? partner.partnership.objectives.length : 0
+            }))
+        };
+    }
+    
+    /**
+     * Start ranking indexed partners, a batch at a time
+     * Scores are the same as rankPartners gives, but only the best matches and exclusions are kept,
+     * in bounded heaps, so memory stays flat however many partners are scored. Dimension scores that
+     * depend on a single partner attribute, such as industry, are worked out once per distinct value.
+     * @param {Object} brand - Brand profile
+     * @param {Object} index - Index from indexPartners
+     * @param {Object} options - The options of rankPartners, and:
+     * @param {Object} options.filters - Filter criteria (see filterPartners) applied while scoring
+     * @param {number} options.limit - Matches and exclusions to keep (default 50)
+     * @returns {Object} {scoreRange, getResult}: scoreRange(start, end) scores the entries from start up to
+     *   end and returns how many it scored; getResult() returns {matches, excluded, matchCount, excludedCount}
+     *   with the best matches and exclusions in rank order and how many of each were found
+     */
+    function createRanker(brand, index, options = {}) {
+        // Normalized as rankPartners does, so the rounded scores agree
+        const activeWeights = normalizeWeights(resolveWeights(options));
+        const constraints = resolveConstraints(brand, options);
+        const commitments = options.conflicts ?
+            getCommitments(options.conflicts.collaborations, options.conflicts.partners) : [];
+        const hideConflicts = Boolean(options.conflicts) && options.conflicts.mode === 'hide';
+        const rule = mutualRules[options.mutualRule] ? options.mutualRule : defaultMutualRule;
+        const scoreKey = options.rankBy === 'mutual' ? 'mutualScore' : 'compatibilityScore';
+        const limit = options.limit || 50;
+        
+        const brandValues = toBitset(brand.values, index.terms.values);
+        const brandObjectives = toBitset(brand.partnership?.objectives, index.terms.objectives);
+        const brandValueCount = Array.isArray(brand.values) ? brand.values.length : 0;
+        const brandObjectiveCount = Array.isArray(brand.partnership?.objectives) ? brand.partnership.objectives.length : 0;
+        const brandVector = textIndex ? TextSimilarity.vectorize(getProfileText(brand), textIndex) : null;
+        
+        const matches = createTopList(limit);
+        const excluded = createTopList(limit);
+        let matchCount = 0;
+        let excludedCount = 0;
+        
+        const cache = new Map();
+        const cached = (key, calculate) => {
+            if (!cache.has(key)) cache.set(key, calculate());
+            return cache.get(key);
+        };
+        
+        // Shared values or objectives as a share of everything one side (or the shorter list) holds
+        const shareScore = (shared, count1, count2, directional) => {
+            if (count1 === 0 || count2 === 0) return 0;
+            return shared / (directional ? count1 : Math.min(count1, count2));
+        };
+        
+        // Partner text vectors are kept on the entry until the corpus changes
+        const textScores = entry => {
+            if (!textIndex) {
+                return [compareProfileText(brand, entry.partner).score, compareProfileText(entry.partner, brand).score];
+            }
+            
+            if (entry.textIndex !== textIndex) {
+                entry.vector = TextSimilarity.vectorize(getProfileText(entry.partner), textIndex);
+                entry.textIndex = textIndex;
+            }
+            
+            return [
+                TextSimilarity.compareVectors(brandVector, entry.vector).score,
+                TextSimilarity.compareVectors(entry.vector, brandVector).score
+            ];
+        };
+        
+        function scoreEntry(entry) {
+            const partner = entry.partner;
+            
+            if (options.filters && !matchesFilters(partner, options.filters)) return;
+            
+            const marketKey = `${partner.geographicFocus}|${(partner.markets || []).join(',')}|${(partner.targetMarkets || []).join(',')}`;
+            const forward = {
+                industry: cached(`industry>${partner.industry}`, () => calculateIndustryScore(brand.industry, partner.industry)),
+                geography: cached(`geography=${marketKey}`, () => calculateGeographyScore(brand, partner)),
+                companySize: cached(`size>${partner.companySize}`, () => calculateSizeScore(brand.companySize, partner.companySize))
+            };
+            const backward = {
+                industry: cached(`industry<${partner.industry}`, () => calculateIndustryScore(partner.industry, brand.industry)),
+                geography: cached(`geography<${marketKey}`, () => calculateGeographyScore(partner, brand, true)),
+                companySize: cached(`size<${partner.companySize}`, () => calculateSizeScore(partner.companySize, brand.companySize))
+            };
+            
+            const sharedValues = countShared(brandValues, entry.values);
+            const sharedObjectives = countShared(brandObjectives, entry.objectives);
+            const [textForward, textBackward] = activeWeights.text > 0 ? textScores(entry) : [0, 0];
+            
+            const compatibilityScore = combineDimensionScores({
+                ...forward,
+                values: shareScore(sharedValues, brandValueCount, entry.valueCount, false),
+                objectives: shareScore(sharedObjectives, brandObjectiveCount, entry.objectiveCount, false),
+                audience: calculateAudienceScore(brand.audience, partner.audience),
+                text: textForward
+            }, activeWeights);
+            
+            const brandScore = combineDimensionScores({
+                ...forward,
+                geography: cached(`geography>${marketKey}`, () => calculateGeographyScore(brand, partner, true)),
+                values: shareScore(sharedValues, brandValueCount, entry.valueCount, true),
+                objectives: shareScore(sharedObjectives, brandObjectiveCount, entry.objectiveCount, true),
+                audience: calculateAudienceScore(brand.audience, partner.audience, true),
+                text: textForward
+            }, activeWeights);
+            
+            const partnerScore = combineDimensionScores({
+                ...backward,
+                values: shareScore(sharedValues, entry.valueCount, brandValueCount, true),
+                objectives: shareScore(sharedObjectives, entry.objectiveCount, brandObjectiveCount, true),
+                audience: calculateAudienceScore(partner.audience, brand.audience, true),
+                text: textBackward
+            }, activeWeights);
+            
+            const scores = {
+                compatibilityScore,
+                mutualScore: Math.round(mutualRules[rule](brandScore, partnerScore)),
+                partnerPerspectiveScore: partnerScore
+            };
+            
+            const conflicts = findConflicts(partner, commitments);
+            const violations = findConstraintViolations(brand, partner, constraints, compatibilityScore);
+            if (hideConflicts) {
+                violations.push(...conflicts);
+            }
+            
+            // The result object is only built for partners that make the list
+            if (violations.length > 0) {
+                excludedCount++;
+                excluded.push(entry.order, scores[scoreKey], () => ({ ...partner, ...scores, conflicts, violations }));
+            } else {
+                matchCount++;
+                matches.push(entry.order, scores[scoreKey], () => ({ ...partner, ...scores, conflicts }));
+            }
+        }
+        
+        return {
+            scoreRange(start, end) {
+                const last = Math.min(end, index.entries.length);
+                
+                for (let i = start; i < last; i++) {
+                    scoreEntry(index.entries[i]);
+                }
+                
+                return Math.max(last - start, 0);
+            },
+            getResult() {
+                return {
+                    matches: matches.toArray(),
+                    excluded: excluded.toArray(),
+                    matchCount,
+                    excludedCount
+                };
+            }
+        };
+    }
+    
+    /**
+     * Create a list that keeps the highest-scoring items pushed to it
+     * Items are kept in a min-heap, so the weakest kept item is replaced in O(log limit) time.
+     * Equal scores keep the item pushed first, as a stable sort would.
+     * @param {number} limit - Most items to keep
+     * @returns {Object} {push(order, score, build), toArray()}: push offers an item by its position in the
+     *   input and its score, and only calls build to make the item if it is kept
+     */
+    function createTopList(limit) {
+        const heap = [];
+        const weaker = (a, b) => a.score < b.score || (a.score === b.score && a.order > b.order);
+        
+        const swap = (i, j) => {
+            [heap[i], heap[j]] = [heap[j], heap[i]];
+        };
+        
+        const siftUp = i => {
+            while (i > 0) {
+                const parent = (i - 1) >> 1;
+                if (!weaker(heap[i], heap[parent])) return;
+                swap(i, parent);
+                i = parent;
+            }
+        };
+        
+        const siftDown = i => {
+            for (;;) {
+                const left = 2 * i + 1;
+                const right = left + 1;
+                let weakest = i;
+                
+                if (left < heap.length && weaker(heap[left], heap[weakest])) weakest = left;
+                if (right < heap.length && weaker(heap[right], heap[weakest])) weakest = right;
+                if (weakest === i) return;
+                
+                swap(i, weakest);
+                i = weakest;
+            }
+        };
+        
+        return {
+            push(order, score, build) {
+                const candidate = { order, score };
+                
+                if (heap.length < limit) {
+                    candidate.item = build();
+                    heap.push(candidate);
+                    siftUp(heap.length - 1);
+                } else if (limit > 0 && weaker(heap[0], candidate)) {
+                    candidate.item = build();
+                    heap[0] = candidate;
+                    siftDown(0);
+                }
+            },
+            toArray() {
+                return heap.slice()
+                    .sort((a, b) => (weaker(a, b) ? 1 : -1))
+                    .map(candidate => candidate.item);
+            }
+        };
+    }
+    
+    /**
+     * Turn a list of terms into a bitset
+     * @param {Array} items - The terms
+     * @param {Map} terms - Bit position of each known term; unknown terms are left out
+     * @returns {Uint32Array} The bitset
+     */
+    function toBitset(items, terms) {
+        const bits = new Uint32Array(Math.max(Math.ceil(terms.size / 32), 1));
+        
+        (items || []).forEach(item => {
+            const bit = terms.get(item);
+            if (bit !== undefined) bits[bit >> 5] |= 1 << (bit & 31);
+        });
+        
+        return bits;
+    }
+    
+    /**
+     * Count the terms two bitsets share
+     * @param {Uint32Array} bits1 - First bitset
+     * @param {Uint32Array} bits2 - Second bitset, over the same terms
+     * @returns {number} The number of bits set in both
+     */
+    function countShared(bits1, bits2) {
+        let count = 0;
+        
+        for (let i = 0; i < bits1.length; i++) {
+            // Population count of the shared bits
+            let word = bits1[i] & bits2[i];
+            word = word - ((word >>> 1) & 0x55555555);
+            word = (word & 0x33333333) + ((word >>> 2) & 0x33333333);
+            count += (((word + (word >>> 4)) & 0x0F0F0F0F) * 0x01010101) >>> 24;
+        }
+        
+        return count;
+    }
+    
+    /**
+     * Measure how the top partners' ranks change as each weight moves
+     * Each weight in turn is raised and lowered by up to `range` of the total, with the other weights
+     * scaled to keep their proportions, and the top partners are ranked again as rankPartners would
+     * rank them. Dimension scores and weight-independent constraints are worked out once per partner.
+     * A partner is fragile when a change no bigger than `fragileChange` moves it to another rank.
+     * @param {Object} brand - Brand profile
+     * @param {Array} partners - List of potential partners
+     * @param {Object} options - The options of rankPartners, and:
+     * @param {number} options.topN - Top partners to follow (default 5)
+     * @param {number} options.range - Largest change to each weight, as a share of the total (default 0.2)
+     * @param {number} options.steps - Changes tried in each direction, evenly spaced (default 4)
+     * @param {number} options.fragileChange - Largest change that makes a partner fragile if its
+     *   rank moves (default 0.05)
+     * @returns {Object} {weights, changes, partners, dimensions}: the normalized weights; the changes
+     *   tried, smallest first; the top partners as {id, brandName, rank, score, fragile, breakpoint,
+     *   bestRank, worstRank}, where breakpoint is the smallest change that moves the partner, as
+     *   {dimension, change, rank}, or null; and per dimension {dimension, weight, weights, ranks}, with
+     *   the weight at each change and each partner's rank at each change. Ranks are null where the
+     *   weight cannot change that far or the partner drops below the minimum score.
+     */
+    function analyzeWeightSensitivity(brand, partners, options = {}) {
+        const topN = Math.max(parseInt(options.topN, 10) || 5, 1);
+        const range = Math.min(Math.max(parseFloat(options.range) || 0.2, 0.01), 1);
+        const steps = Math.max(parseInt(options.steps, 10) || 4, 1);
+        const fragileChange = options.fragileChange === undefined ? 0.05 : options.fragileChange;
+        const baseWeights = resolveWeights(options);
+        
+        const changes = [];
+        for (let step = -steps; step <= steps; step++) {
+            changes.push(Math.round((range * step / steps) * 10000) / 10000);
+        }
+        
+        const ranking = rankPartners(brand, partners, options);
+        const top = ranking.matches.slice(0, topN);
+        
+        if (top.length === 0) {
+            return { weights: baseWeights, changes, partners: [], dimensions: [] };
+        }
+        
+        // Everything about each partner that does not depend on the weights
+        const constraints = resolveConstraints(brand, options);
+        const commitments = options.conflicts ?
+            getCommitments(options.conflicts.collaborations, options.conflicts.partners) : [];
+        const hideConflicts = Boolean(options.conflicts) && options.conflicts.mode === 'hide';
+        const byMutual = options.rankBy === 'mutual';
+        const rule = mutualRules[options.mutualRule] ? mutualRules[options.mutualRule] : mutualRules[defaultMutualRule];
+        
+        const entries = partners.map((partner, order) => ({
+            id: partner.id,
+            order,
+            scores: calculateDimensionScores(brand, partner),
+            brandScores: byMutual ? calculateDimensionScores(brand, partner, true) : null,
+            partnerScores: byMutual ? calculateDimensionScores(partner, brand, true) : null,
+            allowed: findConstraintViolations(brand, partner, { ...constraints, minimumScore: 0 }, 100).length === 0 &&
+                !(hideConflicts && findConflicts(partner, commitments).length > 0)
+        }));
+        const followed = top.map(match => entries.find(entry => entry.id === match.id));
+        
+        // Rank the followed partners under a set of weights, as a stable sort by score would
+        const rankFollowed = activeWeights => {
+            const keys = entries.map(entry => {
+                if (!entry.allowed) return null;
+                
+                const score = combineDimensionScores(entry.scores, activeWeights);
+                if (constraints.minimumScore > 0 && score < constraints.minimumScore) return null;
+                
+                return byMutual ?
+                    Math.round(rule(combineDimensionScores(entry.brandScores, activeWeights),
+                        combineDimensionScores(entry.partnerScores, activeWeights))) :
+                    score;
+            });
+            
+            return followed.map(entry => {
+                const key = keys[entry.order];
+                if (key === null) return null;
+                
+                let rank = 1;
+                keys.forEach((other, order) => {
+                    if (other !== null && (other > key || (other === key && order < entry.order))) {
+                        rank++;
+                    }
+                });
+                
+                return rank;
+            });
+        };
+        
+        const baseRanks = rankFollowed(baseWeights);
+        const dimensionNames = Object.keys(weights);
+        
+        const dimensions = dimensionNames.map(dimension => {
+            const weight = baseWeights[dimension];
+            const changedWeights = changes.map(change => {
+                const changed = Math.round((weight + change) * 10000) / 10000;
+                return changed < 0 || changed > 1 ? null : changed;
+            });
+            
+            // Each partner's ranks across the changes
+            const ranks = followed.map(() => []);
+            
+            changedWeights.forEach((changed, i) => {
+                let partnerRanks;
+                
+                if (changed === null) {
+                    partnerRanks = followed.map(() => null);
+                } else if (changes[i] === 0) {
+                    partnerRanks = baseRanks;
+                } else {
+                    // The other weights keep their proportions and share what is left
+                    const rest = 1 - weight;
+                    const activeWeights = {};
+                    dimensionNames.forEach(other => {
+                        activeWeights[other] = other === dimension ? changed :
+                            rest > 0 ? baseWeights[other] * (1 - changed) / rest : (1 - changed) / (dimensionNames.length - 1);
+                    });
+                    partnerRanks = rankFollowed(normalizeWeights(activeWeights));
+                }
+                
+                partnerRanks.forEach((rank, p) => ranks[p].push(rank));
+            });
+            
+            return { dimension, weight, weights: changedWeights, ranks };
+        });
+        
+        const results = top.map((match, p) => {
+            let breakpoint = null;
+            const seen = [baseRanks[p]];
+            
+            dimensions.forEach(dimension => {
+                dimension.ranks[p].forEach((rank, i) => {
+                    if (dimension.weights[i] === null) return;
+                    
+                    seen.push(rank);
+                    
+                    if (rank !== baseRanks[p] &&
+                        (!breakpoint || Math.abs(changes[i]) < Math.abs(breakpoint.change))) {
+                        breakpoint = { dimension: dimension.dimension, change: changes[i], rank };
+                    }
+                });
+            });
+            
+            const ranked = seen.filter(rank => rank !== null);
+            
+            return {
+                id: match.id,
+                brandName: match.brandName,
+                rank: baseRanks[p],
+                score: byMutual ? match.mutualScore : match.compatibilityScore,
+                fragile: Boolean(breakpoint) && Math.abs(breakpoint.change) <= fragileChange + 1e-9,
+                breakpoint,
+                bestRank: Math.min(...ranked),
+                worstRank: seen.includes(null) ? null : Math.max(...ranked)
+            };
+        });
+        
+        return { weights: baseWeights, changes, partners: results, dimensions };
+    }
+    
+    /**
+     * Find groups of partners that work well with the brand and with each other
+     * Groups are built with a beam search: starting from the best single partners, each step adds
+     * one more partner to every group kept so far and keeps the most cohesive results, so the
+     * number of groups scored grows with the number of candidates rather than their combinations.
+     * @param {Object} brand - Brand profile
+     * @param {Array} partners - List of potential partners; those breaking the brand's constraints are left out
+     * @param {Object} options - Optional settings
+     * @param {number} options.size - Partners in each group besides the brand: 2 or 3 (default 2)
+     * @param {number} options.limit - Maximum number of groups to return (default 5)
+     * @param {boolean} options.distinctIndustries - Only group partners from different top-level industries
+     * @param {number} options.beamWidth - Partial groups kept at each step; defaults to the scoring rules
+     * @param {Object} options.weights - Weights to use instead of the defaults
+     * @param {Object} options.constraints - Constraints to use instead of the brand's own
+     * @returns {Array} Groups, most cohesive first, as {partners, score, ...explanation} (see scoreConsortium)
+     */
+    function findConsortiums(brand, partners, options = {}) {
+        const size = Math.min(Math.max(parseInt(options.size, 10) || 2, 2), 3);
+        const limit = options.limit || 5;
+        const beamWidth = options.beamWidth || scoringRules.consortium.beamWidth;
+        
+        // Candidates carry their score against the brand
+        const candidates = rankPartners(brand, partners, options).matches;
+        
+        if (candidates.length < size) {
+            return [];
+        }
+        
+        // Partner pairs are scored once however many groups they appear in
+        const scoringOptions = { weights: resolveWeights(options) };
+        const pairScores = new Map();
+        const scorePair = (partner1, partner2) => {
+            const key = partner1.id < partner2.id ? `${partner1.id}|${partner2.id}` : `${partner2.id}|${partner1.id}`;
+            
+            if (!pairScores.has(key)) {
+                pairScores.set(key, calculateCompatibilityScore(partner1, partner2, scoringOptions));
+            }
+            
+            return pairScores.get(key);
+        };
+        
+        let beam = candidates.slice(0, beamWidth).map(candidate => [candidate]);
+        
+        for (let groupSize = 2; groupSize <= size; groupSize++) {
+            const seen = new Set();
+            const groups = [];
+            
+            beam.forEach(group => {
+                candidates.forEach(candidate => {
+                    if (group.includes(candidate)) return;
+                    if (options.distinctIndustries && group.some(member =>
+                        IndustryTaxonomy.getSector(industryTaxonomy, member.industry) === IndustryTaxonomy.getSector(industryTaxonomy, candidate.industry))) return;
+                    
+                    const members = [...group, candidate];
+                    const key = members.map(member => member.id).sort().join('|');
+                    
+                    if (seen.has(key)) return;
+                    seen.add(key);
+                    
+                    groups.push({ members, score: scoreConsortium(brand, members, scorePair).score });
+                });
+            });
+            
+            groups.sort((a, b) => b.score - a.score);
+            beam = groups.slice(0, beamWidth).map(group => group.members);
+        }
+        
+        return beam.slice(0, limit).map(members => ({
+            partners: members,
+            ...scoreConsortium(brand, members, scorePair)
+        }));
+    }
+    
+    /**
+     * Score how well a group of partners would work together with the brand
+     * @param {Object} brand - Brand profile
+     * @param {Array} members - Partners in the group, each with its compatibilityScore against the brand
+     * @param {Function} scorePair - Returns the compatibility score (0-100) of two partners
+     * @returns {Object} {score, pairwiseScore, weakestPair, objectives, geography}: the cohesion score (0-100),
+     *   the average pair score (0-100), the lowest-scoring pair as {names, score}, the brand's objectives
+     *   as {covered, missing} and the group's widest reach as {reach, coverage}
+     */
+    function scoreConsortium(brand, members, scorePair) {
+        const rules = scoringRules.consortium.components;
+        
+        // Every pair, including the brand with each partner
+        const pairs = members.map(member => ({
+            names: [brand.brandName, member.brandName],
+            score: member.compatibilityScore
+        }));
+        members.forEach((member, i) => {
+            members.slice(i + 1).forEach(other => {
+                pairs.push({ names: [member.brandName, other.brandName], score: scorePair(member, other) });
+            });
+        });
+        
+        const pairwiseScore = pairs.reduce((sum, pair) => sum + pair.score, 0) / pairs.length;
+        const weakestPair = pairs.reduce((weakest, pair) => pair.score < weakest.score ? pair : weakest);
+        
+        // The brand's objectives that at least one partner shares
+        const brandObjectives = brand.partnership?.objectives || [];
+        const covered = brandObjectives.filter(objective =>
+            members.some(member => (member.partnership?.objectives || []).includes(objective))
+        );
+        const objectiveCoverage = brandObjectives.length > 0 ? covered.length / brandObjectives.length : 0;
+        
+        // The widest geographic focus in the group
+        const order = scoringRules.geography.order;
+        const reachIndex = Math.max(...[brand, ...members].map(member => order.indexOf(member.geographicFocus)));
+        const geographyCoverage = reachIndex >= 0 ? (reachIndex + 1) / order.length : 0;
+        
+        const score = rules.pairwise * pairwiseScore / 100 +
+            rules.objectives * objectiveCoverage +
+            rules.geography * geographyCoverage;
+        
+        return {
+            score: Math.round(score * 100),
+            pairwiseScore: Math.round(pairwiseScore),
+            weakestPair,
+            objectives: {
+                covered,
+                missing: brandObjectives.filter(objective => !covered.includes(objective))
+            },
+            geography: {
+                reach: reachIndex >= 0 ? order[reachIndex] : null,
+                coverage: geographyCoverage
+            }
+        };
+    }
+    
+    /**
+     * Pick a varied set of top partners by maximal marginal relevance
+     * Each pick goes to the partner with the best balance of its own score against its similarity to
+     * the partners already picked, so a slightly lower-scoring partner from another industry, company
+     * size or market can come ahead of a near-copy of an earlier pick. Only the best
+     * limit × scoringRules.diversity.candidates partners are considered.
+     * @param {Array} partners - Scored partners, best first, as rankPartners returns them
+     * @param {number} limit - Partners to pick (default 5)
+     * @param {Object} options - Optional settings
+     * @param {number} options.diversity - How much variety counts against score, from 0 (score order)
+     *   to 1 (variety only); default 0.3
+     * @param {string} options.rankBy - 'compatibility' (default) or 'mutual'
+     * @returns {Array} The picked partners in order, each with a `selection` explaining the pick:
+     *   {scoreRank, redundancy, mostSimilar, passedOver, adds}, where scoreRank is its place in score
+     *   order, redundancy (0-1) its similarity to the closest earlier pick, named by mostSimilar,
+     *   passedOver the higher-scoring partners it was picked ahead of, and adds what is new about it
+     *   compared with the earlier picks: {industry, companySize, geographicFocus} (the new value, or
+     *   null) and markets (how many new countries it covers)
+     */
+    function diversifyPartners(partners, limit = 5, options = {}) {
+        if (!Array.isArray(partners) || partners.length === 0) {
+            return [];
+        }
+        
+        const rules = scoringRules.diversity;
+        const diversity = Math.min(Math.max(options.diversity === undefined ? 0.3 : parseFloat(options.diversity) || 0, 0), 1);
+        const scoreKey = options.rankBy === 'mutual' ? 'mutualScore' : 'compatibilityScore';
+        
+        const candidates = partners.slice(0, limit * rules.candidates).map((partner, order) => ({
+            partner,
+            order,
+            relevance: (partner[scoreKey] || 0) / 100,
+            countries: Array.isArray(partner.markets) && partner.markets.length > 0 ?
+                new Set(MarketGeography.expandMarkets(partner.markets)) : null,
+            // Highest similarity to a partner picked so far, and which one
+            redundancy: 0,
+            mostSimilar: null
+        }));
+        
+        const picked = [];
+        const seen = { industries: new Set(), sizes: new Set(), focuses: new Set(), countries: new Set() };
+        
+        while (picked.length < limit && candidates.length > 0) {
+            // Ties go to the higher-scoring partner
+            let best = 0;
+            let bestValue = -Infinity;
+            
+            candidates.forEach((candidate, i) => {
+                const value = (1 - diversity) * candidate.relevance - diversity * candidate.redundancy;
+                if (value > bestValue + 1e-12 || (Math.abs(value - bestValue) <= 1e-12 && candidate.order < candidates[best].order)) {
+                    best = i;
+                    bestValue = value;
+                }
+            });
+            
+            const choice = candidates.splice(best, 1)[0];
+            const partner = choice.partner;
+            const sector = partner.industry ? IndustryTaxonomy.getSector(industryTaxonomy, partner.industry) : null;
+            const newCountries = choice.countries ?
+                Array.from(choice.countries).filter(country => !seen.countries.has(country)).length : 0;
+            
+            picked.push({
+                ...partner,
+                selection: {
+                    scoreRank: choice.order + 1,
+                    redundancy: Math.round(choice.redundancy * 100) / 100,
+                    mostSimilar: choice.mostSimilar,
+                    passedOver: candidates
+                        .filter(candidate => candidate.order < choice.order)
+                        .map(candidate => candidate.partner.brandName),
+                    adds: {
+                        industry: sector && !seen.industries.has(sector) ? sector : null,
+                        companySize: partner.companySize && !seen.sizes.has(partner.companySize) ? partner.companySize : null,
+                        geographicFocus: partner.geographicFocus && !seen.focuses.has(partner.geographicFocus) ?
+                            partner.geographicFocus : null,
+                        markets: newCountries
+                    }
+                }
+            });
+            
+            if (sector) seen.industries.add(sector);
+            if (partner.companySize) seen.sizes.add(partner.companySize);
+            if (partner.geographicFocus) seen.focuses.add(partner.geographicFocus);
+            if (choice.countries) choice.countries.forEach(country => seen.countries.add(country));
+            
+            // Only similarity to the newest pick can raise a candidate's redundancy
+            candidates.forEach(candidate => {
+                const similarity = calculatePartnerSimilarity(candidate, choice);
+                if (similarity > candidate.redundancy) {
+                    candidate.redundancy = similarity;
+                    candidate.mostSimilar = partner.brandName;
+                }
+            });
+        }
+        
+        return picked;
+    }
+    
+    /**
+     * Measure how alike two candidate partners are in industry, company size and geography
+     * @param {Object} candidate1 - {partner, countries} from diversifyPartners
+     * @param {Object} candidate2 - {partner, countries} from diversifyPartners
+     * @returns {number} Similarity (0-1), weighted by scoringRules.diversity.weights
+     */
+    function calculatePartnerSimilarity(candidate1, candidate2) {
+        const rules = scoringRules.diversity;
+        const partner1 = candidate1.partner;
+        const partner2 = candidate2.partner;
+        
+        let industry = 0;
+        if (partner1.industry && partner2.industry) {
+            if (partner1.industry === partner2.industry) {
+                industry = rules.industry.same;
+            } else if (IndustryTaxonomy.getSector(industryTaxonomy, partner1.industry) ===
+                IndustryTaxonomy.getSector(industryTaxonomy, partner2.industry)) {
+                industry = rules.industry.sameSector;
+            }
+        }
+        
+        // Neighbouring sizes are partly alike; unknown sizes are not
+        const order = scoringRules.companySize.order;
+        const size1 = order.indexOf(partner1.companySize);
+        const size2 = order.indexOf(partner2.companySize);
+        const companySize = size1 >= 0 && size2 >= 0 ? 1 - Math.abs(size1 - size2) / (order.length - 1) : 0;
+        
+        // Shared countries when both list markets, otherwise the same geographic focus
+        let geography = 0;
+        if (candidate1.countries && candidate2.countries) {
+            let shared = 0;
+            candidate1.countries.forEach(country => {
+                if (candidate2.countries.has(country)) shared++;
+            });
+            const union = candidate1.countries.size + candidate2.countries.size - shared;
+            geography = union > 0 ? shared / union : 0;
+        } else if (partner1.geographicFocus && partner1.geographicFocus === partner2.geographicFocus) {
+            geography = 1;
+        }
+        
+        const weights = rules.weights;
+        const total = weights.industry + weights.companySize + weights.geography;
+        
+        return total > 0 ?
+            (industry * weights.industry + companySize * weights.companySize + geography * weights.geography) / total :
+            0;
+    }
+    
+    /**
+     * Find most promising partners
+     * @param {Object} brand - Brand profile
+     * @param {Array} partners - List of potential partners
+     * @param {number} limit - Maximum number of partners to return
+     * @param {Object} options - Optional settings
+     * @param {Object} options.weights - Weights to use instead of the defaults
+     * @param {string} options.mutualRule - How to combine the perspectives: 'min', 'harmonic' or 'mean'
+     * @param {string} options.rankBy - 'compatibility' (default) or 'mutual'
+     * @param {Object} options.constraints - Constraints to use instead of the brand's own
+     * @param {number} options.diversity - Above 0, pick a varied set with diversifyPartners, with this
+     *   much weight (up to 1) on variety; each partner then carries its `selection`
+     * @returns {Array} Most promising partners that meet the constraints, with compatibility and mutual-fit scores
+     */
+    function findMostPromisingPartners(brand, partners, limit = 5, options = {}) {
+        if (!brand || !Array.isArray(partners) || partners.length === 0) {
+            return [];
+        }
+        
+        const diverse = parseFloat(options.diversity) > 0;
+        const keep = diverse ? limit * scoringRules.diversity.candidates : limit;
+        
+        // Only the top matches are kept while scoring, rather than sorting every partner
+        const ranker = createRanker(brand, indexPartners(partners), { ...options, limit: keep });
+        ranker.scoreRange(0, partners.length);
+        
+        const matches = ranker.getResult().matches;
         
-        // Return top matches
-        return sortedPartners.slice(0, limit);
+        return diverse ? diversifyPartners(matches, limit, options) : matches;
     }
     
     // Return public methods
     return {
+        getDefaultWeights,
+        getWeightPresets,
+        normalizeWeights,
+        setTextCorpus,
+        setIndustryTaxonomy,
+        getIndustryTaxonomy,
+        getScoringRules,
+        setScoringRules,
         calculateCompatibilityScore,
+        getDimensionScores,
+        calculatePerspectiveScore,
+        calculateMutualScore,
+        getMutualRules,
+        explainScore,
+        compareMarkets,
         filterPartners,
+        getDefaultConstraints,
+        checkConstraints,
+        getCommitments,
+        findConflicts,
+        rankPartners,
+        indexPartners,
+        createRanker,
+        analyzeWeightSensitivity,
+        findConsortiums,
         sortPartnersByScore,
         generateCompatibilityReport,
-        findMostPromisingPartners
+        findMostPromisingPartners,
+        diversifyPartners
     };
 })();
\ No newline at end of file
@@ -0,0 +1,512 @@
+// Strategic Alliance Builder - Partner Directory Module
+
+/**
+ * PartnerDirectory - Handles the user's directory of potential partners
+ */
+const PartnerDirectory = (function() {
+    // Fields accepted from imported CSV and JSON records, with their accepted aliases
+    const fieldAliases = {
+        brandName: ['brandname', 'name', 'brand', 'company'],
+        website: ['website', 'url', 'domain'],
+        industry: ['industry'],
+        companySize: ['companysize', 'size'],
+        geographicFocus: ['geographicfocus', 'geography', 'region'],
+        markets: ['markets', 'countries', 'market', 'country'],
+        brandDescription: ['branddescription', 'description'],
+        values: ['values', 'corevalues'],
+        objectives: ['objectives', 'partnershipobjectives'],
+        audienceAge: ['audienceage', 'agerange', 'age'],
+        audienceIncome: ['audienceincome', 'incomelevel', 'income'],
+        audienceInterests: ['audienceinterests', 'interests']
+    };
+    
+    // Company sizes and core values by code, with their labels; imports accept either, in any case
+    const companySizes = {
+        'startup': 'Startup (1-10 employees)',
+        'small': 'Small (11-50 employees)',
+        'medium': 'Medium (51-250 employees)',
+        'large': 'Large (251-1000 employees)',
+        'enterprise': 'Enterprise (1000+ employees)'
+    };
+    const coreValues = {
+        'innovation': 'Innovation',
+        'quality': 'Quality',
+        'sustainability': 'Sustainability',
+        'diversity': 'Diversity & Inclusion',
+        'community': 'Community',
+        'customer': 'Customer Focus',
+        'integrity': 'Integrity',
+        'excellence': 'Excellence',
+        'authenticity': 'Authenticity',
+        'teamwork': 'Teamwork',
+        'creativity': 'Creativity',
+        'social': 'Social Responsibility'
+    };
+    
+    // Suffixes ignored when comparing company names
+    const companySuffixes = ['inc', 'llc', 'ltd', 'limited', 'co', 'corp', 'corporation', 'company', 'gmbh', 'plc'];
+    
+    /**
+     * Create a new partner profile
+     * @param {Object} partner - Partner details
+     * @returns {Object} The created partner with additional properties
+     */
+    function createPartner(partner) {
+        if (!partner) {
+            console.error('Invalid partner data');
+            return null;
+        }
+        
+        return {
+            id: partner.id || generateId(),
+            brandName: (partner.brandName || '').trim() || 'Unnamed Partner',
+            website: (partner.website || '').trim(),
+            industry: partner.industry || 'other',
+            companySize: partner.companySize || '',
+            geographicFocus: partner.geographicFocus || '',
+            markets: MarketGeography.normalizeMarkets(toList(partner.markets)),
+            brandDescription: partner.brandDescription || '',
+            values: toList(partner.values),
+            audience: {
+                age: partner.audience?.age || '',
+                income: partner.audience?.income || '',
+                interests: toList(partner.audience?.interests)
+            },
+            partnership: {
+                ...(partner.partnership || {}),
+                objectives: toList(partner.partnership?.objectives)
+            },
+            status: partner.status || 'active',
+            createdAt: partner.createdAt || new Date().toISOString(),
+            updatedAt: new Date().toISOString()
+        };
+    }
+    
+    /**
+     * Update an existing partner
+     * @param {Object} partner - Existing partner
+     * @param {Object} updates - Properties to update
+     * @returns {Object} Updated partner
+     */
+    function updatePartner(partner, updates) {
+        if (!partner || !updates) {
+            console.error('Invalid data for partner update');
+            return partner;
+        }
+        
+        // Don't update id or creation date
+        const { id, createdAt, ...changes } = updates;
+        
+        return createPartner({ ...partner, ...changes });
+    }
+    
+    /**
+     * Archive a partner so it no longer appears in searches
+     * @param {Object} partner - The partner to archive
+     * @returns {Object} Updated partner
+     */
+    function archivePartner(partner) {
+        return updatePartner(partner, { status: 'archived' });
+    }
+    
+    /**
+     * Restore an archived partner
+     * @param {Object} partner - The partner to restore
+     * @returns {Object} Updated partner
+     */
+    function restorePartner(partner) {
+        return updatePartner(partner, { status: 'active' });
+    }
+    
+    /**
+     * Get the partners that are not archived
+     * @param {Array} partners - The partner directory
+     * @returns {Array} Active partners
+     */
+    function getActivePartners(partners) {
+        return (partners || []).filter(partner => partner.status !== 'archived');
+    }
+    
+    /**
+     * Check a partner for missing required fields
+     * @param {Object} partner - The partner to validate
+     * @returns {Array} Error messages, empty if the partner is valid
+     */
+    function validatePartner(partner) {
+        const errors = [];
+        
+        if (!partner || !(partner.brandName || '').trim()) {
+            errors.push('Brand name is required');
+        }
+        
+        return errors;
+    }
+    
+    /**
+     * Find existing partners that look like duplicates of a partner
+     * To check many partners, use createDuplicateIndex instead.
+     * @param {Object} partner - The partner to check
+     * @param {Array} partners - The partners to compare against
+     * @returns {Array} Matches as {partner, reasons} where reasons lists 'name' and/or 'domain'
+     */
+    function findDuplicates(partner, partners) {
+        if (!partner || !Array.isArray(partners)) return [];
+        
+        return createDuplicateIndex(partners).find(partner);
+    }
+    
+    /**
+     * Index partners by normalized name and domain, so each duplicate check is a lookup
+     * @param {Array} partners - The partners to compare against
+     * @returns {Object} Index with add(partner), to compare against another partner, and find(partner),
+     *   which returns matches like findDuplicates
+     */
+    function createDuplicateIndex(partners) {
+        const byName = new Map();
+        const byDomain = new Map();
+        let count = 0;
+        
+        const addTo = (map, key, entry) => {
+            if (!key) return;
+            if (!map.has(key)) map.set(key, []);
+            map.get(key).push(entry);
+        };
+        
+        const add = partner => {
+            // Matches are listed in the order the partners were added
+            const entry = { partner, position: count++ };
+            addTo(byName, normalizeName(partner.brandName), entry);
+            addTo(byDomain, getDomain(partner.website), entry);
+        };
+        
+        const find = partner => {
+            if (!partner) return [];
+            
+            const matches = new Map();
+            const collect = (map, key, reason) => {
+                if (!key) return;
+                (map.get(key) || []).forEach(entry => {
+                    if (entry.partner.id === partner.id) return;
+                    if (!matches.has(entry)) matches.set(entry, { partner: entry.partner, reasons: [] });
+                    matches.get(entry).reasons.push(reason);
+                });
+            };
+            
+            collect(byName, normalizeName(partner.brandName), 'name');
+            collect(byDomain, getDomain(partner.website), 'domain');
+            
+            return Array.from(matches.keys())
+                .sort((a, b) => a.position - b.position)
+                .map(entry => matches.get(entry));
+        };
+        
+        (partners || []).forEach(add);
+        
+        return { add, find };
+    }
+    
+    /**
+     * Normalize a company name for comparison
+     * @param {string} name - The company name
+     * @returns {string} Lowercase name without punctuation or company suffixes
+     */
+    function normalizeName(name) {
+        return (name || '')
+            .toLowerCase()
+            .replace(/&/g, ' and ')
+            .replace(/[^a-z0-9]+/g, ' ')
+            .split(' ')
+            .filter(word => word && !companySuffixes.includes(word))
+            .join('');
+    }
+    
+    /**
+     * Extract the domain from a website address
+     * @param {string} website - A URL or bare domain
+     * @returns {string} The domain without protocol, "www." or path
+     */
+    function getDomain(website) {
+        return (website || '')
+            .trim()
+            .toLowerCase()
+            .replace(/^[a-z]+:\/\//, '')
+            .replace(/^www\./, '')
+            .split(/[/?#:]/)[0];
+    }
+    
+    /**
+     * Parse partner records from CSV text
+     * @param {string} text - CSV with a header row
+     * @returns {Array} Partner records; list fields are separated by ";" or "|"
+     */
+    function parseCSV(text) {
+        const rows = parseCSVRows(text || '').filter(row => row.some(cell => cell.trim() !== ''));
+        if (rows.length < 2) return [];
+        
+        const headers = rows[0].map(header => header.trim());
+        
+        return rows.slice(1).map(row => {
+            const record = {};
+            headers.forEach((header, index) => {
+                record[header] = (row[index] || '').trim();
+            });
+            return toPartnerRecord(record);
+        });
+    }
+    
+    /**
+     * Split CSV text into rows of cells, honouring quoted fields
+     * @param {string} text - CSV text
+     * @returns {Array} Rows of cell values
+     */
+    function parseCSVRows(text) {
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let inQuotes = false;
+        
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            
+            if (inQuotes) {
+                if (char === '"' && text[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === ',') {
+                row.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+        
+        row.push(cell);
+        rows.push(row);
+        
+        return rows;
+    }
+    
+    /**
+     * Parse partner records from JSON text
+     * @param {string} text - A JSON array of partners, or an object with a "partners" array
+     * @returns {Array|null} Partner records, or null if the JSON is invalid
+     */
+    function parseJSON(text) {
+        try {
+            const parsed = JSON.parse(text);
+            const records = Array.isArray(parsed) ? parsed : parsed?.partners;
+            
+            if (!Array.isArray(records)) {
+                console.error('JSON does not contain a list of partners');
+                return null;
+            }
+            
+            return records.map(record => toPartnerRecord(record || {}));
+        } catch (error) {
+            console.error('Error parsing partner JSON:', error);
+            return null;
+        }
+    }
+    
+    /**
+     * Map a flat imported record onto the partner profile schema
+     * @param {Object} record - Imported record
+     * @returns {Object} Partner details for createPartner
+     */
+    function toPartnerRecord(record) {
+        const lookup = {};
+        Object.keys(record).forEach(key => {
+            lookup[key.toLowerCase().replace(/[^a-z]/g, '')] = record[key];
+        });
+        
+        const get = field => {
+            const alias = fieldAliases[field].find(name => lookup[name] !== undefined);
+            return alias ? lookup[alias] : undefined;
+        };
+        
+        return {
+            brandName: get('brandName'),
+            website: get('website'),
+            industry: get('industry'),
+            companySize: get('companySize'),
+            geographicFocus: get('geographicFocus'),
+            markets: get('markets'),
+            brandDescription: get('brandDescription'),
+            values: get('values'),
+            audience: {
+                age: record.audience?.age || get('audienceAge'),
+                income: record.audience?.income || get('audienceIncome'),
+                interests: record.audience?.interests || get('audienceInterests')
+            },
+            partnership: {
+                objectives: record.partnership?.objectives || get('objectives')
+            }
+        };
+    }
+    
+    /**
+     * Build a lookup from the ways a code may be written to the code
+     * @param {Array} entries - [code, ...names] for each code
+     * @returns {Map} Code for each comparison key (see toCodeKey)
+     */
+    function createCodeLookup(entries) {
+        const lookup = new Map();
+        
+        entries.forEach(([code, ...names]) => {
+            [code, ...names].forEach(name => {
+                if (!name) return;
+                
+                // Labels such as "Small (11-50 employees)" are also accepted without the part in brackets
+                const key = toCodeKey(name);
+                const shortKey = toCodeKey(String(name).replace(/\(.*\)/, ''));
+                if (key && !lookup.has(key)) lookup.set(key, code);
+                if (shortKey && !lookup.has(shortKey)) lookup.set(shortKey, code);
+            });
+        });
+        
+        return lookup;
+    }
+    
+    /**
+     * Reduce a code or label to the form they are compared in
+     * @param {string} value - A code or label
+     * @returns {string} Lowercase letters and digits only, with "&" as "and"
+     */
+    function toCodeKey(value) {
+        return String(value || '').toLowerCase().replace(/&/g, 'and').replace(/[^a-z0-9]/g, '');
+    }
+    
+    /**
+     * Convert an imported record's industry, company size and values to the codes the app uses
+     * Values that match no code are left out and reported.
+     * @param {Object} record - Partner details from toPartnerRecord
+     * @param {Object} lookups - {industry, companySize, values} lookups from createCodeLookup
+     * @returns {Object} {record, unknown} with the converted record and the unknown values as {field, value}
+     */
+    function normalizeCodes(record, lookups) {
+        const unknown = [];
+        const convert = (field, value) => {
+            const code = lookups[field].get(toCodeKey(value));
+            if (!code) unknown.push({ field, value: String(value).trim() });
+            return code;
+        };
+        
+        const normalized = { ...record };
+        
+        if (record.industry) normalized.industry = convert('industry', record.industry);
+        if (record.companySize) normalized.companySize = convert('companySize', record.companySize);
+        
+        normalized.values = toList(record.values)
+            .map(value => convert('values', value))
+            .filter((code, index, codes) => code && codes.indexOf(code) === index);
+        
+        return { record: normalized, unknown };
+    }
+    
+    /**
+     * Import partner records into the directory
+     * Industries, company sizes and values may be given as codes or labels in any case, and are
+     * stored as codes. Ones that match no code are left out and listed in unknown.
+     * @param {Array} records - Records from parseCSV or parseJSON
+     * @param {Array} existingPartners - The current partner directory
+     * @param {Object} options - Optional settings
+     * @param {boolean} options.skipDuplicates - Leave out records that duplicate an existing partner
+     * @param {Object} options.taxonomy - The industry taxonomy; defaults to the built-in industries
+     * @returns {Object} {partners, errors, duplicates, skipped, unknown} where unknown lists {row, field, value}
+     */
+    function importPartners(records, existingPartners, options = {}) {
+        const partners = [];
+        const errors = [];
+        const duplicates = [];
+        const unknown = [];
+        let skipped = 0;
+        
+        const taxonomy = options.taxonomy || IndustryTaxonomy.getDefaultTaxonomy();
+        const lookups = {
+            industry: createCodeLookup(taxonomy.industries.map(industry => [industry.id, industry.name, industry.naics])),
+            companySize: createCodeLookup(Object.entries(companySizes)),
+            values: createCodeLookup(Object.entries(coreValues))
+        };
+        
+        // Records are checked against the directory and the records imported before them
+        const duplicateIndex = createDuplicateIndex(existingPartners);
+        
+        (records || []).forEach((record, index) => {
+            const recordErrors = validatePartner(record);
+            if (recordErrors.length > 0) {
+                errors.push({ row: index + 1, message: recordErrors.join(', ') });
+                return;
+            }
+            
+            const normalized = normalizeCodes(record, lookups);
+            const partner = createPartner(normalized.record);
+            
+            const matches = duplicateIndex.find(partner);
+            if (matches.length > 0) {
+                if (options.skipDuplicates) {
+                    skipped++;
+                    return;
+                }
+                duplicates.push({ partner, matches });
+            }
+            
+            partners.push(partner);
+            duplicateIndex.add(partner);
+            unknown.push(...normalized.unknown.map(item => ({ row: index + 1, ...item })));
+        });
+        
+        return { partners, errors, duplicates, skipped, unknown };
+    }
+    
+    /**
+     * Convert a list field to an array
+     * @param {Array|string} value - An array, or a string separated by ";", "|" or ","
+     * @returns {Array} Trimmed, non-empty items
+     */
+    function toList(value) {
+        if (Array.isArray(value)) return value.filter(Boolean);
+        if (!value) return [];
+        
+        return String(value)
+            .split(/[;|,]/)
+            .map(item => item.trim())
+            .filter(Boolean);
+    }
+    
+    /**
+     * Generate a unique ID
+     * @returns {string} A unique ID
+     */
+    function generateId() {
+        return Date.now().toString(36) + Math.random().toString(36).substr(2, 5);
+    }
+    
+    // Return public methods
+    return {
+        createPartner,
+        updatePartner,
+        archivePartner,
+        restorePartner,
+        getActivePartners,
+        validatePartner,
+        findDuplicates,
+        createDuplicateIndex,
+        getDomain,
+        parseCSV,
+        parseJSON,
+        importPartners
+    };
+})();
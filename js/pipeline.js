@@ -0,0 +1,269 @@
+// Strategic Alliance Builder - Partner Pipeline Module
+
+/**
+ * PipelineManager - Tracks potential partners through deal stages, from first match to signed or declined
+ */
+const PipelineManager = (function() {
+    // Stages in order; 'won' and 'lost' stages end a deal
+    const defaultStages = [
+        { id: 'identified', name: 'Identified', outcome: 'open' },
+        { id: 'researched', name: 'Researched', outcome: 'open' },
+        { id: 'contacted', name: 'Contacted', outcome: 'open' },
+        { id: 'discussion', name: 'In Discussion', outcome: 'open' },
+        { id: 'negotiating', name: 'Negotiating', outcome: 'open' },
+        { id: 'signed', name: 'Signed', outcome: 'won' },
+        { id: 'declined', name: 'Declined', outcome: 'lost' }
+    ];
+    
+    const outcomes = ['open', 'won', 'lost'];
+    
+    /**
+     * Get a copy of the default stages
+     * @returns {Array} Stages as {id, name, outcome}
+     */
+    function getDefaultStages() {
+        return defaultStages.map(stage => ({ ...stage }));
+    }
+    
+    /**
+     * Check a list of stages
+     * @param {Array} stages - Stages as {id, name, outcome}
+     * @param {Array} deals - Current deals; stages that still hold deals cannot be removed
+     * @returns {Array} Error messages; empty if the stages are valid
+     */
+    function validateStages(stages, deals = []) {
+        const errors = [];
+        
+        if (!Array.isArray(stages) || stages.length === 0) {
+            return ['The pipeline needs at least one stage'];
+        }
+        
+        const ids = new Set();
+        stages.forEach((stage, index) => {
+            if (!String(stage.name || '').trim()) {
+                errors.push(`Stage ${index + 1} needs a name`);
+            }
+            if (!outcomes.includes(stage.outcome)) {
+                errors.push(`Stage ${index + 1} has an unknown outcome`);
+            }
+            if (ids.has(stage.id)) {
+                errors.push(`Stage ${index + 1} has the same id as another stage`);
+            }
+            ids.add(stage.id);
+        });
+        
+        if (!stages.some(stage => stage.outcome === 'open')) {
+            errors.push('At least one stage must be open');
+        }
+        
+        if (!stages.some(stage => stage.outcome === 'won')) {
+            errors.push('At least one stage must mark a deal as won');
+        }
+        
+        deals.forEach(deal => {
+            if (!ids.has(deal.stage)) {
+                errors.push(`${deal.partnerName} is still in a stage that would be removed`);
+            }
+        });
+        
+        return errors;
+    }
+    
+    /**
+     * Create a stage
+     * @param {string} name - The stage name
+     * @param {string} outcome - 'open', 'won' or 'lost'
+     * @returns {Object} The stage
+     */
+    function createStage(name, outcome = 'open') {
+        return {
+            id: generateId(),
+            name: String(name || '').trim(),
+            outcome: outcomes.includes(outcome) ? outcome : 'open'
+        };
+    }
+    
+    /**
+     * Create a deal for a partner
+     * @param {Object} partner - The partner
+     * @param {string} stageId - The stage the deal starts in
+     * @returns {Object} The deal, or null if the partner is missing
+     */
+    function createDeal(partner, stageId) {
+        if (!partner || !partner.id) {
+            console.error('Invalid partner for pipeline deal');
+            return null;
+        }
+        
+        const now = new Date().toISOString();
+        
+        return {
+            id: generateId(),
+            partnerId: partner.id,
+            partnerName: partner.brandName,
+            stage: stageId,
+            history: [{ stage: stageId, from: null, timestamp: now }],
+            collaborationId: null,
+            createdAt: now,
+            updatedAt: now
+        };
+    }
+    
+    /**
+     * Move a deal to another stage, recording the move in its history
+     * @param {Object} deal - The deal
+     * @param {string} stageId - The new stage
+     * @returns {Object} The updated deal, or the deal unchanged if it is already in the stage
+     */
+    function moveDeal(deal, stageId) {
+        if (!deal || !stageId) {
+            console.error('Invalid data for pipeline move');
+            return deal;
+        }
+        
+        if (deal.stage === stageId) {
+            return deal;
+        }
+        
+        const now = new Date().toISOString();
+        
+        return {
+            ...deal,
+            stage: stageId,
+            history: [...deal.history, { stage: stageId, from: deal.stage, timestamp: now }],
+            updatedAt: now
+        };
+    }
+    
+    /**
+     * Find a stage by id
+     * @param {Array} stages - The stages
+     * @param {string} stageId - The stage id
+     * @returns {Object|undefined} The stage
+     */
+    function getStage(stages, stageId) {
+        return stages.find(stage => stage.id === stageId);
+    }
+    
+    /**
+     * Get how long a deal has been in its current stage
+     * @param {Object} deal - The deal
+     * @param {Date} now - The current time
+     * @returns {number} Whole days in the stage
+     */
+    function getDaysInStage(deal, now = new Date()) {
+        const entered = deal.history.length > 0 ? deal.history[deal.history.length - 1].timestamp : deal.createdAt;
+        return Math.floor((now - new Date(entered)) / (24 * 60 * 60 * 1000));
+    }
+    
+    /**
+     * Calculate conversion funnel metrics
+     * A deal counts as having reached a stage if it was ever in that stage or a later one. Lost stages
+     * are left out of the funnel and counted separately.
+     * @param {Array} deals - The deals
+     * @param {Array} stages - The stages in order
+     * @returns {Object} {stages, total, won, lost, open, winRate, averageDaysToWin} where stages lists
+     *   {id, name, outcome, current, reached, conversion} for each open and won stage; conversion is the
+     *   share of deals reaching the previous stage that reached this one (null for the first stage)
+     */
+    function calculateFunnel(deals, stages) {
+        const funnelStages = stages.filter(stage => stage.outcome !== 'lost');
+        const positions = {};
+        funnelStages.forEach((stage, index) => {
+            positions[stage.id] = index;
+        });
+        
+        // Furthest funnel stage each deal has reached
+        const furthest = deals.map(deal => Math.max(-1, ...deal.history
+            .filter(entry => positions[entry.stage] !== undefined)
+            .map(entry => positions[entry.stage])));
+        
+        let previousReached = null;
+        const metrics = funnelStages.map((stage, index) => {
+            const reached = furthest.filter(position => position >= index).length;
+            const conversion = previousReached === null ? null : (previousReached > 0 ? reached / previousReached : 0);
+            previousReached = reached;
+            
+            return {
+                ...stage,
+                current: deals.filter(deal => deal.stage === stage.id).length,
+                reached,
+                conversion
+            };
+        });
+        
+        const outcomeOf = deal => (getStage(stages, deal.stage) || {}).outcome;
+        const wonDeals = deals.filter(deal => outcomeOf(deal) === 'won');
+        const lost = deals.filter(deal => outcomeOf(deal) === 'lost').length;
+        const closed = wonDeals.length + lost;
+        
+        // Days from creating a deal to its first move into a won stage
+        const daysToWin = wonDeals.map(deal => {
+            const wonEntry = deal.history.find(entry => (getStage(stages, entry.stage) || {}).outcome === 'won');
+            return (new Date(wonEntry.timestamp) - new Date(deal.createdAt)) / (24 * 60 * 60 * 1000);
+        });
+        
+        return {
+            stages: metrics,
+            total: deals.length,
+            won: wonDeals.length,
+            lost,
+            open: deals.length - closed,
+            winRate: closed > 0 ? wonDeals.length / closed : null,
+            averageDaysToWin: daysToWin.length > 0 ? daysToWin.reduce((sum, days) => sum + days, 0) / daysToWin.length : null
+        };
+    }
+    
+    /**
+     * Create the collaboration for a signed deal
+     * @param {Object} deal - A deal in a won stage
+     * @param {Object} partner - The deal's partner, if it is still in the directory
+     * @param {Object} profile - The user's brand profile
+     * @returns {Object} {deal, collaboration}: the deal linked to the new collaboration, and the
+     *   collaboration from ProjectManager.createCollaboration; null if the deal already has one
+     */
+    function convertDeal(deal, partner, profile) {
+        if (!deal || deal.collaborationId) {
+            console.error('Deal is missing or already converted');
+            return null;
+        }
+        
+        // Start with the objectives both sides share
+        const partnerObjectives = partner?.partnership?.objectives || [];
+        const objectives = (profile?.partnership?.objectives || []).filter(objective => partnerObjectives.includes(objective));
+        
+        const collaboration = ProjectManager.createCollaboration({
+            name: `${deal.partnerName} Partnership`,
+            partnerName: deal.partnerName,
+            partnerId: deal.partnerId,
+            description: `Partnership with ${deal.partnerName}, signed through the partner pipeline.`,
+            objectives
+        });
+        
+        return {
+            deal: { ...deal, collaborationId: collaboration.id, updatedAt: new Date().toISOString() },
+            collaboration
+        };
+    }
+    
+    /**
+     * Generate a unique ID
+     * @returns {string} A unique ID
+     */
+    function generateId() {
+        return Date.now().toString(36) + Math.random().toString(36).substr(2, 5);
+    }
+    
+    // Return public methods
+    return {
+        getDefaultStages,
+        validateStages,
+        createStage,
+        createDeal,
+        moveDeal,
+        getStage,
+        getDaysInStage,
+        calculateFunnel,
+        convertDeal
+    };
+})();
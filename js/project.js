@@ -4,6 +4,72 @@
  * ProjectManager - Handles collaboration workspace management functionality
  */
 const ProjectManager = (function() {
+    // Functions called with a change event after each collaboration change
+    const listeners = [];
+    
+    /**
+     * Listen for changes made through ProjectManager
+     * @param {Function} listener - Called with {action, entityType, entityId, collaborationId, before, after}
+     *   where action is 'create', 'update' or 'delete' and before/after are snapshots of the entity
+     * @returns {Function} Call to stop listening
+     */
+    function subscribe(listener) {
+        listeners.push(listener);
+        
+        return function unsubscribe() {
+            const index = listeners.indexOf(listener);
+            if (index >= 0) listeners.splice(index, 1);
+        };
+    }
+    
+    /**
+     * Notify listeners of a change
+     * @param {string} action - 'create', 'update' or 'delete'
+     * @param {string} entityType - 'collaboration', 'task', 'milestone', 'document' or 'note'
+     * @param {string} collaborationId - ID of the collaboration that changed
+     * @param {Object|null} before - The entity before the change
+     * @param {Object|null} after - The entity after the change
+     */
+    function notify(action, entityType, collaborationId, before, after) {
+        const change = {
+            action,
+            entityType,
+            entityId: (after || before).id,
+            collaborationId,
+            before: snapshot(entityType, before),
+            after: snapshot(entityType, after)
+        };
+        
+        listeners.forEach(listener => {
+            try {
+                listener(change);
+            } catch (error) {
+                console.error('Error in ProjectManager listener:', error);
+            }
+        });
+    }
+    
+    /**
+     * Copy an entity for a change event
+     * @param {string} entityType - The type of entity
+     * @param {Object|null} entity - The entity
+     * @returns {Object|null} A deep copy; collaborations leave out their items, which have their own events
+     */
+    function snapshot(entityType, entity) {
+        if (!entity) return null;
+        
+        const copy = JSON.parse(JSON.stringify(entity));
+        
+        if (entityType === 'collaboration') {
+            delete copy.tasks;
+            delete copy.milestones;
+            delete copy.documents;
+            delete copy.notes;
+        }
+        
+        return copy;
+    }
+    
     /**
      * Create a new collaboration workspace
      * @param {Object} collaboration - Collaboration details
@@ -20,11 +86,13 @@ const ProjectManager = (function() {
             id: collaboration.id || generateId(),
             name: collaboration.name || 'Unnamed Collaboration',
             partnerName: collaboration.partnerName || 'Unknown Partner',
+            partnerId: collaboration.partnerId || null,
             type: collaboration.type || 'other',
             description: collaboration.description || '',
             startDate: collaboration.startDate || new Date().toISOString().slice(0, 10),
             endDate: collaboration.endDate || null,
             objectives: collaboration.objectives || [],
+            exclusivity: collaboration.exclusivity || null, // {category, geography, endDate}
             tasks: collaboration.tasks || [],
             milestones: collaboration.milestones || [],
             documents: collaboration.documents || [],
@@ -34,6 +102,8 @@ const ProjectManager = (function() {
             updatedAt: new Date().toISOString()
         };
         
+        notify('create', 'collaboration', newCollaboration.id, null, newCollaboration);
+        
         return newCollaboration;
     }
     
@@ -63,6 +133,8 @@ const ProjectManager = (function() {
         // Update the updatedAt timestamp
         updatedCollaboration.updatedAt = new Date().toISOString();
         
+        notify('update', 'collaboration', collaboration.id, collaboration, updatedCollaboration);
+        
         return updatedCollaboration;
     }
     
@@ -105,6 +177,8 @@ const ProjectManager = (function() {
         // Update the updatedAt timestamp
         updatedCollaboration.updatedAt = new Date().toISOString();
         
+        notify('create', 'task', collaboration.id, null, newTask);
+        
         return updatedCollaboration;
     }
     
@@ -138,7 +212,8 @@ const ProjectManager = (function() {
         }
         
         // Create a copy of the task
-        const updatedTask = { ...updatedCollaboration.tasks[taskIndex] };
+        const previousTask = updatedCollaboration.tasks[taskIndex];
+        const updatedTask = { ...previousTask };
         
         // Apply updates
         Object.keys(updates).forEach(key => {
@@ -157,6 +232,8 @@ const ProjectManager = (function() {
         // Update the collaboration updatedAt timestamp
         updatedCollaboration.updatedAt = new Date().toISOString();
         
+        notify('update', 'task', collaboration.id, previousTask, updatedTask);
+        
         return updatedCollaboration;
     }
     
@@ -180,12 +257,18 @@ const ProjectManager = (function() {
             return updatedCollaboration;
         }
         
+        const deletedTask = updatedCollaboration.tasks.find(item => item.id === taskId);
+        
         // Filter out the task
         updatedCollaboration.tasks = updatedCollaboration.tasks.filter(task => task.id !== taskId);
         
         // Update the updatedAt timestamp
         updatedCollaboration.updatedAt = new Date().toISOString();
         
+        if (deletedTask) {
+            notify('delete', 'task', collaboration.id, deletedTask, null);
+        }
+        
         return updatedCollaboration;
     }
     
@@ -226,6 +309,8 @@ const ProjectManager = (function() {
         // Update the updatedAt timestamp
         updatedCollaboration.updatedAt = new Date().toISOString();
         
+        notify('create', 'milestone', collaboration.id, null, newMilestone);
+        
         return updatedCollaboration;
     }
     
@@ -261,7 +346,8 @@ const ProjectManager = (function() {
         }
         
         // Create a copy of the milestone
-        const updatedMilestone = { ...updatedCollaboration.milestones[milestoneIndex] };
+        const previousMilestone = updatedCollaboration.milestones[milestoneIndex];
+        const updatedMilestone = { ...previousMilestone };
         
         // Apply updates
         Object.keys(updates).forEach(key => {
@@ -280,6 +366,8 @@ const ProjectManager = (function() {
         // Update the collaboration updatedAt timestamp
         updatedCollaboration.updatedAt = new Date().toISOString();
         
+        notify('update', 'milestone', collaboration.id, previousMilestone, updatedMilestone);
+        
         return updatedCollaboration;
     }
     
@@ -303,6 +391,8 @@ const ProjectManager = (function() {
             return updatedCollaboration;
         }
         
+        const deletedMilestone = updatedCollaboration.milestones.find(item => item.id === milestoneId);
+        
         // Filter out the milestone
         updatedCollaboration.milestones = updatedCollaboration.milestones.filter(
             milestone => milestone.id !== milestoneId
@@ -311,6 +401,10 @@ const ProjectManager = (function() {
         // Update the updatedAt timestamp
         updatedCollaboration.updatedAt = new Date().toISOString();
         
+        if (deletedMilestone) {
+            notify('delete', 'milestone', collaboration.id, deletedMilestone, null);
+        }
+        
         return updatedCollaboration;
     }
     
@@ -353,6 +447,8 @@ const ProjectManager = (function() {
         // Update the updatedAt timestamp
         updatedCollaboration.updatedAt = new Date().toISOString();
         
+        notify('create', 'document', collaboration.id, null, newDocument);
+        
         return updatedCollaboration;
     }
     
@@ -388,7 +484,8 @@ const ProjectManager = (function() {
         }
         
         // Create a copy of the document
-        const updatedDocument = { ...updatedCollaboration.documents[documentIndex] };
+        const previousDocument = updatedCollaboration.documents[documentIndex];
+        const updatedDocument = { ...previousDocument };
         
         // Apply updates
         Object.keys(updates).forEach(key => {
@@ -407,6 +504,8 @@ const ProjectManager = (function() {
         // Update the collaboration updatedAt timestamp
         updatedCollaboration.updatedAt = new Date().toISOString();
         
+        notify('update', 'document', collaboration.id, previousDocument, updatedDocument);
+        
         return updatedCollaboration;
     }
     
@@ -430,6 +529,8 @@ const ProjectManager = (function() {
             return updatedCollaboration;
         }
         
+        const deletedDocument = updatedCollaboration.documents.find(item => item.id === documentId);
+        
         // Filter out the document
         updatedCollaboration.documents = updatedCollaboration.documents.filter(
             document => document.id !== documentId
@@ -438,6 +539,10 @@ const ProjectManager = (function() {
         // Update the updatedAt timestamp
         updatedCollaboration.updatedAt = new Date().toISOString();
         
+        if (deletedDocument) {
+            notify('delete', 'document', collaboration.id, deletedDocument, null);
+        }
+        
         return updatedCollaboration;
     }
     
@@ -477,6 +582,8 @@ const ProjectManager = (function() {
         // Update the updatedAt timestamp
         updatedCollaboration.updatedAt = new Date().toISOString();
         
+        notify('create', 'note', collaboration.id, null, newNote);
+        
         return updatedCollaboration;
     }
     
@@ -510,7 +617,8 @@ const ProjectManager = (function() {
         }
         
         // Create a copy of the note
-        const updatedNote = { ...updatedCollaboration.notes[noteIndex] };
+        const previousNote = updatedCollaboration.notes[noteIndex];
+        const updatedNote = { ...previousNote };
         
         // Apply updates
         Object.keys(updates).forEach(key => {
@@ -529,6 +637,8 @@ const ProjectManager = (function() {
         // Update the collaboration updatedAt timestamp
         updatedCollaboration.updatedAt = new Date().toISOString();
         
+        notify('update', 'note', collaboration.id, previousNote, updatedNote);
+        
         return updatedCollaboration;
     }
     
@@ -552,12 +662,18 @@ const ProjectManager = (function() {
             return updatedCollaboration;
         }
         
+        const deletedNote = updatedCollaboration.notes.find(item => item.id === noteId);
+        
         // Filter out the note
         updatedCollaboration.notes = updatedCollaboration.notes.filter(note => note.id !== noteId);
         
         // Update the updatedAt timestamp
         updatedCollaboration.updatedAt = new Date().toISOString();
         
+        if (deletedNote) {
+            notify('delete', 'note', collaboration.id, deletedNote, null);
+        }
+        
         return updatedCollaboration;
     }
     
@@ -786,6 +902,7 @@ const ProjectManager = (function() {
     
     // Return public methods
     return {
+        subscribe,
         createCollaboration,
         updateCollaboration,
         addTask,
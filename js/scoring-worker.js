@@ -0,0 +1,57 @@
+// Strategic Alliance Builder - Scoring Worker
+
+/**
+ * Scores partner directories for BatchScorer, away from the page
+ * Messages in: {type: 'index', signature, partners} keeps the partners to score;
+ * {type: 'rank', id, brand, options, taxonomy, rules} ranks them; {type: 'cancel'} stops ranking.
+ * Messages out: {type: 'progress', id, done, total}, then {type: 'result', id, ranking}
+ * or {type: 'error', id, message}.
+ */
+importScripts('text.js', 'taxonomy.js', 'geography.js', 'matching.js', 'scoring.js');
+
+const state = { index: null, signature: null, corpusKey: null };
+
+// Id of the request being ranked; an older run stops when a newer request arrives
+let currentId = null;
+
+self.addEventListener('message', event => {
+    const message = event.data || {};
+    
+    switch (message.type) {
+        case 'index':
+            state.index = PartnerMatcher.indexPartners(message.partners);
+            state.signature = message.signature;
+            state.corpusKey = null;
+            break;
+        case 'rank':
+            rank(message);
+            break;
+        case 'cancel':
+            currentId = null;
+            break;
+    }
+});
+
+/**
+ * Rank the indexed partners for a request
+ * @param {Object} message - The rank message
+ */
+function rank(message) {
+    const id = message.id;
+    currentId = id;
+    
+    if (!state.index) {
+        self.postMessage({ type: 'error', id, message: 'No partners to score' });
+        return;
+    }
+    
+    PartnerMatcher.setIndustryTaxonomy(message.taxonomy);
+    PartnerMatcher.setScoringRules(message.rules);
+    
+    BatchScorer.scoreInBatches(state, message.brand, message.options || {}, {
+        isCurrent: () => currentId === id,
+        onProgress: (done, total) => self.postMessage({ type: 'progress', id, done, total }),
+        onResult: ranking => self.postMessage({ type: 'result', id, ranking }),
+        onError: error => self.postMessage({ type: 'error', id, message: error.message })
+    });
+}
@@ -0,0 +1,350 @@
+// Strategic Alliance Builder - Batch Scoring Module
+
+/**
+ * BatchScorer - Ranks large partner directories away from the page, in a Web Worker, reporting progress
+ * Where workers are unavailable, such as when the app is opened from a file in some browsers, partners
+ * are scored on the page in batches with pauses between them. The worker loads this module as well,
+ * for the batch loop.
+ */
+const BatchScorer = (function() {
+    // Partners scored between progress reports, and between the pauses that keep the page responsive
+    const batchSize = 2000;
+    
+    // The worker script sits next to this one
+    const workerUrl = typeof document !== 'undefined' && document.currentScript && document.currentScript.src
+        ? document.currentScript.src.replace(/scoring\.js(\?.*)?$/, 'scoring-worker.js')
+        : 'js/scoring-worker.js';
+    
+    let worker = null;
+    let workerFailed = false;
+    let workerSignature = null;
+    
+    // Index and text corpus for scoring on the page, when there is no worker
+    const pageState = { index: null, signature: null, corpusKey: null };
+    
+    let nextRequestId = 1;
+    let currentRequest = null;
+    
+    /**
+     * Check whether scoring runs in a Web Worker
+     * @returns {boolean} False once the worker has failed, or where workers are unsupported
+     */
+    function usesWorker() {
+        return !workerFailed && typeof Worker !== 'undefined';
+    }
+    
+    /**
+     * Rank partners for a brand, in the worker where possible
+     * Only the latest request is answered: starting a new one settles any still running with null.
+     * @param {Object} brand - Brand profile
+     * @param {Array} partners - Partners to rank
+     * @param {Object} options - Options for PartnerMatcher.createRanker (weights, mutualRule, rankBy,
+     *   constraints, conflicts, filters, limit), and:
+     * @param {Function} options.onProgress - Called with (done, total) as partners are scored
+     * @returns {Promise} Resolves with {matches, excluded, matchCount, excludedCount, total}, or null
+     *   if a newer request replaced this one
+     */
+    function rank(brand, partners, options = {}) {
+        const { onProgress, ...rankOptions } = options;
+        
+        if (currentRequest) {
+            currentRequest.resolve(null);
+        }
+        
+        return new Promise((resolve, reject) => {
+            const request = {
+                id: nextRequestId++,
+                brand,
+                partners: Array.isArray(partners) ? partners : [],
+                options: slimConflicts(rankOptions),
+                onProgress,
+                resolve,
+                reject
+            };
+            
+            currentRequest = request;
+            
+            if (usesWorker() && startWorker()) {
+                rankInWorker(request);
+            } else {
+                rankOnPage(request);
+            }
+        });
+    }
+    
+    /**
+     * Cancel the request in progress, settling it with null
+     */
+    function cancel() {
+        if (currentRequest) {
+            currentRequest.resolve(null);
+            currentRequest = null;
+        }
+        
+        if (worker) {
+            worker.postMessage({ type: 'cancel' });
+        }
+    }
+    
+    /**
+     * Keep only the directory entries that conflict checks look up, so less is copied to the worker
+     * @param {Object} options - Ranking options
+     * @returns {Object} The options, with conflicts.partners cut down to the collaborations' partners
+     */
+    function slimConflicts(options) {
+        const conflicts = options.conflicts;
+        
+        if (!conflicts || !Array.isArray(conflicts.partners) || !Array.isArray(conflicts.collaborations)) {
+            return options;
+        }
+        
+        const ids = new Set(conflicts.collaborations.map(collaboration => collaboration.partnerId));
+        const names = new Set(conflicts.collaborations.map(collaboration =>
+            (collaboration.partnerName || '').trim().toLowerCase()));
+        
+        return {
+            ...options,
+            conflicts: {
+                ...conflicts,
+                partners: conflicts.partners.filter(partner =>
+                    ids.has(partner.id) || names.has((partner.brandName || '').trim().toLowerCase()))
+            }
+        };
+    }
+    
+    /**
+     * Create the worker, unless it has already been created or has failed
+     * @returns {boolean} True if the worker is ready for requests
+     */
+    function startWorker() {
+        if (worker) return true;
+        
+        try {
+            worker = new Worker(workerUrl);
+        } catch (error) {
+            console.error('Error starting scoring worker:', error);
+            workerFailed = true;
+            return false;
+        }
+        
+        worker.addEventListener('message', event => handleWorkerMessage(event.data));
+        worker.addEventListener('error', event => {
+            console.error('Scoring worker failed, scoring on the page instead:', event.message);
+            stopWorker();
+            
+            // Finish the request in progress without the worker
+            if (currentRequest) {
+                rankOnPage(currentRequest);
+            }
+        });
+        
+        return true;
+    }
+    
+    /**
+     * Stop the worker and stop using it
+     */
+    function stopWorker() {
+        if (worker) {
+            worker.terminate();
+        }
+        
+        worker = null;
+        workerFailed = true;
+        workerSignature = null;
+    }
+    
+    /**
+     * Send a request to the worker, sending the partners first if they have changed
+     * @param {Object} request - The request
+     */
+    function rankInWorker(request) {
+        const signature = getSignature(request.partners);
+        
+        try {
+            if (signature !== workerSignature) {
+                worker.postMessage({ type: 'index', signature, partners: request.partners });
+                workerSignature = signature;
+            }
+            
+            worker.postMessage({
+                type: 'rank',
+                id: request.id,
+                brand: request.brand,
+                options: request.options,
+                taxonomy: PartnerMatcher.getIndustryTaxonomy(),
+                rules: PartnerMatcher.getScoringRules()
+            });
+        } catch (error) {
+            // Data that cannot be copied to the worker is scored here instead
+            console.error('Error sending partners to scoring worker:', error);
+            workerSignature = null;
+            rankOnPage(request);
+        }
+    }
+    
+    /**
+     * Handle a progress report or result from the worker
+     * @param {Object} message - {type, id, ...}
+     */
+    function handleWorkerMessage(message) {
+        const request = currentRequest;
+        
+        if (!message || !request || message.id !== request.id) return;
+        
+        if (message.type === 'progress') {
+            reportProgress(request, message.done, message.total);
+        } else if (message.type === 'result') {
+            finish(request, message.ranking);
+        } else if (message.type === 'error') {
+            console.error('Error scoring partners in worker:', message.message);
+            finish(request, null, new Error(message.message));
+        }
+    }
+    
+    /**
+     * Score a request on the page, a batch at a time
+     * @param {Object} request - The request
+     */
+    function rankOnPage(request) {
+        const signature = getSignature(request.partners);
+        
+        if (signature !== pageState.signature) {
+            pageState.index = PartnerMatcher.indexPartners(request.partners);
+            pageState.signature = signature;
+            pageState.corpusKey = null;
+        }
+        
+        scoreInBatches(pageState, request.brand, request.options, {
+            isCurrent: () => currentRequest === request,
+            onProgress: (done, total) => reportProgress(request, done, total),
+            onResult: ranking => finish(request, ranking),
+            onError: error => finish(request, null, error)
+        });
+    }
+    
+    /**
+     * Score indexed partners a batch at a time, pausing between batches
+     * Used on the page and by the worker. A run stops early once it is no longer current.
+     * @param {Object} state - {index, signature, corpusKey}: the partner index and its signature, and the
+     *   key of the text corpus last built from them
+     * @param {Object} brand - Brand profile
+     * @param {Object} options - Ranking options (see PartnerMatcher.createRanker)
+     * @param {Object} callbacks - {isCurrent(), onProgress(done, total), onResult(ranking), onError(error)}
+     */
+    function scoreInBatches(state, brand, options, callbacks) {
+        let ranker;
+        
+        try {
+            prepareTextCorpus(state, brand, options);
+            ranker = PartnerMatcher.createRanker(brand, state.index, options);
+        } catch (error) {
+            callbacks.onError(error);
+            return;
+        }
+        
+        const total = state.index.entries.length;
+        let done = 0;
+        
+        const step = () => {
+            if (!callbacks.isCurrent()) return;
+            
+            try {
+                done += ranker.scoreRange(done, done + batchSize);
+            } catch (error) {
+                callbacks.onError(error);
+                return;
+            }
+            
+            callbacks.onProgress(done, total);
+            
+            if (done < total) {
+                setTimeout(step, 0);
+            } else {
+                callbacks.onResult({ ...ranker.getResult(), total });
+            }
+        };
+        
+        step();
+    }
+    
+    /**
+     * Measure description similarity against the brand and the indexed partners
+     * The corpus is only rebuilt when the partners or the brand's text change, and is skipped
+     * when description similarity carries no weight.
+     * @param {Object} state - Scoring state (see scoreInBatches)
+     * @param {Object} brand - Brand profile
+     * @param {Object} options - Ranking options
+     */
+    function prepareTextCorpus(state, brand, options) {
+        const weights = PartnerMatcher.normalizeWeights(options.weights);
+        
+        if (!weights.text) return;
+        
+        const key = `${state.signature}|${brand.brandDescription || ''}|${(brand.audience?.interests || []).join(',')}`;
+        
+        if (key !== state.corpusKey) {
+            PartnerMatcher.setTextCorpus([brand, ...state.index.entries.map(entry => entry.partner)]);
+            state.corpusKey = key;
+        }
+    }
+    
+    /**
+     * Summarize a partner list, so an unchanged directory is not indexed or copied again
+     * @param {Array} partners - Partners
+     * @returns {string} A hash of each partner's id and last update, with the count
+     */
+    function getSignature(partners) {
+        let hash = 2166136261;
+        
+        partners.forEach(partner => {
+            const text = `${partner.id}:${partner.updatedAt || ''};`;
+            
+            for (let i = 0; i < text.length; i++) {
+                hash ^= text.charCodeAt(i);
+                hash = Math.imul(hash, 16777619);
+            }
+        });
+        
+        return `${partners.length}:${(hash >>> 0).toString(36)}`;
+    }
+    
+    /**
+     * Report progress on a request
+     * @param {Object} request - The request
+     * @param {number} done - Partners scored so far
+     * @param {number} total - Partners to score
+     */
+    function reportProgress(request, done, total) {
+        if (typeof request.onProgress === 'function') {
+            request.onProgress(done, total);
+        }
+    }
+    
+    /**
+     * Settle a request, if it is still the current one
+     * @param {Object} request - The request
+     * @param {Object} ranking - The result
+     * @param {Error} error - The error, if scoring failed
+     */
+    function finish(request, ranking, error) {
+        if (currentRequest !== request) return;
+        
+        currentRequest = null;
+        
+        if (error) {
+            request.reject(error);
+        } else {
+            request.resolve(ranking);
+        }
+    }
+    
+    // Return public methods
+    return {
+        usesWorker,
+        rank,
+        cancel,
+        scoreInBatches,
+        getSignature
+    };
+})();
@@ -0,0 +1,158 @@
+// Strategic Alliance Builder - Saved Searches Module
+
+/**
+ * SavedSearchManager - Saves partner searches and works out what changed when they are re-run
+ */
+const SavedSearchManager = (function() {
+    // Score a match must reach before the user is told it crossed the threshold
+    const defaultThreshold = 60;
+    
+    // Matches whose scores are kept between runs; the rest are only counted
+    const resultLimit = 50;
+    
+    /**
+     * Create a saved search
+     * @param {Object} values - {name, filters, weights, mutualRule, rankByMutual, threshold}
+     * @returns {Object|null} The saved search, or null if it has no name
+     */
+    function createSavedSearch(values) {
+        if (!values || !String(values.name || '').trim()) {
+            console.error('Invalid saved search');
+            return null;
+        }
+        
+        const now = new Date().toISOString();
+        
+        return {
+            id: generateId(),
+            name: values.name.trim(),
+            filters: { ...values.filters },
+            weights: values.weights ? { ...values.weights } : null,
+            mutualRule: values.mutualRule || 'harmonic',
+            rankByMutual: Boolean(values.rankByMutual),
+            threshold: normalizeThreshold(values.threshold),
+            results: {},
+            matchCount: 0,
+            createdAt: now,
+            lastRunAt: null
+        };
+    }
+    
+    /**
+     * Clamp a score threshold to 0-100
+     * @param {*} threshold - The threshold entered
+     * @returns {number} The threshold, or the default if it is not a number
+     */
+    function normalizeThreshold(threshold) {
+        const value = parseInt(threshold, 10);
+        return isNaN(value) ? defaultThreshold : Math.min(Math.max(value, 0), 100);
+    }
+    
+    /**
+     * Get the PartnerMatcher options for a saved search
+     * @param {Object} search - The saved search
+     * @returns {Object} {weights, mutualRule, rankBy}
+     */
+    function getMatchingOptions(search) {
+        return {
+            weights: PartnerMatcher.normalizeWeights(search.weights),
+            mutualRule: search.mutualRule,
+            rankBy: search.rankByMutual ? 'mutual' : 'compatibility'
+        };
+    }
+    
+    /**
+     * Get the PartnerMatcher.createRanker options for a saved search
+     * @param {Object} search - The saved search
+     * @returns {Object} The matching options with the search's filters, keeping the best resultLimit matches
+     */
+    function getRankingOptions(search) {
+        return {
+            ...getMatchingOptions(search),
+            filters: { ...search.filters },
+            limit: resultLimit
+        };
+    }
+    
+    /**
+     * Run a saved search
+     * Large directories should be ranked a batch at a time with BatchScorer.scoreInBatches and
+     * getRankingOptions instead, so the page stays responsive.
+     * @param {Object} search - The saved search
+     * @param {Object} profile - The user's brand profile
+     * @param {Array} partners - Partners to search; archived partners should already be left out
+     * @returns {Object} {matches, matchCount}: the best resultLimit matches with compatibility and
+     *   mutual-fit scores, best first, and how many partners matched
+     */
+    function runSearch(search, profile, partners) {
+        if (!search || !profile) return { matches: [], matchCount: 0 };
+        
+        const ranker = PartnerMatcher.createRanker(profile, PartnerMatcher.indexPartners(partners), getRankingOptions(search));
+        ranker.scoreRange(0, Array.isArray(partners) ? partners.length : 0);
+        
+        const { matches, matchCount } = ranker.getResult();
+        return { matches, matchCount };
+    }
+    
+    /**
+     * Compare a saved search's latest results with the previous run
+     * Only the scores of the best matches are kept, so a partner counts as new when it joins them.
+     * A search that has not run before records its results without reporting anything.
+     * @param {Object} search - The saved search
+     * @param {Object} ranking - {matches, matchCount} from runSearch or BatchScorer.scoreInBatches
+     * @returns {Object} {search, newMatches, crossedThreshold}: the search with its results, match
+     *   count and lastRunAt updated, partners that joined the best matches, and earlier best matches
+     *   whose score has risen to the threshold or above. Scores compared are the ones the search ranks by.
+     */
+    function evaluateSearch(search, ranking) {
+        const matches = ranking.matches.slice(0, resultLimit);
+        const scoreKey = search.rankByMutual ? 'mutualScore' : 'compatibilityScore';
+        const previous = search.results || {};
+        const firstRun = !search.lastRunAt;
+        
+        const results = {};
+        const newMatches = [];
+        const crossedThreshold = [];
+        
+        matches.forEach(partner => {
+            const score = partner[scoreKey];
+            results[partner.id] = score;
+            
+            if (firstRun) return;
+            
+            if (previous[partner.id] === undefined) {
+                newMatches.push(partner);
+            } else if (previous[partner.id] < search.threshold && score >= search.threshold) {
+                crossedThreshold.push(partner);
+            }
+        });
+        
+        return {
+            search: {
+                ...search,
+                results,
+                matchCount: ranking.matchCount ?? matches.length,
+                lastRunAt: new Date().toISOString()
+            },
+            newMatches,
+            crossedThreshold
+        };
+    }
+    
+    /**
+     * Generate a unique ID
+     * @returns {string} A unique ID
+     */
+    function generateId() {
+        return Date.now().toString(36) + Math.random().toString(36).substr(2, 5);
+    }
+    
+    // Return public methods
+    return {
+        createSavedSearch,
+        getMatchingOptions,
+        getRankingOptions,
+        runSearch,
+        evaluateSearch
+    };
+})();
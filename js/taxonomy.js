@@ -0,0 +1,326 @@
+// Strategic Alliance Builder - Industry Taxonomy Module
+
+/**
+ * IndustryTaxonomy - Industries, their sub-industries and how strongly pairs of them complement each other
+ */
+const IndustryTaxonomy = (function() {
+    // Industries in display order; sub-industries name their parent. NAICS codes are optional.
+    const defaultIndustries = [
+        { id: 'sports', name: 'Sports & Recreation', naics: '7139', parent: null },
+        { id: 'fitness', name: 'Fitness Centers', naics: '713940', parent: 'sports' },
+        { id: 'sports-teams', name: 'Sports Teams & Clubs', naics: '711211', parent: 'sports' },
+        { id: 'entertainment', name: 'Entertainment & Media', naics: '512', parent: null },
+        { id: 'film', name: 'Film & Video', naics: '5121', parent: 'entertainment' },
+        { id: 'music', name: 'Music & Sound Recording', naics: '5122', parent: 'entertainment' },
+        { id: 'technology', name: 'Technology', naics: '5415', parent: null },
+        { id: 'software', name: 'Software Publishing', naics: '513210', parent: 'technology' },
+        { id: 'cloud', name: 'Cloud & Data Hosting', naics: '518210', parent: 'technology' },
+        { id: 'retail', name: 'Retail & Consumer Goods', naics: '44-45', parent: null },
+        { id: 'apparel', name: 'Clothing & Accessories', naics: '458110', parent: 'retail' },
+        { id: 'general-merchandise', name: 'General Merchandise', naics: '455', parent: 'retail' },
+        { id: 'financial', name: 'Financial Services', naics: '52', parent: null },
+        { id: 'banking', name: 'Banking & Credit', naics: '522', parent: 'financial' },
+        { id: 'insurance', name: 'Insurance', naics: '524', parent: 'financial' },
+        { id: 'healthcare', name: 'Healthcare', naics: '62', parent: null },
+        { id: 'outpatient', name: 'Outpatient Care', naics: '621', parent: 'healthcare' },
+        { id: 'education', name: 'Education', naics: '61', parent: null },
+        { id: 'training', name: 'Training & Instruction', naics: '6116', parent: 'education' },
+        { id: 'food', name: 'Food & Beverage', naics: '311', parent: null },
+        { id: 'beverages', name: 'Beverages', naics: '3121', parent: 'food' },
+        { id: 'restaurants', name: 'Restaurants & Food Service', naics: '722', parent: 'food' },
+        { id: 'automotive', name: 'Automotive', naics: '3361', parent: null },
+        { id: 'auto-dealers', name: 'Car Dealers', naics: '4411', parent: 'automotive' },
+        { id: 'other', name: 'Other', naics: null, parent: null }
+    ];
+    
+    // Strength (0-1) given to pairs of industries that complement each other
+    const defaultStrength = 0.7;
+    
+    // Industries that complement each industry; pairings can differ by direction
+    const defaultComplements = {
+        'sports': ['entertainment', 'healthcare', 'retail'],
+        'entertainment': ['sports', 'technology', 'retail'],
+        'technology': ['entertainment', 'financial', 'healthcare'],
+        'retail': ['sports', 'entertainment', 'food'],
+        'financial': ['technology', 'education'],
+        'healthcare': ['sports', 'technology', 'education'],
+        'education': ['technology', 'healthcare', 'financial'],
+        'food': ['retail', 'healthcare'],
+        'automotive': ['technology', 'retail']
+    };
+    
+    /**
+     * Get a copy of the default taxonomy
+     * @returns {Object} {industries, complementarity}: industries as {id, name, naics, parent}, and the
+     *   strength (0-1) of each complementary pair keyed by the brand's industry, then the partner's
+     */
+    function getDefaultTaxonomy() {
+        const complementarity = {};
+        
+        Object.keys(defaultComplements).forEach(industry => {
+            complementarity[industry] = {};
+            defaultComplements[industry].forEach(other => {
+                complementarity[industry][other] = defaultStrength;
+            });
+        });
+        
+        return {
+            industries: defaultIndustries.map(industry => ({ ...industry })),
+            complementarity
+        };
+    }
+    
+    /**
+     * Get the strength given to newly paired industries
+     * @returns {number} Strength (0-1)
+     */
+    function getDefaultStrength() {
+        return defaultStrength;
+    }
+    
+    /**
+     * Find an industry
+     * @param {Object} taxonomy - The taxonomy
+     * @param {string} industryId - The industry ID
+     * @returns {Object|undefined} The industry
+     */
+    function getIndustry(taxonomy, industryId) {
+        return taxonomy.industries.find(industry => industry.id === industryId);
+    }
+    
+    /**
+     * Get the display name of an industry
+     * @param {Object} taxonomy - The taxonomy
+     * @param {string} industryId - The industry ID
+     * @returns {string} The name, or the ID if the industry is not in the taxonomy
+     */
+    function getName(taxonomy, industryId) {
+        const industry = getIndustry(taxonomy, industryId);
+        return industry ? industry.name : industryId;
+    }
+    
+    /**
+     * Get an industry and the industries above it
+     * @param {Object} taxonomy - The taxonomy
+     * @param {string} industryId - The industry ID
+     * @returns {Array} IDs from the industry itself up to its top-level industry
+     */
+    function getAncestors(taxonomy, industryId) {
+        const path = [];
+        let current = industryId;
+        
+        // The length check stops at a loop in badly edited data
+        while (current && !path.includes(current) && path.length <= taxonomy.industries.length) {
+            path.push(current);
+            const industry = getIndustry(taxonomy, current);
+            current = industry ? industry.parent : null;
+        }
+        
+        return path;
+    }
+    
+    /**
+     * Get the top-level industry an industry belongs to
+     * @param {Object} taxonomy - The taxonomy
+     * @param {string} industryId - The industry ID
+     * @returns {string} The top-level industry ID (the industry itself if it has no parent)
+     */
+    function getSector(taxonomy, industryId) {
+        const path = getAncestors(taxonomy, industryId);
+        return path[path.length - 1];
+    }
+    
+    /**
+     * Check whether an industry is another industry or one of its sub-industries
+     * @param {Object} taxonomy - The taxonomy
+     * @param {string} industryId - The industry to check
+     * @param {string} ancestorId - The industry it may belong to
+     * @returns {boolean} True if industryId is ancestorId or below it
+     */
+    function isWithin(taxonomy, industryId, ancestorId) {
+        return Boolean(industryId) && getAncestors(taxonomy, industryId).includes(ancestorId);
+    }
+    
+    /**
+     * List the industries as a tree, each top-level industry followed by its sub-industries
+     * @param {Object} taxonomy - The taxonomy
+     * @returns {Array} Industries with their depth (0 for top-level)
+     */
+    function getOrderedIndustries(taxonomy) {
+        const ordered = [];
+        const ids = new Set(taxonomy.industries.map(industry => industry.id));
+        
+        const addChildren = (parentId, depth) => {
+            taxonomy.industries
+                .filter(industry => (industry.parent || null) === parentId && !ordered.some(entry => entry.id === industry.id))
+                .forEach(industry => {
+                    ordered.push({ ...industry, depth });
+                    addChildren(industry.id, depth + 1);
+                });
+        };
+        
+        // Industries whose parent is missing are shown at the top level
+        taxonomy.industries
+            .filter(industry => !industry.parent || !ids.has(industry.parent))
+            .forEach(industry => {
+                ordered.push({ ...industry, depth: 0 });
+                addChildren(industry.id, 1);
+            });
+        
+        return ordered;
+    }
+    
+    /**
+     * Get the complementarity strength set for a pair of industries
+     * The most specific pairing wins: the industries themselves, then their parents in turn.
+     * @param {Object} taxonomy - The taxonomy
+     * @param {string} fromId - The brand's industry
+     * @param {string} toId - The partner's industry
+     * @returns {number|null} Strength (0-1), or null if no pairing covers them
+     */
+    function getStrength(taxonomy, fromId, toId) {
+        const fromPath = getAncestors(taxonomy, fromId);
+        const toPath = getAncestors(taxonomy, toId);
+        
+        // Pairs ordered by how many levels they are above the two industries
+        const pairs = [];
+        fromPath.forEach((from, i) => {
+            toPath.forEach((to, j) => {
+                pairs.push({ from, to, distance: i + j });
+            });
+        });
+        pairs.sort((a, b) => a.distance - b.distance);
+        
+        const match = pairs.find(pair => (taxonomy.complementarity[pair.from] || {})[pair.to] !== undefined);
+        return match ? taxonomy.complementarity[match.from][match.to] : null;
+    }
+    
+    /**
+     * Create an industry with an ID made from its name
+     * @param {Object} taxonomy - The taxonomy the industry will join, so the ID is unique
+     * @param {string} name - The industry name
+     * @param {string} parent - The parent industry ID, or null for a top-level industry
+     * @param {string} naics - The NAICS code, if any
+     * @returns {Object} The industry
+     */
+    function createIndustry(taxonomy, name, parent = null, naics = null) {
+        const base = String(name || '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'industry';
+        let id = base;
+        let suffix = 2;
+        
+        while (getIndustry(taxonomy, id)) {
+            id = `${base}-${suffix++}`;
+        }
+        
+        return {
+            id,
+            name: String(name || '').trim(),
+            naics: naics ? String(naics).trim() : null,
+            parent: parent || null
+        };
+    }
+    
+    /**
+     * Check a taxonomy
+     * @param {Object} taxonomy - The taxonomy
+     * @param {Object} usage - Industry IDs in use, each with a description of where, e.g. {technology: '3 partners'}
+     * @returns {Array} Error messages; empty if the taxonomy is valid
+     */
+    function validateTaxonomy(taxonomy, usage = {}) {
+        const errors = [];
+        const ids = new Set();
+        
+        if (!taxonomy || !Array.isArray(taxonomy.industries) || taxonomy.industries.length === 0) {
+            return ['The taxonomy needs at least one industry'];
+        }
+        
+        taxonomy.industries.forEach((industry, index) => {
+            if (!String(industry.name || '').trim()) {
+                errors.push(`Industry ${index + 1} needs a name`);
+            }
+            if (ids.has(industry.id)) {
+                errors.push(`${industry.name || `Industry ${index + 1}`} has the same id as another industry`);
+            }
+            ids.add(industry.id);
+        });
+        
+        taxonomy.industries.forEach(industry => {
+            if (industry.parent && !ids.has(industry.parent)) {
+                errors.push(`${industry.name} belongs to an industry that would be removed`);
+                return;
+            }
+            
+            // A loop leaves an industry without a top-level industry above it
+            const sector = getIndustry(taxonomy, getSector(taxonomy, industry.id));
+            if (sector && sector.parent) {
+                errors.push(`${industry.name} is inside itself or one of its own sub-industries`);
+            }
+        });
+        
+        Object.keys(taxonomy.complementarity || {}).forEach(from => {
+            Object.keys(taxonomy.complementarity[from]).forEach(to => {
+                const strength = taxonomy.complementarity[from][to];
+                if (typeof strength !== 'number' || isNaN(strength) || strength < 0 || strength > 1) {
+                    errors.push(`The strength of ${getName(taxonomy, from)} with ${getName(taxonomy, to)} must be between 0 and 1`);
+                }
+            });
+        });
+        
+        Object.keys(usage).forEach(industryId => {
+            if (!ids.has(industryId)) {
+                errors.push(`${industryId} is still used by ${usage[industryId]}`);
+            }
+        });
+        
+        return errors;
+    }
+    
+    /**
+     * Combine an imported taxonomy with the current one
+     * @param {Object} base - The current taxonomy
+     * @param {Object} incoming - The imported taxonomy
+     * @param {boolean} overwrite - Whether imported industries and strengths replace current ones with the same IDs
+     * @returns {Object} The combined taxonomy
+     */
+    function mergeTaxonomies(base, incoming, overwrite) {
+        const result = JSON.parse(JSON.stringify(base));
+        
+        if (!incoming) return result;
+        
+        (incoming.industries || []).forEach(industry => {
+            const index = result.industries.findIndex(existing => existing.id === industry.id);
+            if (index < 0) {
+                result.industries.push({ ...industry });
+            } else if (overwrite) {
+                result.industries[index] = { ...industry };
+            }
+        });
+        
+        Object.keys(incoming.complementarity || {}).forEach(from => {
+            result.complementarity[from] = result.complementarity[from] || {};
+            Object.keys(incoming.complementarity[from]).forEach(to => {
+                if (overwrite || result.complementarity[from][to] === undefined) {
+                    result.complementarity[from][to] = incoming.complementarity[from][to];
+                }
+            });
+        });
+        
+        return result;
+    }
+    
+    // Return public methods
+    return {
+        getDefaultTaxonomy,
+        getDefaultStrength,
+        getIndustry,
+        getName,
+        getAncestors,
+        getSector,
+        isWithin,
+        getOrderedIndustries,
+        getStrength,
+        createIndustry,
+        validateTaxonomy,
+        mergeTaxonomies
+    };
+})();
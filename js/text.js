@@ -0,0 +1,198 @@
+// Strategic Alliance Builder - Text Similarity Module
+
+/**
+ * TextSimilarity - Compares free text such as brand descriptions using TF-IDF and cosine similarity
+ */
+const TextSimilarity = (function() {
+    // Common words that say nothing about a brand
+    const stopWords = new Set([
+        'a', 'about', 'above', 'after', 'again', 'all', 'also', 'am', 'an', 'and', 'any', 'are', 'as', 'at',
+        'be', 'because', 'been', 'before', 'being', 'below', 'between', 'both', 'but', 'by',
+        'can', 'could', 'did', 'do', 'does', 'doing', 'down', 'during', 'each', 'few', 'for', 'from', 'further',
+        'had', 'has', 'have', 'having', 'he', 'her', 'here', 'hers', 'him', 'his', 'how',
+        'i', 'if', 'in', 'into', 'is', 'it', 'its', 'itself', 'just', 'me', 'more', 'most', 'my',
+        'no', 'nor', 'not', 'now', 'of', 'off', 'on', 'once', 'only', 'or', 'other', 'our', 'ours', 'out', 'over', 'own',
+        'same', 'she', 'should', 'so', 'some', 'such', 'than', 'that', 'the', 'their', 'theirs', 'them', 'then',
+        'there', 'these', 'they', 'this', 'those', 'through', 'to', 'too', 'under', 'until', 'up', 'us',
+        'very', 'was', 'we', 'were', 'what', 'when', 'where', 'which', 'while', 'who', 'whom', 'why', 'will', 'with',
+        'would', 'you', 'your', 'yours',
+        // Words that appear in most company descriptions
+        'brand', 'company', 'companies', 'business', 'businesses', 'provide', 'providing', 'offer', 'offering'
+    ]);
+    
+    // Suffixes removed by the stemmer, longest first, with their replacements
+    const suffixes = [
+        ['ization', 'ize'], ['fulness', 'ful'], ['iveness', 'ive'], ['ousness', 'ous'],
+        ['ability', ''], ['ibility', ''], ['ations', ''], ['atives', ''], ['ivity', 'ive'],
+        ['ation', ''], ['ative', ''], ['ities', ''], ['ments', ''], ['ment', ''], ['ness', ''],
+        ['able', ''], ['ible', ''], ['ates', ''], ['ate', ''], ['ity', ''], ['ing', ''],
+        ['ies', 'i'], ['ied', 'i'], ['ers', ''], ['er', ''], ['ed', ''], ['es', ''], ['s', '']
+    ];
+    
+    /**
+     * Reduce a word to its stem with a small set of suffix rules
+     * @param {string} word - A lowercase word
+     * @returns {string} The stem
+     */
+    function stem(word) {
+        if (word.length <= 3) return word;
+        
+        let result = word;
+        
+        for (const [suffix, replacement] of suffixes) {
+            // Keep enough letters that short words are not mangled ("creative" is not "cre" + "ative")
+            const minimumStem = suffix.length >= 4 ? 4 : 3;
+            
+            if (word.endsWith(suffix) && word.length - suffix.length >= minimumStem) {
+                // Words ending in "ss" (e.g. "fitness") are not plurals
+                if (suffix === 's' && word.endsWith('ss')) break;
+                
+                result = word.slice(0, -suffix.length) + replacement;
+                break;
+            }
+        }
+        
+        // "running" -> "run", "shopping" -> "shop"
+        if (result !== word && /([^aeiouylsz])\1$/.test(result)) {
+            result = result.slice(0, -1);
+        }
+        
+        // "lifestyle" and "lifestyles" share a stem
+        if (result.length > 3 && result.endsWith('e')) {
+            result = result.slice(0, -1);
+        }
+        
+        // "family" and "families" share a stem
+        if (result.length > 3 && result.endsWith('y')) {
+            result = result.slice(0, -1) + 'i';
+        }
+        
+        return result;
+    }
+    
+    /**
+     * Split text into stemmed terms, leaving out stop words
+     * @param {string} text - The text to split
+     * @returns {Array} Terms as {stem, word} in the order they appear
+     */
+    function tokenize(text) {
+        return String(text || '')
+            .toLowerCase()
+            .split(/[^a-z0-9]+/)
+            .filter(word => word.length > 1 && !stopWords.has(word))
+            .map(word => ({ stem: stem(word), word }));
+    }
+    
+    /**
+     * Build an index of how many documents each term appears in
+     * @param {Array} documents - Texts that make up the corpus
+     * @returns {Object} {documentCount, documentFrequency} for calculating inverse document frequency
+     */
+    function createIndex(documents) {
+        const documentFrequency = {};
+        
+        (documents || []).forEach(document => {
+            new Set(tokenize(document).map(term => term.stem)).forEach(term => {
+                documentFrequency[term] = (documentFrequency[term] || 0) + 1;
+            });
+        });
+        
+        return {
+            documentCount: (documents || []).length,
+            documentFrequency
+        };
+    }
+    
+    /**
+     * Calculate the inverse document frequency of a term
+     * Smoothed so terms outside the index, or in every document, still count
+     * @param {Object} index - Index from createIndex
+     * @param {string} term - A stemmed term
+     * @returns {number} The inverse document frequency
+     */
+    function inverseDocumentFrequency(index, term) {
+        const frequency = index.documentFrequency[term] || 0;
+        return Math.log((1 + index.documentCount) / (1 + frequency)) + 1;
+    }
+    
+    /**
+     * Turn text into a TF-IDF vector
+     * @param {string} text - The text
+     * @param {Object} index - Index from createIndex
+     * @returns {Object} {weights, words} keyed by stem; words holds the first word seen for each stem
+     */
+    function vectorize(text, index) {
+        const counts = {};
+        const words = {};
+        
+        tokenize(text).forEach(term => {
+            counts[term.stem] = (counts[term.stem] || 0) + 1;
+            if (!words[term.stem]) words[term.stem] = term.word;
+        });
+        
+        const weights = {};
+        Object.keys(counts).forEach(term => {
+            weights[term] = counts[term] * inverseDocumentFrequency(index, term);
+        });
+        
+        return { weights, words };
+    }
+    
+    /**
+     * Compare two texts
+     * @param {string} text1 - First text
+     * @param {string} text2 - Second text
+     * @param {Object} index - Index from createIndex; defaults to an index of the two texts
+     * @param {number} termLimit - Maximum number of shared terms to return
+     * @returns {Object} {score, terms} where score is the cosine similarity (0-1) and terms lists the
+     *   shared words that contribute most, as {term, weight}
+     */
+    function compare(text1, text2, index, termLimit = 5) {
+        const activeIndex = index || createIndex([text1, text2]);
+        return compareVectors(vectorize(text1, activeIndex), vectorize(text2, activeIndex), termLimit);
+    }
+    
+    /**
+     * Compare two TF-IDF vectors, so vectors made once can be compared many times
+     * @param {Object} vector1 - Vector from vectorize
+     * @param {Object} vector2 - Vector from vectorize, with the same index
+     * @param {number} termLimit - Maximum number of shared terms to return
+     * @returns {Object} {score, terms} as for compare
+     */
+    function compareVectors(vector1, vector2, termLimit = 5) {
+        let dotProduct = 0;
+        const terms = [];
+        
+        Object.keys(vector1.weights).forEach(term => {
+            if (vector2.weights[term] === undefined) return;
+            
+            const weight = vector1.weights[term] * vector2.weights[term];
+            dotProduct += weight;
+            terms.push({ term: vector1.words[term], weight });
+        });
+        
+        const magnitude1 = Math.sqrt(Object.values(vector1.weights).reduce((sum, w) => sum + w * w, 0));
+        const magnitude2 = Math.sqrt(Object.values(vector2.weights).reduce((sum, w) => sum + w * w, 0));
+        
+        if (magnitude1 === 0 || magnitude2 === 0) {
+            return { score: 0, terms: [] };
+        }
+        
+        terms.sort((a, b) => b.weight - a.weight);
+        
+        return {
+            score: Math.min(dotProduct / (magnitude1 * magnitude2), 1),
+            terms: terms.slice(0, termLimit)
+        };
+    }
+    
+    // Return public methods
+    return {
+        tokenize,
+        stem,
+        createIndex,
+        vectorize,
+        compare,
+        compareVectors
+    };
+})();
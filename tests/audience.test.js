@@ -0,0 +1,65 @@
+// Strategic Alliance Builder - Audience Fit Tests
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadModules } = require('./helpers/load-modules');
+
+const { get } = loadModules(['js/taxonomy.js', 'js/geography.js', 'js/text.js', 'js/matching.js']);
+const PartnerMatcher = get('PartnerMatcher');
+
+/**
+ * Score two audiences
+ * @param {Object} audience1 - The brand's audience
+ * @param {Object} audience2 - The partner's audience
+ * @returns {number} The audience dimension score (0-1), to six places so weighted parts add up exactly
+ */
+function audienceScore(audience1, audience2) {
+    const score = PartnerMatcher.getDimensionScores({ audience: audience1 }, { audience: audience2 }).audience;
+    return Math.round(score * 1e6) / 1e6;
+}
+
+test('matching audiences score 1, and each part is weighted', () => {
+    const audience = { age: '25-34', income: 'middle', interests: ['fitness', 'travel'] };
+    
+    assert.strictEqual(audienceScore(audience, { ...audience }), 1);
+    // Age 0.4 × 1, income 0.3 × 0.6 (one tier apart), interests 0.3 × 0
+    assert.strictEqual(audienceScore(audience, { age: '25-34', income: 'affluent', interests: ['gaming'] }), 0.58);
+});
+
+test('age bands and income tiers score by how far apart they are', () => {
+    assert.deepStrictEqual(
+        ['25-34', '35-44', '45-54', '55plus'].map(age => audienceScore({ age: '25-34' }, { age })),
+        [1, 0.6, 0.25, 0]
+    );
+    assert.deepStrictEqual(
+        ['budget', 'middle', 'affluent', 'luxury'].map(income => audienceScore({ income: 'budget' }, { income })),
+        [1, 0.6, 0.25, 0]
+    );
+});
+
+test('an audience of all ages or incomes is a broad fit', () => {
+    assert.strictEqual(audienceScore({ age: 'all' }, { age: '18-24' }), 0.7);
+    assert.strictEqual(audienceScore({ income: 'luxury' }, { income: 'all' }), 0.7);
+});
+
+test('only the parts both audiences fill in count', () => {
+    assert.strictEqual(audienceScore({ age: '18-24', income: 'middle' }, { age: '18-24', interests: ['music'] }), 1);
+    assert.strictEqual(audienceScore({ age: '18-24' }, { income: 'middle' }), 0);
+    assert.strictEqual(audienceScore(undefined, { age: '18-24' }), 0);
+});
+
+test('interests are compared without case and against the shorter list', () => {
+    assert.strictEqual(audienceScore({ interests: [' Fitness', 'TRAVEL'] }, { interests: ['fitness', 'travel', 'music', 'food'] }), 1);
+    assert.strictEqual(audienceScore({ interests: ['fitness', 'travel', 'music', 'food'] }, { interests: ['Fitness', 'gaming'] }), 0.5);
+});
+
+test('each perspective compares shared interests with everything its own audience lists', () => {
+    const brand = { brandName: 'Brand', audience: { interests: ['fitness', 'travel', 'music', 'food'] } };
+    const partner = { brandName: 'Partner', audience: { interests: ['fitness', 'travel'] } };
+    
+    const report = PartnerMatcher.generateCompatibilityReport(brand, partner);
+    
+    assert.strictEqual(report.dimensionScores.audience, 100);
+    assert.strictEqual(report.perspectives.brand.dimensionScores.audience, 50);
+    assert.strictEqual(report.perspectives.partner.dimensionScores.audience, 100);
+});
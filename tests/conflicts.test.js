@@ -0,0 +1,100 @@
+// Strategic Alliance Builder - Conflict Detection Tests
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadModules, plain } = require('./helpers/load-modules');
+
+const { get } = loadModules(['js/taxonomy.js', 'js/geography.js', 'js/text.js', 'js/matching.js']);
+const PartnerMatcher = get('PartnerMatcher');
+
+const now = new Date('2026-06-01T00:00:00.000Z');
+const directory = [
+    { id: 'gym', brandName: 'Gym Co', industry: 'fitness', geographicFocus: 'national' },
+    { id: 'rival', brandName: 'Rival Gym', industry: 'fitness', geographicFocus: 'regional' },
+    { id: 'local', brandName: 'Corner Gym', industry: 'fitness', geographicFocus: 'local' },
+    { id: 'bank', brandName: 'Bank Co', industry: 'banking', geographicFocus: 'global' }
+];
+
+/**
+ * Make an active collaboration with Gym Co
+ * @param {Object} values - Fields to set
+ * @returns {Object} The collaboration
+ */
+function makeCollaboration(values) {
+    return { id: 'c1', name: 'Gym deal', partnerId: 'gym', partnerName: 'Gym Co', status: 'active', endDate: null, exclusivity: null, ...values };
+}
+
+/**
+ * Find the conflicts each directory partner has with the collaborations
+ * @param {Array} collaborations - The brand's collaborations
+ * @returns {Object} Conflict types keyed by partner name, for partners with conflicts
+ */
+function conflictsByPartner(collaborations) {
+    const commitments = PartnerMatcher.getCommitments(collaborations, directory, now);
+    const result = {};
+    
+    directory.forEach(partner => {
+        const conflicts = PartnerMatcher.findConflicts(partner, commitments);
+        if (conflicts.length > 0) result[partner.brandName] = plain(conflicts.map(conflict => conflict.constraint));
+    });
+    
+    return result;
+}
+
+test('partners in the same industry as a current collaboration partner are competitors', () => {
+    assert.deepStrictEqual(conflictsByPartner([makeCollaboration({})]), {
+        'Rival Gym': ['competitor'],
+        'Corner Gym': ['competitor']
+    });
+});
+
+test('collaborations that have ended or are not active raise no conflicts', () => {
+    assert.deepStrictEqual(conflictsByPartner([makeCollaboration({ endDate: '2026-05-31' })]), {});
+    assert.deepStrictEqual(conflictsByPartner([makeCollaboration({ status: 'completed' })]), {});
+});
+
+test('exclusivity covers its category, with sub-industries, at or above its geography', () => {
+    const collaboration = makeCollaboration({
+        endDate: '2026-01-01',
+        exclusivity: { category: 'sports', geography: 'regional', endDate: '2026-12-31' }
+    });
+    
+    // The collaboration has ended, so only its exclusivity is in force
+    assert.deepStrictEqual(conflictsByPartner([collaboration]), { 'Rival Gym': ['exclusivity'] });
+    
+    const conflict = plain(PartnerMatcher.findConflicts(directory[1], PartnerMatcher.getCommitments([collaboration], directory, now))[0]);
+    assert.deepStrictEqual(conflict, {
+        constraint: 'exclusivity',
+        collaboration: { id: 'c1', name: 'Gym deal' },
+        category: 'sports',
+        geography: 'regional',
+        endDate: '2026-12-31'
+    });
+});
+
+test('exclusivity ends with the collaboration when it has no end date of its own', () => {
+    const collaboration = makeCollaboration({ endDate: '2026-05-01', exclusivity: { category: 'fitness' } });
+    
+    assert.deepStrictEqual(plain(PartnerMatcher.getCommitments([collaboration], directory, now)), []);
+});
+
+test('collaboration partners outside the directory are matched by name', () => {
+    const collaboration = makeCollaboration({ partnerId: null, partnerName: ' rival gym ', exclusivity: { category: 'fitness' } });
+    
+    assert.deepStrictEqual(conflictsByPartner([collaboration]), {
+        'Gym Co': ['exclusivity', 'competitor'],
+        'Corner Gym': ['exclusivity', 'competitor']
+    });
+});
+
+test('ranking flags conflicts, or moves them to the excluded list when hiding them', () => {
+    const brand = { brandName: 'Brand', industry: 'sports' };
+    const conflicts = { collaborations: [makeCollaboration({})], partners: directory };
+    
+    const flagged = PartnerMatcher.rankPartners(brand, directory, { conflicts });
+    const hidden = PartnerMatcher.rankPartners(brand, directory, { conflicts: { ...conflicts, mode: 'hide' } });
+    
+    assert.deepStrictEqual(plain(flagged.matches.filter(match => match.conflicts.length > 0).map(match => match.id).sort()), ['local', 'rival']);
+    assert.deepStrictEqual(plain(hidden.matches.map(match => match.id).sort()), ['bank', 'gym']);
+    assert.deepStrictEqual(plain(hidden.excluded.map(partner => partner.violations[0].constraint)), ['competitor', 'competitor']);
+});
@@ -0,0 +1,93 @@
+// Strategic Alliance Builder - Consortium Search Tests
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadModules, plain } = require('./helpers/load-modules');
+const fixtures = require('./fixtures/profiles');
+
+const { get } = loadModules([
+    'js/taxonomy.js', 'js/geography.js', 'js/text.js', 'js/matching.js', 'bench/synthetic-partners.js'
+]);
+const PartnerMatcher = get('PartnerMatcher');
+const IndustryTaxonomy = get('IndustryTaxonomy');
+
+const brand = fixtures.byName['Trailhead Outfitters'];
+const partners = get('SyntheticPartners').generate(40, 11);
+
+/**
+ * List a group's partner ids
+ * @param {Object} group - A group from findConsortiums
+ * @returns {string} The ids, sorted and joined
+ */
+function groupKey(group) {
+    return group.partners.map(partner => partner.id).sort().join('|');
+}
+
+test('groups have the size asked for, distinct members, and come most cohesive first', () => {
+    [2, 3].forEach(size => {
+        const groups = PartnerMatcher.findConsortiums(brand, partners, { size, limit: 10 });
+        const scores = groups.map(group => group.score);
+        
+        assert.strictEqual(groups.length, 10);
+        groups.forEach(group => {
+            assert.strictEqual(new Set(group.partners.map(partner => partner.id)).size, size);
+        });
+        assert.strictEqual(new Set(groups.map(groupKey)).size, groups.length);
+        assert.deepStrictEqual(plain(scores), plain([...scores].sort((a, b) => b - a)));
+    });
+});
+
+test('sizes outside 2 to 3 are brought into range', () => {
+    assert.strictEqual(PartnerMatcher.findConsortiums(brand, partners, { size: 1, limit: 1 })[0].partners.length, 2);
+    assert.strictEqual(PartnerMatcher.findConsortiums(brand, partners, { size: 9, limit: 1 })[0].partners.length, 3);
+});
+
+test('a beam as wide as the candidate list scores every pair', () => {
+    const candidates = partners.slice(0, 8);
+    const groups = PartnerMatcher.findConsortiums(brand, candidates, { size: 2, limit: 100, beamWidth: 100 });
+    
+    assert.strictEqual(groups.length, (8 * 7) / 2);
+    
+    // A narrow beam still finds the best pair, which starts from one of the best single partners
+    assert.strictEqual(groupKey(PartnerMatcher.findConsortiums(brand, candidates, { size: 2, beamWidth: 3 })[0]), groupKey(groups[0]));
+});
+
+test('the cohesion score combines pair scores, objectives covered and reach', () => {
+    const [peakFit, ledgerLine] = [
+        { ...fixtures.byName['PeakFit Studios'], id: 'peakfit' },
+        { ...fixtures.byName['LedgerLine'], id: 'ledgerline' }
+    ];
+    const pairs = [
+        [brand, peakFit],
+        [brand, ledgerLine],
+        [peakFit, ledgerLine]
+    ].map(([brand1, brand2]) => PartnerMatcher.calculateCompatibilityScore(brand1, brand2));
+    const pairwise = pairs.reduce((sum, score) => sum + score, 0) / pairs.length;
+    
+    const group = PartnerMatcher.findConsortiums(brand, [peakFit, ledgerLine], { size: 2 })[0];
+    
+    assert.deepStrictEqual(plain(group.weakestPair), { names: ['PeakFit Studios', 'LedgerLine'], score: Math.min(...pairs) });
+    assert.deepStrictEqual(plain(group.objectives), { covered: ['audience', 'content'], missing: ['sales'] });
+    assert.deepStrictEqual(plain(group.geography), { reach: 'global', coverage: 1 });
+    assert.strictEqual(group.pairwiseScore, Math.round(pairwise));
+    // 60% pairwise, 25% objectives covered (2 of 3), 15% reach (global)
+    assert.strictEqual(group.score, Math.round(0.6 * pairwise + 25 * 2 / 3 + 15));
+});
+
+test('groups can be limited to partners from different industries', () => {
+    const groups = PartnerMatcher.findConsortiums(brand, partners, { size: 3, limit: 10, distinctIndustries: true });
+    
+    assert.ok(groups.length > 0);
+    groups.forEach(group => {
+        const sectors = group.partners.map(partner => IndustryTaxonomy.getSector(PartnerMatcher.getIndustryTaxonomy(), partner.industry));
+        assert.strictEqual(new Set(sectors).size, sectors.length);
+    });
+});
+
+test('partners that break a constraint are left out, and too few candidates give no groups', () => {
+    const groups = PartnerMatcher.findConsortiums(brand, partners, { size: 2, limit: 20, constraints: { requiredValues: ['quality'] } });
+    
+    assert.ok(groups.length > 0);
+    groups.forEach(group => group.partners.forEach(partner => assert.ok(partner.values.includes('quality'))));
+    assert.deepStrictEqual(plain(PartnerMatcher.findConsortiums(brand, partners.slice(0, 2), { size: 3 })), []);
+});
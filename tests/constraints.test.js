@@ -0,0 +1,69 @@
+// Strategic Alliance Builder - Dealbreaker Tests
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadModules, plain } = require('./helpers/load-modules');
+const fixtures = require('./fixtures/profiles');
+
+const { get } = loadModules(['js/taxonomy.js', 'js/geography.js', 'js/text.js', 'js/matching.js']);
+const PartnerMatcher = get('PartnerMatcher');
+
+const brand = fixtures.byName['Trailhead Outfitters'];
+
+/**
+ * Check a partner against constraints
+ * @param {Object} partner - The partner
+ * @param {Object} constraints - Constraints to use instead of the brand's own
+ * @returns {Array} The violations, as plain data
+ */
+function violations(partner, constraints) {
+    return plain(PartnerMatcher.checkConstraints(brand, partner, { constraints }));
+}
+
+test('the default constraints exclude nothing', () => {
+    assert.deepStrictEqual(plain(PartnerMatcher.getDefaultConstraints()), {
+        requiredValues: [], excludedIndustries: [], minimumScore: 0, maxSizeGap: null, minSharedObjectives: 0
+    });
+    fixtures.profiles.forEach(partner => assert.deepStrictEqual(violations(partner, {}), []));
+});
+
+test('each broken constraint is reported with its details', () => {
+    const partner = fixtures.byName['LedgerLine'];
+    
+    assert.deepStrictEqual(violations(partner, { requiredValues: ['integrity', 'quality', 'community'] }),
+        [{ constraint: 'requiredValues', missing: ['quality', 'community'] }]);
+    assert.deepStrictEqual(violations(partner, { minimumScore: 50 }), [{ constraint: 'minimumScore', score: 34, minimum: 50 }]);
+    assert.deepStrictEqual(violations(partner, { maxSizeGap: 1 }), [{ constraint: 'maxSizeGap', gap: 2, maximum: 1 }]);
+    assert.deepStrictEqual(violations(partner, { minSharedObjectives: 1 }), [{ constraint: 'minSharedObjectives', shared: 0, minimum: 1 }]);
+});
+
+test('excluding an industry excludes its sub-industries', () => {
+    assert.deepStrictEqual(violations(fixtures.byName['LedgerLine'], { excludedIndustries: ['financial'] }),
+        [{ constraint: 'excludedIndustries', industry: 'banking' }]);
+    assert.deepStrictEqual(violations({ industry: 'financial' }, { excludedIndustries: ['banking'] }), []);
+});
+
+test('partners of unknown size are not held to the size gap', () => {
+    assert.deepStrictEqual(violations(fixtures.byName['Blank Slate'], { maxSizeGap: 0 }), []);
+});
+
+test('the brand\'s own constraints apply unless others are given', () => {
+    const strict = { ...brand, constraints: { minimumScore: 90 } };
+    const partner = fixtures.byName['PeakFit Studios'];
+    
+    assert.strictEqual(PartnerMatcher.checkConstraints(strict, partner).length, 1);
+    assert.strictEqual(PartnerMatcher.checkConstraints(strict, partner, { constraints: {} }).length, 0);
+});
+
+test('ranking moves partners that break a constraint to the excluded list', () => {
+    const partners = fixtures.profiles.filter(profile => profile !== brand);
+    
+    const ranking = PartnerMatcher.rankPartners(brand, partners, { constraints: { minimumScore: 50, excludedIndustries: ['software'] } });
+    
+    assert.deepStrictEqual(plain(ranking.matches.map(match => match.brandName)), ['PeakFit Studios', 'Corner Pantry']);
+    assert.deepStrictEqual(plain(ranking.excluded.map(partner => [partner.brandName, partner.violations.map(violation => violation.constraint)])), [
+        ['LedgerLine', ['minimumScore']],
+        ['CloudNine Software', ['excludedIndustries', 'minimumScore']],
+        ['Blank Slate', ['minimumScore']]
+    ]);
+});
@@ -0,0 +1,74 @@
+// Strategic Alliance Builder - Diverse Shortlist Tests
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadModules, plain } = require('./helpers/load-modules');
+const fixtures = require('./fixtures/profiles');
+
+const { get } = loadModules(['js/taxonomy.js', 'js/geography.js', 'js/text.js', 'js/matching.js']);
+const PartnerMatcher = get('PartnerMatcher');
+
+// Scored partners, best first; Beta is a near-copy of Alpha
+const scored = [
+    { id: 'alpha', brandName: 'Alpha', industry: 'software', companySize: 'large', geographicFocus: 'international',
+        markets: ['DE'], compatibilityScore: 90 },
+    { id: 'beta', brandName: 'Beta', industry: 'software', companySize: 'large', geographicFocus: 'international',
+        markets: ['DE'], compatibilityScore: 88 },
+    { id: 'gamma', brandName: 'Gamma', industry: 'food', companySize: 'startup', geographicFocus: 'local',
+        markets: ['US'], compatibilityScore: 80 }
+];
+
+/**
+ * Get the IDs of the partners diversifyPartners picks
+ * @param {Object} options - Options for diversifyPartners
+ * @returns {Array} Partner IDs in the order they were picked
+ */
+function pickIds(options) {
+    return plain(PartnerMatcher.diversifyPartners(scored, 3, options).map(partner => partner.id));
+}
+
+test('no diversity keeps the score order', () => {
+    assert.deepStrictEqual(pickIds({ diversity: 0 }), ['alpha', 'beta', 'gamma']);
+});
+
+test('a lower-scoring partner that adds variety comes ahead of a near-copy', () => {
+    assert.deepStrictEqual(pickIds({}), ['alpha', 'gamma', 'beta']);
+    assert.deepStrictEqual(pickIds({ diversity: 1 }), ['alpha', 'gamma', 'beta']);
+});
+
+test('each pick explains what it adds and what it was picked ahead of', () => {
+    const selections = plain(PartnerMatcher.diversifyPartners(scored, 3).map(partner => partner.selection));
+    
+    assert.deepStrictEqual(selections, [
+        { scoreRank: 1, redundancy: 0, mostSimilar: null, passedOver: [],
+            adds: { industry: 'technology', companySize: 'large', geographicFocus: 'international', markets: 1 } },
+        { scoreRank: 3, redundancy: 0.06, mostSimilar: 'Alpha', passedOver: ['Beta'],
+            adds: { industry: 'food', companySize: 'startup', geographicFocus: 'local', markets: 1 } },
+        { scoreRank: 2, redundancy: 1, mostSimilar: 'Alpha', passedOver: [],
+            adds: { industry: null, companySize: null, geographicFocus: null, markets: 0 } }
+    ]);
+    assert.deepStrictEqual(plain(PartnerMatcher.diversifyPartners([], 3)), []);
+});
+
+test('the diversity option of findMostPromisingPartners picks from the top matches', () => {
+    const brand = fixtures.byName['Trailhead Outfitters'];
+    const partners = fixtures.profiles.filter(profile => profile !== brand)
+        .map((profile, i) => ({ ...profile, id: `partner-${i}` }));
+    
+    /**
+     * Get the names of the most promising partners
+     * @param {number} diversity - The diversity option
+     * @returns {Array} Partner names
+     */
+    const shortlist = diversity => plain(PartnerMatcher.findMostPromisingPartners(brand, partners, 3, { diversity })
+        .map(partner => partner.brandName));
+    
+    const ranked = ['PeakFit Studios', 'Corner Pantry', 'LedgerLine'];
+    assert.deepStrictEqual(shortlist(undefined), ranked);
+    assert.deepStrictEqual(shortlist(0), ranked);
+    assert.deepStrictEqual(shortlist(1), ['PeakFit Studios', 'Blank Slate', 'LedgerLine']);
+    
+    const diverse = PartnerMatcher.findMostPromisingPartners(brand, partners, 3, { diversity: 1 });
+    assert.deepStrictEqual(plain(diverse.map(partner => partner.selection.scoreRank)), [1, 5, 3]);
+    assert.ok(PartnerMatcher.findMostPromisingPartners(brand, partners, 3).every(partner => !partner.selection));
+});
@@ -0,0 +1,69 @@
+// Strategic Alliance Builder - Score Explanation Tests
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadModules, plain } = require('./helpers/load-modules');
+const fixtures = require('./fixtures/profiles');
+
+const { get } = loadModules(['js/taxonomy.js', 'js/geography.js', 'js/text.js', 'js/matching.js']);
+const PartnerMatcher = get('PartnerMatcher');
+
+PartnerMatcher.setTextCorpus(fixtures.profiles);
+
+test('the points of each line add up to the score, before rounding', () => {
+    [undefined, fixtures.weights].forEach(weights => {
+        fixtures.pairs.forEach(([brandName, partnerName]) => {
+            const explanation = PartnerMatcher.explainScore(fixtures.byName[brandName], fixtures.byName[partnerName], { weights });
+            const points = explanation.lines.reduce((sum, line) => sum + line.points, 0);
+            
+            // The score is rounded from the same sum, which can land either side of a half
+            assert.ok(Math.abs(points - explanation.score) <= 0.5 + 1e-9, `${brandName} and ${partnerName}`);
+            assert.strictEqual(explanation.score,
+                PartnerMatcher.calculateCompatibilityScore(fixtures.byName[brandName], fixtures.byName[partnerName], { weights }));
+        });
+    });
+});
+
+test('each line gives the weight, raw score and points of its dimension', () => {
+    const brand = fixtures.byName['Trailhead Outfitters'];
+    const partner = fixtures.byName['PeakFit Studios'];
+    const weights = PartnerMatcher.normalizeWeights(fixtures.weights);
+    const scores = PartnerMatcher.getDimensionScores(brand, partner);
+    
+    const lines = PartnerMatcher.explainScore(brand, partner, { weights: fixtures.weights }).lines;
+    
+    assert.deepStrictEqual(plain(lines.map(line => line.dimension)), Object.keys(PartnerMatcher.getDefaultWeights()));
+    lines.forEach(line => {
+        assert.strictEqual(line.weight, weights[line.dimension]);
+        assert.strictEqual(line.rawScore, scores[line.dimension]);
+        assert.strictEqual(line.points, line.weight * line.rawScore * 100);
+    });
+});
+
+test('the facts name what the two profiles share', () => {
+    const brand = fixtures.byName['Trailhead Outfitters'];
+    const partner = fixtures.byName['PeakFit Studios'];
+    
+    const facts = {};
+    PartnerMatcher.explainScore(brand, partner).lines.forEach(line => {
+        facts[line.dimension] = plain(line.facts);
+    });
+    
+    assert.deepStrictEqual(facts.values, { shared: ['community'], compared: 2 });
+    assert.deepStrictEqual(facts.objectives, { shared: ['audience', 'content'], compared: 2 });
+    assert.deepStrictEqual([facts.industry.brand, facts.industry.partner], ['sports', 'fitness']);
+    assert.deepStrictEqual(facts.geography.markets.shared, ['US']);
+    assert.deepStrictEqual(facts.audience.interests.shared, ['fitness']);
+    assert.deepStrictEqual([facts.companySize.brand, facts.companySize.partner], ['medium', 'small']);
+});
+
+test('explanations need both profiles', () => {
+    const error = console.error;
+    console.error = () => {};
+    
+    try {
+        assert.strictEqual(PartnerMatcher.explainScore(null, fixtures.profiles[0]), null);
+    } finally {
+        console.error = error;
+    }
+});
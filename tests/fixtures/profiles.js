@@ -0,0 +1,67 @@
+// Strategic Alliance Builder - Brand Profiles for Scoring Tests
+
+// Known profiles, from a full profile down to one with only an industry
+const profiles = [
+    {
+        brandName: 'Trailhead Outfitters', industry: 'sports', companySize: 'medium', geographicFocus: 'national',
+        markets: ['US', 'CA'], targetMarkets: ['GB', 'DE'],
+        brandDescription: 'Outdoor gear and apparel for hiking, climbing and trail running families.',
+        values: ['sustainability', 'quality', 'community'],
+        audience: { age: '25-34', income: 'middle', interests: ['fitness', 'travel', 'environment'] },
+        partnership: { objectives: ['audience', 'content', 'sales'] }
+    },
+    {
+        brandName: 'PeakFit Studios', industry: 'fitness', companySize: 'small', geographicFocus: 'regional',
+        markets: ['US'],
+        brandDescription: 'Boutique fitness studios offering climbing walls and trail running clubs.',
+        values: ['community', 'excellence'],
+        audience: { age: '25-34', income: 'affluent', interests: ['fitness', 'health'] },
+        partnership: { objectives: ['audience', 'content'] }
+    },
+    {
+        brandName: 'LedgerLine', industry: 'banking', companySize: 'enterprise', geographicFocus: 'global',
+        markets: ['europe', 'northern-america'],
+        brandDescription: 'Digital banking and payment services for growing businesses.',
+        values: ['integrity', 'innovation'],
+        audience: { age: '35-44', income: 'affluent', interests: ['finance', 'business'] },
+        partnership: { objectives: ['credibility', 'product'] }
+    },
+    {
+        brandName: 'CloudNine Software', industry: 'software', companySize: 'large', geographicFocus: 'international',
+        markets: ['GB', 'DE', 'FR'],
+        brandDescription: 'Cloud software for retailers and payment providers.',
+        values: ['innovation', 'quality'],
+        audience: { age: '35-44', income: 'affluent', interests: ['technology', 'business'] },
+        partnership: { objectives: ['product', 'innovation'] }
+    },
+    {
+        brandName: 'Corner Pantry', industry: 'food', companySize: 'startup', geographicFocus: 'local',
+        brandDescription: 'Neighbourhood grocer selling local produce.',
+        values: ['community'],
+        audience: { age: '', income: '', interests: [] },
+        partnership: { objectives: ['sales'] }
+    },
+    {
+        brandName: 'Blank Slate', industry: 'other'
+    }
+];
+
+const byName = {};
+profiles.forEach(profile => { byName[profile.brandName] = profile; });
+
+module.exports = {
+    profiles,
+    byName,
+    // Custom weights on their own scale, as the weight sliders save them
+    weights: { industry: 1, values: 2, objectives: 1, geography: 1, companySize: 0, audience: 1, text: 1 },
+    // Brand and partner names; the first is scored against the second
+    pairs: [
+        ['Trailhead Outfitters', 'PeakFit Studios'],
+        ['PeakFit Studios', 'Trailhead Outfitters'],
+        ['Trailhead Outfitters', 'LedgerLine'],
+        ['LedgerLine', 'CloudNine Software'],
+        ['CloudNine Software', 'Trailhead Outfitters'],
+        ['Corner Pantry', 'Trailhead Outfitters'],
+        ['Trailhead Outfitters', 'Blank Slate']
+    ]
+};
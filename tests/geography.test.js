@@ -0,0 +1,90 @@
+// Strategic Alliance Builder - Market Geography Tests
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadModules, plain } = require('./helpers/load-modules');
+
+const { get } = loadModules(['js/taxonomy.js', 'js/geography.js', 'js/text.js', 'js/matching.js']);
+const MarketGeography = get('MarketGeography');
+const PartnerMatcher = get('PartnerMatcher');
+
+/**
+ * Get the names of the partners that pass a market filter
+ * @param {Array} partners - The partners
+ * @param {string} market - The market to filter by
+ * @returns {Array} Partner names
+ */
+function filterByMarket(partners, market) {
+    return plain(PartnerMatcher.filterPartners(partners, { market }).map(partner => partner.brandName));
+}
+
+test('regions and sub-regions expand to their countries', () => {
+    assert.deepStrictEqual(plain(MarketGeography.expandMarkets(['northern-america'])).sort(), ['BM', 'CA', 'GL', 'US']);
+    assert.strictEqual(MarketGeography.expandMarkets(['western-europe']).length, 9);
+    assert.ok(MarketGeography.expandMarkets(['europe']).includes('GB'));
+    // Overlapping markets are listed once and unknown ones are left out
+    assert.strictEqual(MarketGeography.expandMarkets(['DE', 'western-europe', 'XX']).length, 9);
+    assert.deepStrictEqual(plain(MarketGeography.expandMarkets([])), []);
+    
+    assert.strictEqual(MarketGeography.getSubregion('FR'), 'western-europe');
+    assert.strictEqual(MarketGeography.getRegion('FR'), 'europe');
+});
+
+test('markets resolve from codes and names in any case', () => {
+    assert.strictEqual(MarketGeography.resolveMarket('de'), 'DE');
+    assert.strictEqual(MarketGeography.resolveMarket('Germany'), 'DE');
+    assert.strictEqual(MarketGeography.resolveMarket('united states'), 'US');
+    assert.strictEqual(MarketGeography.resolveMarket('Western-Europe'), 'western-europe');
+    assert.strictEqual(MarketGeography.resolveMarket('Northern America'), 'northern-america');
+    assert.strictEqual(MarketGeography.resolveMarket('Atlantis'), null);
+    assert.strictEqual(MarketGeography.resolveMarket(''), null);
+    
+    assert.deepStrictEqual(plain(MarketGeography.normalizeMarkets(['Germany', 'de', 'Europe', 'Atlantis'])), ['DE', 'europe']);
+    assert.deepStrictEqual(plain(MarketGeography.normalizeMarkets(null)), []);
+    
+    assert.strictEqual(MarketGeography.getMarketName('JP'), 'Japan');
+    assert.strictEqual(MarketGeography.getMarketName('western-europe'), 'Western Europe');
+    assert.strictEqual(MarketGeography.getMarketName('XX'), 'XX');
+});
+
+test('market overlap scores closeness and does not depend on the order', () => {
+    const germany = { markets: ['DE'] };
+    const france = { markets: ['FR'] };
+    
+    assert.strictEqual(PartnerMatcher.compareMarkets(germany, france).overlap, 0.5);
+    assert.strictEqual(PartnerMatcher.compareMarkets(germany, { markets: ['GB'] }).overlap, 0.2);
+    assert.strictEqual(PartnerMatcher.compareMarkets(germany, { markets: ['JP'] }).overlap, 0);
+    assert.strictEqual(PartnerMatcher.compareMarkets(germany, { markets: [] }), null);
+    
+    const first = { markets: ['DE', 'AT'] };
+    const second = { markets: ['DE', 'JP'] };
+    
+    assert.strictEqual(PartnerMatcher.compareMarkets(first, second).overlap, 0.625);
+    assert.strictEqual(PartnerMatcher.compareMarkets(second, first).overlap, 0.625);
+});
+
+test('target markets measure expansion and list the markets a partner opens', () => {
+    const brand = { markets: ['DE', 'FR'], targetMarkets: ['northern-america', 'JP'] };
+    const partner = { markets: ['US', 'FR'] };
+    
+    assert.deepStrictEqual(plain(PartnerMatcher.compareMarkets(brand, partner)), {
+        overlap: 0.625,
+        expansion: 0.5,
+        shared: ['FR'],
+        opened: ['northern-america']
+    });
+    assert.strictEqual(PartnerMatcher.compareMarkets(partner, brand).expansion, null);
+});
+
+test('the market filter keeps partners in the market and global partners', () => {
+    const partners = [
+        { brandName: 'Berlin', markets: ['DE'], geographicFocus: 'national' },
+        { brandName: 'Toronto', markets: ['CA'], geographicFocus: 'national' },
+        { brandName: 'Europe', markets: ['europe'], geographicFocus: 'regional' },
+        { brandName: 'Worldwide', markets: [], geographicFocus: 'global' }
+    ];
+    
+    assert.deepStrictEqual(filterByMarket(partners, 'western-europe'), ['Berlin', 'Europe', 'Worldwide']);
+    assert.deepStrictEqual(filterByMarket(partners, 'US'), ['Worldwide']);
+    assert.deepStrictEqual(filterByMarket(partners, ''), ['Berlin', 'Toronto', 'Europe', 'Worldwide']);
+});
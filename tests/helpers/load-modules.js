@@ -0,0 +1,37 @@
+// Strategic Alliance Builder - Test Helpers
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const root = path.join(__dirname, '..', '..');
+
+/**
+ * Load browser modules into a fresh sandbox, in order, as the page's script tags would
+ * @param {Array} files - Script paths relative to the project root
+ * @param {Object} globals - Extra globals for the sandbox, such as localStorage
+ * @returns {Object} {context, get}: the sandbox, and get(name) to read a module such as PartnerMatcher
+ */
+function loadModules(files, globals = {}) {
+    const context = vm.createContext({ console, setTimeout, clearTimeout, ...globals });
+    
+    files.forEach(file => {
+        vm.runInContext(fs.readFileSync(path.join(root, file), 'utf8'), context, { filename: file });
+    });
+    
+    return {
+        context,
+        get: name => vm.runInContext(name, context)
+    };
+}
+
+/**
+ * Copy a value out of the sandbox as plain data, so it can be compared with deepStrictEqual
+ * @param {*} value - A value from the sandbox
+ * @returns {*} The same data, created in this realm
+ */
+function plain(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+module.exports = { loadModules, plain };
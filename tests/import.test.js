@@ -0,0 +1,77 @@
+// Strategic Alliance Builder - Import Tests
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadModules, plain } = require('./helpers/load-modules');
+
+const { get } = loadModules([
+    'js/taxonomy.js', 'js/geography.js', 'js/text.js', 'js/matching.js', 'js/partners.js', 'js/data.js'
+]);
+const DataManager = get('DataManager');
+
+test('validation rejects versions that are not whole numbers from 0 to the current version', () => {
+    [-1, 2.5, '3', DataManager.SCHEMA_VERSION + 1].forEach(version => {
+        const validation = DataManager.validateImportedData({ version, data: { profile: null, collaborations: [] } });
+        
+        assert.strictEqual(validation.valid, false, `version ${version}`);
+        assert.strictEqual(validation.errors[0].path, 'schemaVersion');
+    });
+    
+    assert.strictEqual(DataManager.validateImportedData({ version: 4, data: { profile: null, collaborations: [] } }).valid, true);
+});
+
+test('copies point notifications and activities at the copied partners and entities', () => {
+    const imported = DataManager.getDefaultData();
+    imported.partners = [{ id: 'p1', brandName: 'Acme', industry: 'retail' }];
+    imported.deals = [{ id: 'd1', partnerId: 'p1', title: 'Launch', stage: 'lead', history: [] }];
+    imported.notifications = [{ id: 'n1', title: 'New matches', partnerIds: ['p1', 'elsewhere'] }];
+    imported.activities = [
+        { id: 'a1', title: 'Added partner', entityType: 'partner', entityId: 'p1' },
+        { id: 'a2', title: 'Moved deal', entityType: 'deal', entityId: 'd1' },
+        { id: 'a3', title: 'Edited task', entityType: 'task', entityId: 't1' }
+    ];
+    
+    const result = plain(DataManager.mergeImportedData(DataManager.getDefaultData(), imported, 'copy'));
+    const partnerId = result.partners[0].id;
+    const dealId = result.deals[0].id;
+    
+    assert.notStrictEqual(partnerId, 'p1');
+    assert.notStrictEqual(dealId, 'd1');
+    assert.strictEqual(result.deals[0].partnerId, partnerId);
+    assert.deepStrictEqual(result.notifications[0].partnerIds, [partnerId, 'elsewhere']);
+    assert.deepStrictEqual(result.activities.map(activity => activity.entityId), [partnerId, dealId, 't1']);
+});
+
+test('validation rejects activities without an id', () => {
+    const data = DataManager.getDefaultData();
+    data.activities = [
+        { description: 'Added partner', timestamp: '2024-01-01T00:00:00.000Z' },
+        { description: 'Moved deal', timestamp: '2024-01-02T00:00:00.000Z' }
+    ];
+    
+    const validation = DataManager.validateImportedData({ version: DataManager.SCHEMA_VERSION, data });
+    
+    assert.strictEqual(validation.valid, false);
+    assert.deepStrictEqual(plain(validation.errors.map(error => error.path)), ['activities[0].id', 'activities[1].id']);
+});
+
+test('validation rejects partners without values or objectives', () => {
+    const data = DataManager.getDefaultData();
+    data.partners = [
+        { id: 'p1', brandName: 'Acme' },
+        { id: 'p2', brandName: 'Beta', values: [], partnership: {} }
+    ];
+    
+    const validation = DataManager.validateImportedData({ version: DataManager.SCHEMA_VERSION, data });
+    
+    assert.deepStrictEqual(plain(validation.errors.map(error => error.path)),
+        ['partners[0].values', 'partners[0].partnership', 'partners[1].partnership.objectives']);
+});
+
+test('the sample partners pass validation', () => {
+    const PartnerDirectory = get('PartnerDirectory');
+    const data = DataManager.getDefaultData();
+    data.partners = DataManager.generateSamplePartners().map(partner => PartnerDirectory.createPartner(partner));
+    
+    assert.deepStrictEqual(plain(DataManager.validateImportedData({ version: DataManager.SCHEMA_VERSION, data }).errors), []);
+});
@@ -0,0 +1,78 @@
+// Strategic Alliance Builder - Weight Learning Tests
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadModules, plain } = require('./helpers/load-modules');
+
+const { get } = loadModules(['js/taxonomy.js', 'js/geography.js', 'js/text.js', 'js/matching.js', 'js/learning.js']);
+const WeightLearner = get('WeightLearner');
+const currentWeights = get('PartnerMatcher').normalizeWeights(null);
+
+/**
+ * Make feedback where liked partners score well on one dimension and disliked partners do not
+ * @param {string} dimension - The dimension the user cares about
+ * @param {number} count - Ratings of each kind
+ * @returns {Array} Feedback records
+ */
+function makeFeedback(dimension, count) {
+    const feedback = [];
+    
+    for (let i = 0; i < count; i++) {
+        // Other dimensions vary the same way for liked and disliked partners
+        const other = (i % 3) / 3;
+        const base = Object.fromEntries(Object.keys(currentWeights).map(key => [key, other]));
+        
+        feedback.push(WeightLearner.createFeedback(`liked${i}`, 1, { ...base, [dimension]: 0.9 }));
+        feedback.push(WeightLearner.createFeedback(`disliked${i}`, -1, { ...base, [dimension]: 0.1 }));
+    }
+    
+    return feedback;
+}
+
+test('feedback records need a partner and a rating of 1 or -1', () => {
+    const error = console.error;
+    console.error = () => {};
+    
+    try {
+        assert.strictEqual(WeightLearner.createFeedback('', 1, {}), null);
+        assert.strictEqual(WeightLearner.createFeedback('p1', 0, {}), null);
+    } finally {
+        console.error = error;
+    }
+    
+    const scores = { values: 0.5 };
+    const record = WeightLearner.createFeedback('p1', -1, scores);
+    scores.values = 1;
+    
+    assert.deepStrictEqual([record.partnerId, record.rating, plain(record.scores)], ['p1', -1, { values: 0.5 }]);
+});
+
+test('weights are only proposed with enough ratings of both kinds', () => {
+    assert.match(WeightLearner.proposeWeights(makeFeedback('values', 2), currentWeights).error, /At least 5 ratings/);
+    
+    const likedOnly = makeFeedback('values', 5).filter(record => record.rating === 1);
+    assert.match(WeightLearner.proposeWeights(likedOnly, currentWeights).error, /one as not relevant/);
+});
+
+test('the dimension that separates liked from disliked partners gains weight', () => {
+    const proposal = WeightLearner.proposeWeights(makeFeedback('geography', 10), currentWeights);
+    const total = Object.values(proposal.weights).reduce((sum, weight) => sum + weight, 0);
+    
+    assert.ok(proposal.changes.geography > 0);
+    assert.strictEqual(Object.entries(proposal.weights).sort((a, b) => b[1] - a[1])[0][0], 'geography');
+    assert.ok(Math.abs(total - 1) < 1e-9);
+    assert.deepStrictEqual([proposal.feedbackCount, proposal.accuracy], [20, 1]);
+});
+
+test('more feedback moves the weights further from the current ones', () => {
+    const few = WeightLearner.proposeWeights(makeFeedback('geography', 3), currentWeights);
+    const many = WeightLearner.proposeWeights(makeFeedback('geography', 30), currentWeights);
+    
+    assert.ok(many.changes.geography > few.changes.geography);
+});
+
+test('weights never go below zero', () => {
+    const proposal = WeightLearner.proposeWeights(makeFeedback('audience', 20), currentWeights);
+    
+    Object.values(proposal.weights).forEach(weight => assert.ok(weight >= 0));
+});
@@ -0,0 +1,119 @@
+// Strategic Alliance Builder - Scoring Regression Tests
+// Pins PartnerMatcher scores for known profile pairs, so changes to the scoring rules show up here.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadModules, plain } = require('./helpers/load-modules');
+const fixtures = require('./fixtures/profiles');
+
+const { get } = loadModules(['js/taxonomy.js', 'js/geography.js', 'js/text.js', 'js/matching.js']);
+const PartnerMatcher = get('PartnerMatcher');
+
+// Description similarity counts terms against the fixture profiles
+PartnerMatcher.setTextCorpus(fixtures.profiles);
+
+// [brand, partner, score with default weights, score with fixtures.weights, dimension scores]
+const expected = [
+    ['Trailhead Outfitters', 'PeakFit Studios', 80, 70,
+        { industry: 0.85, values: 0.5, objectives: 1, geography: 1, companySize: 0.8, audience: 0.7300000000000001, text: 0.3466698876229154 }],
+    ['PeakFit Studios', 'Trailhead Outfitters', 80, 70,
+        { industry: 0.85, values: 0.5, objectives: 1, geography: 1, companySize: 0.8, audience: 0.7300000000000001, text: 0.3466698876229154 }],
+    ['Trailhead Outfitters', 'LedgerLine', 34, 25,
+        { industry: 0.3, values: 0, objectives: 0, geography: 1, companySize: 0.6, audience: 0.42, text: 0 }],
+    ['LedgerLine', 'CloudNine Software', 72, 60,
+        { industry: 0.7, values: 0.5, objectives: 0.5, geography: 1, companySize: 0.9, audience: 0.85, text: 0.1185425357230544 }],
+    ['CloudNine Software', 'Trailhead Outfitters', 31, 25,
+        { industry: 0.3, values: 0.5, objectives: 0, geography: 0, companySize: 0.8, audience: 0.42, text: 0 }],
+    ['Corner Pantry', 'Trailhead Outfitters', 56, 53,
+        { industry: 0.3, values: 1, objectives: 1, geography: 0.4, companySize: 0.6, audience: 0, text: 0 }],
+    ['Trailhead Outfitters', 'Blank Slate', 5, 4,
+        { industry: 0.3, values: 0, objectives: 0, geography: 0, companySize: 0, audience: 0, text: 0 }]
+];
+
+test('every fixture pair has pinned scores', () => {
+    assert.deepStrictEqual(expected.map(row => [row[0], row[1]]), fixtures.pairs);
+});
+
+expected.forEach(([brandName, partnerName, defaultScore, customScore, dimensions]) => {
+    const brand = fixtures.byName[brandName];
+    const partner = fixtures.byName[partnerName];
+    
+    test(`${brandName} with ${partnerName}`, async t => {
+        await t.test('compatibility score with the default weights', () => {
+            assert.strictEqual(PartnerMatcher.calculateCompatibilityScore(brand, partner), defaultScore);
+        });
+        
+        await t.test('compatibility score with custom weights', () => {
+            assert.strictEqual(PartnerMatcher.calculateCompatibilityScore(brand, partner, { weights: fixtures.weights }), customScore);
+        });
+        
+        await t.test('dimension scores', () => {
+            assert.deepStrictEqual(plain(PartnerMatcher.getDimensionScores(brand, partner)), dimensions);
+        });
+    });
+});
+
+test('the compatibility report uses the same score', () => {
+    fixtures.pairs.forEach(([brandName, partnerName], i) => {
+        const report = PartnerMatcher.generateCompatibilityReport(fixtures.byName[brandName], fixtures.byName[partnerName]);
+        assert.strictEqual(report.overallScore, expected[i][2], `${brandName} with ${partnerName}`);
+    });
+});
+
+test('ranking orders partners by score', () => {
+    const brand = fixtures.byName['Trailhead Outfitters'];
+    const partners = fixtures.profiles.filter(profile => profile !== brand);
+    const ranking = PartnerMatcher.rankPartners(brand, partners);
+    
+    assert.deepStrictEqual(
+        plain(ranking.matches.map(match => [match.brandName, match.compatibilityScore])),
+        [['PeakFit Studios', 80], ['Corner Pantry', 56], ['LedgerLine', 34], ['CloudNine Software', 31], ['Blank Slate', 5]]
+    );
+});
+
+test('geography scores the same both ways, and target markets only count for the brand that wants them', () => {
+    fixtures.profiles.forEach(brand => {
+        fixtures.profiles.forEach(partner => {
+            assert.strictEqual(
+                PartnerMatcher.getDimensionScores(brand, partner).geography,
+                PartnerMatcher.getDimensionScores(partner, brand).geography,
+                `${brand.brandName} and ${partner.brandName}`
+            );
+        });
+    });
+    
+    // CloudNine operates in Trailhead's target markets, but shares none of its markets
+    const [brand, partner] = [fixtures.byName['Trailhead Outfitters'], fixtures.byName['CloudNine Software']];
+    const mutual = PartnerMatcher.calculateMutualScore(brand, partner);
+    
+    assert.strictEqual(PartnerMatcher.calculateCompatibilityScore(brand, partner), PartnerMatcher.calculateCompatibilityScore(partner, brand));
+    assert.deepStrictEqual([mutual.brandScore, mutual.partnerScore], [43, 31]);
+    assert.strictEqual(PartnerMatcher.calculatePerspectiveScore(brand, partner), 43);
+});
+
+test('description similarity is only measured when it is weighted', () => {
+    const TextSimilarity = get('TextSimilarity');
+    const compare = TextSimilarity.compare;
+    const [brand, partner] = [fixtures.byName['Trailhead Outfitters'], fixtures.byName['PeakFit Studios']];
+    let comparisons = 0;
+    
+    TextSimilarity.compare = (...args) => {
+        comparisons++;
+        return compare(...args);
+    };
+    
+    try {
+        assert.strictEqual(PartnerMatcher.calculateCompatibilityScore(brand, partner), 80);
+        PartnerMatcher.calculateMutualScore(brand, partner);
+        assert.strictEqual(comparisons, 0);
+        
+        assert.strictEqual(PartnerMatcher.calculateCompatibilityScore(brand, partner, { weights: fixtures.weights }), 70);
+        assert.strictEqual(comparisons, 1);
+        
+        // Feedback learning records every dimension, weighted or not
+        assert.strictEqual(PartnerMatcher.getDimensionScores(brand, partner).text, expected[0][4].text);
+        assert.strictEqual(comparisons, 2);
+    } finally {
+        TextSimilarity.compare = compare;
+    }
+});
@@ -0,0 +1,241 @@
+// Strategic Alliance Builder - Storage Migration Tests
+// Each migration gets a minimal fixture at the version before it and is checked at its own version.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadModules, plain } = require('./helpers/load-modules');
+
+const { get } = loadModules([
+    'js/taxonomy.js', 'js/geography.js', 'js/text.js', 'js/matching.js', 'js/partners.js', 'js/data.js'
+]);
+const DataManager = get('DataManager');
+
+/**
+ * Run a single migration
+ * @param {number} version - The version to upgrade to
+ * @param {Object} data - Application data at the version before
+ * @param {Object} options - Other migrateData options
+ * @returns {Object} The data at the new version
+ */
+function migrateTo(version, data, options = {}) {
+    const result = DataManager.migrateData({ version: version - 1, initialized: true, data }, { ...options, version });
+    
+    assert.ok(result, `migration to ${version} failed`);
+    assert.strictEqual(result.version, version);
+    
+    return plain(result.data);
+}
+
+test('there is a migration test for every schema version', () => {
+    assert.strictEqual(DataManager.SCHEMA_VERSION, 13);
+});
+
+test('0 to 1: adds the first collections and settings', () => {
+    const data = migrateTo(1, { collaborations: [{ id: 'c1', name: 'Launch' }], settings: { theme: 'dark' } });
+    
+    assert.deepStrictEqual(data, {
+        collaborations: [{ id: 'c1', name: 'Launch' }],
+        settings: { theme: 'dark', fontSize: 'medium', compactView: false },
+        partners: [],
+        activities: [],
+        customMetrics: [],
+        profile: null
+    });
+});
+
+test('0 to 1: upgrades unwrapped data from older exports', () => {
+    const result = DataManager.migrateData({ profile: { brandName: 'Acme' }, collaborations: [] }, { version: 1 });
+    
+    assert.strictEqual(result.version, 1);
+    assert.deepStrictEqual(plain(result.data.profile), { brandName: 'Acme' });
+    assert.deepStrictEqual(plain(result.data.partners), []);
+});
+
+test('1 to 2: adds assessments and collaboration documents, notes and status', () => {
+    const data = migrateTo(2, {
+        profile: null,
+        partners: [],
+        collaborations: [{ id: 'c1', tasks: [{ id: 't1' }] }, { id: 'c2', status: 'completed' }],
+        activities: [],
+        customMetrics: [],
+        settings: {}
+    });
+    
+    assert.deepStrictEqual(data.assessments, []);
+    assert.deepStrictEqual(data.collaborations, [
+        { id: 'c1', tasks: [{ id: 't1' }], milestones: [], documents: [], notes: [], status: 'active' },
+        { id: 'c2', tasks: [], milestones: [], documents: [], notes: [], status: 'completed' }
+    ]);
+});
+
+test('1 to 2: copes with missing collaborations', () => {
+    assert.deepStrictEqual(migrateTo(2, {}).collaborations, []);
+});
+
+test('2 to 3: adds matching weights and seeds the sample partners when asked', () => {
+    const data = migrateTo(3, { partners: [], settings: { partnersSeeded: false } }, { samplePartners: true });
+    
+    assert.strictEqual(data.settings.matchingWeights, null);
+    assert.deepStrictEqual(data.settings.weightPresets, []);
+    assert.strictEqual('partnersSeeded' in data.settings, false);
+    assert.strictEqual(data.partners.length, 0);
+    
+    const seeded = migrateTo(3, { partners: [], settings: {} }, { samplePartners: true });
+    assert.deepStrictEqual(seeded.partners.map(partner => partner.brandName),
+        ['TechInnovate', 'SportsFit', 'MediaStream', 'EcoGoods', 'FinSecure', 'HealthPlus']);
+});
+
+test('2 to 3: copes with missing settings and partners', () => {
+    const data = migrateTo(3, {});
+    
+    assert.deepStrictEqual(data.settings, { matchingWeights: null, weightPresets: [] });
+    assert.deepStrictEqual(data.partners, []);
+});
+
+test('3 to 4: structures the activity history', () => {
+    const data = migrateTo(4, {
+        activities: [{ id: 'a1', title: 'Created collaboration', timestamp: '2024-01-01T00:00:00.000Z' }],
+        settings: {}
+    });
+    
+    assert.deepStrictEqual(data.activities, [{
+        actor: null,
+        action: 'other',
+        entityType: null,
+        entityId: null,
+        collaborationId: null,
+        before: null,
+        after: null,
+        id: 'a1',
+        title: 'Created collaboration',
+        timestamp: '2024-01-01T00:00:00.000Z'
+    }]);
+    assert.strictEqual(data.settings.actorName, null);
+});
+
+test('4 to 5: adds audiences to partners, from the samples where they match', () => {
+    const data = migrateTo(5, {
+        partners: [{ id: 'partner2', brandName: 'SportsFit' }, { id: 'p9', brandName: 'Other' }]
+    });
+    
+    assert.deepStrictEqual(data.partners[0].audience, {
+        age: '18-24',
+        income: 'middle',
+        interests: ['sports', 'fitness', 'health']
+    });
+    assert.deepStrictEqual(data.partners[1].audience, { age: '', income: '', interests: [] });
+});
+
+test('5 to 6: adds feedback and the weights before learning', () => {
+    const data = migrateTo(6, { settings: { theme: 'default' } });
+    
+    assert.deepStrictEqual(data.feedback, []);
+    assert.deepStrictEqual(data.settings, { theme: 'default', weightsBeforeLearning: null });
+});
+
+test('6 to 7: adds dealbreakers to the profile', () => {
+    const data = migrateTo(7, { profile: { brandName: 'Acme' } });
+    
+    assert.deepStrictEqual(data.profile.constraints, {
+        requiredValues: [],
+        excludedIndustries: [],
+        minimumScore: 0,
+        maxSizeGap: null,
+        minSharedObjectives: 0
+    });
+    assert.strictEqual(migrateTo(7, { profile: null }).profile, null);
+});
+
+test('7 to 8: adds saved searches and notifications', () => {
+    const data = migrateTo(8, {});
+    
+    assert.deepStrictEqual(data.savedSearches, []);
+    assert.deepStrictEqual(data.notifications, []);
+});
+
+test('8 to 9: adds the pipeline', () => {
+    const data = migrateTo(9, {});
+    
+    assert.deepStrictEqual(data.deals, []);
+    assert.deepStrictEqual(data.settings, { pipelineStages: null });
+});
+
+test('9 to 10: adds exclusivity terms and the conflict mode', () => {
+    const data = migrateTo(10, { collaborations: [{ id: 'c1' }], settings: {} });
+    
+    assert.deepStrictEqual(data.collaborations, [{ id: 'c1', partnerId: null, exclusivity: null }]);
+    assert.strictEqual(data.settings.conflictMode, 'flag');
+    assert.deepStrictEqual(migrateTo(10, { collaborations: {} }).collaborations, []);
+});
+
+test('10 to 11: adds the industry taxonomy', () => {
+    const data = migrateTo(11, {});
+    
+    assert.deepStrictEqual(data.industryTaxonomy, plain(get('IndustryTaxonomy').getDefaultTaxonomy()));
+});
+
+test('11 to 12: adds markets to the profile and partners', () => {
+    const data = migrateTo(12, {
+        profile: { brandName: 'Acme' },
+        partners: [{ id: 'partner4', brandName: 'EcoGoods' }, { id: 'p9', brandName: 'Other', markets: ['FR'] }, { id: 'p10' }]
+    });
+    
+    assert.deepStrictEqual(data.profile, { brandName: 'Acme', markets: [], targetMarkets: [] });
+    assert.deepStrictEqual(data.partners.map(partner => partner.markets), [['GB', 'IE'], ['FR'], []]);
+});
+
+test('12 to 13: adds the variety setting', () => {
+    assert.strictEqual(migrateTo(13, { settings: {} }).settings.diversity, 0);
+    assert.strictEqual(migrateTo(13, { settings: { diversity: 0.4 } }).settings.diversity, 0.4);
+});
+
+test('migrating from 0 fills in everything the current version has', () => {
+    const result = DataManager.migrateData({ profile: null, collaborations: [] });
+    
+    assert.strictEqual(result.version, DataManager.SCHEMA_VERSION);
+    assert.deepStrictEqual(Object.keys(result.data).sort(), Object.keys(DataManager.getDefaultData()).sort());
+});
+
+test('rejects versions that are not whole numbers from 0 to the current version', () => {
+    const error = console.error;
+    console.error = () => {};
+    
+    try {
+        [-1, 2.5, '3', NaN, DataManager.SCHEMA_VERSION + 1].forEach(version => {
+            assert.strictEqual(DataManager.migrateData({ version, data: {} }), null, `version ${version}`);
+        });
+    } finally {
+        console.error = error;
+    }
+});
+
+test('loading leaves saved data it cannot read in place and returns it as stored', async () => {
+    const items = new Map();
+    const localStorage = {
+        getItem: key => items.has(key) ? items.get(key) : null,
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: key => items.delete(key)
+    };
+    const manager = loadModules([
+        'js/taxonomy.js', 'js/geography.js', 'js/text.js', 'js/matching.js', 'js/partners.js', 'js/data.js'
+    ], { localStorage }).get('DataManager');
+    const newer = JSON.stringify({ version: DataManager.SCHEMA_VERSION + 1, initialized: true, data: {} });
+    
+    const error = console.error;
+    console.error = () => {};
+    
+    try {
+        for (const raw of [newer, '{"version":']) {
+            items.clear();
+            localStorage.setItem('strategicAllianceBuilder', raw);
+            
+            assert.deepStrictEqual(plain(await manager.loadData()), { unreadable: true, raw });
+            assert.deepStrictEqual([...items.entries()], [['strategicAllianceBuilder', raw]]);
+        }
+    } finally {
+        console.error = error;
+    }
+    
+    items.clear();
+    assert.strictEqual(await manager.loadData(), null);
+});
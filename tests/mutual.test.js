@@ -0,0 +1,61 @@
+// Strategic Alliance Builder - Mutual Fit Tests
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadModules, plain } = require('./helpers/load-modules');
+const fixtures = require('./fixtures/profiles');
+
+const { get } = loadModules(['js/taxonomy.js', 'js/geography.js', 'js/text.js', 'js/matching.js']);
+const PartnerMatcher = get('PartnerMatcher');
+
+// Only values are weighted, so each perspective is its share of shared values
+const valuesOnly = { industry: 0, values: 1, objectives: 0, geography: 0, companySize: 0, audience: 0, text: 0 };
+const brand = { brandName: 'Brand', values: ['quality', 'community', 'innovation', 'integrity'] };
+const partner = { brandName: 'Partner', values: ['quality', 'community'] };
+
+test('each perspective counts shared items against everything its own side lists', () => {
+    assert.strictEqual(PartnerMatcher.calculateCompatibilityScore(brand, partner, { weights: valuesOnly }), 100);
+    assert.strictEqual(PartnerMatcher.calculatePerspectiveScore(brand, partner, { weights: valuesOnly }), 50);
+    assert.strictEqual(PartnerMatcher.calculatePerspectiveScore(partner, brand, { weights: valuesOnly }), 100);
+});
+
+test('the mutual score combines the perspectives by the chosen rule', () => {
+    const scores = plain(PartnerMatcher.getMutualRules().map(mutualRule =>
+        PartnerMatcher.calculateMutualScore(brand, partner, { weights: valuesOnly, mutualRule })));
+    
+    assert.deepStrictEqual(scores, [
+        { brandScore: 50, partnerScore: 100, mutualScore: 50, rule: 'min' },
+        { brandScore: 50, partnerScore: 100, mutualScore: 67, rule: 'harmonic' },
+        { brandScore: 50, partnerScore: 100, mutualScore: 75, rule: 'mean' }
+    ]);
+});
+
+test('unknown rules fall back to the harmonic mean', () => {
+    assert.strictEqual(PartnerMatcher.calculateMutualScore(brand, partner, { weights: valuesOnly, mutualRule: 'max' }).rule, 'harmonic');
+    assert.strictEqual(PartnerMatcher.calculateMutualScore(brand, { brandName: 'None' }, { weights: valuesOnly }).mutualScore, 0);
+});
+
+test('ranking by mutual fit orders partners by their mutual score', () => {
+    const source = fixtures.byName['Trailhead Outfitters'];
+    const partners = fixtures.profiles.filter(profile => profile !== source);
+    
+    const byCompatibility = PartnerMatcher.rankPartners(source, partners).matches;
+    const byMutual = PartnerMatcher.rankPartners(source, partners, { rankBy: 'mutual' }).matches;
+    const mutualScores = byMutual.map(match => match.mutualScore);
+    
+    assert.deepStrictEqual(plain(mutualScores), plain([...mutualScores].sort((a, b) => b - a)));
+    assert.deepStrictEqual(plain(byMutual.map(match => match.brandName).sort()), plain(byCompatibility.map(match => match.brandName).sort()));
+    byMutual.forEach(match => {
+        assert.strictEqual(match.mutualScore, PartnerMatcher.calculateMutualScore(source, match).mutualScore);
+    });
+});
+
+test('the report shows both perspectives', () => {
+    const report = PartnerMatcher.generateCompatibilityReport(brand, partner, { weights: valuesOnly, mutualRule: 'min' });
+    
+    assert.deepStrictEqual(
+        [report.mutualScore, report.mutualRule, report.perspectives.brand.score, report.perspectives.partner.score],
+        [50, 'min', 50, 100]
+    );
+    assert.deepStrictEqual([report.perspectives.brand.dimensionScores.values, report.perspectives.partner.dimensionScores.values], [50, 100]);
+});
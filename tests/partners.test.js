@@ -0,0 +1,92 @@
+// Strategic Alliance Builder - Partner Directory Tests
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadModules, plain } = require('./helpers/load-modules');
+
+const { get } = loadModules(['js/taxonomy.js', 'js/geography.js', 'js/partners.js']);
+const PartnerDirectory = get('PartnerDirectory');
+
+test('imports store industries, company sizes and values as codes', () => {
+    const records = PartnerDirectory.parseCSV([
+        'name,industry,size,values',
+        'Acme,Sports & Recreation,Small (11-50 employees),INNOVATION;diversity and inclusion',
+        'Beta,SOFTWARE,enterprise,Customer Focus',
+        'Gamma,7139,Medium,'
+    ].join('\n'));
+    
+    const { partners, unknown } = plain(PartnerDirectory.importPartners(records, []));
+    
+    assert.deepStrictEqual(partners.map(partner => [partner.industry, partner.companySize, partner.values]), [
+        ['sports', 'small', ['innovation', 'diversity']],
+        ['software', 'enterprise', ['customer']],
+        ['sports', 'medium', []]
+    ]);
+    assert.deepStrictEqual(unknown, []);
+});
+
+test('imports leave out and report codes they do not recognize', () => {
+    const records = PartnerDirectory.parseJSON(JSON.stringify([
+        { name: 'Acme', industry: 'Widgets', size: 'huge', values: ['quality', 'Bogus'] }
+    ]));
+    
+    const { partners, unknown } = plain(PartnerDirectory.importPartners(records, []));
+    
+    assert.deepStrictEqual([partners[0].industry, partners[0].companySize, partners[0].values], ['other', '', ['quality']]);
+    assert.deepStrictEqual(unknown, [
+        { row: 1, field: 'industry', value: 'Widgets' },
+        { row: 1, field: 'companySize', value: 'huge' },
+        { row: 1, field: 'values', value: 'Bogus' }
+    ]);
+});
+
+test('imports accept industries from a custom taxonomy', () => {
+    const taxonomy = get('IndustryTaxonomy').getDefaultTaxonomy();
+    taxonomy.industries.push({ id: 'gaming', name: 'Video Games', naics: null, parent: 'entertainment' });
+    
+    const { partners } = PartnerDirectory.importPartners([{ brandName: 'Acme', industry: 'video games' }], [], { taxonomy });
+    
+    assert.strictEqual(partners[0].industry, 'gaming');
+});
+
+test('imports flag duplicates of the directory and of earlier records', () => {
+    const existing = [{ id: 'p1', brandName: 'Acme Inc.', website: 'https://acme.com' }];
+    const records = [
+        { brandName: 'ACME', website: '' },
+        { brandName: 'Other', website: 'www.acme.com/about' },
+        { brandName: 'Newco', website: 'newco.com' },
+        { brandName: 'Newco LLC', website: '' }
+    ];
+    
+    const result = PartnerDirectory.importPartners(records, existing);
+    
+    assert.deepStrictEqual(plain(result.duplicates.map(duplicate => [
+        duplicate.partner.brandName,
+        duplicate.matches.map(match => `${match.partner.brandName}: ${match.reasons.join(', ')}`)
+    ])), [
+        ['ACME', ['Acme Inc.: name']],
+        ['Other', ['Acme Inc.: domain']],
+        ['Newco LLC', ['Newco: name']]
+    ]);
+    
+    const skipped = PartnerDirectory.importPartners(records, existing, { skipDuplicates: true });
+    assert.deepStrictEqual(plain(skipped.partners.map(partner => partner.brandName)), ['Newco']);
+    assert.strictEqual(skipped.skipped, 3);
+});
+
+test('duplicate checks list matches in directory order, with every reason', () => {
+    const partners = [
+        { id: 'a', brandName: 'Other', website: 'acme.com' },
+        { id: 'b', brandName: 'Acme', website: 'acme.com' },
+        { id: 'c', brandName: 'Acme Ltd', website: '' }
+    ];
+    
+    const matches = PartnerDirectory.findDuplicates({ id: 'd', brandName: 'acme', website: 'http://acme.com' }, partners);
+    
+    assert.deepStrictEqual(plain(matches.map(match => [match.partner.id, match.reasons])), [
+        ['a', ['domain']],
+        ['b', ['name', 'domain']],
+        ['c', ['name']]
+    ]);
+    assert.deepStrictEqual(plain(PartnerDirectory.findDuplicates(partners[1], partners).map(match => match.partner.id)), ['a', 'c']);
+});
@@ -0,0 +1,122 @@
+// Strategic Alliance Builder - Partner Pipeline Tests
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadModules, plain } = require('./helpers/load-modules');
+
+const { get } = loadModules(['js/project.js', 'js/pipeline.js']);
+const PipelineManager = get('PipelineManager');
+
+const stages = PipelineManager.getDefaultStages();
+
+/**
+ * Make a deal with a known history
+ * @param {string} id - The partner id
+ * @param {Array} moves - [stage, ISO date] pairs, the first being where the deal started
+ * @returns {Object} The deal
+ */
+function makeDeal(id, moves) {
+    return {
+        id: `deal-${id}`,
+        partnerId: id,
+        partnerName: id,
+        stage: moves[moves.length - 1][0],
+        history: moves.map(([stage, timestamp], index) => ({ stage, from: index > 0 ? moves[index - 1][0] : null, timestamp })),
+        collaborationId: null,
+        createdAt: moves[0][1],
+        updatedAt: moves[moves.length - 1][1]
+    };
+}
+
+test('moving a deal records where it came from, and moving it to its own stage changes nothing', () => {
+    const deal = PipelineManager.createDeal({ id: 'p1', brandName: 'Acme' }, 'identified');
+    const moved = PipelineManager.moveDeal(deal, 'contacted');
+    
+    assert.deepStrictEqual(plain(moved.history.map(entry => [entry.stage, entry.from])), [['identified', null], ['contacted', 'identified']]);
+    assert.strictEqual(PipelineManager.moveDeal(moved, 'contacted'), moved);
+    assert.strictEqual(deal.stage, 'identified');
+});
+
+test('deals need a partner with an id', () => {
+    const error = console.error;
+    console.error = () => {};
+    
+    try {
+        assert.strictEqual(PipelineManager.createDeal({ brandName: 'No id' }, 'identified'), null);
+    } finally {
+        console.error = error;
+    }
+});
+
+test('stage lists need names, unique ids, an open and a won stage, and a stage for every deal', () => {
+    assert.deepStrictEqual(plain(PipelineManager.validateStages(stages)), []);
+    assert.deepStrictEqual(plain(PipelineManager.validateStages([])), ['The pipeline needs at least one stage']);
+    assert.deepStrictEqual(plain(PipelineManager.validateStages([
+        { id: 'a', name: ' ', outcome: 'open' },
+        { id: 'a', name: 'Done', outcome: 'finished' }
+    ], [makeDeal('Acme', [['gone', '2026-01-01T00:00:00.000Z']])])), [
+        'Stage 1 needs a name',
+        'Stage 2 has an unknown outcome',
+        'Stage 2 has the same id as another stage',
+        'At least one stage must mark a deal as won',
+        'Acme is still in a stage that would be removed'
+    ]);
+});
+
+test('the funnel counts deals that reached each stage or a later one', () => {
+    const deals = [
+        makeDeal('a', [['identified', '2026-01-01T00:00:00.000Z']]),
+        makeDeal('b', [['identified', '2026-01-01T00:00:00.000Z'], ['contacted', '2026-01-03T00:00:00.000Z']]),
+        makeDeal('c', [['identified', '2026-01-01T00:00:00.000Z'], ['negotiating', '2026-01-05T00:00:00.000Z'], ['signed', '2026-01-11T00:00:00.000Z']]),
+        makeDeal('d', [['identified', '2026-01-01T00:00:00.000Z'], ['contacted', '2026-01-02T00:00:00.000Z'], ['declined', '2026-01-04T00:00:00.000Z']]),
+        makeDeal('e', [['researched', '2026-01-01T00:00:00.000Z'], ['signed', '2026-01-05T00:00:00.000Z']])
+    ];
+    
+    const funnel = plain(PipelineManager.calculateFunnel(deals, stages));
+    
+    assert.deepStrictEqual(funnel.stages.map(stage => [stage.id, stage.current, stage.reached]), [
+        ['identified', 1, 5],
+        ['researched', 0, 4],
+        ['contacted', 1, 4],
+        ['discussion', 0, 2],
+        ['negotiating', 0, 2],
+        ['signed', 2, 2]
+    ]);
+    assert.deepStrictEqual(funnel.stages.map(stage => stage.conversion), [null, 0.8, 1, 0.5, 1, 1]);
+    assert.deepStrictEqual([funnel.total, funnel.won, funnel.lost, funnel.open], [5, 2, 1, 2]);
+    assert.strictEqual(funnel.winRate, 2 / 3);
+    assert.strictEqual(funnel.averageDaysToWin, 7);
+});
+
+test('an empty pipeline has no rates', () => {
+    const funnel = plain(PipelineManager.calculateFunnel([], stages));
+    
+    assert.deepStrictEqual([funnel.total, funnel.winRate, funnel.averageDaysToWin], [0, null, null]);
+    assert.deepStrictEqual(funnel.stages.map(stage => stage.conversion), [null, 0, 0, 0, 0, 0]);
+});
+
+test('days in stage count from the last move', () => {
+    const deal = makeDeal('a', [['identified', '2026-01-01T00:00:00.000Z'], ['contacted', '2026-01-10T12:00:00.000Z']]);
+    
+    assert.strictEqual(PipelineManager.getDaysInStage(deal, new Date('2026-01-13T11:00:00.000Z')), 2);
+});
+
+test('a signed deal becomes a collaboration with the objectives both sides share, once', () => {
+    const deal = makeDeal('p1', [['signed', '2026-01-01T00:00:00.000Z']]);
+    const partner = { id: 'p1', brandName: 'p1', partnership: { objectives: ['content', 'sales'] } };
+    const profile = { partnership: { objectives: ['audience', 'sales'] } };
+    
+    const result = PipelineManager.convertDeal(deal, partner, profile);
+    
+    assert.strictEqual(result.deal.collaborationId, result.collaboration.id);
+    assert.deepStrictEqual(plain([result.collaboration.partnerId, result.collaboration.objectives]), ['p1', ['sales']]);
+    
+    const error = console.error;
+    console.error = () => {};
+    
+    try {
+        assert.strictEqual(PipelineManager.convertDeal(result.deal, partner, profile), null);
+    } finally {
+        console.error = error;
+    }
+});
@@ -0,0 +1,106 @@
+// Strategic Alliance Builder - Collaboration Change Event Tests
+// The activity history is built from the change events ProjectManager sends its listeners.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadModules, plain } = require('./helpers/load-modules');
+
+const { get } = loadModules(['js/project.js']);
+const ProjectManager = get('ProjectManager');
+
+/**
+ * Record the change events sent while running a function
+ * @param {Function} run - Makes the changes
+ * @returns {Array} The events, as plain data
+ */
+function recordChanges(run) {
+    const changes = [];
+    const unsubscribe = ProjectManager.subscribe(change => changes.push(change));
+    
+    try {
+        run();
+    } finally {
+        unsubscribe();
+    }
+    
+    return plain(changes);
+}
+
+test('creating a collaboration sends a snapshot without its workspace items', () => {
+    const changes = recordChanges(() => ProjectManager.createCollaboration({
+        id: 'c1', name: 'Launch', tasks: [{ id: 't1', title: 'Brief' }], notes: [{ id: 'n1', content: 'Hi' }]
+    }));
+    
+    assert.strictEqual(changes.length, 1);
+    assert.deepStrictEqual(
+        [changes[0].action, changes[0].entityType, changes[0].entityId, changes[0].collaborationId, changes[0].before],
+        ['create', 'collaboration', 'c1', 'c1', null]
+    );
+    assert.strictEqual(changes[0].after.name, 'Launch');
+    assert.deepStrictEqual(['tasks', 'milestones', 'documents', 'notes'].filter(key => key in changes[0].after), []);
+});
+
+test('task changes send the task before and after, with its collaboration', () => {
+    const collaboration = ProjectManager.createCollaboration({ id: 'c1', name: 'Launch' });
+    let updated;
+    
+    const changes = recordChanges(() => {
+        updated = ProjectManager.addTask(collaboration, { id: 't1', title: 'Brief' });
+        updated = ProjectManager.updateTask(updated, 't1', { status: 'completed' });
+        updated = ProjectManager.deleteTask(updated, 't1');
+    });
+    
+    assert.deepStrictEqual(changes.map(change => [change.action, change.entityType, change.entityId, change.collaborationId]), [
+        ['create', 'task', 't1', 'c1'],
+        ['update', 'task', 't1', 'c1'],
+        ['delete', 'task', 't1', 'c1']
+    ]);
+    assert.deepStrictEqual([changes[1].before.status, changes[1].after.status], ['pending', 'completed']);
+    assert.deepStrictEqual([changes[2].before.title, changes[2].after], ['Brief', null]);
+    assert.deepStrictEqual(plain(updated.tasks), []);
+});
+
+test('deleting an item that is not there sends nothing', () => {
+    const collaboration = ProjectManager.createCollaboration({ id: 'c1', name: 'Launch' });
+    
+    const changes = recordChanges(() => ProjectManager.deleteTask(collaboration, 'missing'));
+    
+    assert.deepStrictEqual(changes, []);
+});
+
+test('snapshots do not change when the collaboration changes later', () => {
+    const changes = [];
+    const unsubscribe = ProjectManager.subscribe(change => changes.push(change));
+    
+    try {
+        const collaboration = ProjectManager.createCollaboration({ id: 'c1', name: 'Launch', objectives: ['sales'] });
+        collaboration.objectives.push('content');
+    } finally {
+        unsubscribe();
+    }
+    
+    assert.deepStrictEqual(plain(changes[0].after.objectives), ['sales']);
+});
+
+test('a failing listener does not stop the change or other listeners', () => {
+    const error = console.error;
+    const seen = [];
+    const unsubscribeFailing = ProjectManager.subscribe(() => {
+        throw new Error('listener failed');
+    });
+    const unsubscribe = ProjectManager.subscribe(change => seen.push(change.entityId));
+    console.error = () => {};
+    
+    try {
+        assert.strictEqual(ProjectManager.createCollaboration({ id: 'c2', name: 'Pilot' }).id, 'c2');
+    } finally {
+        console.error = error;
+        unsubscribeFailing();
+        unsubscribe();
+    }
+    
+    assert.deepStrictEqual(seen, ['c2']);
+    
+    ProjectManager.createCollaboration({ id: 'c3', name: 'After' });
+    assert.deepStrictEqual(seen, ['c2']);
+});
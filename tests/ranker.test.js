@@ -0,0 +1,80 @@
+// Strategic Alliance Builder - Batch Ranking Tests
+// createRanker keeps only the best matches of a generated directory; they must be rankPartners' best matches.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadModules, plain } = require('./helpers/load-modules');
+const fixtures = require('./fixtures/profiles');
+
+const { get } = loadModules([
+    'js/taxonomy.js', 'js/geography.js', 'js/text.js', 'js/matching.js', 'bench/synthetic-partners.js'
+]);
+const PartnerMatcher = get('PartnerMatcher');
+
+const brand = fixtures.byName['Trailhead Outfitters'];
+const partners = get('SyntheticPartners').generate(3000, 7);
+const index = PartnerMatcher.indexPartners(partners);
+const limit = 50;
+
+/**
+ * Rank the directory both ways
+ * @param {Object} options - createRanker options; filters are applied with filterPartners for rankPartners
+ * @returns {Object} {ranked, full}: the result of createRanker, a few batches at a time, and of rankPartners
+ */
+function rankBothWays(options) {
+    const ranker = PartnerMatcher.createRanker(brand, index, { ...options, limit });
+    
+    for (let start = 0; start < partners.length; start += 700) {
+        ranker.scoreRange(start, start + 700);
+    }
+    
+    const filtered = options.filters ? PartnerMatcher.filterPartners(partners, options.filters) : partners;
+    
+    return { ranked: ranker.getResult(), full: PartnerMatcher.rankPartners(brand, filtered, options) };
+}
+
+/**
+ * Summarize ranked partners for comparison
+ * @param {Array} list - Ranked partners
+ * @returns {Array} [id, compatibilityScore, mutualScore] for each
+ */
+function summarize(list) {
+    return plain(list.map(partner => [partner.id, partner.compatibilityScore, partner.mutualScore]));
+}
+
+/**
+ * Check that createRanker found rankPartners' best matches and exclusions, and counted the rest
+ * @param {Object} options - Ranking options
+ */
+function assertSameRanking(options) {
+    const { ranked, full } = rankBothWays(options);
+    
+    assert.ok(full.matches.length > 0);
+    assert.strictEqual(ranked.matchCount, full.matches.length);
+    assert.strictEqual(ranked.excludedCount, full.excluded.length);
+    assert.deepStrictEqual(summarize(ranked.matches), summarize(full.matches.slice(0, limit)));
+    assert.deepStrictEqual(summarize(ranked.excluded), summarize(full.excluded.slice(0, limit)));
+}
+
+test('the best matches are those rankPartners ranks first, with default weights', () => {
+    assertSameRanking({});
+});
+
+test('the best matches agree when ranking by mutual fit', () => {
+    ['min', 'harmonic', 'mean'].forEach(mutualRule => {
+        assertSameRanking({ weights: fixtures.weights, mutualRule, rankBy: 'mutual' });
+    });
+});
+
+test('the best matches and exclusions agree with filters and dealbreakers', () => {
+    assertSameRanking({
+        filters: { geographicFocus: 'global', values: ['quality'] },
+        constraints: { minimumScore: 45, excludedIndustries: ['banking'], maxSizeGap: 2 }
+    });
+});
+
+test('the best matches agree when description similarity is weighted', () => {
+    PartnerMatcher.setTextCorpus([brand, ...partners]);
+    
+    assertSameRanking({ weights: { ...PartnerMatcher.getDefaultWeights(), text: 0.2 } });
+});
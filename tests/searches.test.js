@@ -0,0 +1,95 @@
+// Strategic Alliance Builder - Saved Search Tests
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadModules, plain } = require('./helpers/load-modules');
+const fixtures = require('./fixtures/profiles');
+
+const { get } = loadModules(['js/taxonomy.js', 'js/geography.js', 'js/text.js', 'js/matching.js', 'js/searches.js']);
+const PartnerMatcher = get('PartnerMatcher');
+const SavedSearchManager = get('SavedSearchManager');
+
+const brand = fixtures.byName['Trailhead Outfitters'];
+
+/**
+ * Make partners from the fixture profiles, each profile repeated under new ids
+ * @param {number} count - Partners to make
+ * @returns {Array} The partners
+ */
+function makePartners(count) {
+    const partners = [];
+    
+    for (let i = 0; i < count; i++) {
+        const profile = fixtures.profiles[(i % (fixtures.profiles.length - 1)) + 1];
+        partners.push({ values: [], partnership: { objectives: [] }, ...profile, id: `p${i}`, brandName: `${profile.brandName} ${i}` });
+    }
+    
+    return partners;
+}
+
+test('saved searches need a name and clamp the alert score', () => {
+    const search = SavedSearchManager.createSavedSearch({ name: ' Outdoor ', filters: { industry: 'fitness' }, threshold: '140' });
+    
+    assert.deepStrictEqual([search.name, search.threshold, plain(search.results), search.matchCount, search.lastRunAt],
+        ['Outdoor', 100, {}, 0, null]);
+    assert.strictEqual(SavedSearchManager.createSavedSearch({ name: '  ' }), null);
+    assert.strictEqual(SavedSearchManager.createSavedSearch({ name: 'Default' }).threshold, 60);
+});
+
+test('the first run records the results without reporting them', () => {
+    const search = SavedSearchManager.createSavedSearch({ name: 'All', filters: {} });
+    const ranking = SavedSearchManager.runSearch(search, brand, makePartners(6));
+    const evaluation = SavedSearchManager.evaluateSearch(search, ranking);
+    
+    assert.deepStrictEqual([evaluation.newMatches.length, evaluation.crossedThreshold.length], [0, 0]);
+    assert.strictEqual(Object.keys(evaluation.search.results).length, 6);
+    assert.strictEqual(evaluation.search.matchCount, 6);
+    assert.ok(evaluation.search.lastRunAt);
+});
+
+test('later runs report new matches and matches that reach the alert score', () => {
+    const partners = makePartners(4);
+    const search = {
+        ...SavedSearchManager.createSavedSearch({ name: 'All', filters: {}, threshold: 50 }),
+        lastRunAt: '2026-01-01T00:00:00.000Z',
+        results: { p0: 10, p1: 90, p2: 10 }
+    };
+    
+    const evaluation = SavedSearchManager.evaluateSearch(search, SavedSearchManager.runSearch(search, brand, partners));
+    const scores = evaluation.search.results;
+    
+    assert.deepStrictEqual(plain(evaluation.newMatches.map(partner => partner.id)), ['p3']);
+    assert.deepStrictEqual(plain(evaluation.crossedThreshold.map(partner => [partner.id, scores[partner.id]])), [['p0', 80]]);
+    assert.ok(scores.p2 < 50);
+    
+    const again = SavedSearchManager.evaluateSearch(evaluation.search, SavedSearchManager.runSearch(search, brand, partners));
+    assert.deepStrictEqual([again.newMatches.length, again.crossedThreshold.length], [0, 0]);
+});
+
+test('runs keep the scores of the best 50 matches and count the rest', () => {
+    const partners = makePartners(300);
+    const search = SavedSearchManager.createSavedSearch({ name: 'Fitness', filters: { industry: 'fitness' } });
+    const ranking = SavedSearchManager.runSearch(search, brand, partners);
+    const expected = PartnerMatcher.rankPartners(brand, PartnerMatcher.filterPartners(partners, search.filters),
+        SavedSearchManager.getMatchingOptions(search)).matches;
+    
+    const evaluation = SavedSearchManager.evaluateSearch(search, ranking);
+    
+    assert.strictEqual(evaluation.search.matchCount, expected.length);
+    assert.ok(expected.length > 50);
+    assert.deepStrictEqual(plain(evaluation.search.results),
+        Object.fromEntries(expected.slice(0, 50).map(partner => [partner.id, partner.compatibilityScore])));
+});
+
+test('searches ranked by mutual fit compare mutual scores', () => {
+    const search = {
+        ...SavedSearchManager.createSavedSearch({ name: 'Mutual', filters: {}, rankByMutual: true }),
+        lastRunAt: '2026-01-01T00:00:00.000Z'
+    };
+    const evaluation = SavedSearchManager.evaluateSearch(search, SavedSearchManager.runSearch(search, brand, makePartners(3)));
+    
+    evaluation.newMatches.forEach(partner => {
+        assert.strictEqual(evaluation.search.results[partner.id], partner.mutualScore);
+    });
+    assert.strictEqual(evaluation.newMatches.length, 3);
+});
@@ -0,0 +1,106 @@
+// Strategic Alliance Builder - Weight Sensitivity Tests
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadModules, plain } = require('./helpers/load-modules');
+const fixtures = require('./fixtures/profiles');
+
+const { get } = loadModules(['js/taxonomy.js', 'js/geography.js', 'js/text.js', 'js/matching.js']);
+const PartnerMatcher = get('PartnerMatcher');
+
+// Values and objectives share the weight evenly, so the partners strong in one of them tie
+const evenWeights = { industry: 0, values: 0.5, objectives: 0.5, geography: 0, companySize: 0, audience: 0, text: 0 };
+const brand = { brandName: 'Brand', values: ['quality', 'community'], partnership: { objectives: ['audience', 'content'] } };
+const partners = [
+    { id: 'both', brandName: 'Both', values: ['quality'], partnership: { objectives: ['audience'] } },
+    { id: 'values', brandName: 'Values', values: ['quality', 'community'], partnership: { objectives: [] } },
+    { id: 'objectives', brandName: 'Objectives', values: [], partnership: { objectives: ['audience', 'content'] } }
+];
+
+/**
+ * Change one weight the way the analysis does, scaling the others to keep their proportions
+ * @param {Object} weights - Normalized weights
+ * @param {string} dimension - The weight to change
+ * @param {number} changed - Its new value
+ * @returns {Object} The changed weights
+ */
+function changeWeight(weights, dimension, changed) {
+    const rest = 1 - weights[dimension];
+    const changedWeights = {};
+    
+    Object.keys(weights).forEach(other => {
+        changedWeights[other] = other === dimension ? changed : weights[other] * (1 - changed) / rest;
+    });
+    
+    return changedWeights;
+}
+
+test('tied partners are fragile and the smallest change that moves them is the breakpoint', () => {
+    const analysis = plain(PartnerMatcher.analyzeWeightSensitivity(brand, partners, { weights: evenWeights, range: 0.1, steps: 2 }));
+    
+    assert.deepStrictEqual(analysis.changes, [-0.1, -0.05, 0, 0.05, 0.1]);
+    assert.deepStrictEqual(analysis.partners, [
+        { id: 'both', brandName: 'Both', rank: 1, score: 100, fragile: false, breakpoint: null, bestRank: 1, worstRank: 1 },
+        { id: 'values', brandName: 'Values', rank: 2, score: 50, fragile: true,
+            breakpoint: { dimension: 'values', change: -0.05, rank: 3 }, bestRank: 2, worstRank: 3 },
+        { id: 'objectives', brandName: 'Objectives', rank: 3, score: 50, fragile: true,
+            breakpoint: { dimension: 'values', change: -0.05, rank: 2 }, bestRank: 2, worstRank: 3 }
+    ]);
+    
+    const values = analysis.dimensions.find(dimension => dimension.dimension === 'values');
+    assert.deepStrictEqual(values.weights, [0.4, 0.45, 0.5, 0.55, 0.6]);
+    assert.deepStrictEqual(values.ranks, [[1, 1, 1, 1, 1], [3, 3, 2, 2, 2], [2, 2, 3, 3, 3]]);
+    
+    // A weight cannot drop below zero
+    const industry = analysis.dimensions.find(dimension => dimension.dimension === 'industry');
+    assert.deepStrictEqual(industry.weights, [null, null, 0, 0.05, 0.1]);
+    assert.deepStrictEqual(industry.ranks[0], [null, null, 1, 1, 1]);
+});
+
+test('a partner is fragile only within the fragile change', () => {
+    const options = { weights: evenWeights, range: 0.1, steps: 2, fragileChange: 0.01 };
+    const analysis = PartnerMatcher.analyzeWeightSensitivity(brand, partners, options);
+    
+    assert.deepStrictEqual(plain(analysis.partners.map(partner => partner.fragile)), [false, false, false]);
+});
+
+test('ranks at each change match rankPartners with the changed weights', () => {
+    const brand = fixtures.byName['Trailhead Outfitters'];
+    const partners = fixtures.profiles.filter(profile => profile !== brand)
+        .map((profile, i) => ({ ...profile, id: `partner-${i}` }));
+    
+    const analysis = PartnerMatcher.analyzeWeightSensitivity(brand, partners, { weights: fixtures.weights, topN: 3 });
+    
+    assert.strictEqual(analysis.partners.length, 3);
+    
+    analysis.dimensions.forEach(dimension => {
+        dimension.weights.forEach((changed, i) => {
+            if (changed === null) return;
+            
+            const weights = analysis.changes[i] === 0 ? analysis.weights : changeWeight(analysis.weights, dimension.dimension, changed);
+            const ids = PartnerMatcher.rankPartners(brand, partners, { weights }).matches.map(match => match.id);
+            
+            analysis.partners.forEach((partner, p) => {
+                assert.strictEqual(dimension.ranks[p][i], ids.indexOf(partner.id) + 1,
+                    `${partner.brandName} with ${dimension.dimension} at ${changed}`);
+            });
+        });
+    });
+});
+
+test('partners that drop below the minimum score have no rank', () => {
+    const options = { weights: evenWeights, range: 0.2, steps: 1, constraints: { minimumScore: 50 } };
+    const analysis = plain(PartnerMatcher.analyzeWeightSensitivity(brand, partners, options));
+    
+    const values = analysis.dimensions.find(dimension => dimension.dimension === 'values');
+    assert.deepStrictEqual(values.ranks, [[1, 1, 1], [null, 2, 2], [2, 3, null]]);
+    assert.deepStrictEqual(analysis.partners.map(partner => partner.worstRank), [1, null, null]);
+});
+
+test('no ranked partners leaves nothing to follow', () => {
+    const analysis = plain(PartnerMatcher.analyzeWeightSensitivity(brand, [], { weights: evenWeights }));
+    
+    assert.deepStrictEqual(analysis.partners, []);
+    assert.deepStrictEqual(analysis.dimensions, []);
+    assert.strictEqual(analysis.changes.length, 9);
+});
@@ -0,0 +1,101 @@
+// Strategic Alliance Builder - Industry Taxonomy Tests
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadModules, plain } = require('./helpers/load-modules');
+
+const { get } = loadModules(['js/taxonomy.js']);
+const IndustryTaxonomy = get('IndustryTaxonomy');
+
+/**
+ * Get a copy of the default taxonomy with changes
+ * @param {Function} change - Edits the copy
+ * @returns {Object} The taxonomy
+ */
+function editTaxonomy(change) {
+    const taxonomy = IndustryTaxonomy.getDefaultTaxonomy();
+    change(taxonomy);
+    return taxonomy;
+}
+
+test('sub-industries belong to their sector', () => {
+    const taxonomy = IndustryTaxonomy.getDefaultTaxonomy();
+    
+    assert.deepStrictEqual(plain(IndustryTaxonomy.getAncestors(taxonomy, 'fitness')), ['fitness', 'sports']);
+    assert.strictEqual(IndustryTaxonomy.getSector(taxonomy, 'fitness'), 'sports');
+    assert.strictEqual(IndustryTaxonomy.getSector(taxonomy, 'sports'), 'sports');
+    assert.ok(IndustryTaxonomy.isWithin(taxonomy, 'fitness', 'sports'));
+    assert.ok(!IndustryTaxonomy.isWithin(taxonomy, 'sports', 'fitness'));
+    assert.ok(!IndustryTaxonomy.isWithin(taxonomy, '', 'sports'));
+});
+
+test('the most specific pairing sets the complementarity strength', () => {
+    const taxonomy = editTaxonomy(taxonomy => {
+        taxonomy.complementarity.fitness = { outpatient: 0.9 };
+    });
+    
+    assert.strictEqual(IndustryTaxonomy.getStrength(taxonomy, 'fitness', 'outpatient'), 0.9);
+    // Fitness has no pairing with retail, so sports' pairing with retail applies
+    assert.strictEqual(IndustryTaxonomy.getStrength(taxonomy, 'fitness', 'apparel'), IndustryTaxonomy.getDefaultStrength());
+    assert.strictEqual(IndustryTaxonomy.getStrength(taxonomy, 'sports', 'banking'), null);
+});
+
+test('pairings can differ by direction', () => {
+    const taxonomy = IndustryTaxonomy.getDefaultTaxonomy();
+    
+    assert.strictEqual(IndustryTaxonomy.getStrength(taxonomy, 'food', 'healthcare'), IndustryTaxonomy.getDefaultStrength());
+    assert.strictEqual(IndustryTaxonomy.getStrength(taxonomy, 'healthcare', 'food'), null);
+});
+
+test('new industries get a unique id from their name', () => {
+    const taxonomy = IndustryTaxonomy.getDefaultTaxonomy();
+    
+    assert.deepStrictEqual(plain(IndustryTaxonomy.createIndustry(taxonomy, ' Video Games ', 'entertainment', 5121)),
+        { id: 'video-games', name: 'Video Games', naics: '5121', parent: 'entertainment' });
+    assert.strictEqual(IndustryTaxonomy.createIndustry(taxonomy, 'Fitness').id, 'fitness-2');
+    assert.strictEqual(IndustryTaxonomy.createIndustry(taxonomy, '!!!').id, 'industry');
+});
+
+test('the industry list puts sub-industries under their parent', () => {
+    const ordered = plain(IndustryTaxonomy.getOrderedIndustries(IndustryTaxonomy.getDefaultTaxonomy()));
+    
+    assert.deepStrictEqual(ordered.slice(0, 3).map(industry => [industry.id, industry.depth]), [['sports', 0], ['fitness', 1], ['sports-teams', 1]]);
+});
+
+test('validation reports missing names, duplicate ids, loops, bad strengths and industries still in use', () => {
+    assert.deepStrictEqual(plain(IndustryTaxonomy.validateTaxonomy(IndustryTaxonomy.getDefaultTaxonomy(), { fitness: '2 partners' })), []);
+    
+    const taxonomy = editTaxonomy(taxonomy => {
+        taxonomy.industries = taxonomy.industries.filter(industry => industry.id !== 'fitness' && industry.id !== 'film');
+        taxonomy.industries.find(industry => industry.id === 'sports').parent = 'sports-teams';
+        taxonomy.industries.push({ id: 'music', name: '', naics: null, parent: 'entertainment' });
+        taxonomy.complementarity.sports.retail = 2;
+    });
+    
+    const last = taxonomy.industries.length;
+    
+    assert.deepStrictEqual(plain(IndustryTaxonomy.validateTaxonomy(taxonomy, { fitness: '2 partners' })), [
+        `Industry ${last} needs a name`,
+        `Industry ${last} has the same id as another industry`,
+        'Sports & Recreation is inside itself or one of its own sub-industries',
+        'Sports Teams & Clubs is inside itself or one of its own sub-industries',
+        'The strength of Sports & Recreation with Retail & Consumer Goods must be between 0 and 1',
+        'fitness is still used by 2 partners'
+    ]);
+});
+
+test('merging keeps current industries and strengths unless told to overwrite', () => {
+    const base = IndustryTaxonomy.getDefaultTaxonomy();
+    const incoming = {
+        industries: [{ id: 'sports', name: 'Sport', naics: null, parent: null }, { id: 'esports', name: 'Esports', naics: null, parent: 'sports' }],
+        complementarity: { sports: { retail: 0.2, technology: 0.5 } }
+    };
+    
+    const kept = IndustryTaxonomy.mergeTaxonomies(base, incoming, false);
+    const replaced = IndustryTaxonomy.mergeTaxonomies(base, incoming, true);
+    
+    assert.deepStrictEqual([IndustryTaxonomy.getName(kept, 'sports'), IndustryTaxonomy.getName(kept, 'esports')], ['Sports & Recreation', 'Esports']);
+    assert.deepStrictEqual([kept.complementarity.sports.retail, kept.complementarity.sports.technology], [0.7, 0.5]);
+    assert.deepStrictEqual([IndustryTaxonomy.getName(replaced, 'sports'), replaced.complementarity.sports.retail], ['Sport', 0.2]);
+    assert.strictEqual(IndustryTaxonomy.getName(base, 'esports'), 'esports');
+});
@@ -0,0 +1,57 @@
+// Strategic Alliance Builder - Text Similarity Tests
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadModules, plain } = require('./helpers/load-modules');
+
+const { get } = loadModules(['js/text.js']);
+const TextSimilarity = get('TextSimilarity');
+
+test('word forms share a stem', () => {
+    const stems = words => words.map(TextSimilarity.stem);
+    
+    assert.deepStrictEqual(stems(['family', 'families']), ['famili', 'famili']);
+    assert.deepStrictEqual(stems(['lifestyle', 'lifestyles']), ['lifestyl', 'lifestyl']);
+    assert.deepStrictEqual(stems(['running', 'shopping']), ['run', 'shop']);
+    // Words ending in "ss" are not plurals, and short words are left alone
+    assert.deepStrictEqual(stems(['fitness', 'gear', 'bus']), ['fitness', 'gear', 'bus']);
+});
+
+test('tokens leave out case, punctuation, stop words and words every company uses', () => {
+    const words = plain(TextSimilarity.tokenize('The Company makes OUTDOOR gear, for trail-running families & business.'))
+        .map(term => term.word);
+    
+    assert.deepStrictEqual(words, ['makes', 'outdoor', 'gear', 'trail', 'running', 'families']);
+});
+
+test('identical texts score 1 and texts with nothing in common score 0', () => {
+    assert.strictEqual(TextSimilarity.compare('Outdoor gear for hiking', 'outdoor GEAR for hiking!').score, 1);
+    assert.deepStrictEqual(plain(TextSimilarity.compare('Outdoor gear for hiking', 'Digital banking services')), { score: 0, terms: [] });
+    assert.deepStrictEqual(plain(TextSimilarity.compare('the and of', 'outdoor gear')), { score: 0, terms: [] });
+});
+
+test('comparisons score the same both ways', () => {
+    const [text1, text2] = ['Trail running shoes for families', 'Family hiking trips and trail guides'];
+    
+    assert.strictEqual(TextSimilarity.compare(text1, text2).score, TextSimilarity.compare(text2, text1).score);
+});
+
+test('terms rare in the corpus count for more, and are listed first', () => {
+    const index = TextSimilarity.createIndex(['outdoor gear', 'outdoor apparel', 'outdoor hiking', 'outdoor climbing', 'hiking gear']);
+    
+    const result = TextSimilarity.compare('outdoor hiking', 'outdoor gear hiking', index);
+    
+    assert.deepStrictEqual(plain(result.terms.map(term => term.term)), ['hiking', 'outdoor']);
+    assert.ok(result.terms[0].weight > result.terms[1].weight);
+    assert.deepStrictEqual(plain(TextSimilarity.compare('outdoor hiking', 'outdoor gear hiking', index, 1).terms.map(term => term.term)), ['hiking']);
+});
+
+test('vectors compare as their texts do', () => {
+    const index = TextSimilarity.createIndex(['outdoor gear', 'hiking trips', 'banking']);
+    const [text1, text2] = ['outdoor hiking gear', 'hiking trips outdoors'];
+    
+    assert.deepStrictEqual(
+        plain(TextSimilarity.compareVectors(TextSimilarity.vectorize(text1, index), TextSimilarity.vectorize(text2, index))),
+        plain(TextSimilarity.compare(text1, text2, index))
+    );
+});